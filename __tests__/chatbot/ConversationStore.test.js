@@ -0,0 +1,191 @@
+/**
+ * @fileoverview Tests for ConversationStore - encrypted chat thread persistence
+ * @module __tests__/chatbot/ConversationStore.test
+ */
+
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import { ConversationStore, DEFAULT_THREAD_TITLE } from '../../js/chatbot/ConversationStore.js';
+import { MemoryStore, createKeyValueStore } from '../../js/utils/IndexedDBStore.js';
+
+/**
+ * Reversible stand-in for EncryptionService (jsdom has no crypto.subtle)
+ * @returns {Object} Mock encryption service
+ */
+const createMockEncryption = () => ({
+    encrypt: async (text) => `enc:${text}`,
+    decrypt: async (text) => {
+        if (!text.startsWith('enc:')) throw new Error('Bad ciphertext');
+        return text.slice(4);
+    }
+});
+
+describe('ConversationStore', () => {
+    let records;
+    let store;
+
+    beforeEach(() => {
+        records = new MemoryStore();
+        store = new ConversationStore({
+            encryptionService: createMockEncryption(),
+            store: records
+        });
+    });
+
+    describe('constructor', () => {
+        it('should require an encryption service', () => {
+            expect(() => new ConversationStore({ store: records })).toThrow(TypeError);
+        });
+
+        it('should fall back to memory when IndexedDB is unavailable', () => {
+            const fallback = createKeyValueStore({ dbName: 'test', storeName: 'threads' });
+            expect(fallback).toBeInstanceOf(MemoryStore);
+            expect(fallback.isPersistent).toBe(false);
+        });
+    });
+
+    describe('threads', () => {
+        it('should create a thread with the default title', async () => {
+            const thread = await store.createThread();
+
+            expect(thread.id).toBeTruthy();
+            expect(thread.title).toBe(DEFAULT_THREAD_TITLE);
+            expect(thread.messages).toEqual([]);
+        });
+
+        it('should append messages and name the thread after the first question', async () => {
+            const thread = await store.createThread();
+
+            await store.appendMessages(thread.id, [
+                { role: 'user', text: 'Como creo una clase en ASM?' },
+                { role: 'assistant', text: 'Desde Apple School Manager...' }
+            ]);
+
+            const saved = await store.getThread(thread.id);
+            expect(saved.title).toBe('Como creo una clase en ASM?');
+            expect(saved.messages.map(m => m.role)).toEqual(['user', 'assistant']);
+            expect(saved.messages[0].timestamp).toBeDefined();
+            expect(saved.messageCount).toBe(2);
+        });
+
+        it('should encrypt titles and messages at rest', async () => {
+            const thread = await store.createThread({ title: 'Aula' });
+            await store.appendMessages(thread.id, [{ role: 'user', text: 'secreto' }]);
+
+            const [raw] = await records.getAll();
+            expect(raw.title).toBe('enc:Aula');
+            expect(raw.payload.startsWith('enc:')).toBe(true);
+            expect(raw).not.toHaveProperty('messages');
+        });
+
+        it('should list threads most recently updated first', async () => {
+            const first = await store.createThread({ title: 'Primera' });
+            const second = await store.createThread({ title: 'Segunda' });
+            await new Promise(resolve => setTimeout(resolve, 5));
+            await store.appendMessages(first.id, [{ role: 'user', text: 'hola' }]);
+
+            const list = await store.listThreads();
+
+            expect(list.map(t => t.id)).toEqual([first.id, second.id]);
+            expect(list[0]).not.toHaveProperty('messages');
+            expect(list[0].messageCount).toBe(1);
+        });
+
+        it('should skip records that cannot be decrypted', async () => {
+            await store.createThread({ title: 'Legible' });
+            await records.put({ id: 'broken', title: 'xx', payload: 'xx', createdAt: '', updatedAt: '' });
+
+            const list = await store.listThreads();
+
+            expect(list).toHaveLength(1);
+            expect(list[0].title).toBe('Legible');
+        });
+
+        it('should rename threads and reject empty titles', async () => {
+            const thread = await store.createThread();
+
+            const summary = await store.renameThread(thread.id, '  Problemas   con Aula ');
+
+            expect(summary.title).toBe('Problemas con Aula');
+            await expect(store.renameThread(thread.id, '   ')).rejects.toThrow(TypeError);
+            expect(await store.renameThread('missing', 'x')).toBeNull();
+        });
+
+        it('should keep a renamed title when more messages arrive', async () => {
+            const thread = await store.createThread();
+            await store.renameThread(thread.id, 'Mi titulo');
+
+            const updated = await store.appendMessages(thread.id, [{ role: 'user', text: 'pregunta' }]);
+
+            expect(updated.title).toBe('Mi titulo');
+        });
+
+        it('should delete a thread', async () => {
+            const thread = await store.createThread();
+
+            expect(await store.deleteThread(thread.id)).toBe(true);
+            expect(await store.deleteThread(thread.id)).toBe(false);
+            expect(await store.getThread(thread.id)).toBeNull();
+        });
+
+        it('should throw when appending to a missing thread', async () => {
+            await expect(store.appendMessages('missing', [{ role: 'user', text: 'x' }]))
+                .rejects.toThrow('Thread not found');
+        });
+    });
+
+    describe('limits', () => {
+        it('should remove the oldest threads beyond maxThreads', async () => {
+            store = new ConversationStore({
+                encryptionService: createMockEncryption(),
+                store: records,
+                maxThreads: 2
+            });
+
+            const oldest = await store.createThread({ title: 'A' });
+            await new Promise(resolve => setTimeout(resolve, 5));
+            await store.createThread({ title: 'B' });
+            await new Promise(resolve => setTimeout(resolve, 5));
+            await store.createThread({ title: 'C' });
+
+            const titles = (await store.listThreads()).map(t => t.title);
+            expect(titles).toEqual(['C', 'B']);
+            expect(await store.getThread(oldest.id)).toBeNull();
+        });
+
+        it('should keep only the most recent messages', async () => {
+            store = new ConversationStore({
+                encryptionService: createMockEncryption(),
+                store: records,
+                maxMessagesPerThread: 3
+            });
+            const thread = await store.createThread();
+
+            await store.appendMessages(thread.id, [1, 2, 3, 4, 5].map(n => ({ role: 'user', text: `m${n}` })));
+
+            const saved = await store.getThread(thread.id);
+            expect(saved.messages.map(m => m.text)).toEqual(['m3', 'm4', 'm5']);
+        });
+    });
+
+    describe('RGPD', () => {
+        it('should export decrypted threads with their messages', async () => {
+            const thread = await store.createThread({ title: 'Export' });
+            await store.appendMessages(thread.id, [{ role: 'user', text: 'hola' }]);
+
+            const exported = await store.exportAll();
+
+            expect(exported).toHaveLength(1);
+            expect(exported[0].title).toBe('Export');
+            expect(exported[0].messages[0].text).toBe('hola');
+        });
+
+        it('should clear every thread', async () => {
+            await store.createThread();
+            await store.createThread();
+
+            await store.clearAll();
+
+            expect(await store.listThreads()).toEqual([]);
+        });
+    });
+});
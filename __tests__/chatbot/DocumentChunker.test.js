@@ -0,0 +1,209 @@
+/**
+ * @fileoverview Tests for DocumentChunker and chunk-level retrieval in RAGEngine
+ * @module __tests__/chatbot/DocumentChunker.test
+ */
+
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { chunkDocument, parseHeading } from '../../js/chatbot/DocumentChunker.js';
+import { RAGEngine } from '../../js/chatbot/RAGEngine.js';
+
+const bluetoothArticle = {
+    id: 'problemas-bluetooth',
+    title: 'Aula no detecta iPads',
+    category: 'Aula',
+    keywords: ['bluetooth', 'aula'],
+    officialDocUrl: 'https://support.apple.com/guide/classroom/',
+    content: `Si App Aula no detecta los iPads de los alumnos, puede ser problema de Bluetooth:
+
+VERIFICACIONES EN EL iPAD DEL PROFESOR:
+1. ¿Bluetooth activado?
+   - Ajustes → Bluetooth → ON
+   - O desde Centro de Control (icono Bluetooth azul)
+
+2. ¿Hay dispositivos cerca interfiriendo?
+   - Otros iPads de otras clases
+   - Altavoces Bluetooth
+   - Auriculares conectados
+
+SOLUCIONES:
+
+1. DESACTIVAR/ACTIVAR BLUETOOTH:
+- Apagar Bluetooth en todos los dispositivos
+- Esperar 10 segundos
+- Encender Bluetooth en todos
+- Volver a abrir Aula
+
+2. REINICIAR AULA:
+- Cerrar completamente la app (deslizar hacia arriba)
+- Volver a abrirla
+- Seleccionar la clase de nuevo
+
+3. REINICIAR DISPOSITIVOS:
+- Si sigue fallando, reiniciar el iPad del profesor
+- Y reiniciar los iPads de los alumnos problematicos
+
+DISTANCIA IMPORTANTE:
+- Bluetooth tiene alcance de unos 10-15 metros
+- Si los alumnos estan muy lejos, no se detectan
+- Funciona mejor si todos estan en la misma aula fisica`
+};
+
+const wifiArticle = {
+    id: 'wifi',
+    title: 'Problemas de WiFi',
+    category: 'Red',
+    keywords: ['wifi', 'red'],
+    content: 'Comprueba que el iPad esta conectado a la red del centro y que el proxy esta configurado.'
+};
+
+describe('DocumentChunker', () => {
+    describe('parseHeading', () => {
+        it('should detect upper-case lines ending in a colon', () => {
+            expect(parseHeading('SOLUCIONES:')).toBe('SOLUCIONES');
+            expect(parseHeading('VERIFICACIONES EN EL iPAD DEL PROFESOR:')).toBe('VERIFICACIONES EN EL iPAD DEL PROFESOR');
+            expect(parseHeading('EN ASM (school.apple.com):')).toBe('EN ASM (school.apple.com)');
+            expect(parseHeading('PASO 2 - VERIFICAR WIFI:')).toBe('PASO 2 - VERIFICAR WIFI');
+        });
+
+        it('should detect markdown headings', () => {
+            expect(parseHeading('## Requisitos')).toBe('Requisitos');
+        });
+
+        it('should not treat sentences or numbered steps as headings', () => {
+            expect(parseHeading('Si tienes problemas con la app Aula, sigue estos pasos:')).toBeNull();
+            expect(parseHeading('2. REINICIAR AULA:')).toBeNull();
+            expect(parseHeading('SOLUCIONES')).toBeNull();
+        });
+    });
+
+    describe('chunkDocument', () => {
+        it('should keep short articles in a single chunk', () => {
+            const chunks = chunkDocument(wifiArticle);
+
+            expect(chunks).toHaveLength(1);
+            expect(chunks[0]).toMatchObject({
+                id: 'wifi#0',
+                docId: 'wifi',
+                index: 0,
+                title: 'Problemas de WiFi',
+                heading: null,
+                text: wifiArticle.content
+            });
+        });
+
+        it('should split long articles at section headings', () => {
+            const chunks = chunkDocument(bluetoothArticle);
+
+            expect(chunks.length).toBeGreaterThan(2);
+            expect(chunks.map(c => c.id)).toEqual(chunks.map((_, i) => `problemas-bluetooth#${i}`));
+            expect(chunks.map(c => c.heading)).toContain('SOLUCIONES');
+            expect(chunks[chunks.length - 1].heading).toBe('DISTANCIA IMPORTANTE');
+            expect(chunks[chunks.length - 1].text.startsWith('DISTANCIA IMPORTANTE:')).toBe(true);
+        });
+
+        it('should keep the end of long articles searchable', () => {
+            const chunks = chunkDocument(bluetoothArticle);
+            expect(chunks.some(c => c.text.includes('alcance de unos 10-15 metros'))).toBe(true);
+        });
+
+        it('should not split a numbered step from its bullet lines', () => {
+            const chunks = chunkDocument(bluetoothArticle);
+            const step = chunks.find(c => c.text.includes('2. REINICIAR AULA:'));
+
+            expect(step.text).toContain('- Seleccionar la clase de nuevo');
+        });
+
+        it('should respect the size limit plus overlap', () => {
+            const options = { maxChars: 200, minChars: 80, overlap: 60 };
+            for (const chunk of chunkDocument(bluetoothArticle, options)) {
+                expect(chunk.text.length).toBeLessThanOrEqual(options.maxChars + options.overlap + 2);
+            }
+        });
+
+        it('should repeat the last lines of the previous chunk within a section', () => {
+            const chunks = chunkDocument(bluetoothArticle, { maxChars: 200, minChars: 80, overlap: 60 });
+            const overlapping = chunks.slice(1).filter((chunk, i) => {
+                const previousLines = chunks[i].text.split('\n');
+                return chunk.text.startsWith(previousLines[previousLines.length - 1].trim());
+            });
+
+            expect(overlapping.length).toBeGreaterThan(0);
+        });
+
+        it('should split a single oversized paragraph by words', () => {
+            const longArticle = { id: 'long', title: 'Largo', content: 'palabra '.repeat(200).trim() };
+            const chunks = chunkDocument(longArticle, { maxChars: 300 });
+
+            expect(chunks.length).toBeGreaterThan(1);
+            expect(chunks.every(c => c.text.length <= 300 + 100)).toBe(true);
+        });
+
+        it('should return no chunks for empty content', () => {
+            expect(chunkDocument({ id: 'empty', title: 'Vacio', content: '' })).toEqual([]);
+        });
+    });
+});
+
+describe('RAGEngine chunk-level retrieval', () => {
+    let rag;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        rag = new RAGEngine('data/docs.json', { embeddingIndexPath: null });
+        rag.setDocuments([bluetoothArticle, wifiArticle]);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('should index chunks instead of whole articles', () => {
+        expect(rag.documentCount).toBe(2);
+        expect(rag.chunkCount).toBe(chunkDocument(bluetoothArticle).length + 1);
+    });
+
+    it('should return one result per article with its matching chunks', () => {
+        const results = rag.search('alcance metros distancia', { forceKeyword: true });
+
+        expect(results).toHaveLength(1);
+        expect(results[0].id).toBe('problemas-bluetooth');
+        expect(results[0].chunks[0].heading).toBe('DISTANCIA IMPORTANTE');
+        expect(results[0].chunks[0].id).toMatch(/^problemas-bluetooth#\d+$/);
+        expect(results[0].chunks.length).toBeLessThanOrEqual(2);
+    });
+
+    it('should limit the matching chunks kept per article', () => {
+        const results = rag.search('bluetooth reiniciar', { forceKeyword: true, maxChunksPerDoc: 1 });
+        expect(results[0].chunks).toHaveLength(1);
+    });
+
+    it('should build the context from the matching chunks and cite their section', () => {
+        const results = rag.search('alcance metros distancia', { forceKeyword: true });
+        const context = rag.buildContext(results);
+
+        expect(context).toContain('[1] Aula no detecta iPads > DISTANCIA IMPORTANTE');
+        expect(context).toContain('alcance de unos 10-15 metros');
+        expect(context).not.toContain('Si App Aula no detecta');
+        expect(context).toContain('Fuente: https://support.apple.com/guide/classroom/');
+    });
+
+    it('should not repeat overlapping lines of adjacent chunks in the context', () => {
+        const chunks = chunkDocument(bluetoothArticle);
+        const solutions = chunks.filter(c => c.heading === 'SOLUCIONES');
+        const result = {
+            ...bluetoothArticle,
+            score: 0.9,
+            searchType: 'semantic',
+            chunks: solutions.slice(0, 2).reverse().map(c => ({ ...c, score: 0.9 }))
+        };
+
+        const context = rag.buildContext([result]);
+        expect(context.match(/Seleccionar la clase de nuevo/g)).toHaveLength(1);
+    });
+
+    it('should fall back to the article content for results without chunks', () => {
+        const context = rag.buildContext([{ ...wifiArticle, score: 1, searchType: 'keyword' }]);
+        expect(context).toContain('[1] Problemas de WiFi\n');
+        expect(context).toContain('proxy esta configurado');
+    });
+});
@@ -0,0 +1,157 @@
+/**
+ * @fileoverview Tests for EmbeddingCache - persistent embedding vectors
+ * @module __tests__/chatbot/EmbeddingCache.test
+ */
+
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { EmbeddingCache, EMBEDDING_CACHE_VERSION } from '../../js/chatbot/EmbeddingCache.js';
+import { EmbeddingService } from '../../js/chatbot/EmbeddingService.js';
+import { MemoryStore } from '../../js/utils/IndexedDBStore.js';
+
+const MODEL = 'Xenova/all-MiniLM-L6-v2';
+
+describe('EmbeddingCache', () => {
+    let records;
+    let cache;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        records = new MemoryStore({ keyPath: 'key' });
+        cache = new EmbeddingCache({ store: records, maxEntries: 10 });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('should return null for unknown texts', async () => {
+        expect(await cache.get(MODEL, 'hola')).toBeNull();
+        expect(cache.getStats()).toMatchObject({ hits: 0, misses: 1, entries: 0 });
+    });
+
+    it('should store and return vectors', async () => {
+        await cache.set(MODEL, 'hola', new Float32Array([0.5, 0.25]));
+
+        const vector = await cache.get(MODEL, 'hola');
+        expect(vector).toBeInstanceOf(Float32Array);
+        expect(Array.from(vector)).toEqual([0.5, 0.25]);
+        expect(cache.getStats()).toMatchObject({ hits: 1, entries: 1 });
+    });
+
+    it('should not store the text itself', async () => {
+        await cache.set(MODEL, 'mi pregunta privada', new Float32Array([1]));
+
+        const [record] = await records.getAll();
+        expect(JSON.stringify({ ...record, embedding: null })).not.toContain('privada');
+        expect(record.version).toBe(EMBEDDING_CACHE_VERSION);
+        expect(record.model).toBe(MODEL);
+    });
+
+    it('should keep vectors across instances sharing a store', async () => {
+        await cache.set(MODEL, 'hola', new Float32Array([1, 2]));
+
+        const reopened = new EmbeddingCache({ store: records });
+        expect(Array.from(await reopened.get(MODEL, 'hola'))).toEqual([1, 2]);
+        expect(reopened.getStats().entries).toBe(1);
+    });
+
+    it('should discard vectors from another model', async () => {
+        await cache.set('old-model', 'hola', new Float32Array([1]));
+
+        const reopened = new EmbeddingCache({ store: records });
+        expect(await reopened.get(MODEL, 'hola')).toBeNull();
+        expect(await records.getAll()).toHaveLength(0);
+    });
+
+    it('should discard records from another cache version', async () => {
+        await records.put({ key: `${MODEL}:legacy`, version: 0, model: MODEL, embedding: new Float32Array([1]), lastUsedAt: 0 });
+
+        await cache.get(MODEL, 'hola');
+        expect(await records.getAll()).toHaveLength(0);
+    });
+
+    it('should evict the least recently used vectors beyond the limit', async () => {
+        let now = 1000;
+        jest.spyOn(Date, 'now').mockImplementation(() => now++);
+
+        for (let i = 0; i < 10; i++) {
+            await cache.set(MODEL, `texto ${i}`, new Float32Array([i]));
+        }
+        // Touch the oldest entry so it survives eviction
+        await cache.get(MODEL, 'texto 0');
+        await cache.set(MODEL, 'texto 10', new Float32Array([10]));
+
+        expect(cache.getStats().entries).toBe(9);
+        expect(await cache.get(MODEL, 'texto 0')).not.toBeNull();
+        expect(await cache.get(MODEL, 'texto 1')).toBeNull();
+        expect(await cache.get(MODEL, 'texto 10')).not.toBeNull();
+    });
+
+    it('should treat storage errors as a miss', async () => {
+        const failing = new EmbeddingCache({
+            store: {
+                isPersistent: true,
+                get: async () => { throw new Error('QuotaExceededError'); },
+                getAll: async () => [],
+                put: async () => { throw new Error('QuotaExceededError'); },
+                delete: async () => {},
+                clear: async () => {}
+            }
+        });
+
+        await expect(failing.set(MODEL, 'hola', new Float32Array([1]))).resolves.toBeUndefined();
+        expect(await failing.get(MODEL, 'hola')).toBeNull();
+    });
+
+    it('should clear every vector', async () => {
+        await cache.set(MODEL, 'hola', new Float32Array([1]));
+        await cache.clear();
+
+        expect(await records.getAll()).toHaveLength(0);
+        expect(cache.getStats().entries).toBe(0);
+        expect(await cache.get(MODEL, 'hola')).toBeNull();
+    });
+
+    describe('EmbeddingService integration', () => {
+        let originalTransformers;
+
+        beforeEach(() => {
+            originalTransformers = window.TransformersJS;
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+        });
+
+        afterEach(() => {
+            window.TransformersJS = originalTransformers;
+        });
+
+        it('should serve stored vectors without loading the model', async () => {
+            await cache.set(MODEL, 'como configuro aula', new Float32Array([0.1, 0.2]));
+            window.TransformersJS = undefined;
+
+            const service = new EmbeddingService({ persistentCache: cache });
+            const vector = await service.embed('  Como configuro   AULA ');
+
+            expect(Array.from(vector)).toEqual([0.1, 0.2].map(Math.fround));
+            expect(service.isReady).toBe(false);
+        });
+
+        it('should persist computed vectors for the next session', async () => {
+            const calls = [];
+            window.TransformersJS = {
+                pipeline: async () => async (text) => {
+                    calls.push(text);
+                    return { data: [0.3, 0.4] };
+                }
+            };
+
+            await new EmbeddingService({ persistentCache: cache }).embed('Hola');
+            const nextSession = new EmbeddingService({ persistentCache: new EmbeddingCache({ store: records }) });
+            const vector = await nextSession.embed('hola');
+
+            expect(calls).toEqual(['hola']);
+            expect(Array.from(vector)).toEqual([0.3, 0.4].map(Math.fround));
+            expect(nextSession.getStats().persistentCache).toMatchObject({ hits: 1 });
+        });
+    });
+});
@@ -0,0 +1,182 @@
+/**
+ * @fileoverview Tests for EmbeddingIndex - precomputed embeddings format and RAGEngine reuse
+ * @module __tests__/chatbot/EmbeddingIndex.test
+ */
+
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import {
+    EMBEDDING_INDEX_VERSION,
+    createSearchableText,
+    hashContent,
+    hashChunk,
+    encodeEmbedding,
+    decodeEmbedding,
+    parseEmbeddingIndex,
+    serializeEmbeddingIndex
+} from '../../js/chatbot/EmbeddingIndex.js';
+import { RAGEngine } from '../../js/chatbot/RAGEngine.js';
+import { chunkDocument } from '../../js/chatbot/DocumentChunker.js';
+
+const MODEL = 'Xenova/all-MiniLM-L6-v2';
+const DIMENSION = 4;
+
+const articles = [
+    { id: 'asm', title: 'Apple School Manager', category: 'ASM', content: 'Cuentas gestionadas', keywords: ['asm'] },
+    { id: 'aula', title: 'App Aula', category: 'Aula', content: 'Control de clase', keywords: ['aula'] }
+];
+
+/** Single-chunk articles: chunk id is `<article id>#0` */
+const chunkOf = (doc) => chunkDocument(doc)[0];
+
+/**
+ * Deterministic embedding service stand-in (no model download)
+ * @returns {Object} Fake EmbeddingService with an embed call log
+ */
+const createFakeEmbeddingService = () => {
+    const calls = [];
+    return {
+        calls,
+        modelId: MODEL,
+        dimension: DIMENSION,
+        isReady: true,
+        initialize: async () => true,
+        embed: async (text) => {
+            calls.push(text);
+            return new Float32Array([text.length, 1, 0, 0]);
+        },
+        cosineSimilarity: () => 0,
+        getStats: () => ({})
+    };
+};
+
+/**
+ * Mocks fetch for docs.json and embeddings.json
+ * @param {Object} docs - docs.json content
+ * @param {Object|null} index - embeddings.json content (null responds 404)
+ */
+const mockFetch = (docs, index) => {
+    global.fetch = async (url) => {
+        if (url.endsWith('embeddings.json')) {
+            return index
+                ? { ok: true, status: 200, json: async () => index }
+                : { ok: false, status: 404, json: async () => ({}) };
+        }
+        return { ok: true, status: 200, json: async () => docs };
+    };
+};
+
+describe('EmbeddingIndex', () => {
+    describe('hashing', () => {
+        it('should be stable for the same content', () => {
+            expect(hashChunk(chunkOf({ ...articles[0] }))).toBe(hashChunk(chunkOf(articles[0])));
+            expect(hashContent('hola')).toMatch(/^[0-9a-f]{14}$/);
+        });
+
+        it('should change when the searchable text changes', () => {
+            const edited = { ...articles[0], content: 'Cuentas gestionadas y clases' };
+            expect(hashChunk(chunkOf(edited))).not.toBe(hashChunk(chunkOf(articles[0])));
+        });
+
+        it('should ignore case and whitespace differences', () => {
+            const reformatted = { ...articles[0], content: '  CUENTAS   gestionadas ' };
+            expect(hashChunk(chunkOf(reformatted))).toBe(hashChunk(chunkOf(articles[0])));
+        });
+
+        it('should build the searchable text from title, section heading and chunk text', () => {
+            expect(createSearchableText(chunkOf(articles[1]))).toBe('App Aula Control de clase');
+            expect(createSearchableText({ title: 'App Aula', heading: 'SOLUCIONES', text: 'Reiniciar' }))
+                .toBe('App Aula SOLUCIONES Reiniciar');
+        });
+    });
+
+    describe('encoding', () => {
+        it('should round-trip float32 vectors', () => {
+            const vector = new Float32Array([0.5, -0.25, 0.125, 1e-3]);
+            const decoded = decodeEmbedding(encodeEmbedding(vector));
+            expect(Array.from(decoded)).toEqual(Array.from(vector));
+        });
+
+        it('should reject payloads that are not whole float32 values', () => {
+            expect(() => decodeEmbedding(btoa('abc'))).toThrow('Invalid embedding payload length');
+        });
+    });
+
+    describe('parseEmbeddingIndex', () => {
+        const build = () => serializeEmbeddingIndex(
+            new Map([['asm#0', { hash: hashChunk(chunkOf(articles[0])), embedding: new Float32Array([1, 0, 0, 0]) }]]),
+            { model: MODEL, dimension: DIMENSION, docsVersion: '2.1.0' }
+        );
+
+        it('should decode a serialized index', () => {
+            const file = build();
+            expect(file.formatVersion).toBe(EMBEDDING_INDEX_VERSION);
+            expect(file.docsVersion).toBe('2.1.0');
+
+            const entries = parseEmbeddingIndex(file, { model: MODEL, dimension: DIMENSION });
+            expect(entries.get('asm#0').hash).toBe(hashChunk(chunkOf(articles[0])));
+            expect(Array.from(entries.get('asm#0').embedding)).toEqual([1, 0, 0, 0]);
+        });
+
+        it('should ignore indexes built for another model, dimension or format', () => {
+            const file = build();
+            expect(parseEmbeddingIndex(file, { model: 'other', dimension: DIMENSION }).size).toBe(0);
+            expect(parseEmbeddingIndex(file, { model: MODEL, dimension: 384 }).size).toBe(0);
+            expect(parseEmbeddingIndex({ ...file, formatVersion: 99 }, { model: MODEL, dimension: DIMENSION }).size).toBe(0);
+            expect(parseEmbeddingIndex(null, { model: MODEL, dimension: DIMENSION }).size).toBe(0);
+        });
+
+        it('should skip corrupt entries', () => {
+            const file = build();
+            file.entries.broken = { hash: 'x', embedding: btoa('abc') };
+            const entries = parseEmbeddingIndex(file, { model: MODEL, dimension: DIMENSION });
+            expect([...entries.keys()]).toEqual(['asm#0']);
+        });
+    });
+
+    describe('RAGEngine integration', () => {
+        let originalFetch;
+
+        beforeEach(() => {
+            jest.useFakeTimers();
+            jest.spyOn(console, 'log').mockImplementation(() => {});
+            jest.spyOn(console, 'warn').mockImplementation(() => {});
+            originalFetch = global.fetch;
+        });
+
+        afterEach(() => {
+            jest.clearAllTimers();
+            jest.useRealTimers();
+            jest.restoreAllMocks();
+            global.fetch = originalFetch;
+        });
+
+        it('should embed only chunks whose hash changed', async () => {
+            const edited = { ...articles[1], content: 'Control de clase actualizado' };
+            const index = serializeEmbeddingIndex(new Map([
+                ['asm#0', { hash: hashChunk(chunkOf(articles[0])), embedding: new Float32Array([1, 0, 0, 0]) }],
+                ['aula#0', { hash: hashChunk(chunkOf(articles[1])), embedding: new Float32Array([0, 1, 0, 0]) }]
+            ]), { model: MODEL, dimension: DIMENSION });
+            mockFetch({ version: '2.1.0', articles: [articles[0], edited] }, index);
+
+            const embeddingService = createFakeEmbeddingService();
+            const rag = new RAGEngine('data/docs.json', { embeddingService });
+            await rag.loadDocumentation();
+
+            expect(await rag.indexDocuments()).toBe(true);
+            expect(embeddingService.calls).toEqual([createSearchableText(chunkOf(edited))]);
+            expect(rag.getStats()).toMatchObject({ precomputedEmbeddings: 1, browserEmbeddings: 1 });
+        });
+
+        it('should embed every chunk when no index is available', async () => {
+            mockFetch({ version: '2.1.0', articles }, null);
+
+            const embeddingService = createFakeEmbeddingService();
+            const rag = new RAGEngine('data/docs.json', { embeddingService });
+            await rag.loadDocumentation();
+            await rag.indexDocuments();
+
+            expect(embeddingService.calls).toHaveLength(2);
+            expect(rag.getStats()).toMatchObject({ precomputedEmbeddings: 0, browserEmbeddings: 2 });
+        });
+    });
+});
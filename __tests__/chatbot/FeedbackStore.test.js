@@ -0,0 +1,102 @@
+/**
+ * @fileoverview Tests for FeedbackStore - encrypted ratings of chatbot answers
+ * @module __tests__/chatbot/FeedbackStore.test
+ */
+
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+import { FeedbackStore } from '../../js/chatbot/FeedbackStore.js';
+import { MemoryStore } from '../../js/utils/IndexedDBStore.js';
+
+/**
+ * Reversible stand-in for EncryptionService (jsdom has no crypto.subtle)
+ * @returns {Object} Mock encryption service
+ */
+const createMockEncryption = () => ({
+    encrypt: async (text) => `enc:${text}`,
+    decrypt: async (text) => {
+        if (!text.startsWith('enc:')) throw new Error('Bad ciphertext');
+        return text.slice(4);
+    }
+});
+
+const docs = [
+    { id: 'crear-clases', title: 'Crear clases', score: 0.82, searchType: 'hybrid', content: 'No se guarda', chunks: [] },
+    { id: 'aula-problemas', title: 'Problemas con Aula', score: 0.41, searchType: 'hybrid' }
+];
+
+describe('FeedbackStore', () => {
+    let records;
+    let store;
+
+    beforeEach(() => {
+        records = new MemoryStore();
+        store = new FeedbackStore({ encryptionService: createMockEncryption(), store: records });
+    });
+
+    it('should require an encryption service', () => {
+        expect(() => new FeedbackStore({ store: records })).toThrow(TypeError);
+    });
+
+    it('should save the question, answer, documents and scores of a rating', async () => {
+        await store.record({ id: 'a1', rating: 'down', question: 'Como creo una clase?', answer: 'En Jamf', docs });
+
+        const [entry] = await store.getAll();
+        expect(entry).toMatchObject({
+            id: 'a1',
+            rating: 'down',
+            question: 'Como creo una clase?',
+            answer: 'En Jamf',
+            comment: '',
+            docs: [
+                { id: 'crear-clases', title: 'Crear clases', score: 0.82, searchType: 'hybrid' },
+                { id: 'aula-problemas', title: 'Problemas con Aula', score: 0.41, searchType: 'hybrid' }
+            ]
+        });
+    });
+
+    it('should encrypt the question, answer and comment but keep the documents readable', async () => {
+        await store.record({ id: 'a1', rating: 'wrong', question: 'Pregunta', answer: 'Respuesta', comment: 'Ruta antigua', docs });
+
+        const [record] = await records.getAll();
+        expect(record).not.toHaveProperty('question');
+        expect(record).not.toHaveProperty('comment');
+        expect(record.payload.startsWith('enc:')).toBe(true);
+        expect(record.rating).toBe('wrong');
+        expect(record.docs[0].id).toBe('crear-clases');
+    });
+
+    it('should replace the rating of an answer rated again', async () => {
+        const first = await store.record({ id: 'a1', rating: 'up', question: 'Q', answer: 'A', docs });
+        await store.record({ id: 'a1', rating: 'wrong', question: 'Q', answer: 'A', docs, comment: '  Mal  ' });
+
+        const entries = await store.getAll();
+        expect(entries).toHaveLength(1);
+        expect(entries[0]).toMatchObject({ rating: 'wrong', comment: 'Mal', createdAt: first.createdAt });
+    });
+
+    it('should reject unknown ratings', async () => {
+        await expect(store.record({ id: 'a1', rating: 'meh', question: 'Q', answer: 'A' })).rejects.toThrow(TypeError);
+    });
+
+    it('should remove the oldest ratings beyond the limit', async () => {
+        store = new FeedbackStore({ encryptionService: createMockEncryption(), store: records, maxEntries: 2 });
+
+        await records.put({ id: 'old', rating: 'up', docs: [], createdAt: '2026-01-01T00:00:00.000Z', updatedAt: '2026-01-01T00:00:00.000Z', payload: 'enc:{}' });
+        await store.record({ id: 'a1', rating: 'up', question: 'Q1', answer: 'A' });
+        await store.record({ id: 'a2', rating: 'down', question: 'Q2', answer: 'A' });
+
+        expect((await store.getAll()).map(entry => entry.id).sort()).toEqual(['a1', 'a2']);
+    });
+
+    it('should skip records that cannot be decrypted and clear everything', async () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        await records.put({ id: 'broken', rating: 'up', docs: [], updatedAt: '2026-01-01T00:00:00.000Z', payload: 'otra-clave' });
+        await store.record({ id: 'a1', rating: 'up', question: 'Q', answer: 'A' });
+
+        expect((await store.getAll()).map(entry => entry.id)).toEqual(['a1']);
+
+        await store.clearAll();
+        expect(await store.getAll()).toEqual([]);
+        console.warn.mockRestore();
+    });
+});
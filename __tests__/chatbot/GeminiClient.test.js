@@ -3,7 +3,8 @@
  * @module __tests__/chatbot/GeminiClient.test
  */
 
-import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { describe, it, expect, beforeAll, beforeEach, afterEach, jest } from '@jest/globals';
+import { TextEncoder, TextDecoder } from 'util';
 import { GeminiClient, GeminiApiError } from '../../js/chatbot/GeminiClient.js';
 
 describe('GeminiClient', () => {
@@ -528,6 +529,172 @@ describe('GeminiClient', () => {
         });
     });
 
+    describe('streamMessage', () => {
+        beforeAll(() => {
+            // jsdom does not expose the Encoding API
+            global.TextEncoder = global.TextEncoder || TextEncoder;
+            global.TextDecoder = global.TextDecoder || TextDecoder;
+        });
+
+        /**
+         * Creates a mock streaming response whose body yields the given raw SSE strings
+         * @param {string[]} rawChunks - Raw network chunks
+         * @returns {Promise} Mock fetch promise
+         */
+        const createStreamResponse = (rawChunks) => {
+            const encoder = new TextEncoder();
+            const queue = rawChunks.map(chunk => encoder.encode(chunk));
+            return Promise.resolve({
+                ok: true,
+                status: 200,
+                body: {
+                    getReader: () => ({
+                        read: () => Promise.resolve(
+                            queue.length
+                                ? { done: false, value: queue.shift() }
+                                : { done: true, value: undefined }
+                        ),
+                        cancel: jest.fn(() => Promise.resolve())
+                    })
+                }
+            });
+        };
+
+        /**
+         * Formats a text chunk as an SSE data line
+         * @param {string} text - Chunk text
+         * @returns {string} SSE event
+         */
+        const sseEvent = (text) => `data: ${JSON.stringify(createGeminiResponse(text))}\r\n\r\n`;
+
+        /**
+         * Collects all chunks of a stream
+         * @param {AsyncGenerator<string>} stream - Stream to drain
+         * @returns {Promise<string[]>} Chunks
+         */
+        const collect = async (stream) => {
+            const chunks = [];
+            for await (const chunk of stream) {
+                chunks.push(chunk);
+            }
+            return chunks;
+        };
+
+        it('should yield text chunks in order', async () => {
+            global.fetch.mockImplementation(() =>
+                createStreamResponse([sseEvent('Hola, '), sseEvent('profe.')])
+            );
+
+            const chunks = await collect(client.streamMessage('Hola', 'System'));
+
+            expect(chunks).toEqual(['Hola, ', 'profe.']);
+        });
+
+        it('should call the streamGenerateContent SSE endpoint', async () => {
+            global.fetch.mockImplementation(() => createStreamResponse([sseEvent('Ok')]));
+
+            await collect(client.streamMessage('Test', 'System'));
+
+            expect(global.fetch).toHaveBeenCalledWith(
+                expect.stringContaining(':streamGenerateContent?alt=sse'),
+                expect.objectContaining({ method: 'POST' })
+            );
+        });
+
+        it('should reassemble events split across network chunks', async () => {
+            const event = sseEvent('Texto partido');
+            global.fetch.mockImplementation(() =>
+                createStreamResponse([event.slice(0, 20), event.slice(20)])
+            );
+
+            const chunks = await collect(client.streamMessage('Test', 'System'));
+
+            expect(chunks.join('')).toBe('Texto partido');
+        });
+
+        it('should add the assembled text to history when complete', async () => {
+            global.fetch.mockImplementation(() =>
+                createStreamResponse([sseEvent('Primera parte. '), sseEvent('Segunda parte.')])
+            );
+
+            await collect(client.streamMessage('Pregunta', 'System'));
+
+            const history = client.conversationHistory;
+            expect(history).toHaveLength(2);
+            expect(history[0].parts[0].text).toBe('Pregunta');
+            expect(history[1]).toEqual({
+                role: 'model',
+                parts: [{ text: 'Primera parte. Segunda parte.' }]
+            });
+        });
+
+        it('should apply PromptGuard before requesting', async () => {
+            const stream = client.streamMessage('', 'System');
+
+            await expect(stream.next()).rejects.toThrow(GeminiApiError);
+            expect(global.fetch).not.toHaveBeenCalled();
+        });
+
+        it('should ignore malformed events', async () => {
+            global.fetch.mockImplementation(() =>
+                createStreamResponse(['data: {not json}\n\n', sseEvent('Valido')])
+            );
+
+            const chunks = await collect(client.streamMessage('Test', 'System'));
+
+            expect(chunks).toEqual(['Valido']);
+        });
+
+        it('should throw GeminiApiError when stream has no text', async () => {
+            global.fetch.mockImplementation(() => createStreamResponse(['data: {}\n\n']));
+
+            await expect(collect(client.streamMessage('Test', 'System')))
+                .rejects.toThrow('Malformed API response');
+            expect(client.conversationHistory).toEqual([]);
+        });
+
+        it('should throw GeminiApiError with status on non-ok response', async () => {
+            global.fetch.mockImplementation(() =>
+                createMockResponse({ error: { message: 'Quota' } }, { ok: false, status: 429 })
+            );
+
+            await expect(collect(client.streamMessage('Test', 'System')))
+                .rejects.toMatchObject({ name: 'GeminiApiError', statusCode: 429 });
+        });
+
+        it('should not keep the user turn when the consumer stops early', async () => {
+            global.fetch.mockImplementation(() =>
+                createStreamResponse([sseEvent('Uno'), sseEvent('Dos')])
+            );
+
+            for await (const chunk of client.streamMessage('Test', 'System')) {
+                expect(chunk).toBe('Uno');
+                break;
+            }
+
+            expect(client.conversationHistory).toEqual([]);
+        });
+
+        it('should report cancellation when the external signal aborts', async () => {
+            const controller = new AbortController();
+            global.fetch.mockImplementation((url, { signal }) => new Promise((resolve, reject) => {
+                signal.addEventListener('abort', () => {
+                    const abortError = new Error('Aborted');
+                    abortError.name = 'AbortError';
+                    reject(abortError);
+                });
+            }));
+
+            const pending = collect(client.streamMessage('Test', 'System', '', {
+                signal: controller.signal
+            }));
+            controller.abort();
+
+            await expect(pending).rejects.toThrow('cancelada');
+            expect(client.conversationHistory).toEqual([]);
+        });
+    });
+
     describe('edge cases', () => {
         it('should reject empty user message with PromptGuard', async () => {
             // PromptGuard blocks empty messages as a security measure
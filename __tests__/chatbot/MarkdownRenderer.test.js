@@ -0,0 +1,81 @@
+/**
+ * @fileoverview Tests for MarkdownRenderer - Markdown answers with citations
+ * @module __tests__/chatbot/MarkdownRenderer.test
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import { renderMarkdown, MARKDOWN_SANITIZER_CONFIG } from '../../js/chatbot/MarkdownRenderer.js';
+
+describe('MarkdownRenderer', () => {
+    describe('renderMarkdown', () => {
+        it('should keep numbered steps in order, with nested bullets', () => {
+            const html = renderMarkdown('Pasos:\n1. Abre Ajustes\n   - Pulsa WiFi\n\n2. Elige la red\n\nListo.');
+
+            expect(html).toBe(
+                '<p>Pasos:</p><ol><li>Abre Ajustes<ul><li>Pulsa WiFi</li></ul></li>' +
+                '<li>Elige la red</li></ol><p>Listo.</p>'
+            );
+        });
+
+        it('should continue the numbering of a list split by bullets', () => {
+            const html = renderMarkdown('1. APAGAR:\n- Apagar Bluetooth\n\n2. REINICIAR AULA:');
+
+            expect(html).toBe('<ol><li>APAGAR:</li></ol><ul><li>Apagar Bluetooth</li></ul><ol start="2"><li>REINICIAR AULA:</li></ol>');
+        });
+
+        it('should render headings, inline code and emphasis', () => {
+            const html = renderMarkdown('## En el iPad\nVe a `Ajustes → WiFi` y pulsa **Olvidar** _la red_');
+
+            expect(html).toBe(
+                '<h4>En el iPad</h4><p>Ve a <code>Ajustes → WiFi</code> y pulsa ' +
+                '<strong>Olvidar</strong> <em>la red</em></p>'
+            );
+        });
+
+        it('should render tables, keeping pipes inside code in their cell', () => {
+            const html = renderMarkdown('| Campo | Valor |\n|---|:---:|\n| Filtro | `a|b` |\n| Red |');
+
+            expect(html).toBe(
+                '<div class="chat-table"><table><thead><tr><th>Campo</th><th>Valor</th></tr></thead><tbody>' +
+                '<tr><td>Filtro</td><td><code>a|b</code></td></tr><tr><td>Red</td><td></td></tr>' +
+                '</tbody></table></div>'
+            );
+        });
+
+        it('should turn citation markers into links to the sources', () => {
+            const html = renderMarkdown('Revisa la red [1, 2] y el Bluetooth [3]');
+            const container = document.createElement('div');
+            container.innerHTML = html;
+
+            const citations = [...container.querySelectorAll('a.chat-citation')];
+            expect(citations.map(a => a.dataset.citation)).toEqual(['1', '2', '3']);
+            expect(citations[0].getAttribute('aria-label')).toBe('Fuente 1');
+        });
+
+        it('should not format inside code', () => {
+            expect(renderMarkdown('`**[1]**`')).toBe('<p><code>**[1]**</code></p>');
+            expect(renderMarkdown('```\n1. <b>x</b>\n```')).toBe('<pre><code>1. &lt;b&gt;x&lt;/b&gt;</code></pre>');
+        });
+
+        it('should escape HTML and only link http(s) and mailto URLs', () => {
+            const html = renderMarkdown('<img src=x onerror=alert(1)> [ok](https://support.apple.com) [mal](javascript:void)');
+
+            expect(html).toContain('&lt;img src=x onerror=alert(1)&gt;');
+            expect(html).toContain('<a href="https://support.apple.com" target="_blank" rel="noopener noreferrer">ok</a>');
+            expect(html).toContain('[mal](javascript:void)');
+        });
+
+        it('should render incomplete text while streaming', () => {
+            expect(renderMarkdown('1. Paso\n2. **Pas')).toBe('<ol><li>Paso</li><li>**Pas</li></ol>');
+            expect(renderMarkdown('```\ncodigo')).toBe('<pre><code>codigo</code></pre>');
+            expect(renderMarkdown('')).toBe('');
+        });
+    });
+
+    describe('MARKDOWN_SANITIZER_CONFIG', () => {
+        it('should allow the citation attribute but no other data attributes', () => {
+            expect(MARKDOWN_SANITIZER_CONFIG.ALLOWED_ATTR).toContain('data-citation');
+            expect(MARKDOWN_SANITIZER_CONFIG.ALLOW_DATA_ATTR).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,177 @@
+/**
+ * @fileoverview Tests for RAGEngine keyword (BM25), hybrid and offline search
+ * @module __tests__/chatbot/RAGEngine.test
+ */
+
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { RAGEngine } from '../../js/chatbot/RAGEngine.js';
+
+const docs = [
+    {
+        id: 'inscripcion-automatica',
+        title: 'Inscripción automática de dispositivos',
+        category: 'Inscripción',
+        keywords: ['inscripción', 'ade', 'enrollment'],
+        content: 'Los iPads se inscriben automáticamente en Jamf School al encenderlos si están asignados en Apple School Manager.'
+    },
+    {
+        id: 'aula-bluetooth',
+        title: 'Aula no detecta alumnos',
+        category: 'Aula',
+        keywords: ['aula', 'bluetooth'],
+        content: 'Activa el Bluetooth en el iPad del profesor y en los de los alumnos. Reinicia la app Aula.'
+    },
+    {
+        id: 'bloqueo-activacion',
+        title: 'Bloqueo de activación',
+        category: 'Seguridad',
+        keywords: ['bloqueo', 'bypass'],
+        content: 'Usa el código bypass de Jamf para quitar el bloqueo de activación del dispositivo.'
+    }
+];
+
+/**
+ * Embedding service stand-in whose vectors put "bluetooth" texts on one axis
+ * and everything else on another
+ * @param {Object} [overrides] - Properties to replace
+ * @returns {Object} Fake EmbeddingService
+ */
+const createFakeEmbeddingService = (overrides = {}) => ({
+    modelId: 'fake',
+    dimension: 2,
+    isReady: true,
+    initialize: async () => true,
+    embed: async (text) => (/bluetooth/i.test(text) ? new Float32Array([1, 0]) : new Float32Array([0, 1])),
+    cosineSimilarity: (a, b) => a[0] * b[0] + a[1] * b[1],
+    getStats: () => ({}),
+    ...overrides
+});
+
+describe('RAGEngine', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('keyword search (BM25)', () => {
+        let rag;
+
+        beforeEach(() => {
+            rag = new RAGEngine('data/docs.json', { embeddingIndexPath: null });
+            rag.setDocuments(docs);
+        });
+
+        it('should match without accents and with plurals', () => {
+            const results = rag.search('inscripcion de ipad', { forceKeyword: true });
+            expect(results[0].id).toBe('inscripcion-automatica');
+            expect(results[0].searchType).toBe('keyword');
+        });
+
+        it('should match accented queries against unaccented keywords', () => {
+            const results = rag.search('código de activación', { forceKeyword: true });
+            expect(results[0].id).toBe('bloqueo-activacion');
+        });
+
+        it('should return relative scores with the best result at 1', () => {
+            const results = rag.search('ipad', { forceKeyword: true, topK: 5 });
+            expect(results[0].score).toBe(1);
+            results.forEach(r => expect(r.score).toBeLessThanOrEqual(1));
+        });
+
+        it('should ignore stopwords', () => {
+            expect(rag.search('de la con los', { forceKeyword: true })).toEqual([]);
+        });
+
+        it('should support the legacy numeric topK argument', () => {
+            expect(rag.search('ipad', 1)).toHaveLength(1);
+        });
+
+        it('should report the keyword index size', () => {
+            expect(rag.getStats().keywordTerms).toBeGreaterThan(0);
+        });
+    });
+
+    describe('offline fallback', () => {
+        it('should use BM25 when the embedding model fails to load', async () => {
+            const rag = new RAGEngine('data/docs.json', {
+                embeddingIndexPath: null,
+                embeddingService: createFakeEmbeddingService({ isReady: false, initialize: async () => false })
+            });
+            rag.setDocuments(docs);
+
+            expect(await rag.indexDocuments()).toBe(false);
+
+            const results = rag.search('bloqueo activacion');
+            expect(Array.isArray(results)).toBe(true);
+            expect(results[0]).toMatchObject({ id: 'bloqueo-activacion', searchType: 'keyword' });
+        });
+
+        it('should use BM25 when embedding the query fails', async () => {
+            const rag = new RAGEngine('data/docs.json', {
+                embeddingIndexPath: null,
+                embeddingService: createFakeEmbeddingService()
+            });
+            rag.setDocuments(docs);
+            await rag.indexDocuments();
+
+            rag.embeddingService.embed = async () => { throw new Error('model crashed'); };
+
+            const results = await rag.search('bluetooth aula');
+            expect(results[0]).toMatchObject({ id: 'aula-bluetooth', searchType: 'keyword' });
+        });
+    });
+
+    describe('hybrid search', () => {
+        let rag;
+
+        beforeEach(async () => {
+            rag = new RAGEngine('data/docs.json', {
+                embeddingIndexPath: null,
+                embeddingService: createFakeEmbeddingService()
+            });
+            rag.setDocuments(docs);
+            await rag.indexDocuments();
+        });
+
+        it('should combine semantic and keyword scores', async () => {
+            const results = await rag.search('bluetooth');
+
+            expect(results[0]).toMatchObject({ id: 'aula-bluetooth', searchType: 'hybrid' });
+            expect(results[0].score).toBeCloseTo(1);
+        });
+
+        it('should include strong keyword matches the embedding missed', async () => {
+            // The fake embedding of this query only resembles the bluetooth article
+            const results = await rag.search('bluetooth bypass', { topK: 3 });
+            const ids = results.map(r => r.id);
+
+            expect(ids[0]).toBe('aula-bluetooth');
+            expect(ids).toContain('bloqueo-activacion');
+        });
+
+        it('should accept hybrid ranking weights', async () => {
+            const strict = new RAGEngine('data/docs.json', {
+                embeddingIndexPath: null,
+                embeddingService: createFakeEmbeddingService(),
+                hybrid: { minKeywordScore: 2 }
+            });
+            strict.setDocuments(docs);
+            await strict.indexDocuments();
+
+            const ids = (await strict.search('bluetooth bypass', { topK: 3 })).map(r => r.id);
+            expect(ids).toEqual(['aula-bluetooth']);
+        });
+
+        it('should use semantic scores only when hybrid mode is off', async () => {
+            const results = await rag.search('bluetooth', { hybridMode: false });
+
+            expect(results).toHaveLength(1);
+            expect(results[0]).toMatchObject({ id: 'aula-bluetooth', searchType: 'semantic', score: 1 });
+        });
+    });
+});
@@ -0,0 +1,153 @@
+/**
+ * @fileoverview Tests for the retrieval evaluation harness and the golden dataset
+ * @module __tests__/chatbot/RetrievalEvaluation.test
+ */
+
+import { describe, it, expect, beforeAll, afterAll, jest } from '@jest/globals';
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import { RAGEngine } from '../../js/chatbot/RAGEngine.js';
+import {
+    RETRIEVAL_MODES,
+    createHashEmbeddingService,
+    evaluateRetrieval,
+    formatReport,
+    ndcgAtK,
+    recallAtK,
+    reciprocalRank
+} from '../../js/chatbot/RetrievalEvaluation.js';
+
+const readJson = (file) => JSON.parse(readFileSync(join(process.cwd(), 'data', file), 'utf-8'));
+
+describe('RetrievalEvaluation', () => {
+    describe('metrics', () => {
+        it('should compute recall@k', () => {
+            expect(recallAtK(['a', 'b', 'c'], ['c', 'd'], 3)).toBe(0.5);
+            expect(recallAtK(['a', 'b', 'c'], ['c'], 2)).toBe(0);
+            expect(recallAtK([], [], 5)).toBe(0);
+        });
+
+        it('should compute the reciprocal rank of the first relevant result', () => {
+            expect(reciprocalRank(['a', 'b', 'c'], ['b', 'c'])).toBe(0.5);
+            expect(reciprocalRank(['a'], ['z'])).toBe(0);
+        });
+
+        it('should compute nDCG@k with binary relevance', () => {
+            expect(ndcgAtK(['a', 'b'], ['a', 'b'], 2)).toBe(1);
+            expect(ndcgAtK(['x', 'a'], ['a'], 2)).toBeCloseTo(1 / Math.log2(3));
+            expect(ndcgAtK(['x', 'y'], ['a'], 2)).toBe(0);
+        });
+    });
+
+    describe('createHashEmbeddingService', () => {
+        const service = createHashEmbeddingService({ dimension: 64 });
+
+        it('should return normalized vectors of the configured size', async () => {
+            const vector = await service.embed('Configurar la app Aula');
+
+            expect(vector).toHaveLength(64);
+            expect(service.cosineSimilarity(vector, vector)).toBeCloseTo(1);
+        });
+
+        it('should be deterministic', async () => {
+            expect(await service.embed('iPads del centro')).toEqual(await service.embed('iPads del centro'));
+        });
+
+        it('should make texts sharing word stems more similar', async () => {
+            const query = await service.embed('inscripción de iPads');
+            const related = await service.embed('Inscribir un iPad en ASM');
+            const unrelated = await service.embed('Proyectar con AirPlay');
+
+            expect(service.cosineSimilarity(query, related))
+                .toBeGreaterThan(service.cosineSimilarity(query, unrelated));
+        });
+    });
+
+    describe('evaluateRetrieval', () => {
+        it('should search each mode with its options and average the metrics', async () => {
+            const calls = [];
+            const rag = {
+                search: async (query, options) => {
+                    calls.push(options);
+                    return [{ id: 'b' }, { id: 'a' }];
+                }
+            };
+
+            const report = await evaluateRetrieval(rag, [
+                { id: 'q1', question: 'uno', relevant: ['a'] },
+                { id: 'q2', question: 'dos', relevant: ['b'] }
+            ], { k: 1, modes: ['keyword', 'hybrid'], searchOptions: { minScore: 0.2 } });
+
+            expect(calls[0]).toEqual({ topK: 1, minScore: 0.2, ...RETRIEVAL_MODES.keyword });
+            expect(calls[2]).toEqual({ topK: 1, minScore: 0.2, ...RETRIEVAL_MODES.hybrid });
+            expect(report.modes.keyword).toMatchObject({ recall: 0.5, mrr: 0.75 });
+            expect(report.modes.keyword.questions[0]).toMatchObject({ id: 'q1', ranked: ['b', 'a'], recall: 0, rr: 0.5 });
+            expect(Object.keys(report.modes)).toEqual(['keyword', 'hybrid']);
+        });
+
+        it('should format a table with one row per mode', async () => {
+            const rag = { search: async () => [{ id: 'a' }] };
+            const report = await evaluateRetrieval(rag, [{ id: 'q1', question: 'x', relevant: ['a'] }], { k: 3 });
+
+            const table = formatReport(report);
+            expect(table.split('\n')).toHaveLength(4);
+            expect(table).toContain('recall@3');
+            expect(table).toMatch(/hybrid\s+1\.000\s+1\.000\s+1\.000\s+1\.000/);
+        });
+    });
+
+    describe('golden dataset', () => {
+        const docs = readJson('docs.json');
+        const golden = readJson('retrieval-golden.json');
+        const articleIds = new Set(docs.articles.map(article => article.id));
+
+        it('should have unique question ids', () => {
+            const ids = golden.questions.map(q => q.id);
+            expect(new Set(ids).size).toBe(ids.length);
+        });
+
+        it('should only reference articles that exist in docs.json', () => {
+            for (const question of golden.questions) {
+                expect(question.relevant.length).toBeGreaterThan(0);
+                question.relevant.forEach(id => expect(articleIds).toContain(id));
+            }
+        });
+    });
+
+    describe('RAGEngine on the golden dataset (stand-in embedding)', () => {
+        let report;
+
+        beforeAll(async () => {
+            jest.spyOn(console, 'log').mockImplementation(() => {});
+
+            const rag = new RAGEngine(null, {
+                embeddingIndexPath: null,
+                embeddingService: createHashEmbeddingService()
+            });
+            rag.setDocuments(readJson('docs.json').articles);
+            await rag.indexDocuments();
+
+            report = await evaluateRetrieval(rag, readJson('retrieval-golden.json').questions, { k: 5 });
+        });
+
+        afterAll(() => {
+            jest.restoreAllMocks();
+        });
+
+        // Floors slightly below the current scores: a drop means a ranking regression
+        it('should keep keyword retrieval quality', () => {
+            expect(report.modes.keyword.recall).toBeGreaterThanOrEqual(0.85);
+            expect(report.modes.keyword.mrr).toBeGreaterThanOrEqual(0.75);
+        });
+
+        it('should keep hybrid retrieval quality', () => {
+            expect(report.modes.hybrid.recall).toBeGreaterThanOrEqual(0.8);
+            expect(report.modes.hybrid.mrr).toBeGreaterThanOrEqual(0.7);
+        });
+
+        it('should keep semantic retrieval quality', () => {
+            expect(report.modes.semantic.recall).toBeGreaterThanOrEqual(0.65);
+            expect(report.modes.semantic.ndcg).toBeGreaterThanOrEqual(0.55);
+        });
+    });
+});
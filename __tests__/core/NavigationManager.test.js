@@ -0,0 +1,382 @@
+/**
+ * @fileoverview Tests for NavigationManager - section navigation and URL routing
+ * @module __tests__/core/NavigationManager.test
+ */
+
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { NavigationManager, parseRoute, formatRoute } from '../../js/core/NavigationManager.js';
+import { StateManager } from '../../js/core/StateManager.js';
+import { EventBus, AppEvents } from '../../js/utils/EventBus.js';
+
+/**
+ * Creates an in-memory storage so sections do not leak between tests
+ * @returns {Object} Storage stand-in
+ */
+const createMemoryStorage = () => {
+    const store = new Map();
+    return {
+        getItem: (key) => store.get(key) ?? null,
+        setItem: (key, value) => store.set(key, value),
+        removeItem: (key) => store.delete(key),
+        clear: () => store.clear()
+    };
+};
+
+/**
+ * Waits for pending promise callbacks
+ * @returns {Promise<void>}
+ */
+const flushPromises = () => new Promise(resolve => setTimeout(resolve, 0));
+
+/**
+ * Creates a window stand-in with a recordable History API
+ * @param {string} [hash=''] - Initial location hash
+ * @returns {Object} Fake window
+ */
+const createFakeWindow = (hash = '') => {
+    const listeners = {};
+    const fakeWindow = {
+        location: { hash },
+        entries: [hash],
+        history: {
+            pushState: (state, title, url) => {
+                fakeWindow.entries.push(url);
+                fakeWindow.location.hash = url;
+            },
+            replaceState: (state, title, url) => {
+                fakeWindow.entries[fakeWindow.entries.length - 1] = url;
+                fakeWindow.location.hash = url;
+            },
+            go: (delta) => {
+                fakeWindow.entries.splice(fakeWindow.entries.length + delta);
+                fakeWindow.location.hash = fakeWindow.entries[fakeWindow.entries.length - 1];
+            }
+        },
+        addEventListener: (type, listener) => {
+            (listeners[type] ||= []).push(listener);
+        },
+        /** Simulates the back button and waits for the (async) guards */
+        back: async () => {
+            fakeWindow.history.go(-1);
+            (listeners.popstate || []).forEach(listener => listener());
+            await flushPromises();
+        }
+    };
+    return fakeWindow;
+};
+
+describe('parseRoute / formatRoute', () => {
+    it('should parse section routes', () => {
+        expect(parseRoute('#/ipads')).toEqual({ section: 'ipads' });
+        expect(parseRoute('#/mis-datos')).toEqual({ section: 'mis-datos' });
+    });
+
+    it('should parse guide routes with the section prefix', () => {
+        expect(parseRoute('#/aula/setup')).toEqual({ section: 'aula', type: 'guide', id: 'aula-setup' });
+        expect(parseRoute('#/ipads/enrollment')).toEqual({ section: 'ipads', type: 'guide', id: 'ipad-enrollment' });
+    });
+
+    it('should parse diagnostic steps as 0-based indexes', () => {
+        expect(parseRoute('#/diagnostico/aula-no-funciona/paso/2')).toEqual({
+            section: 'troubleshooting', type: 'diagnostic', id: 'aula-no-funciona', step: 1
+        });
+        expect(parseRoute('#/diagnostico/aula-no-funciona/solucion/activar-bluetooth')).toMatchObject({
+            id: 'aula-no-funciona', solution: 'activar-bluetooth'
+        });
+    });
+
+    it('should parse checklist routes', () => {
+        expect(parseRoute('#/checklist/newIpad')).toEqual({ section: 'checklists', type: 'checklist', id: 'newIpad' });
+    });
+
+    it('should reject empty and unknown routes', () => {
+        expect(parseRoute('')).toBeNull();
+        expect(parseRoute('#/')).toBeNull();
+        expect(parseRoute('#/inventado')).toBeNull();
+        expect(parseRoute('#/troubleshooting/algo')).toBeNull();
+        expect(parseRoute('#/diagnostico/aula-no-funciona/paso/0')).toBeNull();
+        expect(parseRoute('#/checklist/newIpad/extra')).toBeNull();
+    });
+
+    it('should format routes back to the same hash', () => {
+        const hashes = [
+            '#/dashboard',
+            '#/aula/setup',
+            '#/diagnostico/aula-no-funciona',
+            '#/diagnostico/aula-no-funciona/paso/3',
+            '#/diagnostico/aula-no-funciona/solucion/activar-bluetooth',
+            '#/checklist/newIpad'
+        ];
+        hashes.forEach(hash => expect(formatRoute(parseRoute(hash))).toBe(hash));
+    });
+
+    it('should derive the section of a guide from its id', () => {
+        expect(formatRoute({ section: 'dashboard', type: 'guide', id: 'mac-setup' })).toBe('#/macs/setup');
+        expect(formatRoute({ section: 'dashboard', type: 'guide', id: 'classroom-howto' })).toBe('#/aula/howto');
+    });
+});
+
+describe('NavigationManager', () => {
+    let eventBus;
+    let stateManager;
+    let fakeWindow;
+    let navigationManager;
+
+    const createManager = (hash = '') => {
+        fakeWindow = createFakeWindow(hash);
+        navigationManager = new NavigationManager({ eventBus, stateManager, window: fakeWindow });
+        navigationManager.init();
+    };
+
+    beforeEach(() => {
+        eventBus = new EventBus();
+        stateManager = new StateManager({ eventBus, storage: createMemoryStorage() });
+        createManager();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('constructor', () => {
+        it('should require an EventBus and a StateManager', () => {
+            expect(() => new NavigationManager({ stateManager })).toThrow(TypeError);
+            expect(() => new NavigationManager({ eventBus })).toThrow(TypeError);
+        });
+    });
+
+    describe('navigateTo', () => {
+        it('should emit the navigation events and push the section route', async () => {
+            const changed = jest.fn();
+            eventBus.on(AppEvents.NAVIGATION_CHANGED, changed);
+
+            expect(await navigationManager.navigateTo('ipads')).toBe(true);
+
+            expect(changed).toHaveBeenCalledWith({ section: 'ipads', previousSection: 'dashboard' });
+            expect(fakeWindow.location.hash).toBe('#/ipads');
+            expect(navigationManager.getCurrentSection()).toBe('ipads');
+        });
+
+        it('should reject unknown sections', async () => {
+            jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+            expect(await navigationManager.navigateTo('nope')).toBe(false);
+            expect(fakeWindow.entries).toEqual(['']);
+        });
+
+        it('should not push the same route twice', async () => {
+            await navigationManager.navigateTo('macs');
+            await navigationManager.navigateTo('macs');
+
+            expect(fakeWindow.entries).toEqual(['', '#/macs']);
+        });
+    });
+
+    describe('route history', () => {
+        it('should push guide, diagnostic and checklist routes', () => {
+            eventBus.emit(AppEvents.GUIDE_OPENED, { id: 'aula-setup', title: 'Setup' });
+            expect(fakeWindow.location.hash).toBe('#/aula/setup');
+
+            eventBus.emit(AppEvents.DIAGNOSTIC_STARTED, { id: 'aula-no-funciona' });
+            eventBus.emit(AppEvents.DIAGNOSTIC_STEP_CHANGED, { id: 'aula-no-funciona', step: 1, totalSteps: 3 });
+            expect(fakeWindow.location.hash).toBe('#/diagnostico/aula-no-funciona/paso/2');
+
+            eventBus.emit(AppEvents.DIAGNOSTIC_COMPLETED, { id: 'aula-no-funciona', solution: 'bluetooth' });
+            expect(fakeWindow.location.hash).toBe('#/diagnostico/aula-no-funciona/solucion/bluetooth');
+
+            eventBus.emit(AppEvents.CHECKLIST_OPENED, { id: 'newIpad', title: 'Nuevo iPad' });
+            expect(navigationManager.getCurrentRoute()).toEqual({ section: 'checklists', type: 'checklist', id: 'newIpad' });
+        });
+
+        it('should ignore documentation articles', () => {
+            eventBus.emit(AppEvents.GUIDE_OPENED, { id: 'ecosistema-apple', title: 'x', type: 'article' });
+            expect(fakeWindow.entries).toEqual(['']);
+        });
+
+        it('should drop the modal entries when the modal is closed', async () => {
+            await navigationManager.navigateTo('troubleshooting');
+            eventBus.emit(AppEvents.DIAGNOSTIC_STARTED, { id: 'aula-no-funciona' });
+            eventBus.emit(AppEvents.DIAGNOSTIC_STEP_CHANGED, { id: 'aula-no-funciona', step: 1, totalSteps: 3 });
+
+            eventBus.emit(AppEvents.MODAL_CLOSED);
+
+            expect(fakeWindow.entries).toEqual(['', '#/troubleshooting']);
+            expect(fakeWindow.location.hash).toBe('#/troubleshooting');
+        });
+
+        it('should apply the previous route on back without pushing', async () => {
+            const routeChanged = jest.fn();
+            eventBus.on(AppEvents.ROUTE_CHANGED, routeChanged);
+
+            await navigationManager.navigateTo('troubleshooting');
+            eventBus.emit(AppEvents.DIAGNOSTIC_STARTED, { id: 'aula-no-funciona' });
+            eventBus.emit(AppEvents.DIAGNOSTIC_STEP_CHANGED, { id: 'aula-no-funciona', step: 1, totalSteps: 3 });
+
+            await fakeWindow.back();
+
+            expect(routeChanged).toHaveBeenCalledWith({
+                route: { section: 'troubleshooting', type: 'diagnostic', id: 'aula-no-funciona' }
+            });
+            expect(fakeWindow.entries).toHaveLength(3);
+
+            await fakeWindow.back();
+
+            expect(routeChanged).toHaveBeenLastCalledWith({ route: { section: 'troubleshooting' } });
+            expect(fakeWindow.entries).toEqual(['', '#/troubleshooting']);
+        });
+
+        it('should render the section of a route from another section', async () => {
+            await navigationManager.navigateTo('ipads');
+            await navigationManager.navigateTo('macs');
+
+            await fakeWindow.back();
+
+            expect(navigationManager.getCurrentSection()).toBe('ipads');
+            expect(fakeWindow.entries).toEqual(['', '#/ipads']);
+        });
+    });
+
+    describe('navigation guards', () => {
+        it('should cancel navigation when a guard returns false', async () => {
+            const changed = jest.fn();
+            eventBus.on(AppEvents.NAVIGATION_CHANGED, changed);
+            navigationManager.addGuard(() => false);
+
+            expect(await navigationManager.navigateTo('ipads')).toBe(false);
+
+            expect(changed).not.toHaveBeenCalled();
+            expect(navigationManager.getCurrentSection()).toBe('dashboard');
+            expect(fakeWindow.entries).toEqual(['']);
+        });
+
+        it('should wait for async guards and pass the target and current routes', async () => {
+            const guard = jest.fn(async () => true);
+            navigationManager.addGuard(guard);
+
+            await navigationManager.navigateTo('ipads');
+            await navigationManager.navigateTo('macs');
+
+            expect(guard).toHaveBeenLastCalledWith({ to: { section: 'macs' }, from: { section: 'ipads' } });
+            expect(navigationManager.getCurrentSection()).toBe('macs');
+        });
+
+        it('should redirect to the section or route a guard returns', async () => {
+            const routeChanged = jest.fn();
+            eventBus.on(AppEvents.ROUTE_CHANGED, routeChanged);
+            navigationManager.addGuard(({ to }) => (to.section === 'mis-datos' ? 'dashboard' : true));
+            navigationManager.addGuard(({ to }) => (to.section === 'macs' ? '#/checklist/newMac' : undefined));
+
+            await navigationManager.navigateTo('mis-datos');
+            expect(navigationManager.getCurrentSection()).toBe('dashboard');
+
+            await navigationManager.navigateTo('macs');
+            expect(navigationManager.getCurrentSection()).toBe('checklists');
+            expect(routeChanged).toHaveBeenCalledWith({
+                route: { section: 'checklists', type: 'checklist', id: 'newMac' }
+            });
+        });
+
+        it('should give up on redirect loops', async () => {
+            jest.spyOn(console, 'warn').mockImplementation(() => {});
+            navigationManager.addGuard(({ to }) => (to.section === 'ipads' ? 'macs' : 'ipads'));
+
+            expect(await navigationManager.navigateTo('ipads')).toBe(false);
+            expect(console.warn).toHaveBeenCalled();
+        });
+
+        it('should ignore guards that throw', async () => {
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+            navigationManager.addGuard(() => {
+                throw new Error('broken guard');
+            });
+
+            expect(await navigationManager.navigateTo('ipads')).toBe(true);
+        });
+
+        it('should stop running a guard once unsubscribed', async () => {
+            const subscription = navigationManager.addGuard(() => false);
+            subscription.unsubscribe();
+
+            expect(await navigationManager.navigateTo('ipads')).toBe(true);
+        });
+
+        it('should reject guards that are not functions', () => {
+            expect(() => navigationManager.addGuard('nope')).toThrow(TypeError);
+        });
+
+        it('should put the URL back when a guard cancels the back button', async () => {
+            const routeChanged = jest.fn();
+            eventBus.on(AppEvents.ROUTE_CHANGED, routeChanged);
+
+            await navigationManager.navigateTo('troubleshooting');
+            eventBus.emit(AppEvents.DIAGNOSTIC_STARTED, { id: 'aula-no-funciona' });
+            navigationManager.addGuard(({ to }) => to.type === 'diagnostic');
+
+            await fakeWindow.back();
+
+            expect(routeChanged).not.toHaveBeenCalled();
+            expect(fakeWindow.location.hash).toBe('#/diagnostico/aula-no-funciona');
+            expect(navigationManager.getCurrentRoute()).toMatchObject({ type: 'diagnostic' });
+        });
+
+        it('should apply guards to deep links', async () => {
+            createManager('#/mis-datos');
+            navigationManager.addGuard(({ to }) => (to.section === 'mis-datos' ? 'ipads' : true));
+
+            expect(await navigationManager.restoreFromUrl()).toBe(true);
+
+            expect(navigationManager.getCurrentSection()).toBe('ipads');
+            expect(fakeWindow.entries).toEqual(['#/ipads']);
+        });
+
+        it('should not restore a deep link a guard cancels', async () => {
+            createManager('#/mis-datos');
+            navigationManager.addGuard(() => false);
+
+            expect(await navigationManager.restoreFromUrl()).toBe(false);
+        });
+    });
+
+    describe('restoreFromUrl', () => {
+        it('should render the section and announce the route of a deep link', async () => {
+            createManager('#/diagnostico/aula-no-funciona/paso/2');
+            const changed = jest.fn();
+            const routeChanged = jest.fn();
+            eventBus.on(AppEvents.NAVIGATION_CHANGED, changed);
+            eventBus.on(AppEvents.ROUTE_CHANGED, routeChanged);
+
+            expect(await navigationManager.restoreFromUrl()).toBe(true);
+
+            expect(changed).toHaveBeenCalledWith(expect.objectContaining({ section: 'troubleshooting' }));
+            expect(routeChanged).toHaveBeenCalledWith({
+                route: { section: 'troubleshooting', type: 'diagnostic', id: 'aula-no-funciona', step: 1 }
+            });
+            expect(fakeWindow.entries).toEqual(['#/diagnostico/aula-no-funciona/paso/2']);
+        });
+
+        it('should not push the events fired while restoring', async () => {
+            createManager('#/aula/setup');
+            eventBus.on(AppEvents.ROUTE_CHANGED, ({ route }) => {
+                eventBus.emit(AppEvents.GUIDE_OPENED, { id: route.id, title: 'Setup' });
+            });
+
+            await navigationManager.restoreFromUrl();
+
+            expect(fakeWindow.entries).toEqual(['#/aula/setup']);
+        });
+
+        it('should replace the URL when a restored modal is closed', async () => {
+            createManager('#/checklist/newIpad');
+            await navigationManager.restoreFromUrl();
+
+            eventBus.emit(AppEvents.MODAL_CLOSED);
+
+            expect(fakeWindow.entries).toEqual(['#/checklists']);
+        });
+
+        it('should return false without a valid route', async () => {
+            createManager('#/inventado');
+            expect(await navigationManager.restoreFromUrl()).toBe(false);
+        });
+    });
+});
@@ -399,81 +399,568 @@ describe('StateManager', () => {
     });
 
     describe('getChecklistProgress', () => {
-        it('should return empty array for new checklist', () => {
+        it('should return empty progress for new checklist', () => {
             const progress = stateManager.getChecklistProgress('new-checklist');
-            expect(progress).toEqual([]);
+            expect(progress).toEqual({});
         });
 
-        it('should return stored progress', () => {
-            // The key uses jamf_ prefix via get() method
-            mockStorage._store.set('jamf_checklist-test', JSON.stringify([true, false, true]));
+        it('should return stored progress by item id', () => {
+            mockStorage._store.set('jamf_checklist-test', JSON.stringify({
+                activeRunId: 'principal',
+                runs: [{
+                    id: 'principal',
+                    name: 'Principal',
+                    items: {
+                        'item-a': { done: true, completedAt: null },
+                        'item-b': { done: false, completedAt: null, note: 'Pendiente' },
+                        'item-c': { done: true, completedAt: null }
+                    }
+                }]
+            }));
 
             const progress = stateManager.getChecklistProgress('test');
-            expect(progress).toEqual([true, false, true]);
+            expect(progress).toEqual({ 'item-a': true, 'item-c': true });
+        });
+
+        it('should ignore progress of older schemas', () => {
+            mockStorage._store.set('jamf_checklist-old', JSON.stringify({ 'item-a': true }));
+            expect(stateManager.getChecklistProgress('old')).toEqual({});
+        });
+
+        it('should ignore unmigrated positional progress', () => {
+            mockStorage._store.set('jamf_checklist-test', JSON.stringify([true, false, true]));
+
+            expect(stateManager.getChecklistProgress('test')).toEqual({});
         });
     });
 
     describe('setChecklistProgress', () => {
-        it('should set checklist item progress', () => {
-            stateManager.setChecklistProgress('test-list', 0, true);
+        it('should persist progress by item id in a default run', () => {
+            stateManager.setChecklistProgress('persist-list', 'item-a', true);
+
+            const saved = JSON.parse(mockStorage._store.get('jamf_checklist-persist-list'));
+            expect(saved.activeRunId).toBe('principal');
+            expect(saved.runs).toEqual([expect.objectContaining({
+                id: 'principal',
+                name: 'Principal',
+                items: { 'item-a': { done: true, completedAt: expect.any(String) } }
+            })]);
+        });
 
-            expect(mockStorage.setItem).toHaveBeenCalledWith(
-                'checklist-test-list',
-                expect.any(String)
-            );
+        it('should keep the first completion date', () => {
+            stateManager.setChecklistProgress('date-list', 'item-a', true);
+            const first = stateManager.getChecklistRun('date-list').items['item-a'].completedAt;
+
+            stateManager.setChecklistProgress('date-list', 'item-a', true);
+
+            expect(stateManager.getChecklistRun('date-list').items['item-a'].completedAt).toBe(first);
         });
 
-        it('should emit CHECKLIST_ITEM_TOGGLED event', () => {
+        it('should build upon existing progress', () => {
+            stateManager.setChecklistProgress('build-list', 'item-a', true);
+            stateManager.setChecklistProgress('build-list', 'item-b', true);
+            stateManager.setChecklistProgress('build-list', 'item-a', false);
+
+            expect(stateManager.getChecklistProgress('build-list')).toEqual({ 'item-b': true });
+            expect(Object.keys(stateManager.getChecklistRun('build-list').items)).toEqual(['item-b']);
+        });
+
+        it('should not be affected by the order of the items', () => {
+            stateManager.setChecklistProgress('order-list', 'last-item', true);
+
+            expect(stateManager.getChecklistProgress('order-list')).toEqual({ 'last-item': true });
+        });
+
+        it('should emit CHECKLIST_ITEM_TOGGLED with the item id', () => {
             const callback = jest.fn();
             eventBus.on(AppEvents.CHECKLIST_ITEM_TOGGLED, callback);
 
-            stateManager.setChecklistProgress('list1', 2, true);
+            stateManager.setChecklistProgress('event-list', 'item-d', true);
 
             expect(callback).toHaveBeenCalledWith({
-                checklistId: 'list1',
-                itemIndex: 2,
+                checklistId: 'event-list',
+                runId: 'principal',
+                itemId: 'item-d',
                 completed: true
             });
         });
+    });
 
-        it('should persist progress to storage', () => {
-            stateManager.setChecklistProgress('persist-list', 0, true);
+    describe('checklist runs', () => {
+        it('should create runs that become the active one', () => {
+            stateManager.setChecklistProgress('newIpad', 'item-a', true);
+            const run = stateManager.createChecklistRun('newIpad', {
+                name: ' DMPXK2ABCD ',
+                assignee: 'Ana',
+                dueDate: '2026-09-08'
+            });
 
-            // Verify it was saved to storage
-            expect(mockStorage.setItem).toHaveBeenCalledWith(
-                'checklist-persist-list',
-                JSON.stringify([true])
-            );
+            expect(run).toMatchObject({ name: 'DMPXK2ABCD', assignee: 'Ana', dueDate: '2026-09-08', completedAt: null, items: {} });
+            expect(run.createdAt).toEqual(expect.any(String));
+            expect(stateManager.getChecklistRun('newIpad').id).toBe(run.id);
+            expect(stateManager.getChecklistProgress('newIpad')).toEqual({});
+            expect(stateManager.getChecklistRuns('newIpad').map(r => r.name)).toEqual(['Principal', 'DMPXK2ABCD']);
+        });
+
+        it('should name unnamed runs by position', () => {
+            stateManager.createChecklistRun('newIpad');
+            expect(stateManager.createChecklistRun('newIpad').name).toBe('Ejecucion 2');
+        });
+
+        it('should keep progress and notes per run', () => {
+            const first = stateManager.createChecklistRun('newIpad', { name: 'Aula 1' });
+            const second = stateManager.createChecklistRun('newIpad', { name: 'Aula 2' });
+
+            stateManager.setChecklistProgress('newIpad', 'item-a', true, first.id);
+            stateManager.setChecklistItemNote('newIpad', 'item-b', 'Sin cargador', second.id);
+
+            expect(stateManager.getChecklistProgress('newIpad', first.id)).toEqual({ 'item-a': true });
+            expect(stateManager.getChecklistProgress('newIpad', second.id)).toEqual({});
+            expect(stateManager.getChecklistRun('newIpad', second.id).items).toEqual({
+                'item-b': { done: false, completedAt: null, note: 'Sin cargador' }
+            });
+        });
+
+        it('should drop items that are neither done nor noted', () => {
+            stateManager.setChecklistItemNote('newIpad', 'item-a', 'Revisar');
+            stateManager.setChecklistItemNote('newIpad', 'item-a', '  ');
+
+            expect(stateManager.getChecklistRun('newIpad').items).toEqual({});
+        });
+
+        it('should not write to runs that do not exist', () => {
+            stateManager.setChecklistProgress('newIpad', 'item-a', true, 'missing');
+
+            expect(stateManager.getChecklistRuns('newIpad')).toEqual([]);
+            expect(stateManager.updateChecklistRun('newIpad', 'missing', { name: 'x' })).toBeNull();
+        });
+
+        it('should update run fields and keep the name when cleared', () => {
+            const run = stateManager.createChecklistRun('newIpad', { name: 'Aula 1' });
+
+            const updated = stateManager.updateChecklistRun('newIpad', run.id, {
+                name: '',
+                assignee: 'Luis',
+                dueDate: '',
+                completedAt: '2026-10-01T10:00:00.000Z',
+                items: { injected: { done: true } }
+            });
+
+            expect(updated).toMatchObject({
+                name: 'Aula 1',
+                assignee: 'Luis',
+                dueDate: null,
+                completedAt: '2026-10-01T10:00:00.000Z',
+                items: {}
+            });
+        });
+
+        it('should switch the active run', () => {
+            const first = stateManager.createChecklistRun('newIpad');
+            stateManager.createChecklistRun('newIpad');
+
+            expect(stateManager.setActiveChecklistRun('newIpad', first.id)).toBe(true);
+            expect(stateManager.getChecklistRun('newIpad').id).toBe(first.id);
+            expect(stateManager.setActiveChecklistRun('newIpad', 'missing')).toBe(false);
+        });
+
+        it('should activate the newest remaining run when deleting the active one', () => {
+            const first = stateManager.createChecklistRun('newIpad');
+            const second = stateManager.createChecklistRun('newIpad');
+            const third = stateManager.createChecklistRun('newIpad');
+            stateManager.setActiveChecklistRun('newIpad', first.id);
+
+            expect(stateManager.deleteChecklistRun('newIpad', first.id)).toBe(true);
+            expect(stateManager.getChecklistRun('newIpad').id).toBe(third.id);
+            expect(stateManager.deleteChecklistRun('newIpad', 'missing')).toBe(false);
+
+            stateManager.deleteChecklistRun('newIpad', second.id);
+            stateManager.deleteChecklistRun('newIpad', third.id);
+            expect(mockStorage._store.has('jamf_checklist-newIpad')).toBe(false);
+        });
+
+        it('should return copies that do not change the saved runs', () => {
+            stateManager.setChecklistProgress('newIpad', 'item-a', true);
+
+            stateManager.getChecklistRun('newIpad').items['item-b'] = { done: true };
+
+            expect(stateManager.getChecklistProgress('newIpad')).toEqual({ 'item-a': true });
+        });
+    });
+
+    describe('schema migrations', () => {
+        /**
+         * Creates a StateManager over fresh storage with the given migrations
+         * @param {Array} migrations - Schema migrations
+         * @returns {StateManager} State manager
+         */
+        const createWithMigrations = (migrations) => new StateManager({ eventBus, storage: mockStorage, migrations });
+
+        beforeEach(() => {
+            jest.spyOn(console, 'log').mockImplementation(() => {});
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+            jest.spyOn(console, 'warn').mockImplementation(() => {});
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        it('should migrate legacy checklist progress by default', async () => {
+            mockStorage._store.set('checklist-newIpad', JSON.stringify([true, false, true]));
+            const sm = new StateManager({ eventBus, storage: mockStorage });
+
+            await sm.ready();
+
+            expect(sm.getSchemaVersion()).toBe(2);
+            expect(mockStorage._store.has('checklist-newIpad')).toBe(false);
+            expect(sm.getChecklistRun('newIpad').name).toBe('Principal');
+            expect(sm.getChecklistProgress('newIpad')).toEqual({
+                'verificar-numero-serie': true,
+                'encender-conectar-wifi': true
+            });
+        });
+
+        it('should run pending migrations in order and store the version', async () => {
+            const order = [];
+            const sm = createWithMigrations([
+                { version: 2, migrate: () => order.push(2) },
+                { version: 1, migrate: () => order.push(1) }
+            ]);
+
+            await sm.ready();
+
+            expect(order).toEqual([1, 2]);
+            expect(mockStorage._store.get('jamf_schemaVersion')).toBe('2');
+        });
+
+        it('should skip migrations already applied', async () => {
+            mockStorage._store.set('jamf_schemaVersion', '1');
+            const first = jest.fn();
+            const second = jest.fn();
+
+            await createWithMigrations([
+                { version: 1, migrate: first },
+                { version: 2, migrate: second }
+            ]).ready();
+
+            expect(first).not.toHaveBeenCalled();
+            expect(second).toHaveBeenCalledTimes(1);
+        });
+
+        it('should give migrations access to the stored values', async () => {
+            mockStorage._store.set('jamf_currentSection', '"troubleshooting"');
+            const sm = createWithMigrations([{
+                version: 1,
+                migrate: (store) => {
+                    if (store.get('jamf_currentSection') === 'troubleshooting') {
+                        store.set('jamf_currentSection', 'diagnostico');
+                    }
+                }
+            }]);
+
+            await sm.ready();
+
+            expect(sm.get('currentSection')).toBe('diagnostico');
+        });
+
+        it('should stop at a failing migration and retry it on the next start', async () => {
+            const later = jest.fn();
+
+            await createWithMigrations([
+                { version: 1, migrate: () => {} },
+                { version: 2, migrate: () => { throw new Error('broken'); } },
+                { version: 3, migrate: later }
+            ]).ready();
+
+            expect(later).not.toHaveBeenCalled();
+            expect(mockStorage._store.get('jamf_schemaVersion')).toBe('1');
+            expect(console.error).toHaveBeenCalled();
+        });
+
+        it('should wait for asynchronous writes before storing the version', async () => {
+            mockStorage.setItem = jest.fn((key, value) => (key === 'jamf_big'
+                ? Promise.reject(Object.assign(new Error('full'), { name: 'QuotaExceededError' }))
+                : mockStorage._store.set(key, value)));
+
+            await createWithMigrations([{ version: 1, migrate: (store) => store.set('jamf_big', 'x') }]).ready();
+
+            expect(mockStorage._store.has('jamf_schemaVersion')).toBe(false);
+        });
+
+        it('should leave data from a newer version of the app untouched', async () => {
+            mockStorage._store.set('jamf_schemaVersion', '5');
+            const migrate = jest.fn();
+
+            await createWithMigrations([{ version: 1, migrate }]).ready();
+
+            expect(migrate).not.toHaveBeenCalled();
+            expect(console.warn).toHaveBeenCalled();
+        });
+
+        it('should reject invalid or duplicate migrations', () => {
+            const sm = createWithMigrations([{ version: 1, migrate: () => {} }]);
+
+            expect(() => sm.registerMigration({ version: 0, migrate: () => {} })).toThrow(TypeError);
+            expect(() => sm.registerMigration({ version: 2 })).toThrow(TypeError);
+            expect(() => sm.registerMigration({ version: 1, migrate: () => {} })).toThrow('already registered');
+        });
+
+        it('should not accept migrations after ready()', async () => {
+            const sm = createWithMigrations([]);
+            await sm.ready();
+
+            expect(() => sm.registerMigration({ version: 1, migrate: () => {} })).toThrow('before ready()');
+        });
+    });
+
+    describe('import', () => {
+        /**
+         * Builds a stored checklist record with one run
+         * @param {string[]} doneItems - Completed item ids
+         * @param {string} [runId='principal'] - Run identifier
+         * @returns {Object} Checklist record
+         */
+        const runRecord = (doneItems, runId = 'principal') => ({
+            activeRunId: runId,
+            runs: [{
+                id: runId,
+                name: runId === 'principal' ? 'Principal' : runId,
+                assignee: '',
+                dueDate: null,
+                createdAt: null,
+                completedAt: null,
+                items: Object.fromEntries(doneItems.map(id => [id, { done: true, completedAt: null }]))
+            }]
         });
 
-        it('should build upon existing progress in storage', () => {
-            // First set
-            stateManager.setChecklistProgress('build-list', 0, true);
+        beforeEach(() => {
+            mockStorage._store.set('jamf_schemaVersion', '2');
+            mockStorage._store.set('theme', 'light');
+            mockStorage._store.set('jamf_checklist-newIpad', JSON.stringify(runRecord(['verificar-numero-serie'])));
+            mockStorage._store.set('jamf_checklist-newMac', JSON.stringify(runRecord(['reinstalar-macos-limpio'])));
+            stateManager = new StateManager({ eventBus, storage: mockStorage });
+        });
+
+        it('should keep StateManager keys and skip browser-bound ones', async () => {
+            const { values, skipped } = await stateManager.prepareImport({
+                jamf_schemaVersion: 1,
+                theme: 'dark',
+                'jamf-api-settings': { provider: 'gemini' },
+                'jamf-user-salt': 'abc'
+            });
 
-            // Manually update the mock storage to simulate persistence
-            mockStorage._store.set('jamf_checklist-build-list', JSON.stringify([true]));
+            expect(values).toEqual({ theme: 'dark' });
+            expect(skipped).toEqual(['jamf-api-settings', 'jamf-user-salt']);
+        });
 
-            // Second set
-            stateManager.setChecklistProgress('build-list', 1, false);
+        it('should upgrade data exported with an older schema', async () => {
+            const { values } = await stateManager.prepareImport({ 'checklist-newIpad': [false, true] });
 
-            // Check that storage was called with updated array
-            const lastCall = mockStorage.setItem.mock.calls.find(call =>
-                call[0] === 'checklist-build-list' && call[1].includes('false')
+            expect(values).toEqual({ 'jamf_checklist-newIpad': runRecord(['comprobar-asignacion-servidor']) });
+        });
+
+        it('should refuse data from a newer version of the app', async () => {
+            await expect(stateManager.prepareImport({ jamf_schemaVersion: 99 })).rejects.toThrow('newer');
+        });
+
+        it('should preview a merge without writing', () => {
+            const summary = stateManager.previewImport({
+                theme: 'dark',
+                'jamf_checklist-newIpad': runRecord(['encender-conectar-wifi']),
+                jamf_currentSection: 'macs'
+            });
+
+            expect(summary).toEqual({
+                added: ['jamf_currentSection'],
+                changed: ['theme', 'jamf_checklist-newIpad'],
+                unchanged: [],
+                removed: []
+            });
+            expect(mockStorage.setItem).not.toHaveBeenCalled();
+        });
+
+        it('should combine checklist runs by id when merging', async () => {
+            await stateManager.importAll({ 'jamf_checklist-newIpad': runRecord(['encender-conectar-wifi'], 'aula-2') });
+
+            expect(stateManager.getChecklistRuns('newIpad').map(run => run.id)).toEqual(['principal', 'aula-2']);
+            expect(stateManager.getChecklistProgress('newIpad', 'principal')).toEqual({ 'verificar-numero-serie': true });
+            expect(stateManager.getChecklistProgress('newIpad')).toEqual({ 'encender-conectar-wifi': true });
+            expect(stateManager.getChecklistProgress('newMac')).toEqual({ 'reinstalar-macos-limpio': true });
+        });
+
+        it('should let imported runs replace the run with the same id', async () => {
+            await stateManager.importAll({ 'jamf_checklist-newIpad': runRecord(['encender-conectar-wifi']) });
+
+            expect(stateManager.getChecklistRuns('newIpad')).toHaveLength(1);
+            expect(stateManager.getChecklistProgress('newIpad')).toEqual({ 'encender-conectar-wifi': true });
+        });
+
+        it('should combine custom checklists by id when merging', async () => {
+            stateManager.set('customChecklists', [
+                { id: 'custom-a', title: 'Aula A', items: [] },
+                { id: 'custom-b', title: 'Aula B', items: [] }
+            ]);
+
+            await stateManager.importAll({
+                jamf_customChecklists: [
+                    { id: 'custom-b', title: 'Aula B revisada', items: [] },
+                    { id: 'custom-c', title: 'Aula C', items: [] }
+                ]
+            });
+
+            expect(stateManager.get('customChecklists').map(entry => entry.title))
+                .toEqual(['Aula A', 'Aula B revisada', 'Aula C']);
+        });
+
+        it('should remove data missing from the file when replacing', async () => {
+            const summary = await stateManager.importAll(
+                { 'jamf_checklist-newIpad': runRecord(['encender-conectar-wifi']) },
+                { mode: 'replace' }
             );
-            expect(lastCall).toBeDefined();
+
+            expect(summary.removed).toEqual(['theme', 'jamf_checklist-newMac']);
+            expect(stateManager.getChecklistProgress('newIpad')).toEqual({ 'encender-conectar-wifi': true });
+            expect(stateManager.getChecklistProgress('newMac')).toEqual({});
+            expect(stateManager.get('theme')).toBe('light');
+            expect(mockStorage._store.get('jamf_schemaVersion')).toBe('2');
         });
 
-        it('should emit event with correct data', () => {
+        it('should notify subscribers of imported keys', async () => {
             const callback = jest.fn();
-            eventBus.on(AppEvents.CHECKLIST_ITEM_TOGGLED, callback);
+            stateManager.subscribe('theme', callback);
 
-            stateManager.setChecklistProgress('event-list', 3, true);
+            await stateManager.importAll({ theme: 'dark' });
 
-            expect(callback).toHaveBeenCalledWith({
-                checklistId: 'event-list',
-                itemIndex: 3,
-                completed: true
+            expect(callback).toHaveBeenCalledWith('dark', 'light');
+            expect(stateManager.get('theme')).toBe('dark');
+        });
+
+        it('should reject unknown modes', async () => {
+            await expect(stateManager.importAll({}, { mode: 'append' })).rejects.toThrow(TypeError);
+        });
+    });
+
+    describe('tab sync', () => {
+        /**
+         * Creates connected BroadcastChannel stand-ins (one per tab)
+         * @param {number} count - Number of tabs
+         * @returns {Object[]} Channels delivering each message to the others
+         */
+        const createChannels = (count) => {
+            const channels = Array.from({ length: count }, () => ({
+                onmessage: null,
+                closed: false,
+                postMessage(data) {
+                    channels
+                        .filter(other => other !== this && !other.closed)
+                        .forEach(other => other.onmessage?.({ data: JSON.parse(JSON.stringify(data)) }));
+                },
+                close() {
+                    this.closed = true;
+                }
+            }));
+            return channels;
+        };
+
+        let tabA;
+        let tabB;
+        let fakeWindow;
+
+        beforeEach(() => {
+            const [channelA, channelB] = createChannels(2);
+            fakeWindow = new EventTarget();
+            tabA = new StateManager({ eventBus, storage: mockStorage, channel: channelA, window: fakeWindow });
+            tabB = new StateManager({ eventBus: new EventBus(), storage: mockStorage, channel: channelB, window: fakeWindow });
+        });
+
+        afterEach(() => {
+            tabA.destroy();
+            tabB.destroy();
+        });
+
+        it('should update the other tab and call its subscribers', () => {
+            const callback = jest.fn();
+            tabB.subscribe('theme', callback);
+
+            tabA.set('theme', 'dark');
+
+            expect(tabB.get('theme')).toBe('dark');
+            expect(callback).toHaveBeenCalledWith('dark', 'light');
+        });
+
+        it('should let the other tab build on the latest checklist progress', () => {
+            tabA.getChecklistProgress('newIpad');
+            tabB.getChecklistProgress('newIpad');
+
+            tabA.setChecklistProgress('newIpad', 'item-a', true);
+            tabB.setChecklistProgress('newIpad', 'item-b', true);
+
+            expect(tabA.getChecklistProgress('newIpad')).toEqual({ 'item-a': true, 'item-b': true });
+        });
+
+        it('should follow removals and clears', async () => {
+            tabA.set('sidebarCollapsed', true);
+            tabA.set('custom', 'x');
+
+            tabA.remove('custom');
+            expect(tabB.get('custom')).toBeNull();
+
+            await tabA.clearAll();
+            expect(tabB.get('sidebarCollapsed')).toBe(false);
+        });
+
+        it('should update the storage copy of the other tab', () => {
+            const applyRemoteChange = jest.fn();
+            const [channelA, channelC] = createChannels(2);
+            const tabC = new StateManager({
+                eventBus: new EventBus(),
+                storage: { ...createMockStorage(), applyRemoteChange },
+                channel: channelC
             });
+            const tabD = new StateManager({ eventBus, storage: mockStorage, channel: channelA });
+
+            tabD.set('theme', 'dark');
+
+            expect(applyRemoteChange).toHaveBeenCalledWith('theme', 'dark');
+            tabC.destroy();
+            tabD.destroy();
+        });
+
+        it('should ignore messages about keys it does not own', () => {
+            const [channelA, channelC] = createChannels(2);
+            const applyRemoteChange = jest.fn();
+            const tabC = new StateManager({
+                eventBus: new EventBus(),
+                storage: { ...createMockStorage(), applyRemoteChange },
+                channel: channelC
+            });
+
+            channelA.postMessage({ type: 'change', key: 'jamf-user-salt', newValue: 'x' });
+            channelA.postMessage({ type: 'other' });
+
+            expect(applyRemoteChange).not.toHaveBeenCalled();
+            tabC.destroy();
+        });
+
+        it('should reload state on storage events (localStorage fallback)', () => {
+            const callback = jest.fn();
+            tabB.subscribe('currentSection', callback);
+            mockStorage._store.set('jamf_currentSection', '"macs"');
+
+            fakeWindow.dispatchEvent(Object.assign(new Event('storage'), { key: 'jamf_currentSection' }));
+
+            expect(tabB.get('currentSection')).toBe('macs');
+            expect(callback).toHaveBeenCalledWith('macs', 'dashboard');
+        });
+
+        it('should stop syncing after destroy', () => {
+            tabB.destroy();
+
+            tabA.set('theme', 'dark');
+            fakeWindow.dispatchEvent(Object.assign(new Event('storage'), { key: 'theme' }));
+
+            expect(tabB.get('theme')).toBe('light');
         });
     });
 
@@ -553,6 +1040,81 @@ describe('StateManager', () => {
         });
     });
 
+    describe('storage quota', () => {
+        const quotaError = () => Object.assign(new Error('full'), { name: 'QuotaExceededError' });
+        let toastManager;
+
+        beforeEach(() => {
+            jest.spyOn(console, 'warn').mockImplementation(() => {});
+            toastManager = { warning: jest.fn() };
+        });
+
+        it('should warn the user once when a write does not fit', () => {
+            mockStorage.setItem.mockImplementation(() => {
+                throw quotaError();
+            });
+            const sm = new StateManager({ eventBus, storage: mockStorage, toastManager });
+            const quotaCallback = jest.fn();
+            eventBus.on(AppEvents.STORAGE_QUOTA_EXCEEDED, quotaCallback);
+
+            sm.set('big', 'x');
+            sm.set('bigger', 'y');
+
+            expect(sm.get('big')).toBe('x');
+            expect(toastManager.warning).toHaveBeenCalledTimes(1);
+            expect(quotaCallback).toHaveBeenCalledWith({ key: 'jamf_bigger' });
+        });
+
+        it('should report saves rejected by asynchronous storage', async () => {
+            let rejected;
+            mockStorage.setItem.mockImplementation(() => {
+                rejected = Promise.reject(quotaError());
+                return rejected;
+            });
+            const sm = new StateManager({ eventBus, storage: mockStorage, toastManager });
+
+            sm.set('big', 'x');
+            await rejected.catch(() => {});
+
+            expect(toastManager.warning).toHaveBeenCalled();
+        });
+
+        it('should only log other write errors', () => {
+            mockStorage.setItem.mockImplementation(() => {
+                throw new Error('disk error');
+            });
+            const sm = new StateManager({ eventBus, storage: mockStorage, toastManager });
+
+            expect(() => sm.set('key', 'value')).not.toThrow();
+            expect(toastManager.warning).not.toHaveBeenCalled();
+            expect(console.warn).toHaveBeenCalled();
+        });
+    });
+
+    describe('ready', () => {
+        it('should resolve at once for synchronous storage', async () => {
+            await expect(stateManager.ready()).resolves.toBeUndefined();
+        });
+
+        it('should reload the initial state once asynchronous storage is loaded', async () => {
+            const loaded = new Map();
+            const asyncStorage = {
+                ...createMockStorage(),
+                getItem: (key) => loaded.get(key) ?? null,
+                load: jest.fn(async () => {
+                    loaded.set('theme', '"dark"');
+                })
+            };
+            const sm = new StateManager({ eventBus, storage: asyncStorage });
+            expect(sm.get('theme')).toBe('light');
+
+            await Promise.all([sm.ready(), sm.ready()]);
+
+            expect(sm.get('theme')).toBe('dark');
+            expect(asyncStorage.load).toHaveBeenCalledTimes(1);
+        });
+    });
+
     describe('integration scenarios', () => {
         it('should handle theme toggle workflow', () => {
             const themeCallback = jest.fn();
@@ -0,0 +1,156 @@
+/**
+ * @fileoverview Tests for the persisted state schema migrations
+ * @module __tests__/core/StateMigrations.test
+ */
+
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import {
+    LEGACY_CHECKLIST_ORDER,
+    migrateChecklistProgressToItemIds,
+    migrateChecklistProgressToRuns,
+    stateMigrations
+} from '../../js/core/StateMigrations.js';
+import { checklists } from '../../js/data/KnowledgeChecklists.js';
+
+/**
+ * Creates a MigrationStore over a Map of parsed values
+ * @param {Object<string, *>} [initial] - Initial values
+ * @returns {Object} Store with the MigrationStore interface
+ */
+const createStore = (initial = {}) => {
+    const values = new Map(Object.entries(initial));
+    return {
+        keys: () => Array.from(values.keys()),
+        get: (key) => values.get(key) ?? null,
+        set: (key, value) => values.set(key, value),
+        remove: (key) => values.delete(key),
+        _values: values
+    };
+};
+
+describe('StateMigrations', () => {
+    describe('stateMigrations', () => {
+        it('should have unique ascending versions', () => {
+            const versions = stateMigrations.map(m => m.version);
+            expect(versions).toEqual([...new Set(versions)].sort((a, b) => a - b));
+        });
+    });
+
+    describe('checklist item ids', () => {
+        it('should give every checklist item an id unique within its checklist', () => {
+            Object.values(checklists).forEach(checklist => {
+                const ids = checklist.items.map(item => item.id);
+                ids.forEach(id => expect(id).toMatch(/^[a-z0-9]+(-[a-z0-9]+)*$/));
+                expect(new Set(ids).size).toBe(ids.length);
+            });
+        });
+
+        it('should keep every id of the legacy order', () => {
+            Object.entries(LEGACY_CHECKLIST_ORDER).forEach(([checklistId, itemIds]) => {
+                const current = checklists[checklistId].items.map(item => item.id);
+                itemIds.forEach(id => expect(current).toContain(id));
+            });
+        });
+    });
+
+    describe('migrateChecklistProgressToItemIds', () => {
+        let store;
+
+        beforeEach(() => {
+            store = createStore({
+                'checklist-newIpad': [true, false, true],
+                'jamf_checklist-newMac': [false, true],
+                'jamf_currentSection': 'checklists'
+            });
+        });
+
+        it('should map positions to the item ids of the legacy order', () => {
+            migrateChecklistProgressToItemIds(store);
+
+            expect(store.get('jamf_checklist-newIpad')).toEqual({
+                [LEGACY_CHECKLIST_ORDER.newIpad[0]]: true,
+                [LEGACY_CHECKLIST_ORDER.newIpad[2]]: true
+            });
+            expect(store.get('jamf_checklist-newMac')).toEqual({ [LEGACY_CHECKLIST_ORDER.newMac[1]]: true });
+        });
+
+        it('should remove the legacy keys and leave other keys alone', () => {
+            migrateChecklistProgressToItemIds(store);
+
+            expect(store.keys().sort()).toEqual(['jamf_checklist-newIpad', 'jamf_checklist-newMac', 'jamf_currentSection']);
+        });
+
+        it('should merge both legacy keys of a checklist', () => {
+            store.set('jamf_checklist-newIpad', [false, true]);
+
+            migrateChecklistProgressToItemIds(store);
+
+            expect(Object.keys(store.get('jamf_checklist-newIpad'))).toHaveLength(3);
+        });
+
+        it('should ignore positions beyond the legacy items', () => {
+            store.set('checklist-dailyCheck', new Array(20).fill(true));
+
+            migrateChecklistProgressToItemIds(store);
+
+            expect(Object.keys(store.get('jamf_checklist-dailyCheck'))).toEqual(LEGACY_CHECKLIST_ORDER.dailyCheck);
+        });
+
+        it('should be idempotent', () => {
+            migrateChecklistProgressToItemIds(store);
+            const once = Object.fromEntries(store._values);
+
+            migrateChecklistProgressToItemIds(store);
+
+            expect(Object.fromEntries(store._values)).toEqual(once);
+        });
+    });
+
+    describe('migrateChecklistProgressToRuns', () => {
+        let store;
+
+        beforeEach(() => {
+            store = createStore({
+                'jamf_checklist-newIpad': { 'verificar-numero-serie': true, 'encender-conectar-wifi': true },
+                'jamf_checklist-empty': {},
+                'jamf_currentSection': 'checklists'
+            });
+        });
+
+        it('should move the progress into a default run', () => {
+            migrateChecklistProgressToRuns(store);
+
+            expect(store.get('jamf_checklist-newIpad')).toEqual({
+                activeRunId: 'principal',
+                runs: [{
+                    id: 'principal',
+                    name: 'Principal',
+                    assignee: '',
+                    dueDate: null,
+                    createdAt: null,
+                    completedAt: null,
+                    items: {
+                        'verificar-numero-serie': { done: true, completedAt: null },
+                        'encender-conectar-wifi': { done: true, completedAt: null }
+                    }
+                }]
+            });
+        });
+
+        it('should remove checklists without progress and leave other keys alone', () => {
+            migrateChecklistProgressToRuns(store);
+
+            expect(store.keys().sort()).toEqual(['jamf_checklist-newIpad', 'jamf_currentSection']);
+            expect(store.get('jamf_currentSection')).toBe('checklists');
+        });
+
+        it('should be idempotent', () => {
+            migrateChecklistProgressToRuns(store);
+            const once = JSON.stringify(Object.fromEntries(store._values));
+
+            migrateChecklistProgressToRuns(store);
+
+            expect(JSON.stringify(Object.fromEntries(store._values))).toBe(once);
+        });
+    });
+});
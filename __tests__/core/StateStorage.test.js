@@ -0,0 +1,227 @@
+/**
+ * @fileoverview Tests for the StateManager storage adapters
+ * @module __tests__/core/StateStorage.test
+ */
+
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import {
+    IndexedDBStorageAdapter,
+    LocalStorageAdapter,
+    createStateStorage,
+    isAppStorageKey,
+    isQuotaExceededError
+} from '../../js/core/StateStorage.js';
+import { MemoryStore } from '../../js/utils/IndexedDBStore.js';
+
+/**
+ * Creates a Storage stand-in with keys from this app and from another app
+ * @returns {Object} Storage with the Web Storage interface
+ */
+const createSharedOriginStorage = () => {
+    const store = new Map([
+        ['theme', '"dark"'],
+        ['jamf_currentSection', '"ipads"'],
+        ['checklist-newIpad', '[true]'],
+        ['jamf-api-settings', '{"key":"x"}'],
+        ['other-app-token', 'secret'],
+        ['consent_preferences', '{}']
+    ]);
+
+    return {
+        getItem: (key) => store.get(key) ?? null,
+        setItem: (key, value) => store.set(key, String(value)),
+        removeItem: (key) => store.delete(key),
+        clear: () => store.clear(),
+        get length() { return store.size; },
+        key: (index) => Array.from(store.keys())[index] ?? null,
+        _store: store
+    };
+};
+
+describe('StateStorage', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('isAppStorageKey', () => {
+        it('should recognise the app prefixes and legacy keys', () => {
+            ['jamf_theme', 'jamf-api-settings', 'checklist-newIpad', 'theme', 'sidebarCollapsed', 'consent_timestamp']
+                .forEach(key => expect(isAppStorageKey(key)).toBe(true));
+        });
+
+        it('should reject keys of other apps', () => {
+            ['other-app-token', 'jamfish', 'THEME'].forEach(key => expect(isAppStorageKey(key)).toBe(false));
+        });
+    });
+
+    describe('isQuotaExceededError', () => {
+        it('should detect quota errors across browsers', () => {
+            expect(isQuotaExceededError({ name: 'QuotaExceededError' })).toBe(true);
+            expect(isQuotaExceededError({ name: 'NS_ERROR_DOM_QUOTA_REACHED' })).toBe(true);
+            expect(isQuotaExceededError({ code: 22 })).toBe(true);
+            expect(isQuotaExceededError(new Error('other'))).toBe(false);
+            expect(isQuotaExceededError(null)).toBe(false);
+        });
+    });
+
+    describe('LocalStorageAdapter', () => {
+        let shared;
+        let adapter;
+
+        beforeEach(() => {
+            shared = createSharedOriginStorage();
+            adapter = new LocalStorageAdapter({ storage: shared });
+        });
+
+        it('should only list the app keys', () => {
+            expect(adapter.keys()).not.toContain('other-app-token');
+            expect(adapter.length).toBe(5);
+            expect(adapter.key(0)).toBe('theme');
+        });
+
+        it('should only clear the app keys', () => {
+            adapter.clear();
+
+            expect(Array.from(shared._store.keys())).toEqual(['other-app-token']);
+        });
+
+        it('should let quota errors reach the caller', () => {
+            shared.setItem = () => {
+                throw Object.assign(new Error('full'), { name: 'QuotaExceededError' });
+            };
+
+            expect(() => adapter.setItem('jamf_x', '1')).toThrow('full');
+        });
+
+        it('should wrap the global localStorage by default', () => {
+            localStorage.setItem('jamf_probe', '1');
+            localStorage.setItem('foreign', '1');
+
+            const keys = new LocalStorageAdapter().keys();
+            expect(keys).toContain('jamf_probe');
+            expect(keys).not.toContain('foreign');
+
+            localStorage.clear();
+        });
+    });
+
+    describe('IndexedDBStorageAdapter', () => {
+        let shared;
+        let records;
+        let adapter;
+
+        beforeEach(() => {
+            shared = createSharedOriginStorage();
+            records = new MemoryStore({ keyPath: 'key' });
+            adapter = new IndexedDBStorageAdapter({
+                store: records,
+                localStorage: new LocalStorageAdapter({ storage: shared })
+            });
+        });
+
+        it('should migrate StateManager keys out of localStorage', async () => {
+            expect(await adapter.load()).toBe(3);
+
+            expect(await records.get('theme')).toEqual({ key: 'theme', value: '"dark"' });
+            expect(adapter.getItem('checklist-newIpad')).toBe('[true]');
+            expect(shared._store.has('jamf_currentSection')).toBe(false);
+        });
+
+        it('should leave keys read directly by other modules in localStorage', async () => {
+            await adapter.load();
+
+            expect(shared._store.get('jamf-api-settings')).toBe('{"key":"x"}');
+            expect(adapter.getItem('jamf-api-settings')).toBe('{"key":"x"}');
+            expect(await records.get('jamf-api-settings')).toBeUndefined();
+        });
+
+        it('should keep IndexedDB values over stale localStorage copies', async () => {
+            await records.put({ key: 'theme', value: '"light"' });
+
+            expect(await adapter.load()).toBe(2);
+            expect(adapter.getItem('theme')).toBe('"light"');
+            expect(shared._store.has('theme')).toBe(false);
+        });
+
+        it('should read synchronously and save in the background', async () => {
+            await adapter.load();
+
+            const saving = adapter.setItem('jamf_currentSection', '"macs"');
+            expect(adapter.getItem('jamf_currentSection')).toBe('"macs"');
+
+            await saving;
+            expect(await records.get('jamf_currentSection')).toEqual({ key: 'jamf_currentSection', value: '"macs"' });
+        });
+
+        it('should reject the save when IndexedDB fails', async () => {
+            await adapter.load();
+            records.put = async () => {
+                throw Object.assign(new Error('full'), { name: 'QuotaExceededError' });
+            };
+
+            await expect(adapter.setItem('jamf_big', 'x')).rejects.toThrow('full');
+        });
+
+        it('should list and clear only the app keys of both stores', async () => {
+            await adapter.load();
+
+            expect(adapter.keys()).toEqual(expect.arrayContaining(['theme', 'jamf-api-settings']));
+            expect(adapter.keys()).not.toContain('other-app-token');
+
+            await adapter.clear();
+
+            expect(adapter.length).toBe(0);
+            expect(await records.getAll()).toEqual([]);
+            expect(Array.from(shared._store.keys())).toEqual(['other-app-token']);
+        });
+
+        it('should wait for pending writes on flush', async () => {
+            await adapter.load();
+            adapter.setItem('jamf_a', '1');
+            adapter.removeItem('theme');
+
+            await adapter.flush();
+
+            expect(await records.get('jamf_a')).toBeDefined();
+            expect(await records.get('theme')).toBeUndefined();
+        });
+
+        it('should apply changes saved by another tab without writing them', async () => {
+            await adapter.load();
+            records.put = jest.fn();
+
+            adapter.applyRemoteChange('jamf_currentSection', '"aula"');
+            adapter.applyRemoteChange('theme', null);
+
+            expect(adapter.getItem('jamf_currentSection')).toBe('"aula"');
+            expect(adapter.getItem('theme')).toBeNull();
+            expect(records.put).not.toHaveBeenCalled();
+
+            adapter.applyRemoteChange(null, null);
+            expect(adapter.getItem('checklist-newIpad')).toBeNull();
+        });
+
+        it('should fall back to localStorage when IndexedDB cannot be opened', async () => {
+            records.getAll = async () => {
+                throw new Error('blocked');
+            };
+
+            expect(await adapter.load()).toBe(0);
+
+            adapter.setItem('jamf_currentSection', '"aula"');
+            expect(shared._store.get('jamf_currentSection')).toBe('"aula"');
+            expect(adapter.getItem('theme')).toBe('"dark"');
+        });
+    });
+
+    describe('createStateStorage', () => {
+        it('should use localStorage where IndexedDB is unavailable', () => {
+            expect(createStateStorage()).toBeInstanceOf(LocalStorageAdapter);
+        });
+    });
+});
@@ -0,0 +1,173 @@
+/**
+ * @fileoverview Tests for the custom checklist editor
+ * @module __tests__/features/ChecklistEditor.test
+ */
+
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { ChecklistEditor } from '../../js/features/ChecklistEditor.js';
+import { ChecklistManager } from '../../js/features/ChecklistManager.js';
+import { StateManager } from '../../js/core/StateManager.js';
+import { EventBus } from '../../js/utils/EventBus.js';
+
+/**
+ * Creates an in-memory Storage stand-in
+ * @returns {Object} Storage with the Web Storage interface
+ */
+const createMemoryStorage = () => {
+    const store = new Map();
+    return {
+        getItem: (key) => store.get(key) ?? null,
+        setItem: (key, value) => store.set(key, String(value)),
+        removeItem: (key) => store.delete(key),
+        clear: () => store.clear(),
+        get length() { return store.size; },
+        key: (index) => Array.from(store.keys())[index] ?? null
+    };
+};
+
+const checklists = {
+    newIpad: {
+        title: 'Nuevo iPad',
+        items: [{ id: 'verificar-numero-serie', text: 'Verificar numero de serie' }]
+    }
+};
+
+/**
+ * Types into an input of the editor
+ * @param {string} selector - Input selector
+ * @param {string} value - New value
+ */
+const type = (selector, value) => {
+    document.querySelector(selector).value = value;
+};
+
+/**
+ * Texts of the items shown in the editor
+ * @returns {string[]} Item texts
+ */
+const itemTexts = () => Array.from(document.querySelectorAll('.checklist-editor-text')).map(input => input.value);
+
+describe('ChecklistEditor', () => {
+    let stateManager;
+    let modalManager;
+    let checklistManager;
+    let editor;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        document.body.innerHTML = '';
+
+        const eventBus = new EventBus();
+        stateManager = new StateManager({ eventBus, storage: createMemoryStorage() });
+        modalManager = {
+            visible: false,
+            show(html) {
+                document.body.innerHTML = html;
+                this.visible = true;
+            },
+            hide() {
+                this.visible = false;
+            }
+        };
+        checklistManager = new ChecklistManager({ eventBus, modalManager, stateManager, checklists });
+        editor = new ChecklistEditor({ modalManager, checklistManager });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('should require its dependencies', () => {
+        expect(() => new ChecklistEditor({ checklistManager })).toThrow(TypeError);
+        expect(() => new ChecklistEditor({ modalManager })).toThrow(TypeError);
+    });
+
+    it('should create a checklist from the form', () => {
+        editor.open();
+        type('#editorTitle', 'Etiquetado');
+        type('#editorCategory', 'Aulas');
+        type('#editorEstimatedTime', '10 min');
+        type('.checklist-editor-text[data-idx="0"]', 'Imprimir etiquetas');
+        document.getElementById('editorAddItem').click();
+        type('.checklist-editor-text[data-idx="1"]', 'Pegar etiquetas');
+
+        document.getElementById('editorSave').click();
+
+        const [saved] = Object.values(checklistManager.getCustomChecklists());
+        expect(saved).toMatchObject({ title: 'Etiquetado', category: 'Aulas', estimatedTime: '10 min' });
+        expect(saved.items.map(item => item.text)).toEqual(['Imprimir etiquetas', 'Pegar etiquetas']);
+        expect(modalManager.visible).toBe(false);
+    });
+
+    it('should reorder and remove items keeping what was typed', () => {
+        editor.open();
+        type('.checklist-editor-text[data-idx="0"]', 'Primera');
+        document.getElementById('editorAddItem').click();
+        type('.checklist-editor-text[data-idx="1"]', 'Segunda');
+        document.getElementById('editorAddItem').click();
+        type('.checklist-editor-text[data-idx="2"]', 'Tercera');
+
+        document.querySelector('.checklist-editor-up[data-idx="2"]').click();
+        expect(itemTexts()).toEqual(['Primera', 'Tercera', 'Segunda']);
+
+        document.querySelector('.checklist-editor-remove[data-idx="0"]').click();
+        expect(itemTexts()).toEqual(['Tercera', 'Segunda']);
+        expect(document.querySelector('.checklist-editor-up[data-idx="0"]').disabled).toBe(true);
+        expect(document.querySelector('.checklist-editor-down[data-idx="1"]').disabled).toBe(true);
+    });
+
+    it('should show why the checklist cannot be saved', () => {
+        editor.open();
+        document.getElementById('editorSave').click();
+        expect(document.querySelector('.checklist-editor-error').textContent).toContain('titulo');
+
+        type('#editorTitle', 'Etiquetado');
+        document.getElementById('editorSave').click();
+        expect(document.querySelector('.checklist-editor-error').textContent).toContain('tarea');
+
+        expect(checklistManager.getCustomChecklists()).toEqual({});
+        expect(modalManager.visible).toBe(true);
+    });
+
+    it('should edit a custom checklist keeping its item ids', () => {
+        const id = checklistManager.duplicateChecklist('newIpad');
+
+        expect(editor.open(id)).toBe(true);
+        expect(document.getElementById('editorTitle').value).toBe('Nuevo iPad (copia)');
+        expect(document.getElementById('editorCategory').value).toBe('');
+
+        type('#editorTitle', 'Nuevo iPad del aula');
+        document.getElementById('editorSave').click();
+
+        expect(checklistManager.getChecklist(id)).toMatchObject({
+            title: 'Nuevo iPad del aula',
+            items: checklists.newIpad.items
+        });
+    });
+
+    it('should only edit custom checklists', () => {
+        expect(editor.open('newIpad')).toBe(false);
+        expect(editor.open('missing')).toBe(false);
+    });
+
+    it('should offer to create the checklist again if it was deleted meanwhile', () => {
+        const id = checklistManager.duplicateChecklist('newIpad');
+        editor.open(id);
+        checklistManager.deleteCustomChecklist(id);
+
+        document.getElementById('editorSave').click();
+        expect(document.querySelector('.checklist-editor-error').textContent).toContain('eliminado');
+
+        document.getElementById('editorSave').click();
+        expect(Object.values(checklistManager.getCustomChecklists())[0].title).toBe('Nuevo iPad (copia)');
+    });
+
+    it('should escape the checklist text in the form', () => {
+        editor.open();
+        type('#editorTitle', '"><img src=x onerror=alert(1)>');
+        document.getElementById('editorAddItem').click();
+
+        expect(document.querySelector('img')).toBeNull();
+        expect(document.getElementById('editorTitle').value).toBe('"><img src=x onerror=alert(1)>');
+    });
+});
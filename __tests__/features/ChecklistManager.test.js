@@ -0,0 +1,391 @@
+/**
+ * @fileoverview Tests for ChecklistManager runs, notes, completion, reports and custom checklists
+ * @module __tests__/features/ChecklistManager.test
+ */
+
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { ChecklistManager, CUSTOM_CHECKLISTS_KEY } from '../../js/features/ChecklistManager.js';
+import { StateManager } from '../../js/core/StateManager.js';
+import { EventBus, AppEvents } from '../../js/utils/EventBus.js';
+import { ModalManager } from '../../js/core/ModalManager.js';
+import DOMPurify from 'dompurify';
+
+/**
+ * Creates an in-memory Storage stand-in
+ * @returns {Object} Storage with the Web Storage interface
+ */
+const createMemoryStorage = () => {
+    const store = new Map();
+    return {
+        getItem: (key) => store.get(key) ?? null,
+        setItem: (key, value) => store.set(key, String(value)),
+        removeItem: (key) => store.delete(key),
+        clear: () => store.clear(),
+        get length() { return store.size; },
+        key: (index) => Array.from(store.keys())[index] ?? null
+    };
+};
+
+const checklists = {
+    newIpad: {
+        title: 'Nuevo iPad',
+        icon: '<i class="ri-tablet-line"></i>',
+        items: [
+            { id: 'verificar-numero-serie', text: 'Verificar numero de serie' },
+            { id: 'encender-conectar-wifi', text: 'Encender y conectar a WiFi' }
+        ]
+    }
+};
+
+/**
+ * Changes the value of a modal input as the user would
+ * @param {string} selector - Input selector
+ * @param {string} value - New value
+ */
+const changeInput = (selector, value) => {
+    const input = document.querySelector(selector);
+    input.value = value;
+    input.dispatchEvent(new Event('change', { bubbles: true }));
+};
+
+describe('ChecklistManager', () => {
+    let eventBus;
+    let stateManager;
+    let modalManager;
+    let checklistManager;
+
+    /**
+     * Toggles a checkbox of the open checklist, as ModalManager reports it
+     * @param {string} itemId - Item identifier
+     * @param {boolean} checked - New state
+     */
+    const toggleItem = (itemId, checked) => {
+        eventBus.emit('modal:checklistItemChanged', { index: 0, itemId, checked });
+    };
+
+    beforeEach(() => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        document.body.innerHTML = '';
+
+        eventBus = new EventBus();
+        stateManager = new StateManager({ eventBus, storage: createMemoryStorage() });
+        modalManager = {
+            show(html) {
+                document.body.innerHTML = html;
+            },
+            hide() {}
+        };
+        checklistManager = new ChecklistManager({ eventBus, modalManager, stateManager, checklists });
+        checklistManager.init();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('should accept the checklists after construction', () => {
+        const manager = new ChecklistManager({ eventBus, modalManager, stateManager });
+        expect(manager.open('newIpad')).toBe(false);
+
+        manager.checklists = checklists;
+
+        expect(manager.open('newIpad')).toBe(true);
+    });
+
+    it('should save progress in a default run and show when each item was done', () => {
+        checklistManager.open('newIpad');
+        toggleItem('verificar-numero-serie', true);
+
+        expect(stateManager.getChecklistRun('newIpad').name).toBe('Principal');
+        expect(document.querySelector('input[data-item-id="verificar-numero-serie"]').checked).toBe(true);
+        expect(document.querySelector('.checklist-item-date').textContent).not.toBe('');
+    });
+
+    it('should record when the run is completed and clear it when reopened', () => {
+        const completed = jest.fn();
+        eventBus.on(AppEvents.CHECKLIST_COMPLETED, completed);
+        checklistManager.open('newIpad');
+
+        toggleItem('verificar-numero-serie', true);
+        toggleItem('encender-conectar-wifi', true);
+
+        const runId = stateManager.getChecklistRun('newIpad').id;
+        expect(completed).toHaveBeenCalledWith({ id: 'newIpad', title: 'Nuevo iPad', runId });
+        expect(stateManager.getChecklistRun('newIpad').completedAt).toEqual(expect.any(String));
+
+        toggleItem('encender-conectar-wifi', false);
+        expect(stateManager.getChecklistRun('newIpad').completedAt).toBeNull();
+    });
+
+    it('should start a new run with its own progress', () => {
+        checklistManager.open('newIpad');
+        toggleItem('verificar-numero-serie', true);
+
+        document.getElementById('newChecklistRun').click();
+        changeInput('#checklistRunName', 'DMPXK2ABCD');
+        changeInput('#checklistRunDueDate', '2026-09-08');
+
+        const run = stateManager.getChecklistRun('newIpad');
+        expect(run).toMatchObject({ name: 'DMPXK2ABCD', dueDate: '2026-09-08', items: {} });
+        expect(document.querySelectorAll('.checklist-run-tab[data-run-id]')).toHaveLength(2);
+        expect(checklistManager.getProgress('newIpad')).toMatchObject({ completed: 0, total: 2 });
+    });
+
+    it('should switch between runs', () => {
+        const first = stateManager.createChecklistRun('newIpad', { name: 'Aula 1' });
+        stateManager.setChecklistProgress('newIpad', 'verificar-numero-serie', true, first.id);
+        stateManager.createChecklistRun('newIpad', { name: 'Aula 2' });
+
+        checklistManager.open('newIpad');
+        expect(document.querySelector('input[data-item-id="verificar-numero-serie"]').checked).toBe(false);
+
+        document.querySelector(`.checklist-run-tab[data-run-id="${first.id}"]`).click();
+
+        expect(document.querySelector('input[data-item-id="verificar-numero-serie"]').checked).toBe(true);
+        expect(stateManager.getChecklistRun('newIpad').id).toBe(first.id);
+    });
+
+    it('should open the run chosen in the history', () => {
+        const first = stateManager.createChecklistRun('newIpad', { name: 'Aula 1' });
+        stateManager.createChecklistRun('newIpad', { name: 'Aula 2' });
+
+        checklistManager.open('newIpad', { runId: first.id });
+
+        expect(document.getElementById('checklistRunName').value).toBe('Aula 1');
+    });
+
+    it('should save item notes of the run shown', () => {
+        checklistManager.open('newIpad');
+
+        changeInput('.checklist-note[data-item-id="encender-conectar-wifi"]', 'Red del aula 3');
+
+        expect(stateManager.getChecklistRun('newIpad').items['encender-conectar-wifi'])
+            .toEqual({ done: false, completedAt: null, note: 'Red del aula 3' });
+    });
+
+    it('should escape user text in the modal', () => {
+        stateManager.createChecklistRun('newIpad', { name: '<img src=x onerror=alert(1)>' });
+
+        checklistManager.open('newIpad');
+
+        expect(document.querySelector('img')).toBeNull();
+        expect(document.getElementById('checklistRunName').value).toBe('<img src=x onerror=alert(1)>');
+    });
+
+    it('should delete the run shown after confirmation', () => {
+        const first = stateManager.createChecklistRun('newIpad', { name: 'Aula 1' });
+        stateManager.createChecklistRun('newIpad', { name: 'Aula 2' });
+        const confirm = jest.spyOn(window, 'confirm').mockReturnValue(true);
+
+        checklistManager.open('newIpad');
+        document.getElementById('deleteChecklistRun').click();
+
+        expect(confirm).toHaveBeenCalled();
+        expect(stateManager.getChecklistRuns('newIpad').map(run => run.id)).toEqual([first.id]);
+        expect(document.getElementById('checklistRunName').value).toBe('Aula 1');
+    });
+
+    describe('reports', () => {
+        beforeEach(() => {
+            const run = stateManager.createChecklistRun('newIpad', { name: 'Aula 3B' });
+            stateManager.setChecklistProgress('newIpad', 'verificar-numero-serie', true, run.id);
+        });
+
+        it('should export the active run', () => {
+            const file = checklistManager.exportRun('newIpad', 'markdown');
+
+            expect(file.filename).toMatch(/^checklist-newipad-aula-3b-\d{4}-\d{2}-\d{2}\.md$/);
+            expect(file.mimeType).toBe('text/markdown');
+            expect(file.content).toContain('# Nuevo iPad - Aula 3B');
+            expect(checklistManager.exportRun('missing', 'csv')).toBeNull();
+            expect(() => checklistManager.exportRun('newIpad', 'pdf')).toThrow(TypeError);
+        });
+
+        it('should download the report from the modal', () => {
+            URL.createObjectURL = () => 'blob:report';
+            URL.revokeObjectURL = () => {};
+            const clicks = [];
+            jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function () {
+                clicks.push(this.download);
+            });
+
+            checklistManager.open('newIpad');
+            document.getElementById('exportChecklistCsv').click();
+
+            expect(clicks).toEqual([expect.stringMatching(/\.csv$/)]);
+        });
+
+        it('should print in a new window', () => {
+            const printWindow = {
+                document: { open() {}, write(html) { this.html = html; }, close() {} },
+                focus() {},
+                print: jest.fn()
+            };
+            jest.spyOn(window, 'open').mockReturnValue(printWindow);
+
+            checklistManager.open('newIpad');
+            document.getElementById('printChecklist').click();
+
+            expect(printWindow.document.html).toContain('<title>Nuevo iPad - Aula 3B</title>');
+            expect(printWindow.print).toHaveBeenCalled();
+        });
+
+        it('should download the print view when pop-ups are blocked', () => {
+            URL.createObjectURL = () => 'blob:report';
+            URL.revokeObjectURL = () => {};
+            jest.spyOn(window, 'open').mockReturnValue(null);
+            const click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+
+            expect(checklistManager.printRun('newIpad')).toBe(true);
+            expect(click).toHaveBeenCalled();
+        });
+    });
+
+    describe('custom checklists', () => {
+        it('should save a custom checklist and open it like the built-in ones', () => {
+            const id = checklistManager.saveCustomChecklist({
+                title: ' Etiquetado ',
+                estimatedTime: '10 min',
+                items: [{ text: 'Imprimir etiquetas' }, { text: '  ' }, { text: 'Anotar en el inventario' }]
+            });
+
+            const checklist = checklistManager.getChecklist(id);
+            expect(id).toMatch(/^custom-/);
+            expect(checklist).toMatchObject({ title: 'Etiquetado', category: 'Mis checklists', custom: true });
+            expect(checklist.items.map(item => item.text)).toEqual(['Imprimir etiquetas', 'Anotar en el inventario']);
+            expect(checklistManager.getAvailableChecklists()).toEqual(['newIpad', id]);
+
+            expect(checklistManager.open(id)).toBe(true);
+            toggleItem(checklist.items[0].id, true);
+            expect(checklistManager.getProgress(id)).toMatchObject({ completed: 1, total: 2 });
+        });
+
+        it('should reject checklists without title or items', () => {
+            expect(() => checklistManager.saveCustomChecklist({ title: ' ', items: [{ text: 'A' }] })).toThrow(TypeError);
+            expect(() => checklistManager.saveCustomChecklist({ title: 'A', items: [{ text: '' }] })).toThrow(TypeError);
+            expect(() => checklistManager.saveCustomChecklist({ id: 'newIpad', title: 'A', items: [{ text: 'B' }] }))
+                .toThrow(TypeError);
+        });
+
+        it('should duplicate a built-in checklist keeping the item ids', () => {
+            const id = checklistManager.duplicateChecklist('newIpad');
+
+            expect(checklistManager.getChecklist(id)).toMatchObject({ title: 'Nuevo iPad (copia)', basedOn: 'newIpad' });
+            expect(checklistManager.getChecklist(id).items).toEqual(checklists.newIpad.items);
+            expect(checklistManager.isCustomChecklist('newIpad')).toBe(false);
+            expect(checklistManager.duplicateChecklist('missing')).toBeNull();
+        });
+
+        it('should keep the item ids when edited, so runs survive', () => {
+            const id = checklistManager.duplicateChecklist('newIpad');
+            stateManager.setChecklistProgress(id, 'encender-conectar-wifi', true);
+            const items = checklistManager.getChecklist(id).items;
+
+            checklistManager.saveCustomChecklist({
+                id,
+                title: 'Nuevo iPad del aula',
+                items: [{ ...items[1], text: 'Conectar a la WiFi del aula' }, items[0], { text: 'Etiquetar' }]
+            });
+
+            expect(checklistManager.getChecklist(id).items[0].id).toBe('encender-conectar-wifi');
+            expect(checklistManager.getProgress(id)).toMatchObject({ completed: 1, total: 3 });
+        });
+
+        it('should reorder the custom checklists', () => {
+            const first = checklistManager.saveCustomChecklist({ title: 'A', items: [{ text: 'a' }] });
+            const second = checklistManager.saveCustomChecklist({ title: 'B', items: [{ text: 'b' }] });
+
+            expect(checklistManager.moveCustomChecklist(second, -1)).toBe(true);
+            expect(checklistManager.moveCustomChecklist(second, -1)).toBe(false);
+            expect(Object.keys(checklistManager.getCustomChecklists())).toEqual([second, first]);
+        });
+
+        it('should delete a custom checklist with its runs', () => {
+            const id = checklistManager.saveCustomChecklist({ title: 'A', items: [{ text: 'a' }] });
+            stateManager.createChecklistRun(id, { name: 'Aula 1' });
+
+            expect(checklistManager.deleteCustomChecklist(id)).toBe(true);
+
+            expect(checklistManager.getChecklist(id)).toBeNull();
+            expect(stateManager.getChecklistRuns(id)).toEqual([]);
+            expect(stateManager.get(CUSTOM_CHECKLISTS_KEY, null)).toBeNull();
+            expect(checklistManager.deleteCustomChecklist(id)).toBe(false);
+        });
+
+        it('should escape the text of custom checklists', () => {
+            const id = checklistManager.saveCustomChecklist({
+                title: '<img src=x onerror=alert(1)>',
+                items: [{ text: '<b>tarea</b>' }]
+            });
+
+            checklistManager.open(id);
+
+            expect(document.querySelector('img')).toBeNull();
+            expect(document.querySelector('b')).toBeNull();
+        });
+
+        it('should escape item ids from imported data', () => {
+            const itemId = '"><img src=x onerror=alert(1)>';
+            const id = checklistManager.saveCustomChecklist({ title: 'Importada', items: [{ id: itemId, text: 'Tarea' }] });
+
+            checklistManager.open(id);
+
+            expect(document.querySelector('img')).toBeNull();
+            expect(document.querySelector('.checklist-item input').dataset.itemId).toBe(itemId);
+        });
+
+        it('should ignore imported checklists whose id was not generated here', () => {
+            const id = checklistManager.saveCustomChecklist({ title: 'A', items: [{ text: 'a' }] });
+            stateManager.set(CUSTOM_CHECKLISTS_KEY, [
+                ...stateManager.get(CUSTOM_CHECKLISTS_KEY),
+                { id: 'x"><img src=x onerror=alert(1)>', title: 'Importada', items: [{ id: 'a', text: 'a' }] }
+            ]);
+
+            expect(Object.keys(checklistManager.getCustomChecklists())).toEqual([id]);
+        });
+
+        it('should ignore progress of a checklist deleted while open', () => {
+            const id = checklistManager.saveCustomChecklist({ title: 'A', items: [{ text: 'a' }] });
+            checklistManager.open(id);
+            const itemId = document.querySelector('.checklist-item input').dataset.itemId;
+
+            // As another tab deleting it would leave this one
+            checklistManager.deleteCustomChecklist(id);
+
+            expect(() => toggleItem(itemId, true)).not.toThrow();
+            expect(stateManager.getChecklistRuns(id)).toEqual([]);
+        });
+    });
+
+    describe('through the modal sanitizer', () => {
+        let modal;
+
+        beforeEach(() => {
+            globalThis.DOMPurify = DOMPurify;
+            document.body.innerHTML = `
+                <div id="guideModal"><button id="modalClose"></button><div id="modalBody"></div></div>
+            `;
+            modal = new ModalManager({ eventBus });
+            modal.init();
+            checklistManager = new ChecklistManager({ eventBus, modalManager: modal, stateManager, checklists });
+            checklistManager.init();
+        });
+
+        afterEach(() => {
+            modal.hide();
+            delete globalThis.DOMPurify;
+        });
+
+        it('should keep the item ids so checking an item saves its progress', () => {
+            checklistManager.open('newIpad');
+
+            const checkbox = document.querySelector('#modalBody input[type="checkbox"]');
+            expect(checkbox.dataset.itemId).toBe('verificar-numero-serie');
+            expect(document.querySelector('#modalBody .checklist-note').dataset.itemId).toBe('verificar-numero-serie');
+
+            checkbox.click();
+
+            expect(stateManager.getChecklistRun('newIpad').items['verificar-numero-serie'].done).toBe(true);
+        });
+    });
+});
@@ -0,0 +1,118 @@
+/**
+ * @fileoverview Tests for the checklist run reports
+ * @module __tests__/features/ChecklistReport.test
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import {
+    buildChecklistReport,
+    formatDuration,
+    toCsv,
+    toMarkdown,
+    toPrintHtml
+} from '../../js/features/ChecklistReport.js';
+
+const checklist = {
+    title: 'Nuevo iPad',
+    estimatedTime: '15-20 min',
+    items: [
+        { id: 'verificar-numero-serie', text: 'Verificar numero de serie' },
+        { id: 'encender-conectar-wifi', text: 'Encender y conectar a WiFi' },
+        { id: 'etiquetar', text: 'Etiquetar | marcar' }
+    ]
+};
+
+const run = {
+    id: 'run-1',
+    name: 'DMPXK2ABCD',
+    assignee: 'Ana',
+    dueDate: '2026-09-08',
+    createdAt: '2026-09-01T08:00:00.000Z',
+    completedAt: null,
+    items: {
+        'verificar-numero-serie': { done: true, completedAt: '2026-09-01T08:05:00.000Z' },
+        'encender-conectar-wifi': { done: true, completedAt: '2026-09-01T08:23:00.000Z', note: 'Red "Aula; 3"' },
+        etiquetar: { done: false, completedAt: null, note: '<b>sin etiqueta</b>' }
+    }
+};
+
+const generatedAt = new Date('2026-09-02T10:00:00.000Z');
+
+describe('ChecklistReport', () => {
+    describe('buildChecklistReport', () => {
+        it('should list the tasks in checklist order with their state', () => {
+            const report = buildChecklistReport(checklist, run, generatedAt);
+
+            expect(report).toMatchObject({
+                title: 'Nuevo iPad',
+                runName: 'DMPXK2ABCD',
+                assignee: 'Ana',
+                estimatedTime: '15-20 min',
+                completed: 2,
+                total: 3,
+                generatedAt: '2026-09-02T10:00:00.000Z'
+            });
+            expect(report.items[2]).toEqual({
+                text: 'Etiquetar | marcar',
+                done: false,
+                completedAt: null,
+                note: '<b>sin etiqueta</b>'
+            });
+        });
+
+        it('should measure the actual time from the first to the last completed task', () => {
+            expect(buildChecklistReport(checklist, run).actualMs).toBe(18 * 60 * 1000);
+        });
+
+        it('should have no actual time without two completion dates', () => {
+            const report = buildChecklistReport(checklist, null);
+
+            expect(report).toMatchObject({ runName: 'Principal', completed: 0, actualMs: null });
+        });
+    });
+
+    describe('formatDuration', () => {
+        it('should format minutes, hours and days', () => {
+            expect(formatDuration(18 * 60 * 1000)).toBe('18 min');
+            expect(formatDuration(80 * 60 * 1000)).toBe('1 h 20 min');
+            expect(formatDuration(2 * 3600 * 1000)).toBe('2 h');
+            expect(formatDuration(51 * 3600 * 1000)).toBe('2 d 3 h');
+            expect(formatDuration(null)).toBe('Sin datos');
+        });
+    });
+
+    describe('toMarkdown', () => {
+        it('should include the summary and a table of tasks', () => {
+            const markdown = toMarkdown(buildChecklistReport(checklist, run, generatedAt));
+
+            expect(markdown).toContain('# Nuevo iPad - DMPXK2ABCD');
+            expect(markdown).toContain('- **Tiempo estimado:** 15-20 min');
+            expect(markdown).toContain('- **Tiempo real:** 18 min');
+            expect(markdown).toContain('| 3 | Etiquetar \\| marcar | Pendiente |  | <b>sin etiqueta</b> |');
+        });
+    });
+
+    describe('toCsv', () => {
+        it('should write one row per task and quote fields that need it', () => {
+            const lines = toCsv(buildChecklistReport(checklist, run)).trimEnd().split('\r\n');
+
+            expect(lines).toHaveLength(4);
+            expect(lines[0]).toBe('Checklist;Ejecucion;Responsable;Tarea;Estado;Completada;Nota');
+            expect(lines[2]).toBe(
+                'Nuevo iPad;DMPXK2ABCD;Ana;Encender y conectar a WiFi;Hecha;2026-09-01T08:23:00.000Z;"Red ""Aula; 3"""'
+            );
+        });
+    });
+
+    describe('toPrintHtml', () => {
+        it('should build a standalone page with escaped user text', () => {
+            const html = toPrintHtml(buildChecklistReport(checklist, run, generatedAt));
+
+            expect(html.startsWith('<!DOCTYPE html>')).toBe(true);
+            expect(html).toContain('<title>Nuevo iPad - DMPXK2ABCD</title>');
+            expect(html).toContain('&lt;b&gt;sin etiqueta&lt;/b&gt;');
+            expect(html).not.toContain('<b>sin etiqueta</b>');
+            expect(html).toContain('@media print');
+        });
+    });
+});
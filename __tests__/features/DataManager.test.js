@@ -0,0 +1,217 @@
+/**
+ * @fileoverview Tests for DataManager import of exported data
+ * @module __tests__/features/DataManager.test
+ */
+
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { DataManager } from '../../js/features/DataManager.js';
+import { StateManager } from '../../js/core/StateManager.js';
+import { EventBus, AppEvents } from '../../js/utils/EventBus.js';
+
+/**
+ * Creates an in-memory Storage stand-in
+ * @returns {Object} Storage with the Web Storage interface
+ */
+const createMemoryStorage = () => {
+    const store = new Map();
+    return {
+        getItem: (key) => store.get(key) ?? null,
+        setItem: (key, value) => store.set(key, String(value)),
+        removeItem: (key) => store.delete(key),
+        clear: () => store.clear(),
+        get length() { return store.size; },
+        key: (index) => Array.from(store.keys())[index] ?? null
+    };
+};
+
+/**
+ * Builds the contents of an export file
+ * @param {Object} [overrides] - Properties to replace
+ * @returns {string} JSON text
+ */
+const createExportFile = (overrides = {}) => JSON.stringify({
+    exportDate: '2026-09-01T10:00:00.000Z',
+    application: 'Jamf Assistant',
+    dataCount: 2,
+    data: {
+        jamf_schemaVersion: 1,
+        theme: 'dark',
+        'jamf_checklist-newIpad': { 'encender-conectar-wifi': true },
+        'jamf-api-settings': { provider: 'gemini' }
+    },
+    conversationCount: 0,
+    conversations: [],
+    ...overrides
+});
+
+describe('DataManager import', () => {
+    let eventBus;
+    let stateManager;
+    let modalManager;
+    let dataManager;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        document.body.innerHTML = '';
+
+        eventBus = new EventBus();
+        stateManager = new StateManager({ eventBus, storage: createMemoryStorage() });
+        modalManager = {
+            html: '',
+            show(html) {
+                this.html = html;
+                document.body.innerHTML = html;
+            },
+            hide() {
+                this.html = '';
+            }
+        };
+        dataManager = new DataManager({ eventBus, modalManager, stateManager });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('validateImportFile', () => {
+        it('should accept an export of this app', () => {
+            const result = dataManager.validateImportFile(createExportFile());
+
+            expect(result.valid).toBe(true);
+            expect(result.data.theme).toBe('dark');
+        });
+
+        it.each([
+            ['not JSON', '{oops', 'JSON valido'],
+            ['another app', createExportFile({ application: 'Other' }), 'Jamf Assistant'],
+            ['no data', createExportFile({ data: [] }), 'no contiene datos'],
+            ['a bad date', createExportFile({ exportDate: 'ayer' }), 'fecha']
+        ])('should reject %s', (_, text, message) => {
+            const result = dataManager.validateImportFile(text);
+
+            expect(result.valid).toBe(false);
+            expect(result.error).toContain(message);
+        });
+    });
+
+    describe('previewImport', () => {
+        it('should list the changes and mention what is not imported', async () => {
+            expect(await dataManager.previewImport(createExportFile())).toBe(true);
+
+            expect(modalManager.html).toContain('Preferencia de tema');
+            expect(modalManager.html).toContain('Progreso de la checklist &quot;newIpad&quot;');
+            expect(modalManager.html).toContain('No se importan las API Keys');
+            expect(stateManager.get('theme')).toBe('light');
+        });
+
+        it('should show an error for invalid files', async () => {
+            expect(await dataManager.previewImport('{}')).toBe(false);
+            expect(modalManager.html).toContain('No se puede importar');
+        });
+
+        it('should refresh the preview when the mode changes', async () => {
+            stateManager.set('sidebarCollapsed', true);
+            await dataManager.previewImport(createExportFile());
+            expect(modalManager.html).not.toContain('Se elimina');
+
+            const replace = document.querySelector('input[value="replace"]');
+            replace.checked = true;
+            replace.dispatchEvent(new Event('change'));
+
+            expect(modalManager.html).toContain('Se elimina');
+        });
+    });
+
+    describe('executeImport', () => {
+        it('should import the previewed data and emit DATA_IMPORTED', async () => {
+            const callback = jest.fn();
+            eventBus.on(AppEvents.DATA_IMPORTED, callback);
+            await dataManager.previewImport(createExportFile());
+
+            expect(await dataManager.executeImport('merge')).toBe(true);
+
+            expect(stateManager.get('theme')).toBe('dark');
+            expect(stateManager.getChecklistProgress('newIpad')).toEqual({ 'encender-conectar-wifi': true });
+            expect(callback).toHaveBeenCalledWith({ mode: 'merge', added: 2, changed: 0, removed: 0 });
+        });
+
+        it('should do nothing without a previewed file', async () => {
+            expect(await dataManager.executeImport()).toBe(false);
+        });
+    });
+});
+
+describe('DataManager answer feedback', () => {
+    let modalManager;
+    let feedbackStore;
+    let dataManager;
+
+    beforeEach(() => {
+        document.body.innerHTML = '';
+
+        modalManager = {
+            html: '',
+            show(html) {
+                this.html = html;
+                document.body.innerHTML = html;
+            },
+            hide() {
+                this.html = '';
+            }
+        };
+        feedbackStore = {
+            entries: [{
+                id: 'a1',
+                rating: 'wrong',
+                question: 'Donde creo una clase?',
+                answer: 'En Jamf',
+                comment: 'Es en ASM',
+                docs: [{ id: 'crear-clases', title: 'Crear clases', score: 0.8, searchType: 'hybrid' }],
+                createdAt: '2026-09-03T10:00:00.000Z',
+                updatedAt: '2026-09-03T10:00:00.000Z'
+            }],
+            async getAll() {
+                return this.entries;
+            },
+            async clearAll() {
+                this.entries = [];
+            }
+        };
+        const eventBus = new EventBus();
+        dataManager = new DataManager({
+            eventBus,
+            modalManager,
+            stateManager: new StateManager({ eventBus, storage: createMemoryStorage() }),
+            feedbackStore
+        });
+    });
+
+    it('should show the ratings per article and download them as CSV', async () => {
+        const downloads = [];
+        URL.createObjectURL = () => 'blob:feedback';
+        URL.revokeObjectURL = () => {};
+        jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function () {
+            downloads.push(this.download);
+        });
+
+        await dataManager.showAnswerFeedback();
+
+        expect(modalManager.html).toContain('1 respuestas valoradas');
+        expect(modalManager.html).toContain('Crear clases');
+        expect(modalManager.html).toContain('Es en ASM');
+
+        expect(await dataManager.exportAnswerFeedback('csv')).toBe(true);
+        expect(downloads[0]).toMatch(/^valoraciones-asistente-\d{4}-\d{2}-\d{2}\.csv$/);
+
+        HTMLAnchorElement.prototype.click.mockRestore();
+    });
+
+    it('should delete the ratings with the rest of the data', async () => {
+        jest.useFakeTimers();
+
+        await dataManager.executeDelete();
+
+        expect(feedbackStore.entries).toEqual([]);
+        jest.useRealTimers();
+    });
+});
@@ -0,0 +1,212 @@
+/**
+ * @fileoverview Tests for the declarative diagnostic flows
+ * @module __tests__/features/DiagnosticFlow.test
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import {
+    DIAGNOSTIC_FLOW_VERSION,
+    compileFlow,
+    compileFlows,
+    validateFlow,
+    validateFlows
+} from '../../js/features/DiagnosticFlow.js';
+
+/**
+ * Creates a valid flow
+ * @returns {Object} Flow with two steps and two solutions
+ */
+const createFlow = () => ({
+    title: 'La app Aula no funciona',
+    icon: 'ri-graduation-cap-line',
+    start: 'bluetooth',
+    steps: {
+        'misma-red': {
+            question: 'Misma red WiFi?',
+            options: [
+                { text: 'Si', solution: 'reiniciar' },
+                { text: 'No', solution: 'misma-red-wifi' }
+            ]
+        },
+        bluetooth: {
+            question: 'Bluetooth activado?',
+            options: [
+                { text: 'Si', next: 'misma-red' },
+                { text: 'No', solution: 'reiniciar' }
+            ]
+        }
+    },
+    solutions: {
+        reiniciar: { title: 'Reiniciar <Aula>', icon: 'ri-restart-line', content: ['<p>Cierra Aula.</p>', '<p>Abrela.</p>'] },
+        'misma-red-wifi': { title: 'Misma red', content: '<p>Conectate a la red del aula.</p>' }
+    }
+});
+
+/**
+ * Codes of the issues found in a flow
+ * @param {Object} flow - Flow to validate
+ * @returns {string[]} Issue codes
+ */
+const codes = (flow) => validateFlow(flow).map(issue => issue.code);
+
+describe('DiagnosticFlow', () => {
+    describe('validateFlow', () => {
+        it('should accept a correct flow', () => {
+            expect(validateFlow(createFlow())).toEqual([]);
+        });
+
+        it('should detect dead ends', () => {
+            const flow = createFlow();
+            flow.steps.bluetooth.options[1] = { text: 'No' };
+            flow.steps['misma-red'].options = [];
+
+            expect(codes(flow)).toEqual(['dead-end', 'dead-end', 'unused-solution', 'unused-solution']);
+            expect(validateFlow(flow)[0]).toMatchObject({ severity: 'error', stepId: 'misma-red' });
+        });
+
+        it('should detect answers that lead to missing steps or solutions', () => {
+            const flow = createFlow();
+            flow.steps.bluetooth.options[0].next = 'wifi';
+            flow.steps['misma-red'].options[1].solution = 'cambiar-red';
+
+            const issues = validateFlow(flow);
+
+            expect(issues.map(issue => issue.code)).toEqual(expect.arrayContaining(['unknown-step', 'missing-solution']));
+            expect(issues.find(issue => issue.code === 'missing-solution'))
+                .toMatchObject({ stepId: 'misma-red', solution: 'cambiar-red' });
+        });
+
+        it('should detect cycles', () => {
+            const flow = createFlow();
+            flow.steps['misma-red'].options[0] = { text: 'Si', next: 'bluetooth' };
+
+            const cycle = validateFlow(flow).find(issue => issue.code === 'cycle');
+
+            expect(cycle).toMatchObject({ severity: 'error', stepId: 'misma-red' });
+            expect(cycle.message).toContain('"bluetooth"');
+        });
+
+        it('should warn about unreachable steps and unused solutions', () => {
+            const flow = createFlow();
+            flow.steps.bluetooth.options[0] = { text: 'Si', solution: 'reiniciar' };
+
+            const issues = validateFlow(flow);
+
+            expect(issues).toEqual([
+                expect.objectContaining({ severity: 'warning', code: 'unreachable-step', stepId: 'misma-red' })
+            ]);
+        });
+
+        it('should reject a missing start, options with two targets and bad icons', () => {
+            const flow = createFlow();
+            flow.start = 'inicio';
+            flow.icon = '"><script>';
+            flow.solutions.reiniciar.icon = 'ri-restart-line" onmouseover="alert(1)';
+            flow.steps.bluetooth.options[1].next = 'misma-red';
+
+            expect(codes(flow)).toEqual(expect.arrayContaining(['missing-start', 'invalid-flow', 'invalid-solution', 'invalid-option']));
+        });
+
+        it('should not take inherited keys for steps', () => {
+            const flow = createFlow();
+            flow.steps.bluetooth.options[0].next = 'constructor';
+
+            expect(codes(flow)).toContain('unknown-step');
+        });
+
+        it('should reject keywords or docs that are not lists of texts', () => {
+            const flow = createFlow();
+            flow.keywords = 'aula no funciona';
+            flow.docs = ['aula-problemas', ''];
+
+            expect(codes(flow)).toEqual(['invalid-flow', 'invalid-flow']);
+        });
+
+        it('should reject flows without steps or solutions', () => {
+            expect(codes({ title: 'Sin pasos' })).toEqual(['invalid-flow']);
+            expect(codes(null)).toEqual(['invalid-flow']);
+        });
+    });
+
+    describe('validateFlows', () => {
+        it('should tag each issue with its diagnostic', () => {
+            const broken = createFlow();
+            broken.start = 'inicio';
+
+            const issues = validateFlows({ correcto: createFlow(), roto: broken });
+
+            expect(issues).toEqual([expect.objectContaining({ diagnosticId: 'roto', code: 'missing-start' })]);
+        });
+    });
+
+    describe('compileFlow', () => {
+        it('should list the steps with the first one first and keep their ids', () => {
+            const diagnostic = compileFlow(createFlow());
+
+            expect(diagnostic.steps.map(step => step.id)).toEqual(['bluetooth', 'misma-red']);
+            expect(diagnostic.steps[0].options[0]).toEqual({ text: 'Si', next: 'misma-red' });
+            expect(diagnostic.icon).toBe('<i class="ri-graduation-cap-line"></i>');
+        });
+
+        it('should build the solution titles and join content lines', () => {
+            const { solutions } = compileFlow(createFlow());
+
+            expect(solutions.reiniciar).toEqual({
+                title: '<i class="ri-restart-line"></i> Reiniciar &lt;Aula&gt;',
+                label: 'Reiniciar <Aula>',
+                content: '<p>Cierra Aula.</p>\n<p>Abrela.</p>'
+            });
+            expect(solutions['misma-red-wifi'].title).toBe('<i class="ri-lightbulb-line"></i> Misma red');
+        });
+
+        it('should escape the icon classes', () => {
+            const flow = createFlow();
+            flow.icon = '"><img src=x onerror=alert(1)>';
+            flow.solutions.reiniciar.icon = 'ri-restart-line" onmouseover="alert(1)';
+
+            const diagnostic = compileFlow(flow);
+
+            expect(diagnostic.icon).toBe('<i class="&quot;&gt;&lt;img src=x onerror=alert(1)&gt;"></i>');
+            expect(diagnostic.solutions.reiniciar.title).toContain('class="ri-restart-line&quot; onmouseover=&quot;alert(1)"');
+        });
+    });
+
+    describe('compileFlows', () => {
+        it('should leave out flows with errors but keep flows with warnings', () => {
+            const broken = createFlow();
+            broken.steps.bluetooth.options = [];
+            const unreachable = createFlow();
+            unreachable.steps.extra = { question: 'Extra?', options: [{ text: 'Si', solution: 'reiniciar' }] };
+
+            const { diagnostics, issues } = compileFlows({ roto: broken, aviso: unreachable });
+
+            expect(Object.keys(diagnostics)).toEqual(['aviso']);
+            expect(issues.map(issue => issue.diagnosticId)).toEqual(expect.arrayContaining(['roto', 'aviso']));
+        });
+    });
+
+    describe('data/diagnostics.json', () => {
+        const data = JSON.parse(readFileSync(join(process.cwd(), 'data', 'diagnostics.json'), 'utf-8'));
+
+        it('should use the current format', () => {
+            expect(data.version).toBe(DIAGNOSTIC_FLOW_VERSION);
+        });
+
+        it('should have no errors or warnings', () => {
+            expect(validateFlows(data.diagnostics)).toEqual([]);
+        });
+
+        it('should only point to articles of docs.json', () => {
+            const docs = JSON.parse(readFileSync(join(process.cwd(), 'data', 'docs.json'), 'utf-8'));
+            const articleIds = new Set(docs.articles.map(article => article.id));
+
+            const unknown = Object.values(data.diagnostics)
+                .flatMap(flow => flow.docs || [])
+                .filter(docId => !articleIds.has(docId));
+
+            expect(unknown).toEqual([]);
+        });
+    });
+});
@@ -0,0 +1,67 @@
+/**
+ * @fileoverview Tests for matching chatbot questions with diagnostics
+ * @module __tests__/features/DiagnosticMatcher.test
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import { matchDiagnostics } from '../../js/features/DiagnosticMatcher.js';
+
+const diagnostics = {
+    'apps-not-installing': {
+        title: 'Las apps no se instalan',
+        keywords: ['app no se instala', 'licencias vpp'],
+        docs: ['apps-no-instalan']
+    },
+    'device-not-visible': {
+        title: 'Dispositivo no visible en Classroom',
+        keywords: ['alumno no aparece'],
+        docs: ['aula-problemas', 'wifi-problemas']
+    },
+    'activation-lock': {
+        title: 'Bloqueo de activacion',
+        keywords: ['bloqueo de activacion']
+    }
+};
+
+describe('DiagnosticMatcher', () => {
+    it('should find the diagnostics whose keywords are in the question', () => {
+        expect(matchDiagnostics(diagnostics, { query: 'Las apps no se instalan en los iPad' })).toEqual([
+            { id: 'apps-not-installing', title: 'Las apps no se instalan', score: 2 }
+        ]);
+        expect(matchDiagnostics(diagnostics, { query: 'Los alumnos no aparecen en Aula' })[0].id)
+            .toBe('device-not-visible');
+    });
+
+    it('should need every word of a keyword phrase', () => {
+        expect(matchDiagnostics(diagnostics, { query: 'Como compro licencias?' })).toEqual([]);
+        expect(matchDiagnostics(diagnostics, { query: 'Como creo una clase en ASM?' })).toEqual([]);
+    });
+
+    it('should find the diagnostics of the first documents retrieved', () => {
+        const matches = matchDiagnostics(diagnostics, {
+            query: 'no se ven',
+            docIds: ['wifi-problemas', 'ecosistema-apple', 'apps-no-instalan']
+        });
+
+        expect(matches).toEqual([{ id: 'device-not-visible', title: 'Dispositivo no visible en Classroom', score: 3 }]);
+    });
+
+    it('should rank by the points of keywords and documents', () => {
+        const matches = matchDiagnostics(diagnostics, {
+            query: 'el alumno no aparece y la app no se instala',
+            docIds: ['aula-problemas']
+        }, { limit: 3 });
+
+        expect(matches.map(match => [match.id, match.score])).toEqual([
+            ['device-not-visible', 5],
+            ['apps-not-installing', 2]
+        ]);
+    });
+
+    it('should respect the limit and work without diagnostics', () => {
+        expect(matchDiagnostics(diagnostics, {
+            query: 'el alumno no aparece, la app no se instala y hay bloqueo de activacion'
+        })).toHaveLength(2);
+        expect(matchDiagnostics(null, { query: 'bloqueo de activacion' })).toEqual([]);
+    });
+});
@@ -0,0 +1,80 @@
+/**
+ * @fileoverview Tests for the diagnostic session summaries
+ * @module __tests__/features/DiagnosticTranscript.test
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import {
+    toAssistantQuestion,
+    toJsonFile,
+    toMailtoUrl,
+    toSubject,
+    toSummaryText
+} from '../../js/features/DiagnosticTranscript.js';
+
+const transcript = {
+    diagnosticId: 'aula-no-funciona',
+    title: 'La app Aula no funciona',
+    startedAt: '2026-09-01T08:00:00.000Z',
+    steps: [
+        { stepId: 'bluetooth', question: 'Bluetooth activado?', answer: 'Si', answeredAt: '2026-09-01T08:00:10.000Z' },
+        { stepId: 'misma-red', question: 'Misma red WiFi?', answer: 'No', answeredAt: '2026-09-01T08:00:30.000Z' }
+    ],
+    solution: { key: 'misma-red-wifi', title: 'Conectarse a la misma red', shownAt: '2026-09-01T08:00:31.000Z' },
+    outcome: 'not-solved',
+    outcomeAt: '2026-09-01T08:05:00.000Z'
+};
+
+describe('DiagnosticTranscript', () => {
+    describe('toSummaryText', () => {
+        it('should list the answers in order with the solution and the outcome', () => {
+            const text = toSummaryText(transcript);
+
+            expect(text).toContain('Diagnostico: La app Aula no funciona');
+            expect(text).toContain('Resultado: No resuelto');
+            expect(text).toMatch(/1\. Bluetooth activado\? -> Si \(/);
+            expect(text).toMatch(/2\. Misma red WiFi\? -> No \(/);
+            expect(text).toContain('Solucion mostrada: Conectarse a la misma red');
+        });
+
+        it('should say when the solution was opened directly', () => {
+            const text = toSummaryText({ ...transcript, steps: [], outcome: null });
+
+            expect(text).toContain('(se abrio la solucion directamente)');
+            expect(text).toContain('Resultado: Sin indicar');
+        });
+    });
+
+    describe('toMailtoUrl', () => {
+        it('should encode the subject and the summary', () => {
+            const url = toMailtoUrl(transcript, { to: 'soporte@colegio.es' });
+
+            expect(url.startsWith('mailto:soporte%40colegio.es?subject=')).toBe(true);
+            expect(decodeURIComponent(url.split('subject=')[1].split('&')[0])).toBe(toSubject(transcript));
+            expect(decodeURIComponent(url.split('body=')[1])).toBe(toSummaryText(transcript));
+        });
+    });
+
+    describe('toAssistantQuestion', () => {
+        it('should say which diagnostic and solution did not help', () => {
+            expect(toAssistantQuestion(transcript)).toBe(
+                'He hecho el diagnostico "La app Aula no funciona" y he probado "Conectarse a la misma red", ' +
+                'pero el problema sigue. Que mas puedo probar?'
+            );
+        });
+    });
+
+    describe('toJsonFile', () => {
+        it('should name the file after the diagnostic and keep the whole transcript', () => {
+            const file = toJsonFile(transcript, new Date('2026-09-02T10:00:00.000Z'));
+
+            expect(file.filename).toBe('diagnostico-aula-no-funciona-2026-09-02.json');
+            expect(file.mimeType).toBe('application/json');
+            expect(JSON.parse(file.content)).toMatchObject({
+                exportedAt: '2026-09-02T10:00:00.000Z',
+                steps: transcript.steps,
+                outcome: 'not-solved'
+            });
+        });
+    });
+});
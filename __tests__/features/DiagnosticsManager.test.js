@@ -0,0 +1,437 @@
+/**
+ * @fileoverview Tests for DiagnosticsManager flow loading, navigation, history and transcripts
+ * @module __tests__/features/DiagnosticsManager.test
+ */
+
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { DiagnosticsManager } from '../../js/features/DiagnosticsManager.js';
+import { NavigationManager } from '../../js/core/NavigationManager.js';
+import { StateManager } from '../../js/core/StateManager.js';
+import { EventBus, AppEvents } from '../../js/utils/EventBus.js';
+
+/**
+ * Creates the flows of the tests
+ * @returns {Object} Flows by diagnostic id
+ */
+const createFlows = () => ({
+    'aula-no-funciona': {
+        title: 'La app Aula no funciona',
+        icon: 'ri-graduation-cap-line',
+        start: 'bluetooth',
+        steps: {
+            bluetooth: {
+                question: 'Bluetooth activado?',
+                options: [
+                    { text: 'Si', next: 'misma-red' },
+                    { text: 'No', solution: 'activar-bluetooth' }
+                ]
+            },
+            'misma-red': {
+                question: 'Misma red <WiFi>?',
+                options: [
+                    { text: 'Si', solution: 'activar-bluetooth' },
+                    { text: 'No', solution: 'misma-red-wifi' }
+                ]
+            }
+        },
+        solutions: {
+            'activar-bluetooth': { title: 'Activar Bluetooth', content: ['<p>Abre Ajustes.</p>'] },
+            'misma-red-wifi': { title: 'Misma red', content: ['<p>Cambia de red.</p>'] }
+        }
+    }
+});
+
+describe('DiagnosticsManager', () => {
+    let eventBus;
+    let modalManager;
+    let diagnosticsManager;
+
+    /**
+     * Clicks an answer of the wizard, as ModalManager reports it
+     * @param {string} text - Answer text
+     */
+    const answer = (text) => {
+        const button = Array.from(document.querySelectorAll('.wizard-option'))
+            .find(option => option.textContent.trim() === text);
+        eventBus.emit('modal:wizardOptionClicked', {
+            index: Number(button.dataset.idx),
+            next: button.dataset.next || null,
+            solution: button.dataset.solution || null
+        });
+    };
+
+    beforeEach(() => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        document.body.innerHTML = '';
+
+        eventBus = new EventBus();
+        modalManager = {
+            show(html) {
+                document.body.innerHTML = html;
+                eventBus.emit(AppEvents.MODAL_OPENED, { content: html });
+            },
+            hide() {},
+            isVisible: () => true
+        };
+        diagnosticsManager = new DiagnosticsManager({ eventBus, modalManager, diagnostics: createFlows() });
+        diagnosticsManager.init();
+    });
+
+    afterEach(() => {
+        // The managers of earlier tests keep listening to the keys of the page
+        modalManager.isVisible = () => false;
+        jest.restoreAllMocks();
+        delete global.fetch;
+    });
+
+    it('should follow the answers by step id', () => {
+        const steps = [];
+        eventBus.on(AppEvents.DIAGNOSTIC_STEP_CHANGED, (data) => steps.push(data));
+
+        diagnosticsManager.start('aula-no-funciona');
+        answer('Si');
+
+        expect(steps).toEqual([
+            { id: 'aula-no-funciona', step: 1, stepId: 'misma-red', totalSteps: 2, direction: 'forward', depth: 1 }
+        ]);
+        expect(document.querySelector('.wizard-progress').textContent).toContain('Paso 2 de 2');
+        expect(diagnosticsManager.isInProgress()).toBe(true);
+
+        answer('No');
+
+        expect(document.querySelector('.solution-box h3').textContent).toContain('Misma red');
+        expect(diagnosticsManager.isInProgress()).toBe(false);
+    });
+
+    it('should escape the text of the flows', () => {
+        diagnosticsManager.start('aula-no-funciona');
+        diagnosticsManager.goToStep('misma-red');
+
+        expect(document.querySelector('h3').textContent).toBe('Misma red <WiFi>?');
+        expect(diagnosticsManager.getCurrentState()).toMatchObject({ step: 1, stepId: 'misma-red' });
+    });
+
+    it('should go to a step by position, as in the URL', () => {
+        diagnosticsManager.start('aula-no-funciona');
+
+        expect(diagnosticsManager.goToStep(1)).toBe(true);
+        expect(diagnosticsManager.getCurrentState().stepId).toBe('misma-red');
+        expect(diagnosticsManager.goToStep(5)).toBe(false);
+        expect(diagnosticsManager.goToStep('wifi')).toBe(false);
+    });
+
+    it('should leave out flows with errors and log why', () => {
+        const flows = createFlows();
+        flows.roto = { ...flows['aula-no-funciona'], start: 'inicio' };
+
+        diagnosticsManager.diagnostics = flows;
+
+        expect(diagnosticsManager.getAvailableDiagnostics()).toEqual(['aula-no-funciona']);
+        expect(console.error).toHaveBeenCalledWith(expect.stringContaining('roto'));
+        expect(diagnosticsManager.start('roto')).toBe(false);
+    });
+
+    it('should load the flows file', async () => {
+        global.fetch = jest.fn(async () => ({
+            ok: true,
+            json: async () => ({ version: 1, diagnostics: createFlows() })
+        }));
+        const manager = new DiagnosticsManager({ eventBus, modalManager });
+
+        expect(await manager.loadFlows()).toBe(1);
+        expect(global.fetch).toHaveBeenCalledWith('data/diagnostics.json');
+        expect(manager.getDiagnostics()['aula-no-funciona'].steps[0].id).toBe('bluetooth');
+    });
+
+    it('should reject files of another format version', async () => {
+        global.fetch = async () => ({ ok: true, json: async () => ({ version: 2, diagnostics: createFlows() }) });
+        const manager = new DiagnosticsManager({ eventBus, modalManager });
+
+        expect(await manager.loadFlows()).toBe(0);
+        expect(manager.getAvailableDiagnostics()).toEqual([]);
+    });
+
+    describe('transcript', () => {
+        it('should record the answers and the solution shown', () => {
+            diagnosticsManager.start('aula-no-funciona');
+            answer('Si');
+            answer('No');
+
+            const transcript = diagnosticsManager.getTranscript();
+            expect(transcript).toMatchObject({
+                diagnosticId: 'aula-no-funciona',
+                title: 'La app Aula no funciona',
+                solution: { key: 'misma-red-wifi', title: 'Misma red' },
+                outcome: null
+            });
+            expect(transcript.steps.map(step => [step.stepId, step.answer])).toEqual([['bluetooth', 'Si'], ['misma-red', 'No']]);
+            expect(transcript.steps[0].question).toBe('Bluetooth activado?');
+        });
+
+        it('should tell apart answers that lead to the same place', () => {
+            diagnosticsManager.start('aula-no-funciona');
+            answer('Si');
+            eventBus.emit('modal:wizardOptionClicked', { index: 0, next: null, solution: 'activar-bluetooth' });
+
+            expect(diagnosticsManager.getTranscript().steps[1].answer).toBe('Si');
+        });
+
+        it('should start a new transcript when restarting', () => {
+            diagnosticsManager.start('aula-no-funciona');
+            answer('No');
+
+            eventBus.emit('modal:diagnosticRestart');
+
+            expect(diagnosticsManager.getTranscript()).toMatchObject({ steps: [], solution: null });
+        });
+
+        it('should show the summary for IT when the solution did not help', () => {
+            const outcomes = [];
+            eventBus.on(AppEvents.DIAGNOSTIC_OUTCOME, (data) => outcomes.push(data));
+            diagnosticsManager.start('aula-no-funciona');
+            answer('No');
+
+            document.getElementById('diagNotSolved').click();
+
+            expect(outcomes).toEqual([{ id: 'aula-no-funciona', solution: 'activar-bluetooth', solved: false }]);
+            expect(document.querySelector('.diagnostic-summary').textContent).toContain('Resultado: No resuelto');
+            expect(document.getElementById('mailDiagSummary').getAttribute('href')).toMatch(/^mailto:\?subject=/);
+            expect(document.getElementById('diagSolved')).toBeNull();
+        });
+
+        it('should hand an unsolved session over to the assistant', () => {
+            const requests = [];
+            eventBus.on(AppEvents.DIAGNOSTIC_ASSISTANT_REQUESTED, (data) => requests.push(data));
+            diagnosticsManager.start('aula-no-funciona');
+            answer('No');
+
+            expect(diagnosticsManager.askAssistant()).toBe(true);
+            diagnosticsManager.setOutcome(true);
+            expect(document.getElementById('askAssistantDiag')).toBeNull();
+
+            diagnosticsManager.setOutcome(false);
+            document.getElementById('askAssistantDiag').click();
+
+            expect(requests).toHaveLength(2);
+            expect(requests[1]).toMatchObject({
+                id: 'aula-no-funciona',
+                title: 'La app Aula no funciona',
+                question: expect.stringContaining('"Activar Bluetooth"')
+            });
+            expect(requests[1].summary).toContain('Resultado: No resuelto');
+        });
+
+        it('should only mark the outcome once a solution is shown', () => {
+            diagnosticsManager.start('aula-no-funciona');
+
+            expect(diagnosticsManager.setOutcome(true)).toBe(false);
+        });
+
+        it('should copy the summary to the clipboard', async () => {
+            const writeText = jest.fn(async () => {});
+            Object.defineProperty(window.navigator, 'clipboard', { value: { writeText }, configurable: true });
+            diagnosticsManager.openSolution('aula-no-funciona', 'misma-red-wifi');
+            diagnosticsManager.setOutcome(true);
+
+            expect(await diagnosticsManager.copySummary()).toBe(true);
+            expect(writeText).toHaveBeenCalledWith(expect.stringContaining('Resultado: Resuelto'));
+
+            delete window.navigator.clipboard;
+        });
+
+        it('should download the transcript as JSON', () => {
+            URL.createObjectURL = () => 'blob:transcript';
+            URL.revokeObjectURL = () => {};
+            const downloads = [];
+            jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function () {
+                downloads.push(this.download);
+            });
+            diagnosticsManager.openSolution('aula-no-funciona', 'misma-red-wifi');
+            diagnosticsManager.setOutcome(false);
+
+            document.getElementById('downloadDiagSummary').click();
+
+            expect(downloads).toEqual([expect.stringMatching(/^diagnostico-aula-no-funciona-.*\.json$/)]);
+        });
+    });
+
+    describe('history', () => {
+        /**
+         * Presses a key in the page
+         * @param {string} key - Key
+         * @returns {KeyboardEvent} Event dispatched
+         */
+        const press = (key) => {
+            const event = new KeyboardEvent('keydown', { key, cancelable: true });
+            document.dispatchEvent(event);
+            return event;
+        };
+
+        it('should go back to the previous question and forget the answer', () => {
+            const steps = [];
+            eventBus.on(AppEvents.DIAGNOSTIC_STEP_CHANGED, (data) => steps.push(data));
+            diagnosticsManager.start('aula-no-funciona');
+            answer('Si');
+
+            expect(diagnosticsManager.back()).toBe(true);
+
+            expect(diagnosticsManager.getCurrentState().stepId).toBe('bluetooth');
+            expect(diagnosticsManager.getHistory()).toEqual([]);
+            expect(diagnosticsManager.getTranscript().steps).toEqual([]);
+            expect(steps[1]).toEqual({
+                id: 'aula-no-funciona', step: 0, stepId: 'bluetooth', totalSteps: 2, direction: 'back', depth: 0
+            });
+            expect(diagnosticsManager.back()).toBe(false);
+        });
+
+        it('should go back from a solution to the last question', () => {
+            diagnosticsManager.start('aula-no-funciona');
+            answer('Si');
+            answer('No');
+
+            eventBus.emit('modal:diagnosticBack', { index: null });
+
+            expect(diagnosticsManager.getCurrentState().stepId).toBe('misma-red');
+            expect(diagnosticsManager.getTranscript()).toMatchObject({ solution: null, steps: [{ answer: 'Si' }] });
+            expect(diagnosticsManager.isInProgress()).toBe(true);
+        });
+
+        it('should show the answers given in a breadcrumb that goes back to them', () => {
+            diagnosticsManager.start('aula-no-funciona');
+
+            expect(document.querySelector('.wizard-breadcrumb')).toBeNull();
+            expect(document.getElementById('backDiag')).toBeNull();
+
+            answer('Si');
+            const crumbs = document.querySelectorAll('.wizard-crumb');
+
+            expect(crumbs).toHaveLength(1);
+            expect(crumbs[0].textContent).toContain('Bluetooth activado?');
+            expect(crumbs[0].querySelector('strong').textContent).toBe('Si');
+            expect(document.getElementById('backDiag')).not.toBeNull();
+
+            eventBus.emit('modal:diagnosticBack', { index: 0 });
+
+            expect(diagnosticsManager.getCurrentState().stepId).toBe('bluetooth');
+        });
+
+        it('should drop the later answers when a step of the history is opened', () => {
+            diagnosticsManager.start('aula-no-funciona');
+            answer('Si');
+            answer('No');
+
+            expect(diagnosticsManager.goToStep('bluetooth')).toBe(true);
+            expect(diagnosticsManager.getHistory()).toEqual([]);
+        });
+
+        it('should start a new history when restarting', () => {
+            diagnosticsManager.start('aula-no-funciona');
+            answer('Si');
+
+            eventBus.emit('modal:diagnosticRestart');
+
+            expect(diagnosticsManager.canGoBack()).toBe(false);
+        });
+
+        it('should keep the earlier answers when the browser goes back to a step', async () => {
+            const listeners = [];
+            const entries = [''];
+            const fakeWindow = {
+                location: { hash: '' },
+                history: {
+                    pushState: (state, title, url) => {
+                        entries.push(url);
+                        fakeWindow.location.hash = url;
+                    },
+                    replaceState: (state, title, url) => {
+                        entries[entries.length - 1] = url;
+                        fakeWindow.location.hash = url;
+                    }
+                },
+                addEventListener: (type, listener) => {
+                    if (type === 'popstate') listeners.push(listener);
+                }
+            };
+            const store = new Map();
+            const stateManager = new StateManager({
+                eventBus,
+                storage: { getItem: (key) => store.get(key) ?? null, setItem: (key, value) => store.set(key, value), removeItem: (key) => store.delete(key) }
+            });
+            new NavigationManager({ eventBus, stateManager, window: fakeWindow }).init();
+            // As the app coordinator does
+            eventBus.on(AppEvents.ROUTE_CHANGED, ({ route }) => diagnosticsManager.openRoute(route));
+
+            diagnosticsManager.start('aula-no-funciona');
+            answer('Si');
+            answer('No');
+
+            entries.pop();
+            fakeWindow.location.hash = entries[entries.length - 1];
+            listeners.forEach(listener => listener());
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            expect(fakeWindow.location.hash).toBe('#/diagnostico/aula-no-funciona/paso/2');
+            expect(diagnosticsManager.getCurrentState().stepId).toBe('misma-red');
+            expect(diagnosticsManager.getHistory()).toEqual([
+                { stepId: 'bluetooth', question: 'Bluetooth activado?', answer: 'Si' }
+            ]);
+            expect(diagnosticsManager.getTranscript().steps).toHaveLength(1);
+            expect(diagnosticsManager.getTranscript().solution).toBeNull();
+        });
+
+        it('should answer with the number keys and go back with Backspace', () => {
+            diagnosticsManager.start('aula-no-funciona');
+
+            press('1');
+            expect(diagnosticsManager.getHistory()).toEqual([
+                { stepId: 'bluetooth', question: 'Bluetooth activado?', answer: 'Si' }
+            ]);
+
+            press('2');
+            expect(document.querySelector('.solution-box h3').textContent).toContain('Misma red');
+
+            press('1');
+            expect(diagnosticsManager.getTranscript().solution.key).toBe('misma-red-wifi');
+
+            expect(press('Backspace').defaultPrevented).toBe(true);
+            expect(diagnosticsManager.getCurrentState().stepId).toBe('misma-red');
+        });
+
+        it('should ignore the keys while typing or with the modal closed', () => {
+            diagnosticsManager.start('aula-no-funciona');
+            const input = document.createElement('input');
+            document.body.appendChild(input);
+
+            input.dispatchEvent(new KeyboardEvent('keydown', { key: '1', bubbles: true }));
+            expect(diagnosticsManager.getHistory()).toEqual([]);
+
+            modalManager.isVisible = () => false;
+            press('1');
+            expect(diagnosticsManager.getHistory()).toEqual([]);
+        });
+
+        it('should ignore the keys once other content is shown in the modal', () => {
+            const checklistHtml = '<h2>Nuevo iPad</h2><div class="checklist-items"></div>';
+            diagnosticsManager.start('aula-no-funciona');
+            answer('Si');
+
+            // Closed, then a checklist opened
+            eventBus.emit(AppEvents.MODAL_CLOSED);
+            modalManager.show(checklistHtml);
+
+            expect(press('1').defaultPrevented).toBe(false);
+            expect(press('Backspace').defaultPrevented).toBe(false);
+            expect(diagnosticsManager.getHistory()).toHaveLength(1);
+            expect(document.body.innerHTML).toBe(checklistHtml);
+
+            // A guide opened over the wizard without closing it
+            diagnosticsManager.back();
+            modalManager.show('<h2>Guia</h2>');
+
+            press('1');
+            expect(diagnosticsManager.getHistory()).toEqual([]);
+            expect(document.querySelector('.wizard-option')).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,83 @@
+/**
+ * @fileoverview Tests for the answer feedback report
+ * @module __tests__/features/FeedbackReport.test
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import { aggregateFeedback, toCsv, toCsvFile, toJsonFile } from '../../js/features/FeedbackReport.js';
+
+const clases = { id: 'crear-clases', title: 'Crear clases', score: 0.8, searchType: 'hybrid' };
+const aula = { id: 'aula-problemas', title: 'Problemas con Aula', score: 0.4, searchType: 'hybrid' };
+
+const entries = [
+    {
+        id: 'a3', rating: 'wrong', question: 'Donde creo una clase?', answer: '...', comment: 'Dice que en Jamf; es en ASM',
+        docs: [clases], createdAt: '2026-09-03T10:00:00.000Z', updatedAt: '2026-09-03T10:00:00.000Z'
+    },
+    {
+        id: 'a2', rating: 'down', question: 'Como creo una clase?', answer: '...', comment: '',
+        docs: [{ ...clases, score: 0.6 }, aula], createdAt: '2026-09-02T10:00:00.000Z', updatedAt: '2026-09-02T10:00:00.000Z'
+    },
+    {
+        id: 'a1', rating: 'up', question: 'Aula no ve los iPads', answer: '...', comment: '',
+        docs: [aula], createdAt: '2026-09-01T10:00:00.000Z', updatedAt: '2026-09-01T10:00:00.000Z'
+    }
+];
+
+describe('FeedbackReport', () => {
+    describe('aggregateFeedback', () => {
+        it('should count each rating for every article in its context', () => {
+            const summary = aggregateFeedback(entries);
+
+            expect(summary).toMatchObject({ total: 3, up: 1, down: 1, wrong: 1 });
+            expect(summary.articles.map(a => a.docId)).toEqual(['crear-clases', 'aula-problemas']);
+            expect(summary.articles[0]).toMatchObject({
+                title: 'Crear clases',
+                up: 0,
+                down: 1,
+                wrong: 1,
+                total: 2,
+                negativeRate: 1,
+                lastRatedAt: '2026-09-03T10:00:00.000Z',
+                negativeQuestions: ['Donde creo una clase?', 'Como creo una clase?'],
+                comments: ['Dice que en Jamf; es en ASM']
+            });
+            expect(summary.articles[0].averageScore).toBeCloseTo(0.7);
+            expect(summary.articles[1]).toMatchObject({ up: 1, down: 1, total: 2, negativeRate: 0.5 });
+        });
+
+        it('should handle no ratings', () => {
+            expect(aggregateFeedback([])).toEqual({ total: 0, up: 0, down: 0, wrong: 0, articles: [] });
+        });
+    });
+
+    describe('toCsv', () => {
+        it('should list one row per article and quote fields with separators', () => {
+            const lines = toCsv(aggregateFeedback(entries)).trim().split('\r\n');
+
+            expect(lines).toHaveLength(3);
+            expect(lines[0].startsWith('Articulo;Titulo;Utiles;No utiles;Incorrectas;Total;Negativas')).toBe(true);
+            expect(lines[1]).toBe(
+                'crear-clases;Crear clases;0;1;1;2;100%;70%;2026-09-03T10:00:00.000Z;' +
+                'Donde creo una clase? | Como creo una clase?;"Dice que en Jamf; es en ASM"'
+            );
+        });
+    });
+
+    describe('files', () => {
+        it('should name the files after the export date', () => {
+            const now = new Date('2026-09-04T08:00:00.000Z');
+
+            const json = toJsonFile(entries, now);
+            expect(json.filename).toBe('valoraciones-asistente-2026-09-04.json');
+            expect(JSON.parse(json.content)).toMatchObject({
+                exportedAt: '2026-09-04T08:00:00.000Z',
+                summary: { total: 3 },
+                entries: [{ id: 'a3' }, { id: 'a2' }, { id: 'a1' }]
+            });
+
+            const csv = toCsvFile(entries, now);
+            expect(csv).toMatchObject({ filename: 'valoraciones-asistente-2026-09-04.csv', mimeType: 'text/csv' });
+        });
+    });
+});
@@ -613,4 +613,221 @@ describe('SearchEngine', () => {
             });
         });
     });
+
+    describe('unified sources', () => {
+        let unified;
+
+        beforeEach(() => {
+            unified = new SearchEngine({
+                eventBus,
+                knowledgeBase: {
+                    ...mockKnowledgeBase,
+                    teacher: {
+                        setup: { title: 'Jamf Teacher', content: '<p>Los <strong>profesores</strong> gestionan sus clases</p>', tag: 'Profesores' }
+                    },
+                    ecosistema: {
+                        asm: { title: 'Apple School Manager', content: '<h2>ASM</h2><p>Aqui se crean los usuarios y las clases</p>' }
+                    },
+                    checklists: {
+                        newIpad: {
+                            title: 'Nuevo iPad',
+                            icon: '<i class="ri-smartphone-line"></i>',
+                            category: 'Dispositivos',
+                            items: [{ text: 'Etiquetar dispositivo con numero de inventario' }]
+                        }
+                    }
+                },
+                diagnostics: {
+                    'aula-no-funciona': {
+                        title: 'La app Aula no funciona',
+                        steps: [{ question: '¿Tienes el Bluetooth activado?', options: [{ text: 'Si', next: 1 }] }],
+                        solutions: {
+                            'activar-bluetooth': {
+                                title: '<i class="ri-bluetooth-connect-line"></i> Activar Bluetooth',
+                                content: '<p>Abre <strong>Ajustes</strong> y activa el Bluetooth.</p>'
+                            }
+                        }
+                    }
+                },
+                articles: [{
+                    id: 'bloqueo-activacion',
+                    title: 'Bloqueo de activación',
+                    category: 'Seguridad',
+                    keywords: ['bypass'],
+                    content: 'Usa el código bypass de Jamf para quitar el bloqueo de activación.'
+                }],
+                document: mockDocument
+            });
+        });
+
+        it('should search Teacher and Ecosistema guides', () => {
+            expect(unified.search('profesores')[0]).toMatchObject({ type: 'guide', id: 'teacher-setup', category: 'Jamf Teacher' });
+            expect(unified.search('usuarios')[0]).toMatchObject({ type: 'guide', id: 'ecosistema-asm', category: 'Ecosistema' });
+        });
+
+        it('should search checklist items', () => {
+            expect(unified.search('inventario')[0]).toMatchObject({ type: 'checklist', id: 'newIpad', category: 'Checklists' });
+        });
+
+        it('should search diagnostic questions and solutions', () => {
+            const results = unified.search('bluetooth');
+            const solution = results.find(r => r.type === 'solution');
+
+            expect(results.some(r => r.type === 'diagnostic' && r.id === 'aula-no-funciona')).toBe(true);
+            expect(solution).toMatchObject({
+                id: 'aula-no-funciona/activar-bluetooth',
+                title: 'Activar Bluetooth',
+                icon: '<i class="ri-bluetooth-connect-line"></i>',
+                category: 'La app Aula no funciona'
+            });
+        });
+
+        it('should search docs.json articles ignoring accents', () => {
+            expect(unified.search('codigo activacion')[0]).toMatchObject({ type: 'article', id: 'bloqueo-activacion' });
+        });
+
+        it('should rank title matches above content matches', () => {
+            const results = unified.search('wifi');
+            expect(results[0].title).toMatch(/WiFi/);
+            expect(results[0].score).toBe(1);
+        });
+
+        it('should filter by type', () => {
+            const results = unified.search('bluetooth', { types: ['solution'] });
+            expect(results.length).toBeGreaterThan(0);
+            expect(results.every(r => r.type === 'solution')).toBe(true);
+        });
+
+        it('should limit results', () => {
+            expect(unified.search('ipad', { limit: 2 })).toHaveLength(2);
+        });
+
+        it('should return a snippet around the first match', () => {
+            const [result] = unified.search('inventario');
+            expect(result.snippet).toContain('numero de inventario');
+            expect(result.matchedTerms).toHaveLength(1);
+        });
+
+        it('should strip HTML from indexed content', () => {
+            const [result] = unified.search('profesores');
+            expect(result.snippet).not.toMatch(/<|>/);
+        });
+
+        it('should reindex when a source is replaced', () => {
+            unified.articles = [{ id: 'proxy', title: 'Proxy del centro', content: 'Configurar el proxy' }];
+
+            expect(unified.search('bypass')).toEqual([]);
+            expect(unified.search('proxy')[0]).toMatchObject({ type: 'article', id: 'proxy' });
+            expect(unified.getArticle('proxy').title).toBe('Proxy del centro');
+        });
+    });
+
+    describe('loadArticles', () => {
+        afterEach(() => {
+            delete global.fetch;
+        });
+
+        it('should load and index docs.json articles', async () => {
+            global.fetch = async () => ({
+                ok: true,
+                json: async () => ({ articles: [{ id: 'red', title: 'Red del centro', content: 'Proxy y WiFi' }] })
+            });
+
+            expect(await searchEngine.loadArticles()).toBe(1);
+            expect(searchEngine.search('proxy')[0]).toMatchObject({ type: 'article', id: 'red' });
+        });
+
+        it('should keep searching guides when docs.json cannot be loaded', async () => {
+            const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+            global.fetch = async () => ({ ok: false, status: 404 });
+
+            expect(await searchEngine.loadArticles()).toBe(0);
+            expect(searchEngine.search('ipad').length).toBeGreaterThan(0);
+            expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining('docs.json'), expect.any(String));
+
+            warnSpy.mockRestore();
+        });
+    });
+
+    describe('search overlay', () => {
+        let input;
+        let overlay;
+        let resultsEl;
+
+        beforeEach(() => {
+            jest.useFakeTimers();
+            document.body.innerHTML = `
+                <input id="searchInput">
+                <div id="searchOverlay"><div id="searchResults"></div></div>
+            `;
+            input = document.getElementById('searchInput');
+            overlay = document.getElementById('searchOverlay');
+            resultsEl = document.getElementById('searchResults');
+
+            searchEngine = new SearchEngine({
+                eventBus,
+                knowledgeBase: mockKnowledgeBase,
+                diagnostics: mockDiagnostics,
+                document
+            });
+            searchEngine.init();
+        });
+
+        afterEach(() => {
+            jest.useRealTimers();
+            document.body.innerHTML = '';
+        });
+
+        const typeQuery = (value) => {
+            input.value = value;
+            input.dispatchEvent(new Event('input'));
+            jest.advanceTimersByTime(300);
+        };
+
+        it('should highlight matched words in titles and snippets', () => {
+            typeQuery('conexion wifi');
+
+            const item = resultsEl.querySelector('.search-result-item');
+            expect(overlay.classList.contains('active')).toBe(true);
+            expect(item.querySelector('h4').innerHTML).toBe('<mark>Conexion</mark> <mark>WiFi</mark> iPad');
+            expect(item.querySelector('.search-result-snippet').innerHTML).toContain('<mark>WiFi</mark>');
+        });
+
+        it('should strip tags and escape HTML in highlighted text', () => {
+            searchEngine.knowledgeBase = {
+                ipads: { xss: { title: 'Guia <img src=x onerror=alert(1)> wifi 2.4 < 5 & "proxy"', content: 'wifi' } }
+            };
+            searchEngine.diagnostics = {};
+            typeQuery('wifi');
+
+            expect(resultsEl.querySelector('img')).toBeNull();
+            expect(resultsEl.querySelector('h4').textContent).toBe('Guia wifi 2.4 < 5 & "proxy"');
+        });
+
+        it('should show filters for the result types found', () => {
+            typeQuery('wifi');
+
+            const filters = [...resultsEl.querySelectorAll('[data-search-filter]')].map(b => b.dataset.searchFilter);
+            expect(filters).toEqual(['all', 'guide', 'diagnostic']);
+        });
+
+        it('should only show results of the selected type', () => {
+            typeQuery('wifi');
+            resultsEl.querySelector('[data-search-filter="diagnostic"]').click();
+
+            const types = [...resultsEl.querySelectorAll('.search-result-item')].map(i => i.dataset.type);
+            expect(types).toEqual(['diagnostic']);
+            expect(resultsEl.querySelector('[data-search-filter="diagnostic"]').getAttribute('aria-pressed')).toBe('true');
+        });
+
+        it('should emit SEARCH_RESULTS when a result is clicked', () => {
+            const callback = jest.fn();
+            eventBus.on(AppEvents.SEARCH_RESULTS, callback);
+
+            typeQuery('wifi');
+            resultsEl.querySelector('.search-result-item[data-type="diagnostic"]').click();
+
+            expect(callback).toHaveBeenCalledWith({ type: 'diagnostic', id: 'wifi-issues' });
+        });
+    });
 });
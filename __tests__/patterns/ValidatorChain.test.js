@@ -11,7 +11,9 @@ import {
     PrefixValidator,
     RegexValidator,
     StrengthValidator,
-    createGeminiValidator
+    createGeminiValidator,
+    createOpenAIValidator,
+    createLocalEndpointValidator
 } from '../../js/patterns/ValidatorChain.js';
 
 describe('ApiKeyValidatorChain', () => {
@@ -399,6 +401,39 @@ describe('createGeminiValidator', () => {
     });
 });
 
+describe('createOpenAIValidator', () => {
+    it('should require the sk- prefix for OpenAI', () => {
+        expect(createOpenAIValidator().validate('gw_123').valid).toBe(false);
+        expect(createOpenAIValidator({ baseUrl: 'https://api.openai.com/v1' }).validate('gw_123').valid).toBe(false);
+        expect(createOpenAIValidator().validate('sk-abc').valid).toBe(true);
+    });
+
+    it('should accept other token formats for a compatible gateway', () => {
+        const validator = createOpenAIValidator({ baseUrl: 'https://ia.distrito.edu/v1' });
+
+        expect(validator.validate('gw_1a2b3c.token').valid).toBe(true);
+        expect(validator.validate('').valid).toBe(false);
+        expect(validator.validate('token with spaces').valid).toBe(false);
+    });
+});
+
+describe('createLocalEndpointValidator', () => {
+    it('should accept an empty key', () => {
+        const validator = createLocalEndpointValidator();
+        expect(validator.validate('').valid).toBe(true);
+    });
+
+    it('should accept any printable token', () => {
+        const validator = createLocalEndpointValidator();
+        expect(validator.validate('ollama-proxy-token_123').valid).toBe(true);
+    });
+
+    it('should reject keys with whitespace', () => {
+        const validator = createLocalEndpointValidator();
+        expect(validator.validate('token with spaces').valid).toBe(false);
+    });
+});
+
 describe('Validator Chain Integration', () => {
     it('should link validators and execute in sequence', () => {
         const chain = new ApiKeyValidatorChain()
@@ -0,0 +1,135 @@
+/**
+ * @fileoverview Tests for BM25Index and the Spanish TextAnalyzer
+ * @module __tests__/utils/BM25Index.test
+ */
+
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import { BM25Index } from '../../js/utils/BM25Index.js';
+import { analyze, foldDiacritics, stemSpanish, tokenize } from '../../js/utils/TextAnalyzer.js';
+
+describe('TextAnalyzer', () => {
+    it('should fold diacritics but keep ñ', () => {
+        expect(foldDiacritics('Inscripción Automática')).toBe('inscripcion automatica');
+        expect(foldDiacritics('Año y pingüino')).toBe('año y pinguino');
+    });
+
+    it('should split on punctuation and keep digits', () => {
+        expect(tokenize('¿iPadOS 17.2? (Wi-Fi)')).toEqual(['ipados', '17', '2', 'wi', 'fi']);
+    });
+
+    it('should remove plural and gender endings', () => {
+        expect(stemSpanish('inscripciones')).toBe('inscripcion');
+        expect(stemSpanish('ipads')).toBe('ipad');
+        expect(stemSpanish('profesores')).toBe(stemSpanish('profesor'));
+        expect(stemSpanish('alumnas')).toBe(stemSpanish('alumno'));
+        expect(stemSpanish('luces')).toBe('luz');
+        expect(stemSpanish('app')).toBe('app');
+    });
+
+    it('should drop stopwords', () => {
+        expect(analyze('Problemas con la inscripción de los iPads')).toEqual(['problem', 'inscripcion', 'ipad']);
+    });
+
+    it('should analyze accented and unaccented spellings the same way', () => {
+        expect(analyze('inscripción iPads')).toEqual(analyze('inscripcion ipad'));
+    });
+});
+
+describe('BM25Index', () => {
+    let index;
+
+    beforeEach(() => {
+        index = new BM25Index({ fieldWeights: { title: 3, text: 1 } });
+        index.add('inscripcion', {
+            title: 'Inscripción automática',
+            text: 'Los iPads se inscriben solos al encenderlos si están en Apple School Manager.'
+        });
+        index.add('aula', {
+            title: 'App Aula',
+            text: 'El profesor controla los iPads de la clase con Bluetooth.'
+        });
+        index.add('wifi', {
+            title: 'Redes WiFi',
+            text: 'Configura el perfil de WiFi y el proxy del centro.'
+        });
+    });
+
+    it('should count documents and terms', () => {
+        expect(index.size).toBe(3);
+        expect(index.termCount).toBeGreaterThan(10);
+    });
+
+    it('should match despite accents and plurals', () => {
+        const [best] = index.search('inscripcion ipad');
+        expect(best.id).toBe('inscripcion');
+        expect(best.matchedTerms).toEqual(['inscripcion', 'ipad']);
+    });
+
+    it('should rank rare terms above common ones', () => {
+        const results = index.search('ipads bluetooth');
+        expect(results[0].id).toBe('aula');
+        expect(results.map(r => r.id)).toContain('inscripcion');
+    });
+
+    it('should weight fields', () => {
+        index.add('proxy', { title: 'Proxy', text: 'Servidor intermedio.' });
+        expect(index.search('proxy')[0].id).toBe('proxy');
+    });
+
+    it('should normalize scores against the best result', () => {
+        const results = index.search('ipad');
+        expect(results[0].normalizedScore).toBe(1);
+        results.forEach(r => expect(r.normalizedScore).toBeLessThanOrEqual(1));
+    });
+
+    it('should return nothing for stopword-only or unknown queries', () => {
+        expect(index.search('de la con')).toEqual([]);
+        expect(index.search('impresora')).toEqual([]);
+    });
+
+    it('should expand the last term as a prefix when asked', () => {
+        expect(index.search('inscrip')).toEqual([]);
+
+        const [best] = index.search('inscrip', { prefix: true });
+        expect(best.id).toBe('inscripcion');
+        expect(best.matchedTerms).toEqual(['inscripcion']);
+    });
+
+    it('should score the best prefix expansion, not their sum', () => {
+        const single = new BM25Index();
+        single.add('a', { text: 'configuracion' });
+        single.add('b', { text: 'configuracion configurar' });
+        single.add('c', { text: 'otra cosa' });
+
+        const scoreOf = (query, options) => single.search(query, options).find(r => r.id === 'b').score;
+        const prefixScore = scoreOf('config', { prefix: true });
+
+        expect(prefixScore).toBeCloseTo(Math.max(scoreOf('configuracion'), scoreOf('configurar')));
+    });
+
+    it('should limit results', () => {
+        expect(index.search('ipad', { limit: 1 })).toHaveLength(1);
+    });
+
+    it('should replace and remove documents', () => {
+        index.add('wifi', { title: 'Bluetooth', text: 'Emparejar accesorios.' });
+        expect(index.size).toBe(3);
+        expect(index.search('proxy')).toEqual([]);
+
+        expect(index.remove('wifi')).toBe(true);
+        expect(index.remove('wifi')).toBe(false);
+        expect(index.search('emparejar')).toEqual([]);
+        expect(index.size).toBe(2);
+    });
+
+    it('should clear every document', () => {
+        index.clear();
+        expect(index.size).toBe(0);
+        expect(index.search('ipad')).toEqual([]);
+    });
+
+    it('should accept array fields', () => {
+        index.add('teacher', { title: 'Jamf Teacher', keywords: ['profesores', 'apps'] });
+        expect(index.search('profesor')[0].id).toBe('teacher');
+    });
+});
@@ -0,0 +1,91 @@
+/**
+ * @fileoverview Tests for ConnectPolicy - CSP connect-src and mixed content checks
+ * @module __tests__/utils/ConnectPolicy.test
+ */
+
+import { describe, it, expect, afterEach } from '@jest/globals';
+import { addConnectOrigins, getConnectSources, isConnectAllowed, isMixedContent } from '../../js/utils/ConnectPolicy.js';
+
+const policy = `
+    default-src 'self';
+    connect-src 'self' https://api.openai.com http://localhost:* https://*.huggingface.co;
+    img-src 'self' data:;
+`;
+
+/**
+ * Sets the CSP meta tag of the test page
+ * @param {string} content - Policy text
+ */
+const setPolicy = (content) => {
+    document.head.innerHTML = `<meta http-equiv="Content-Security-Policy" content="${content}">`;
+};
+
+describe('ConnectPolicy', () => {
+    afterEach(() => {
+        document.head.innerHTML = '';
+    });
+
+    describe('getConnectSources', () => {
+        it('should read connect-src, or default-src when it is missing', () => {
+            expect(getConnectSources(policy)).toEqual(["'self'", 'https://api.openai.com', 'http://localhost:*', 'https://*.huggingface.co']);
+            expect(getConnectSources("default-src 'none'")).toEqual(["'none'"]);
+            expect(getConnectSources('img-src data:')).toBeNull();
+        });
+    });
+
+    describe('isConnectAllowed', () => {
+        it('should allow the listed origins and the page itself', () => {
+            setPolicy(policy);
+
+            expect(isConnectAllowed('https://api.openai.com/v1/chat/completions')).toBe(true);
+            expect(isConnectAllowed('http://localhost:11434/v1')).toBe(true);
+            expect(isConnectAllowed('https://cdn.huggingface.co/model.bin')).toBe(true);
+            expect(isConnectAllowed(`${window.location.origin}/data/docs.json`)).toBe(true);
+        });
+
+        it('should block origins that are not listed', () => {
+            setPolicy(policy);
+
+            expect(isConnectAllowed('https://ia.distrito.edu/v1')).toBe(false);
+            expect(isConnectAllowed('http://127.0.0.1:11434/v1')).toBe(false);
+            expect(isConnectAllowed('https://api.openai.com:8443/v1')).toBe(false);
+            expect(isConnectAllowed('https://huggingface.co')).toBe(false);
+        });
+
+        it('should allow everything without a policy', () => {
+            expect(isConnectAllowed('https://ia.distrito.edu/v1')).toBe(true);
+        });
+    });
+
+    describe('isMixedContent', () => {
+        const httpsPage = { location: { href: 'https://zendrasolutions.github.io/apple-education-assistant/' } };
+
+        it('should flag http servers of the network from an https page', () => {
+            expect(isMixedContent('http://ia.colegio.local:11434/v1', httpsPage)).toBe(true);
+            expect(isMixedContent('http://192.168.1.20:8080/v1', httpsPage)).toBe(true);
+        });
+
+        it('should allow https servers, the computer itself and http pages', () => {
+            expect(isMixedContent('https://ia.colegio.local/v1', httpsPage)).toBe(false);
+            expect(isMixedContent('http://localhost:11434/v1', httpsPage)).toBe(false);
+            expect(isMixedContent('http://127.0.0.1:11434/v1', httpsPage)).toBe(false);
+            expect(isMixedContent('http://ia.colegio.local/v1', { location: { href: 'http://localhost:8080/' } })).toBe(false);
+        });
+    });
+
+    describe('addConnectOrigins', () => {
+        it('should append the origins that are missing', () => {
+            const updated = addConnectOrigins(policy, ['https://ia.distrito.edu', 'https://api.openai.com']);
+
+            expect(getConnectSources(updated)).toEqual([
+                "'self'", 'https://api.openai.com', 'http://localhost:*', 'https://*.huggingface.co', 'https://ia.distrito.edu'
+            ]);
+            expect(updated.replace(' https://ia.distrito.edu', '')).toBe(policy);
+            expect(addConnectOrigins(updated, ['https://ia.distrito.edu'])).toBe(updated);
+        });
+
+        it('should require a connect-src directive', () => {
+            expect(() => addConnectOrigins("default-src 'self'", ['https://ia.distrito.edu'])).toThrow('connect-src');
+        });
+    });
+});
@@ -32,6 +32,9 @@
 
 import { AppEvents } from './utils/EventBus.js';
 import { logger } from './utils/Logger.js';
+import { CUSTOM_CHECKLISTS_KEY } from './features/ChecklistManager.js';
+import { matchDiagnostics } from './features/DiagnosticMatcher.js';
+import { ChatEvents } from './chatbot/EventBus.js';
 
 /**
  * Main application orchestrator.
@@ -76,6 +79,27 @@ export class JamfAssistant {
      */
     #sectionRegistry;
 
+    /**
+     * Navigation manager reference
+     * @type {import('./core/NavigationManager.js').NavigationManager}
+     * @private
+     */
+    #navigationManager;
+
+    /**
+     * Modal manager reference
+     * @type {import('./core/ModalManager.js').ModalManager}
+     * @private
+     */
+    #modalManager;
+
+    /**
+     * Search engine reference
+     * @type {import('./features/SearchEngine.js').SearchEngine}
+     * @private
+     */
+    #searchEngine;
+
     /**
      * Guide manager reference
      * @type {import('./features/GuideManager.js').GuideManager}
@@ -97,6 +121,13 @@ export class JamfAssistant {
      */
     #checklistManager;
 
+    /**
+     * Checklist editor reference
+     * @type {import('./features/ChecklistEditor.js').ChecklistEditor}
+     * @private
+     */
+    #checklistEditor;
+
     /**
      * Data manager reference
      * @type {import('./features/DataManager.js').DataManager}
@@ -118,6 +149,8 @@ export class JamfAssistant {
         this.#container = container;
         this.#initializeFromContainer();
         this.#setupEventRouting();
+        this.#registerNavigationGuards();
+        this.#connectChatbotWithDiagnostics();
         this.#renderInitialSection();
         this.#showUpdateInfo();
         this.#eventBus.emit(AppEvents.APP_READY);
@@ -145,11 +178,11 @@ export class JamfAssistant {
         const themeManager = this.#container.resolve('themeManager');
         themeManager.init();
 
-        const navigationManager = this.#container.resolve('navigationManager');
-        navigationManager.init();
+        this.#navigationManager = this.#container.resolve('navigationManager');
+        this.#navigationManager.init();
 
-        const modalManager = this.#container.resolve('modalManager');
-        modalManager.init();
+        this.#modalManager = this.#container.resolve('modalManager');
+        this.#modalManager.init();
 
         const sidebarManager = this.#container.resolve('sidebarManager');
         sidebarManager.init();
@@ -175,10 +208,12 @@ export class JamfAssistant {
         if (knowledgeBase) searchEngine.knowledgeBase = knowledgeBase;
         if (diagnostics) searchEngine.diagnostics = diagnostics;
         searchEngine.init();
+        // docs.json articles are indexed when loaded (search works without them)
+        searchEngine.loadArticles();
+        this.#searchEngine = searchEngine;
 
-        // Diagnostics Manager
+        // Diagnostics Manager - flows already loaded from data/diagnostics.json in main.js
         this.#diagnosticsManager = this.#container.resolve('diagnosticsManager');
-        if (diagnostics) this.#diagnosticsManager.diagnostics = diagnostics;
         this.#diagnosticsManager.init();
 
         // Checklist Manager - needs checklists from KnowledgeBase
@@ -187,6 +222,7 @@ export class JamfAssistant {
             this.#checklistManager.checklists = knowledgeBase.checklists;
         }
         this.#checklistManager.init();
+        this.#checklistEditor = this.#container.resolve('checklistEditor');
 
         // Guide Manager - needs knowledgeBase
         this.#guideManager = this.#container.resolve('guideManager');
@@ -210,14 +246,125 @@ export class JamfAssistant {
             this.#renderSection(section);
         });
 
-        // Search results trigger guide/diagnostic opening
+        // Search results open the matching guide, diagnostic, checklist or article
         this.#eventBus.on(AppEvents.SEARCH_RESULTS, ({ type, id }) => {
             if (type === 'guide') {
                 this.#guideManager.openGuide(id);
             } else if (type === 'diagnostic') {
                 this.#diagnosticsManager.start(id);
+            } else if (type === 'solution') {
+                const [diagnosticId, solutionKey] = id.split('/');
+                this.#diagnosticsManager.openSolution(diagnosticId, solutionKey);
+            } else if (type === 'checklist') {
+                this.#checklistManager.open(id);
+            } else if (type === 'article') {
+                this.#guideManager.openArticle(this.#searchEngine.getArticle(id));
+            }
+        });
+
+        // Routes from the URL (deep links, back/forward) reopen their modal
+        this.#eventBus.on(AppEvents.ROUTE_CHANGED, ({ route }) => {
+            this.#showRoute(route);
+        });
+
+        // Imported data: redraw the section (ThemeManager follows the theme itself)
+        this.#eventBus.on(AppEvents.DATA_IMPORTED, () => {
+            this.#renderSection(this.#navigationManager.getCurrentSection());
+        });
+
+        // Checklist progress and runs shown on the cards may have changed in the modal
+        this.#eventBus.on(AppEvents.MODAL_CLOSED, () => {
+            if (this.#navigationManager.getCurrentSection() === 'checklists') {
+                this.#renderSection('checklists');
+            }
+        });
+
+        // Custom checklists created, moved or deleted (here or in another tab)
+        this.#stateManager.subscribe(CUSTOM_CHECKLISTS_KEY, () => {
+            if (this.#navigationManager.getCurrentSection() === 'checklists') {
+                this.#renderSection('checklists');
+            }
+        });
+    }
+
+    /**
+     * Connects the chatbot and the guided diagnostics both ways: an
+     * unsolved diagnostic can continue in the chat, and the chat offers the
+     * diagnostics that fit a question.
+     *
+     * @private
+     */
+    #connectChatbotWithDiagnostics() {
+        const chatbotCore = this.#container.tryResolve('chatbotCore');
+        if (!chatbotCore) return;
+
+        chatbotCore.diagnosticSuggester = (query, docs) => matchDiagnostics(
+            this.#diagnosticsManager.getDiagnostics(),
+            { query, docIds: docs.map(doc => doc.id) }
+        );
+
+        chatbotCore.eventBus.on(ChatEvents.DIAGNOSTIC_REQUESTED, ({ id }) => {
+            this.#diagnosticsManager.start(id);
+        });
+
+        this.#eventBus.on(AppEvents.DIAGNOSTIC_ASSISTANT_REQUESTED, (handoff) => {
+            this.#modalManager.hide();
+            chatbotCore.startFromDiagnostic(handoff);
+        });
+    }
+
+    /**
+     * Registers the guards that confirm leaving unfinished work.
+     * They run for the sidebar, quick cards, deep links and back/forward.
+     *
+     * @private
+     */
+    #registerNavigationGuards() {
+        // A diagnostic partway through would lose its answers
+        this.#navigationManager.addGuard(({ to }) => {
+            if (!this.#diagnosticsManager.isInProgress()) return true;
+
+            // Moving between steps of the same diagnostic is not leaving it
+            if (to.type === 'diagnostic' && to.id === this.#diagnosticsManager.getCurrentState()?.id) {
+                return true;
             }
+
+            return window.confirm('Hay un diagnostico en curso. Salir y perder las respuestas?');
         });
+
+        // The API key form has edits that were not saved
+        const chatUI = this.#container.tryResolve('chatUI');
+        if (chatUI) {
+            this.#navigationManager.addGuard(() => {
+                if (!chatUI.hasUnsavedApiChanges()) return true;
+
+                if (!window.confirm('La configuracion de la API tiene cambios sin guardar. Descartarlos?')) {
+                    return false;
+                }
+
+                chatUI.closeApiModal();
+                return true;
+            });
+        }
+    }
+
+    /**
+     * Opens the guide, diagnostic or checklist of a route, or closes the
+     * modal when the route is a plain section.
+     *
+     * @param {import('./core/NavigationManager.js').Route} route - Route to show
+     * @private
+     */
+    #showRoute(route) {
+        if (route.type === 'guide') {
+            this.#guideManager.openGuide(route.id);
+        } else if (route.type === 'diagnostic') {
+            this.#diagnosticsManager.openRoute(route);
+        } else if (route.type === 'checklist') {
+            this.#checklistManager.open(route.id);
+        } else if (this.#modalManager.isVisible()) {
+            this.#modalManager.hide();
+        }
     }
 
     /**
@@ -240,12 +387,14 @@ export class JamfAssistant {
     }
 
     /**
-     * Renders the initial dashboard section.
+     * Renders the section in the URL (deep link) or the dashboard.
      *
      * @private
      */
     #renderInitialSection() {
-        this.#renderSection('dashboard');
+        this.#navigationManager.restoreFromUrl().then(restored => {
+            if (!restored) this.#renderSection('dashboard');
+        });
     }
 
     /**
@@ -255,13 +404,10 @@ export class JamfAssistant {
      * @private
      */
     #bindSectionEvents() {
-        // Quick access cards navigation
-        document.querySelectorAll('[data-section]').forEach(el => {
+        // Quick access cards navigation (sidebar items are bound by NavigationManager)
+        document.querySelectorAll('#contentWrapper [data-section]').forEach(el => {
             el.addEventListener('click', () => {
-                const section = el.dataset.section;
-                this.#eventBus.emit(AppEvents.NAVIGATION_BEFORE_CHANGE, { section });
-                this.#eventBus.emit(AppEvents.NAVIGATION_CHANGED, { section });
-                this.#updateNavActiveState(section);
+                this.#navigationManager.navigateTo(el.dataset.section);
             });
         });
 
@@ -279,10 +425,18 @@ export class JamfAssistant {
             });
         });
 
-        // Checklist cards
+        // Checklist cards and runs of the history
         document.querySelectorAll('[data-checklist]').forEach(el => {
             el.addEventListener('click', () => {
-                this.#checklistManager.open(el.dataset.checklist);
+                this.#checklistManager.open(el.dataset.checklist, { runId: el.dataset.checklistRun });
+            });
+        });
+
+        // Checklist editor actions (inside the cards, so they must not open the checklist)
+        document.querySelectorAll('[data-checklist-action]').forEach(el => {
+            el.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.#runChecklistAction(el.dataset.checklistAction, el.dataset.checklistId);
             });
         });
 
@@ -295,6 +449,42 @@ export class JamfAssistant {
         this.#bindMisDatosEvents();
     }
 
+    /**
+     * Runs an action of the checklist editor from the checklists section.
+     *
+     * @param {string} action - create, edit, duplicate, move-up, move-down or delete
+     * @param {string} [id] - Checklist the action applies to
+     * @private
+     */
+    #runChecklistAction(action, id) {
+        switch (action) {
+            case 'create':
+                this.#checklistEditor.open();
+                break;
+            case 'edit':
+                this.#checklistEditor.open(id);
+                break;
+            case 'duplicate': {
+                const copyId = this.#checklistManager.duplicateChecklist(id);
+                if (copyId) this.#checklistEditor.open(copyId);
+                break;
+            }
+            case 'move-up':
+                this.#checklistManager.moveCustomChecklist(id, -1);
+                break;
+            case 'move-down':
+                this.#checklistManager.moveCustomChecklist(id, 1);
+                break;
+            case 'delete': {
+                const title = this.#checklistManager.getChecklist(id)?.title || id;
+                if (window.confirm(`Eliminar la checklist "${title}" y sus ejecuciones?`)) {
+                    this.#checklistManager.deleteCustomChecklist(id);
+                }
+                break;
+            }
+        }
+    }
+
     /**
      * Binds Mis Datos section events.
      *
@@ -309,6 +499,10 @@ export class JamfAssistant {
             this.#dataManager.exportData();
         });
 
+        document.getElementById('importDataCard')?.addEventListener('click', () => {
+            this.#dataManager.startImport();
+        });
+
         document.getElementById('deleteDataCard')?.addEventListener('click', () => {
             this.#dataManager.confirmDelete();
         });
@@ -316,19 +510,10 @@ export class JamfAssistant {
         document.getElementById('configApiCard')?.addEventListener('click', () => {
             document.getElementById('apiModal')?.classList.add('active');
         });
-    }
 
-    /**
-     * Updates navigation active state.
-     *
-     * @param {string} section - Active section
-     * @private
-     */
-    #updateNavActiveState(section) {
-        document.querySelectorAll('.nav-item').forEach(item => {
-            item.classList.remove('active');
+        document.getElementById('answerFeedbackCard')?.addEventListener('click', () => {
+            this.#dataManager.showAnswerFeedback();
         });
-        document.querySelector(`[data-section="${section}"]`)?.classList.add('active');
     }
 
     /**
@@ -0,0 +1,156 @@
+/**
+ * @fileoverview Anthropic API Client - Messages API over HTTP
+ * @module chatbot/AnthropicClient
+ * @version 1.0.0
+ * @license MIT
+ *
+ * Talks to the Anthropic Messages API (`POST /v1/messages`) directly from
+ * the browser. Streaming uses `content_block_delta` SSE events.
+ *
+ * @security API key is passed via x-api-key header
+ * @security Integrates PromptGuard for injection protection (via BaseLLMClient)
+ */
+
+import { BaseLLMClient, LLMApiError } from './BaseLLMClient.js';
+
+/**
+ * @typedef {Object} AnthropicConfig
+ * @property {string} [baseUrl='https://api.anthropic.com/v1'] - API root
+ * @property {string} [model='claude-3-5-haiku-latest'] - Model name
+ * @property {number} [temperature=0.3] - Response randomness (0-1)
+ * @property {number} [maxOutputTokens=1024] - Maximum response length
+ * @property {number} [timeout=30000] - Request timeout in ms
+ */
+
+/**
+ * Custom error for Anthropic API failures
+ * @class AnthropicApiError
+ * @extends LLMApiError
+ */
+export class AnthropicApiError extends LLMApiError {
+    /**
+     * @param {string} message - Error message
+     * @param {number} [statusCode] - HTTP status code
+     * @param {Error} [cause] - Original error
+     */
+    constructor(message, statusCode, cause) {
+        super(message, statusCode, cause);
+        this.name = 'AnthropicApiError';
+    }
+}
+
+/**
+ * @class AnthropicClient
+ * @extends BaseLLMClient
+ * @description HTTP client for the Anthropic Messages API
+ *
+ * @example
+ * const client = new AnthropicClient('sk-ant-...');
+ * const response = await client.sendMessage(question, systemPrompt, ragContext);
+ */
+export class AnthropicClient extends BaseLLMClient {
+    /** @type {string} */
+    static providerName = 'Anthropic';
+
+    /** @type {string} */
+    static defaultModel = 'claude-3-5-haiku-latest';
+
+    /** @type {string} */
+    static defaultBaseUrl = 'https://api.anthropic.com/v1';
+
+    /** @type {string} */
+    static apiVersion = '2023-06-01';
+
+    /** @private @type {string} */
+    #baseUrl;
+
+    /**
+     * Creates a new AnthropicClient instance
+     *
+     * @param {string} apiKey - Anthropic API key
+     * @param {AnthropicConfig} [config] - Optional configuration
+     * @throws {Error} If apiKey is not provided
+     */
+    constructor(apiKey, config = {}) {
+        super(apiKey, config);
+        this.#baseUrl = (config.baseUrl || AnthropicClient.defaultBaseUrl).replace(/\/+$/, '');
+    }
+
+    /**
+     * @param {string} model - Model name (sent in the body, not the URL)
+     * @param {boolean} stream - Whether a streamed response is requested
+     * @returns {string} Endpoint URL
+     */
+    buildEndpoint(model, stream) {
+        return `${this.#baseUrl}/messages`;
+    }
+
+    /**
+     * @param {string} apiKey - Anthropic API key
+     * @returns {Object} HTTP headers
+     */
+    buildHeaders(apiKey) {
+        return {
+            'Content-Type': 'application/json',
+            'x-api-key': apiKey,
+            'anthropic-version': AnthropicClient.apiVersion,
+            // Required for CORS requests made directly from the browser
+            'anthropic-dangerous-direct-browser-access': 'true'
+        };
+    }
+
+    /**
+     * @param {import('./BaseLLMClient.js').ProviderRequest} request - Request description
+     * @returns {Object} Messages API request body
+     */
+    buildRequestBody({ systemPrompt, history, model, temperature, maxOutputTokens, stream }) {
+        const body = {
+            model,
+            messages: [...history],
+            temperature,
+            max_tokens: maxOutputTokens,
+            stream
+        };
+
+        if (systemPrompt) {
+            body.system = systemPrompt;
+        }
+
+        return body;
+    }
+
+    /**
+     * @param {Object} data - Messages API response
+     * @returns {string|undefined} Response text
+     */
+    extractResponseText(data) {
+        const text = (data.content || [])
+            .filter(block => block.type === 'text')
+            .map(block => block.text)
+            .join('');
+        return text || undefined;
+    }
+
+    /**
+     * @param {Object} event - Messages API stream event
+     * @returns {string} Text delta
+     */
+    extractStreamText(event) {
+        if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+            return event.delta.text || '';
+        }
+        return '';
+    }
+
+    /**
+     * @param {string} message - Error message
+     * @param {number} [statusCode] - HTTP status code
+     * @param {Error} [cause] - Original error
+     * @returns {AnthropicApiError}
+     */
+    createError(message, statusCode, cause) {
+        return new AnthropicApiError(message, statusCode, cause);
+    }
+}
+
+export default AnthropicClient;
@@ -15,6 +15,7 @@
 
 // Note: Dependencies are injected via constructor (D-Principle)
 // No direct imports of concrete implementations used for instantiation
+import { isConnectAllowed, isMixedContent } from '../utils/ConnectPolicy.js';
 
 /**
  * @typedef {Object} ApiKeySettings
@@ -22,6 +23,7 @@
  * @property {boolean} encrypted - Whether the key is encrypted
  * @property {boolean} pinned - Whether the key is pinned permanently
  * @property {number} expiry - Expiration timestamp (0 if pinned)
+ * @property {import('./LLMProviders.js').ProviderOptions} [options] - Non-secret provider options (endpoint, model)
  */
 
 /**
@@ -41,6 +43,7 @@
  * @typedef {Object} ApiKeyManagerDependencies
  * @property {import('./EncryptionService.js').EncryptionService} encryptionService - Encryption service
  * @property {import('../patterns/ValidatorChain.js').ApiKeyValidatorChain} validatorChain - Validator chain
+ * @property {ReadonlyArray<import('./LLMProviders.js').ProviderDescriptor>} [providerCatalog] - Supported providers (enables multi-provider mode)
  */
 
 /**
@@ -62,6 +65,17 @@
  * if (manager.hasKey) {
  *   const key = manager.apiKey;
  * }
+ *
+ * @example
+ * // Multi-provider mode
+ * const manager = new ApiKeyManager({
+ *     encryptionService,
+ *     validatorChain: createGeminiValidator(),
+ *     providerCatalog: PROVIDER_CATALOG
+ * });
+ * await manager.loadSettings();
+ * await manager.setProvider('openai');
+ * await manager.saveKey('sk-...', true, false, { baseUrl: 'https://ia.distrito.edu/v1' });
  */
 export class ApiKeyManager {
     /** @private @type {EncryptionService} */
@@ -79,11 +93,23 @@ export class ApiKeyManager {
     /** @private @type {number} */
     #expiryTime = 0;
 
+    /** @private @type {boolean} Whether settings were saved/loaded for the active provider */
+    #hasSettings = false;
+
+    /** @private @type {string} Base storage key; non-default providers append `-<id>` */
+    #settingsStorageKey = 'jamf-api-settings';
+
     /** @private @type {string} */
-    #localStorageKey = 'jamf-api-settings';
+    #providerStorageKey = 'jamf-llm-provider';
+
+    /** @private @type {ReadonlyArray<import('./LLMProviders.js').ProviderDescriptor>|null} */
+    #providerCatalog = null;
 
     /** @private @type {string} */
-    #sessionStorageKey = 'jamf-api-settings';
+    #provider = 'gemini';
+
+    /** @private @type {import('./LLMProviders.js').ProviderOptions} */
+    #options = {};
 
     /** @private @type {number} 24 hours in milliseconds */
     #defaultExpiryMs = 24 * 60 * 60 * 1000;
@@ -113,6 +139,84 @@ export class ApiKeyManager {
         }
         this.#encryptionService = deps.encryptionService;
         this.#validatorChain = deps.validatorChain;
+
+        if (Array.isArray(deps.providerCatalog) && deps.providerCatalog.length > 0) {
+            this.#providerCatalog = deps.providerCatalog;
+            this.#provider = deps.providerCatalog[0].id;
+        }
+    }
+
+    /**
+     * Active LLM provider identifier
+     * @type {string}
+     * @readonly
+     */
+    get provider() {
+        return this.#provider;
+    }
+
+    /**
+     * Descriptor of the active provider (null without a provider catalog)
+     * @type {import('./LLMProviders.js').ProviderDescriptor|null}
+     * @readonly
+     */
+    get providerDescriptor() {
+        return this.#findProvider(this.#provider) || null;
+    }
+
+    /**
+     * Supported providers (empty without a provider catalog)
+     * @type {ReadonlyArray<import('./LLMProviders.js').ProviderDescriptor>}
+     * @readonly
+     */
+    get providers() {
+        return this.#providerCatalog || [];
+    }
+
+    /**
+     * Non-secret options saved with the active provider's key
+     * @type {import('./LLMProviders.js').ProviderOptions}
+     * @readonly
+     */
+    get providerOptions() {
+        return { ...this.#options };
+    }
+
+    /**
+     * Switches the active provider and loads its stored key (if any).
+     * The validator chain is replaced by the provider's own chain.
+     *
+     * @param {string} providerId - Provider identifier from the catalog
+     * @returns {Promise<void>}
+     * @throws {Error} If no catalog is configured or the provider is unknown
+     *
+     * @example
+     * await manager.setProvider('anthropic');
+     * if (!manager.hasKey) showApiModal();
+     */
+    async setProvider(providerId) {
+        const descriptor = this.#findProvider(providerId);
+        if (!descriptor) {
+            throw new Error(`Unknown LLM provider: ${providerId}`);
+        }
+
+        this.#provider = descriptor.id;
+        this.#validatorChain = descriptor.createValidator();
+        localStorage.setItem(this.#providerStorageKey, descriptor.id);
+
+        this.#resetState();
+        await this.#loadProviderSettings();
+    }
+
+    /**
+     * Checks whether a key is stored for a provider without switching to it
+     *
+     * @param {string} providerId - Provider identifier
+     * @returns {boolean} True if settings exist in session or local storage
+     */
+    hasKeyFor(providerId) {
+        const storageKey = this.#storageKeyFor(providerId);
+        return Boolean(sessionStorage.getItem(storageKey) || localStorage.getItem(storageKey));
     }
 
     /**
@@ -151,6 +255,17 @@ export class ApiKeyManager {
         return Boolean(this.#apiKey);
     }
 
+    /**
+     * Whether the active provider is ready to use: a key is configured, or
+     * the provider needs no key and its settings have been saved.
+     * @type {boolean}
+     * @readonly
+     */
+    get isConfigured() {
+        if (this.hasKey) return true;
+        return this.#hasSettings && this.providerDescriptor?.requiresApiKey === false;
+    }
+
     /**
      * Whether the key is pinned (permanent storage)
      * @type {boolean}
@@ -191,24 +306,45 @@ export class ApiKeyManager {
      * }
      */
     async loadSettings() {
+        if (this.#providerCatalog) {
+            const savedProvider = localStorage.getItem(this.#providerStorageKey);
+            const descriptor = this.#findProvider(savedProvider) || this.#findProvider(this.#provider);
+            this.#provider = descriptor.id;
+            this.#validatorChain = descriptor.createValidator();
+        }
+
+        await this.#loadProviderSettings();
+    }
+
+    /**
+     * Loads the stored key of the active provider
+     *
+     * @private
+     * @returns {Promise<void>}
+     */
+    async #loadProviderSettings() {
+        const storageKey = this.#storageKeyFor(this.#provider);
+
         // Try session storage first
-        const sessionSettings = sessionStorage.getItem(this.#sessionStorageKey);
+        const sessionSettings = sessionStorage.getItem(storageKey);
         if (sessionSettings) {
             try {
                 const settings = JSON.parse(sessionSettings);
-                this.#apiKey = await this.#encryptionService.decrypt(settings.key);
+                this.#apiKey = await this.#decryptKey(settings.key);
                 this.#isPinned = false;
                 this.#useSessionOnly = true;
                 this.#expiryTime = 0;
+                this.#options = { ...settings.options };
+                this.#hasSettings = true;
                 return;
             } catch (e) {
                 console.error('[API] Error decrypting from sessionStorage:', e);
-                sessionStorage.removeItem(this.#sessionStorageKey);
+                sessionStorage.removeItem(storageKey);
             }
         }
 
         // Try localStorage
-        const localSettings = localStorage.getItem(this.#localStorageKey);
+        const localSettings = localStorage.getItem(storageKey);
         if (localSettings) {
             try {
                 const settings = JSON.parse(localSettings);
@@ -216,15 +352,17 @@ export class ApiKeyManager {
                 // Migration: If key is not encrypted (legacy), encrypt it
                 if (settings.key && !settings.encrypted) {
                     console.log('[API] Migrating API Key to encrypted format...');
-                    await this.saveKey(settings.key, settings.pinned || false, false);
+                    await this.saveKey(settings.key, settings.pinned || false, false, settings.options);
                     return;
                 }
 
                 // Decrypt the key
-                this.#apiKey = await this.#encryptionService.decrypt(settings.key);
+                this.#apiKey = await this.#decryptKey(settings.key);
                 this.#isPinned = settings.pinned || false;
                 this.#useSessionOnly = false;
                 this.#expiryTime = settings.expiry || 0;
+                this.#options = { ...settings.options };
+                this.#hasSettings = true;
 
                 // Check if expired (24h)
                 if (!this.#isPinned && this.#expiryTime && Date.now() > this.#expiryTime) {
@@ -240,9 +378,10 @@ export class ApiKeyManager {
     /**
      * Saves an API key with specified storage mode
      *
-     * @param {string} key - The API key to save
+     * @param {string} key - The API key to save (may be empty for keyless providers)
      * @param {boolean} [pinned=false] - Whether to pin permanently
      * @param {boolean} [sessionOnly=false] - Whether to use session storage only
+     * @param {import('./LLMProviders.js').ProviderOptions} [options] - Non-secret provider options (endpoint, model)
      * @returns {Promise<void>}
      *
      * @example
@@ -254,9 +393,15 @@ export class ApiKeyManager {
      *
      * // Session only
      * await manager.saveKey('AIza...', false, true);
+     *
+     * // OpenAI-compatible gateway with custom endpoint
+     * await manager.saveKey('sk-...', true, false, { baseUrl: 'https://ia.distrito.edu/v1' });
+     *
+     * // Self-hosted server without a key
+     * await manager.saveKey('', true, false, { baseUrl: 'http://localhost:11434/v1', model: 'llama3.1' });
      */
-    async saveKey(key, pinned = false, sessionOnly = false) {
-        const encryptedKey = await this.#encryptionService.encrypt(key);
+    async saveKey(key, pinned = false, sessionOnly = false, options = {}) {
+        const encryptedKey = key ? await this.#encryptionService.encrypt(key) : '';
         const expiry = pinned ? 0 : Date.now() + this.#defaultExpiryMs;
 
         /** @type {ApiKeySettings} */
@@ -267,31 +412,37 @@ export class ApiKeyManager {
             expiry: expiry
         };
 
+        const cleanOptions = this.#cleanOptions(options);
+        if (Object.keys(cleanOptions).length > 0) {
+            settings.options = cleanOptions;
+        }
+
+        const storageKey = this.#storageKeyFor(this.#provider);
         if (sessionOnly) {
-            sessionStorage.setItem(this.#sessionStorageKey, JSON.stringify(settings));
-            localStorage.removeItem(this.#localStorageKey);
+            sessionStorage.setItem(storageKey, JSON.stringify(settings));
+            localStorage.removeItem(storageKey);
         } else {
-            localStorage.setItem(this.#localStorageKey, JSON.stringify(settings));
-            sessionStorage.removeItem(this.#sessionStorageKey);
+            localStorage.setItem(storageKey, JSON.stringify(settings));
+            sessionStorage.removeItem(storageKey);
         }
 
         this.#apiKey = key;
         this.#isPinned = pinned;
         this.#useSessionOnly = sessionOnly;
         this.#expiryTime = expiry;
+        this.#options = cleanOptions;
+        this.#hasSettings = true;
     }
 
     /**
-     * Clears the stored API key
+     * Clears the stored API key of the active provider
      * @returns {void}
      */
     clearKey() {
-        localStorage.removeItem(this.#localStorageKey);
-        sessionStorage.removeItem(this.#sessionStorageKey);
-        this.#apiKey = '';
-        this.#isPinned = false;
-        this.#useSessionOnly = false;
-        this.#expiryTime = 0;
+        const storageKey = this.#storageKeyFor(this.#provider);
+        localStorage.removeItem(storageKey);
+        sessionStorage.removeItem(storageKey);
+        this.#resetState();
     }
 
     /**
@@ -309,7 +460,11 @@ export class ApiKeyManager {
      * manager.setValidatorChain(createOpenAIValidator());
      * ```
      *
+     * With endpoint options, the active provider builds the chain for that
+     * endpoint (an OpenAI-compatible gateway accepts non-`sk-` tokens).
+     *
      * @param {string} key - API key to validate
+     * @param {import('./LLMProviders.js').ProviderOptions} [options] - Endpoint the key is for
      * @returns {ValidationResult} Validation result with strength property
      *
      * @example
@@ -320,7 +475,12 @@ export class ApiKeyManager {
      *   console.log(`Strength: ${result.strength}`);
      * }
      */
-    validateFormat(key) {
+    validateFormat(key, options) {
+        const descriptor = this.providerDescriptor;
+        if (options && descriptor) {
+            return descriptor.createValidator(this.#cleanOptions(options)).validate(key);
+        }
+
         // Delegate to validator chain - Chain of Responsibility pattern
         // This eliminates the hardcoded if/else statements and enables
         // extending validation without modifying this method
@@ -328,9 +488,11 @@ export class ApiKeyManager {
     }
 
     /**
-     * Tests an API key with the Gemini API
+     * Tests an API key against the active provider.
+     * Without a provider catalog the key is tested against Gemini.
      *
      * @param {string} key - API key to test
+     * @param {import('./LLMProviders.js').ProviderOptions} [options] - Endpoint/model to test with
      * @returns {Promise<ApiTestResult>} Test result
      *
      * @example
@@ -339,7 +501,12 @@ export class ApiKeyManager {
      *   await manager.saveKey('AIza...');
      * }
      */
-    async testKey(key) {
+    async testKey(key, options = {}) {
+        const descriptor = this.providerDescriptor;
+        if (descriptor) {
+            return this.#testWithProvider(descriptor, key, options);
+        }
+
         try {
             const response = await fetch(
                 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent',
@@ -371,6 +538,61 @@ export class ApiKeyManager {
         }
     }
 
+    /**
+     * Tests a key using the provider's own client
+     *
+     * @private
+     * @param {import('./LLMProviders.js').ProviderDescriptor} descriptor - Provider descriptor
+     * @param {string} key - API key to test
+     * @param {import('./LLMProviders.js').ProviderOptions} options - Endpoint/model overrides
+     * @returns {Promise<ApiTestResult>} Test result
+     */
+    async #testWithProvider(descriptor, key, options) {
+        try {
+            const cleanOptions = this.#cleanOptions(options);
+            const endpoint = cleanOptions.baseUrl || descriptor.defaultBaseUrl;
+            if (endpoint && isMixedContent(endpoint)) {
+                return {
+                    valid: false,
+                    error: `El navegador bloquea ${new URL(endpoint).origin}: esta web usa https y el servidor http. ` +
+                        'Sin https solo funciona un servidor en este mismo ordenador (localhost).'
+                };
+            }
+            if (endpoint && !isConnectAllowed(endpoint)) {
+                // The browser would block the request before it leaves the page
+                return {
+                    valid: false,
+                    error: `La politica de seguridad de esta web no permite conectar con ${new URL(endpoint).origin}. ` +
+                        'Pide a quien publica el asistente que anada ese origen a la politica (docs/DEPLOYMENT.md).'
+                };
+            }
+
+            const client = descriptor.createClient(key, cleanOptions);
+            const result = await client.testConnection();
+
+            if (result.valid) {
+                return { valid: true };
+            }
+
+            if (result.statusCode === undefined) {
+                if (result.error === 'Timeout') {
+                    return { valid: false, error: 'El servidor no respondio a tiempo. Verifica la URL del endpoint.' };
+                }
+                if (!descriptor.requiresApiKey) {
+                    return {
+                        valid: false,
+                        error: 'No se pudo conectar con el servidor local. Verifica que esta en marcha, la URL y que permite CORS desde esta web.'
+                    };
+                }
+                return { valid: false, error: 'Error de red. Verifica tu conexion a internet y la URL del endpoint.' };
+            }
+
+            return { valid: false, error: this.#translateError(result.error || '', result.statusCode) };
+        } catch (e) {
+            return { valid: false, error: 'Error de conexion: ' + e.message };
+        }
+    }
+
     /**
      * Translates API errors to user-friendly Spanish messages
      *
@@ -392,14 +614,89 @@ export class ApiKeyManager {
         if (errorMsg.includes('not found') || errorMsg.includes('does not exist')) {
             return 'Modelo no disponible. Intenta de nuevo mas tarde.';
         }
+        if (status === 401 || status === 403) {
+            return 'API Key invalida o sin permisos para este proveedor.';
+        }
+        if (status === 429) {
+            return 'Cuota excedida. Espera unos minutos o crea otra key.';
+        }
         if (status === 400) {
-            return 'API Key invalida o mal formada. Copia la key completa desde Google AI Studio.';
+            const source = this.providerDescriptor?.keyHelpLabel || 'Google AI Studio';
+            return `API Key invalida o mal formada. Copia la key completa desde ${source}.`;
         }
 
         console.error('API Error:', errorMsg);
         return 'Error: ' + errorMsg.substring(0, 80);
     }
 
+    /**
+     * Storage key for a provider's settings.
+     * Gemini keeps the original key for backward compatibility.
+     *
+     * @private
+     * @param {string} providerId - Provider identifier
+     * @returns {string} Storage key
+     */
+    #storageKeyFor(providerId) {
+        return providerId === 'gemini'
+            ? this.#settingsStorageKey
+            : `${this.#settingsStorageKey}-${providerId}`;
+    }
+
+    /**
+     * @private
+     * @param {string} providerId - Provider identifier
+     * @returns {import('./LLMProviders.js').ProviderDescriptor|undefined}
+     */
+    #findProvider(providerId) {
+        return this.#providerCatalog?.find(provider => provider.id === providerId);
+    }
+
+    /**
+     * Keeps only the options the active provider supports, trimmed and non-empty
+     *
+     * @private
+     * @param {import('./LLMProviders.js').ProviderOptions} [options] - Raw options
+     * @returns {import('./LLMProviders.js').ProviderOptions} Clean options
+     */
+    #cleanOptions(options = {}) {
+        const clean = {};
+        const baseUrl = options?.baseUrl?.trim();
+        const model = options?.model?.trim();
+
+        if (baseUrl && this.providerDescriptor?.supportsBaseUrl) {
+            clean.baseUrl = baseUrl;
+        }
+        if (model) {
+            clean.model = model;
+        }
+        return clean;
+    }
+
+    /**
+     * Decrypts a stored key; keyless providers store an empty string
+     *
+     * @private
+     * @param {string} storedKey - Encrypted key from storage
+     * @returns {Promise<string>} Decrypted key
+     */
+    async #decryptKey(storedKey) {
+        return storedKey ? this.#encryptionService.decrypt(storedKey) : '';
+    }
+
+    /**
+     * Resets in-memory key state (storage untouched)
+     * @private
+     */
+    #resetState() {
+        this.#apiKey = '';
+        this.#isPinned = false;
+        this.#useSessionOnly = false;
+        this.#expiryTime = 0;
+        this.#options = {};
+        this.#hasSettings = false;
+    }
+
     /**
      * Gets a human-readable status description
      *
@@ -410,10 +707,14 @@ export class ApiKeyManager {
      * // "Guardada permanentemente (cifrada)"
      */
     getStatusDescription() {
-        if (!this.#apiKey) {
+        if (!this.isConfigured) {
             return 'No configurada';
         }
 
+        if (!this.#apiKey) {
+            return 'Servidor configurado (sin API Key)';
+        }
+
         if (this.#useSessionOnly) {
             return 'Solo en esta sesion (se borra al cerrar navegador)';
         }
@@ -0,0 +1,735 @@
+/**
+ * @fileoverview Base LLM Client - Shared HTTP plumbing for chat providers
+ * @module chatbot/BaseLLMClient
+ * @version 1.0.0
+ * @license MIT
+ *
+ * Abstract base class implementing the provider interface used by ChatbotCore
+ * (sendMessage / streamMessage / clearHistory / restoreHistory / setModel).
+ * It owns everything that is provider independent:
+ * - PromptGuard validation of user messages and RAG context
+ * - Conversation history and trimming
+ * - Request timeouts, cancellation and SSE stream reading
+ * - Error normalization and ErrorMonitor reporting
+ *
+ * Concrete providers (Template Method pattern) only describe their wire format:
+ * endpoint, headers, request body, and where the text lives in a response.
+ *
+ * @security User messages and RAG context are validated before any request
+ */
+
+import { PromptGuard } from './PromptGuard.js';
+import { ErrorMonitor } from '../core/ErrorMonitor.js';
+
+/**
+ * @typedef {Object} LLMClientConfig
+ * @property {string} [model] - Model name (defaults to the provider's default)
+ * @property {number} [temperature=0.3] - Response randomness (0-1)
+ * @property {number} [maxOutputTokens=1024] - Maximum response length
+ * @property {number} [timeout=30000] - Request timeout in ms (per chunk when streaming)
+ */
+
+/**
+ * @typedef {Object} ProviderRequest
+ * @property {string} systemPrompt - System instructions including sanitized RAG context
+ * @property {Object[]} history - Conversation history in the provider's native format
+ * @property {string} model - Model name
+ * @property {number} temperature - Response randomness
+ * @property {number} maxOutputTokens - Maximum response length
+ * @property {boolean} stream - Whether a streamed response is requested
+ */
+
+/**
+ * @typedef {Object} ConnectionTestResult
+ * @property {boolean} valid - Whether the provider accepted the request
+ * @property {number} [statusCode] - HTTP status code on failure
+ * @property {string} [error] - Raw error message on failure
+ */
+
+/**
+ * Error raised by any LLM provider client
+ * @class LLMApiError
+ * @extends Error
+ */
+export class LLMApiError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {number} [statusCode] - HTTP status code
+     * @param {Error} [cause] - Original error
+     */
+    constructor(message, statusCode, cause) {
+        super(message);
+        this.name = 'LLMApiError';
+        this.statusCode = statusCode;
+        this.cause = cause;
+    }
+}
+
+/**
+ * @abstract
+ * @class BaseLLMClient
+ * @description Provider-agnostic chat client. Subclasses implement the wire format.
+ *
+ * @example
+ * class MyProviderClient extends BaseLLMClient {
+ *     static defaultModel = 'my-model';
+ *     buildEndpoint(model, stream) { return `https://api.example.com/${model}`; }
+ *     buildHeaders(apiKey) { return { 'Content-Type': 'application/json', Authorization: `Bearer ${apiKey}` }; }
+ *     buildRequestBody(request) { ... }
+ *     extractResponseText(data) { return data.text; }
+ *     extractStreamText(event) { return event.delta; }
+ * }
+ */
+export class BaseLLMClient {
+    /**
+     * Human-readable provider name used in logs and breadcrumbs
+     * @type {string}
+     */
+    static providerName = 'LLM';
+
+    /**
+     * Model used when none is configured
+     * @type {string}
+     */
+    static defaultModel = '';
+
+    /**
+     * Whether the provider refuses to work without an API key
+     * @type {boolean}
+     */
+    static requiresApiKey = true;
+
+    /** @private @type {string} */
+    #apiKey;
+
+    /** @private @type {string} */
+    #model;
+
+    /** @private @type {number} */
+    #timeout = 30000;
+
+    /** @private @type {number} */
+    #temperature = 0.3;
+
+    /** @private @type {number} */
+    #maxOutputTokens = 1024;
+
+    /** @private @type {number} */
+    #maxHistoryLength = 16;
+
+    /** @private @type {Object[]} History entries in the provider's native format */
+    #conversationHistory = [];
+
+    /**
+     * Creates a new client instance
+     *
+     * @param {string} apiKey - Provider API key
+     * @param {LLMClientConfig} [config] - Optional configuration
+     * @throws {TypeError} If instantiated directly
+     * @throws {Error} If apiKey is missing and the provider requires one
+     */
+    constructor(apiKey, config = {}) {
+        if (new.target === BaseLLMClient) {
+            throw new TypeError('BaseLLMClient is abstract and cannot be instantiated directly');
+        }
+
+        if (!apiKey && this.constructor.requiresApiKey) {
+            throw new Error('API key is required');
+        }
+
+        this.#apiKey = apiKey || '';
+        this.#model = config.model || this.constructor.defaultModel;
+
+        if (config.timeout) this.#timeout = config.timeout;
+        if (config.temperature !== undefined) this.#temperature = config.temperature;
+        if (config.maxOutputTokens) this.#maxOutputTokens = config.maxOutputTokens;
+    }
+
+    // ========================================================================
+    // PROVIDER HOOKS (override in subclasses)
+    // ========================================================================
+
+    /**
+     * Builds the request URL
+     *
+     * @abstract
+     * @param {string} model - Model name
+     * @param {boolean} stream - Whether a streamed response is requested
+     * @returns {string} Endpoint URL
+     */
+    buildEndpoint(model, stream) {
+        throw new Error('Subclasses must implement buildEndpoint()');
+    }
+
+    /**
+     * Builds the request headers
+     *
+     * @abstract
+     * @param {string} apiKey - Provider API key (may be empty for keyless providers)
+     * @returns {Object} HTTP headers
+     */
+    buildHeaders(apiKey) {
+        throw new Error('Subclasses must implement buildHeaders()');
+    }
+
+    /**
+     * Builds the JSON request body
+     *
+     * @abstract
+     * @param {ProviderRequest} request - Provider-independent request description
+     * @returns {Object} Request body
+     */
+    buildRequestBody(request) {
+        throw new Error('Subclasses must implement buildRequestBody()');
+    }
+
+    /**
+     * Extracts the response text from a non-streamed response body
+     *
+     * @abstract
+     * @param {Object} data - Parsed JSON response
+     * @returns {string|undefined} Response text
+     */
+    extractResponseText(data) {
+        throw new Error('Subclasses must implement extractResponseText()');
+    }
+
+    /**
+     * Extracts the text delta from one parsed SSE event
+     *
+     * @abstract
+     * @param {Object} event - Parsed JSON payload of a `data:` line
+     * @returns {string} Text chunk (empty if the event carries no text)
+     */
+    extractStreamText(event) {
+        throw new Error('Subclasses must implement extractStreamText()');
+    }
+
+    /**
+     * Creates a history entry in the provider's native format
+     *
+     * @param {'user'|'assistant'} role - Message author
+     * @param {string} text - Message text
+     * @returns {Object} History entry
+     */
+    createHistoryEntry(role, text) {
+        return { role, content: text };
+    }
+
+    /**
+     * Creates the error type thrown by this client
+     *
+     * @param {string} message - Error message
+     * @param {number} [statusCode] - HTTP status code
+     * @param {Error} [cause] - Original error
+     * @returns {LLMApiError}
+     */
+    createError(message, statusCode, cause) {
+        return new LLMApiError(message, statusCode, cause);
+    }
+
+    /**
+     * Extracts the error message from a failed response body
+     *
+     * @param {Object} body - Parsed JSON error body
+     * @returns {string|undefined} Error message
+     */
+    extractErrorMessage(body) {
+        return body?.error?.message;
+    }
+
+    // ========================================================================
+    // PUBLIC API
+    // ========================================================================
+
+    /**
+     * Current conversation history
+     * @type {Object[]}
+     * @readonly
+     */
+    get conversationHistory() {
+        return [...this.#conversationHistory];
+    }
+
+    /**
+     * Gets the current model name
+     * @type {string}
+     * @readonly
+     */
+    get model() {
+        return this.#model;
+    }
+
+    /**
+     * Sets the model to use
+     * @param {string} model - Model name
+     */
+    setModel(model) {
+        this.#model = model;
+    }
+
+    /**
+     * Updates the API key
+     * @param {string} apiKey - New API key
+     */
+    setApiKey(apiKey) {
+        this.#apiKey = apiKey;
+    }
+
+    /**
+     * Clears conversation history
+     * @returns {void}
+     */
+    clearHistory() {
+        this.#conversationHistory = [];
+    }
+
+    /**
+     * Replaces the conversation history with previously stored messages
+     * (e.g. when resuming a saved thread). Only the most recent turns are kept,
+     * starting on a user turn so providers receive user/assistant pairs.
+     *
+     * @param {Array<{role: 'user'|'assistant', text: string}>} messages - Stored messages, oldest first
+     * @returns {void}
+     *
+     * @example
+     * const thread = await conversationStore.getThread(id);
+     * client.restoreHistory(thread.messages);
+     */
+    restoreHistory(messages = []) {
+        let recent = messages
+            .filter(m => (m.role === 'user' || m.role === 'assistant') && m.text)
+            .slice(-this.#maxHistoryLength);
+
+        const firstUser = recent.findIndex(m => m.role === 'user');
+        recent = firstUser === -1 ? [] : recent.slice(firstUser);
+
+        this.#conversationHistory = recent.map(m => this.createHistoryEntry(m.role, m.text));
+    }
+
+    /**
+     * Sends a message with optional context and history
+     * Applies PromptGuard protection against injection attacks.
+     * If the request fails, the user turn is not kept in history.
+     *
+     * @param {string} userMessage - User's message
+     * @param {string} systemPrompt - System instructions
+     * @param {string} [ragContext=''] - RAG-retrieved context
+     * @returns {Promise<string>} Model's response
+     * @throws {LLMApiError} If API call fails or message is blocked
+     *
+     * @security User messages and RAG context are validated and sanitized
+     */
+    async sendMessage(userMessage, systemPrompt, ragContext = '') {
+        const requestBody = this.#prepareRequest(userMessage, systemPrompt, ragContext, false);
+
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), this.#timeout);
+
+        try {
+            const response = await fetch(
+                this.buildEndpoint(this.#model, false),
+                {
+                    method: 'POST',
+                    headers: this.buildHeaders(this.#apiKey),
+                    body: JSON.stringify(requestBody),
+                    signal: controller.signal
+                }
+            );
+
+            clearTimeout(timeoutId);
+
+            if (!response.ok) {
+                throw await this.#createHttpError(response);
+            }
+
+            const data = await response.json();
+            const botResponse = this.extractResponseText(data);
+
+            if (!botResponse) {
+                throw this.createError('Malformed API response');
+            }
+
+            this.#commitResponse(botResponse);
+
+            return botResponse;
+        } catch (error) {
+            clearTimeout(timeoutId);
+            // Keep history in user/assistant pairs (some providers reject consecutive user turns)
+            this.#discardPendingTurn();
+            throw this.#handleError(error, 'sendMessage');
+        }
+    }
+
+    /**
+     * Streams a response using Server-Sent Events, yielding text chunks as they arrive.
+     *
+     * The same PromptGuard validation as {@link BaseLLMClient#sendMessage} is
+     * applied before the request. The fully assembled text is added to the
+     * conversation history only when the stream completes; if the stream is
+     * aborted or fails, the pending user turn is removed from history.
+     *
+     * The configured timeout applies to the wait for each chunk, so long
+     * answers are not cut off as long as the model keeps producing text.
+     *
+     * @param {string} userMessage - User's message
+     * @param {string} systemPrompt - System instructions
+     * @param {string} [ragContext=''] - RAG-retrieved context
+     * @param {Object} [options={}] - Stream options
+     * @param {AbortSignal} [options.signal] - Signal to cancel the stream mid-response
+     * @yields {string} Partial text chunks in arrival order
+     * @returns {AsyncGenerator<string, string, void>} Resolves to the assembled text when done
+     * @throws {LLMApiError} If API call fails, times out, is cancelled or message is blocked
+     *
+     * @example
+     * const controller = new AbortController();
+     * let text = '';
+     * for await (const chunk of client.streamMessage(question, systemPrompt, ragContext, {
+     *   signal: controller.signal
+     * })) {
+     *   text += chunk;
+     *   render(text);
+     * }
+     *
+     * @security User messages and RAG context are validated and sanitized
+     */
+    async *streamMessage(userMessage, systemPrompt, ragContext = '', options = {}) {
+        const { signal } = options;
+        const requestBody = this.#prepareRequest(userMessage, systemPrompt, ragContext, true);
+
+        const controller = new AbortController();
+        const onExternalAbort = () => controller.abort();
+        signal?.addEventListener('abort', onExternalAbort, { once: true });
+
+        let timeoutId = null;
+        const resetTimeout = () => {
+            clearTimeout(timeoutId);
+            timeoutId = setTimeout(() => controller.abort(), this.#timeout);
+        };
+
+        let reader = null;
+        let assembled = '';
+        let completed = false;
+
+        try {
+            if (signal?.aborted) {
+                controller.abort();
+            }
+
+            resetTimeout();
+
+            const response = await fetch(
+                this.buildEndpoint(this.#model, true),
+                {
+                    method: 'POST',
+                    headers: this.buildHeaders(this.#apiKey),
+                    body: JSON.stringify(requestBody),
+                    signal: controller.signal
+                }
+            );
+
+            if (!response.ok) {
+                throw await this.#createHttpError(response);
+            }
+
+            if (!response.body?.getReader) {
+                throw this.createError('Streaming not supported by this browser');
+            }
+
+            reader = response.body.getReader();
+            const decoder = new TextDecoder();
+            let buffer = '';
+
+            while (true) {
+                resetTimeout();
+                const { done, value } = await reader.read();
+
+                buffer += done ? decoder.decode() : decoder.decode(value, { stream: true });
+
+                // SSE events are separated by newlines; keep the trailing partial line
+                const lines = buffer.split(/\r?\n/);
+                buffer = done ? '' : lines.pop();
+
+                for (const line of lines) {
+                    const chunk = this.#parseStreamLine(line);
+                    if (chunk) {
+                        assembled += chunk;
+                        yield chunk;
+                    }
+                }
+
+                if (done) break;
+            }
+
+            if (!assembled) {
+                throw this.createError('Malformed API response');
+            }
+
+            this.#commitResponse(assembled);
+            completed = true;
+
+            return assembled;
+        } catch (error) {
+            if (error.name === 'AbortError' && signal?.aborted) {
+                throw this.createError('Respuesta cancelada por el usuario', null, error);
+            }
+            throw this.#handleError(error, 'streamMessage');
+        } finally {
+            clearTimeout(timeoutId);
+            signal?.removeEventListener('abort', onExternalAbort);
+
+            if (!completed) {
+                // Consumer stopped early, request failed or was cancelled:
+                // drop the pending user turn so history stays in user/model pairs
+                this.#discardPendingTurn();
+                controller.abort();
+                reader?.cancel().catch(() => {});
+            }
+        }
+    }
+
+    /**
+     * Sends a minimal request to check that the key/endpoint is usable.
+     * Does not touch the conversation history.
+     *
+     * @returns {Promise<ConnectionTestResult>}
+     *
+     * @example
+     * const result = await client.testConnection();
+     * if (!result.valid) console.warn(result.statusCode, result.error);
+     */
+    async testConnection() {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), this.#timeout);
+
+        try {
+            const response = await fetch(
+                this.buildEndpoint(this.#model, false),
+                {
+                    method: 'POST',
+                    headers: this.buildHeaders(this.#apiKey),
+                    body: JSON.stringify(this.buildRequestBody({
+                        systemPrompt: '',
+                        history: [this.createHistoryEntry('user', 'Responde solo: OK')],
+                        model: this.#model,
+                        temperature: 0,
+                        maxOutputTokens: 5,
+                        stream: false
+                    })),
+                    signal: controller.signal
+                }
+            );
+
+            if (response.ok) {
+                return { valid: true };
+            }
+
+            const errorBody = await response.json().catch(() => ({}));
+            return {
+                valid: false,
+                statusCode: response.status,
+                error: this.extractErrorMessage(errorBody) || response.statusText || 'API Error'
+            };
+        } catch (error) {
+            return {
+                valid: false,
+                error: error.name === 'AbortError' ? 'Timeout' : error.message
+            };
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    // ========================================================================
+    // SHARED PLUMBING
+    // ========================================================================
+
+    /**
+     * Validates input, records the user turn and builds the request body.
+     * Shared by the blocking and streaming code paths.
+     *
+     * @private
+     * @param {string} userMessage - User's message
+     * @param {string} systemPrompt - System instructions
+     * @param {string} ragContext - RAG-retrieved context
+     * @param {boolean} stream - Whether a streamed response is requested
+     * @returns {Object} Provider request body
+     * @throws {LLMApiError} If the user message is blocked by PromptGuard
+     */
+    #prepareRequest(userMessage, systemPrompt, ragContext, stream) {
+        const providerName = this.constructor.providerName;
+
+        // Add breadcrumb for request tracking
+        ErrorMonitor.addBreadcrumb({
+            category: 'api',
+            message: `Sending message to ${providerName} API`,
+            level: 'info',
+            data: {
+                model: this.#model,
+                hasContext: !!ragContext,
+                messageLength: userMessage?.length || 0
+            }
+        });
+
+        // Validate user message for injection attempts
+        const userValidation = PromptGuard.validateUserMessage(userMessage);
+        if (!userValidation.valid) {
+            console.warn(`[${this.constructor.name}] User message blocked:`, userValidation.threats);
+            throw this.createError(
+                'Tu mensaje contiene patrones no permitidos. Por favor, reformula tu pregunta.',
+                400
+            );
+        }
+
+        // Add validated/truncated user message to history
+        this.#conversationHistory.push(this.createHistoryEntry('user', userValidation.message));
+
+        // Sanitize RAG context with clear delimiters
+        let safeContext = '';
+        if (ragContext) {
+            const contextAnalysis = PromptGuard.analyze(ragContext);
+            if (contextAnalysis.safe) {
+                safeContext = PromptGuard.sanitize(ragContext);
+                safeContext = PromptGuard.wrapContext(safeContext);
+            } else {
+                console.warn(`[${this.constructor.name}] RAG context blocked:`, contextAnalysis.threats);
+                // Continue without context rather than failing
+            }
+        }
+
+        // Build full prompt with sanitized context
+        const fullSystemPrompt = safeContext
+            ? `${systemPrompt}\n\n${safeContext}`
+            : systemPrompt;
+
+        return this.buildRequestBody({
+            systemPrompt: fullSystemPrompt,
+            history: [...this.#conversationHistory],
+            model: this.#model,
+            temperature: this.#temperature,
+            maxOutputTokens: this.#maxOutputTokens,
+            stream
+        });
+    }
+
+    /**
+     * Creates an error from a non-ok HTTP response
+     * @private
+     * @param {Response} response - Fetch response
+     * @returns {Promise<LLMApiError>}
+     */
+    async #createHttpError(response) {
+        const body = await response.json().catch(() => ({}));
+        return this.createError(
+            this.extractErrorMessage(body) || 'API Error',
+            response.status
+        );
+    }
+
+    /**
+     * Extracts the text of a single SSE `data:` line
+     * @private
+     * @param {string} line - Raw SSE line
+     * @returns {string} Text chunk, or empty string if the line carries no text
+     */
+    #parseStreamLine(line) {
+        if (!line.startsWith('data:')) return '';
+
+        const payload = line.slice(5).trim();
+        if (!payload || payload === '[DONE]') return '';
+
+        try {
+            return this.extractStreamText(JSON.parse(payload)) || '';
+        } catch {
+            console.warn(`[${this.constructor.name}] Ignoring malformed stream event`);
+            return '';
+        }
+    }
+
+    /**
+     * Adds the model response to history and trims it
+     * @private
+     * @param {string} text - Final response text
+     */
+    #commitResponse(text) {
+        this.#conversationHistory.push(this.createHistoryEntry('assistant', text));
+        this.#trimHistory();
+    }
+
+    /**
+     * Removes a trailing user turn that never got a model response
+     * @private
+     */
+    #discardPendingTurn() {
+        const last = this.#conversationHistory[this.#conversationHistory.length - 1];
+        if (last && last.role === this.createHistoryEntry('user', '').role) {
+            this.#conversationHistory.pop();
+        }
+    }
+
+    /**
+     * Trims conversation history to max length
+     * @private
+     */
+    #trimHistory() {
+        if (this.#conversationHistory.length > this.#maxHistoryLength) {
+            this.#conversationHistory = this.#conversationHistory.slice(-this.#maxHistoryLength);
+        }
+    }
+
+    /**
+     * Records an API failure and normalizes it to the client's error type
+     * @private
+     * @param {Error} error - Caught error
+     * @param {string} action - Public method that failed
+     * @returns {LLMApiError} Error to throw
+     */
+    #handleError(error, action) {
+        const component = this.constructor.name;
+
+        // Add breadcrumb for error context
+        ErrorMonitor.addBreadcrumb({
+            category: 'api',
+            message: `${this.constructor.providerName} API error: ${error.message}`,
+            level: 'error',
+            data: {
+                model: this.#model,
+                historyLength: this.#conversationHistory.length
+            }
+        });
+
+        if (error.name === 'AbortError') {
+            const timeoutError = this.createError(
+                `Timeout: La API tardo mas de ${this.#timeout / 1000} segundos en responder`
+            );
+            ErrorMonitor.captureException(timeoutError, {
+                component,
+                action,
+                errorType: 'timeout',
+                timeout: this.#timeout
+            });
+            return timeoutError;
+        }
+
+        if (error instanceof LLMApiError) {
+            ErrorMonitor.captureException(error, {
+                component,
+                action,
+                errorType: 'api_error',
+                statusCode: error.statusCode
+            });
+            return error;
+        }
+
+        const wrappedError = this.createError(error.message, null, error);
+        ErrorMonitor.captureException(wrappedError, {
+            component,
+            action,
+            errorType: 'unknown',
+            originalError: error.name
+        });
+        return wrappedError;
+    }
+}
+
+export default BaseLLMClient;
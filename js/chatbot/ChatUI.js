@@ -8,18 +8,30 @@
  * Uses DOMPurify for XSS protection on all rendered content.
  */
 
+import { renderMarkdown, MARKDOWN_SANITIZER_CONFIG } from './MarkdownRenderer.js';
+
 /**
  * @typedef {Object} UIElements
  * @property {HTMLElement} panel - Chat panel container
  * @property {HTMLElement} messages - Messages container
  * @property {HTMLInputElement} input - User input field
  * @property {HTMLElement} fab - Floating action button
+ * @property {HTMLButtonElement} sendButton - Send / stop button
  * @property {HTMLElement} apiModal - API key modal
  * @property {HTMLInputElement} apiKeyInput - API key input field
  * @property {HTMLElement} apiStatus - API status display
  * @property {HTMLInputElement} pinCheckbox - Pin API key checkbox
  * @property {HTMLInputElement} sessionCheckbox - Session only checkbox
  * @property {HTMLElement} validationInfo - API key validation info
+ * @property {HTMLSelectElement} providerSelect - LLM provider selector
+ * @property {HTMLAnchorElement} keyHelpLink - Link to the provider's key console
+ * @property {HTMLElement} baseUrlField - Wrapper of the endpoint URL input
+ * @property {HTMLInputElement} baseUrlInput - Custom endpoint URL input
+ * @property {HTMLElement} baseUrlHint - Which endpoints work for the provider
+ * @property {HTMLInputElement} modelInput - Model override input
+ * @property {HTMLButtonElement} threadsButton - Toggles the saved conversations panel
+ * @property {HTMLElement} threadPanel - Saved conversations panel
+ * @property {HTMLElement} threadList - Saved conversations list
  */
 
 /**
@@ -38,11 +50,18 @@ export class ChatUI {
     /** @private @type {boolean} */
     #isOpen = false;
 
+    /** @private @type {string} Initial greeting, restored when a new thread starts */
+    #welcomeHtml = '';
+
+    /** @private @type {string|null} API form values as last loaded from the saved settings */
+    #savedApiValues = null;
+
     /**
      * Creates a new ChatUI instance and caches DOM elements
      */
     constructor() {
         this.#cacheElements();
+        this.#welcomeHtml = this.#elements.messages?.innerHTML || '';
     }
 
     /**
@@ -64,12 +83,22 @@ export class ChatUI {
             messages: document.getElementById('chatbotMessages'),
             input: document.getElementById('chatbotInput'),
             fab: document.getElementById('chatbotFab'),
+            sendButton: document.getElementById('chatbotSend'),
             apiModal: document.getElementById('apiModal'),
             apiKeyInput: document.getElementById('apiKeyInput'),
             apiStatus: document.getElementById('apiStatus'),
             pinCheckbox: document.getElementById('pinApiKey'),
             sessionCheckbox: document.getElementById('sessionApiKey'),
-            validationInfo: document.getElementById('apiValidationInfo')
+            validationInfo: document.getElementById('apiValidationInfo'),
+            providerSelect: document.getElementById('apiProviderSelect'),
+            keyHelpLink: document.getElementById('apiKeyHelpLink'),
+            baseUrlField: document.getElementById('apiBaseUrlField'),
+            baseUrlInput: document.getElementById('apiBaseUrlInput'),
+            baseUrlHint: document.getElementById('apiBaseUrlHint'),
+            modelInput: document.getElementById('apiModelInput'),
+            threadsButton: document.getElementById('chatbotThreads'),
+            threadPanel: document.getElementById('chatbotThreadPanel'),
+            threadList: document.getElementById('chatbotThreadList')
         };
     }
 
@@ -81,6 +110,20 @@ export class ChatUI {
         return this.#elements.input?.value?.trim() || '';
     }
 
+    /**
+     * Fills the input field and focuses it, e.g. with a suggested question
+     *
+     * @param {string} text - Text to put in the input
+     * @returns {void}
+     */
+    setInputValue(text) {
+        const input = this.#elements.input;
+        if (!input) return;
+
+        input.value = text;
+        input.focus();
+    }
+
     /**
      * Clears the input field
      * @returns {void}
@@ -135,6 +178,21 @@ export class ChatUI {
         this.#elements.apiModal?.classList.remove('active');
     }
 
+    /**
+     * Checks if the API key modal is open with edits that were not saved
+     *
+     * @returns {boolean} True if the form differs from the last loaded settings
+     *
+     * @example
+     * if (ui.hasUnsavedApiChanges() && !confirm('Descartar cambios?')) return false;
+     */
+    hasUnsavedApiChanges() {
+        if (!this.#elements.apiModal?.classList.contains('active')) return false;
+        if (this.#savedApiValues === null) return false;
+
+        return JSON.stringify(this.getApiModalValues()) !== this.#savedApiValues;
+    }
+
     /**
      * Adds a user message to the chat
      *
@@ -165,29 +223,100 @@ export class ChatUI {
     /**
      * Adds a bot message to the chat with markdown formatting
      *
+     * Pass `{ streaming: true }` to create a message that will keep growing:
+     * update it with {@link ChatUI#updateBotMessage} as chunks arrive.
+     *
      * @param {string} text - Message text (supports basic markdown)
-     * @returns {void}
+     * @param {Object} [options={}] - Rendering options
+     * @param {boolean} [options.streaming=false] - Mark message as still being received
+     * @returns {HTMLElement|null} The message element, or null if the container is missing
+     *
+     * @example
+     * const el = ui.addBotMessage('', { streaming: true });
+     * ui.updateBotMessage(el, 'Primer fragmento...');
+     * ui.updateBotMessage(el, 'Primer fragmento... y el resto.', { done: true });
      */
-    addBotMessage(text) {
+    addBotMessage(text, options = {}) {
         const container = this.#elements.messages;
-        if (!container) return;
+        if (!container) return null;
 
         const msg = document.createElement('div');
         msg.className = 'chat-message bot';
 
-        // Sanitize AI-generated content before rendering
-        const formattedMessage = this.#formatMessage(text);
-        const sanitized = typeof DOMPurify !== 'undefined'
-            ? DOMPurify.sanitize(formattedMessage)
-            : this.#escapeHtml(text);
-
         msg.innerHTML = `
             <div class="message-avatar"><i class="ri-robot-line"></i></div>
-            <div class="message-content">${sanitized}</div>
+            <div class="message-content"></div>
         `;
 
+        this.#renderBotContent(msg, text);
+        msg.classList.toggle('streaming', Boolean(options.streaming));
+        msg.setAttribute('aria-busy', options.streaming ? 'true' : 'false');
+
         container.appendChild(msg);
         this.#scrollToBottom();
+
+        return msg;
+    }
+
+    /**
+     * Re-renders a bot message with new (accumulated) text
+     * Used while streaming: the full text so far is rendered each time so
+     * markdown spanning several chunks is formatted correctly.
+     *
+     * @param {HTMLElement} messageEl - Element returned by addBotMessage
+     * @param {string} text - Full message text so far
+     * @param {Object} [options={}] - Update options
+     * @param {boolean} [options.done=false] - Whether the message is complete
+     * @returns {void}
+     */
+    updateBotMessage(messageEl, text, options = {}) {
+        if (!messageEl) return;
+
+        this.#renderBotContent(messageEl, text);
+
+        if (options.done) {
+            messageEl.classList.remove('streaming');
+            messageEl.setAttribute('aria-busy', 'false');
+        }
+
+        this.#scrollToBottom();
+    }
+
+    /**
+     * Switches the send button between "send" and "stop" modes
+     *
+     * @param {boolean} isStreaming - Whether a response is being streamed
+     * @returns {void}
+     */
+    setStreamingState(isStreaming) {
+        const button = this.#elements.sendButton;
+        if (!button) return;
+
+        button.classList.toggle('is-streaming', isStreaming);
+        button.innerHTML = isStreaming
+            ? '<i class="ri-stop-fill" aria-hidden="true"></i>'
+            : '<i class="ri-send-plane-fill" aria-hidden="true"></i>';
+
+        const label = isStreaming ? 'Detener respuesta' : 'Enviar mensaje';
+        button.setAttribute('aria-label', label);
+        button.setAttribute('data-tooltip', label);
+    }
+
+    /**
+     * Renders sanitized, formatted text into a bot message element
+     *
+     * @private
+     * @param {HTMLElement} messageEl - Bot message element
+     * @param {string} text - Raw message text
+     */
+    #renderBotContent(messageEl, text) {
+        const content = messageEl.querySelector('.message-content');
+        if (!content) return;
+
+        // Sanitize AI-generated content before rendering
+        content.innerHTML = typeof DOMPurify !== 'undefined'
+            ? DOMPurify.sanitize(renderMarkdown(text), MARKDOWN_SANITIZER_CONFIG)
+            : this.#escapeHtml(text);
     }
 
     /**
@@ -223,9 +352,12 @@ export class ChatUI {
     }
 
     /**
-     * Shows source documents under the last message
+     * Shows source documents under the last message.
+     * Results from chunk-level retrieval cite the section of their best chunk.
+     * Sources are numbered as in the RAG context, and the citation markers of
+     * the last answer that point to one of them become links to its tag.
      *
-     * @param {Array<{title: string, category: string}>} docs - Source documents
+     * @param {Array<{title: string, category: string, chunks?: Array<{id: string, heading: string|null}>}>} docs - Source documents, in context order
      * @returns {void}
      */
     showSources(docs) {
@@ -236,14 +368,30 @@ export class ChatUI {
             ? (s) => DOMPurify.sanitize(s)
             : (s) => this.#escapeHtml(s);
 
-        const sourcesHtml = docs.slice(0, 2).map(doc => {
-            const safeTitle = sanitize(doc.title);
+        const labels = docs.map(doc => {
+            const chunk = doc.chunks?.[0];
+            return chunk?.heading ? `${doc.title} > ${chunk.heading}` : doc.title;
+        });
+
+        const sourcesHtml = docs.map((doc, i) => {
+            const chunk = doc.chunks?.[0];
+            const safeTitle = this.#escapeHtml(labels[i]);
             const safeCategory = sanitize(doc.category);
-            return `<span class="source-tag" title="${safeTitle}">
+            const chunkAttr = chunk ? ` data-chunk-id="${this.#escapeHtml(chunk.id)}"` : '';
+            return `<span class="source-tag" title="${safeTitle}" data-citation="${i + 1}" tabindex="-1"${chunkAttr}>
+                <span class="source-number">${i + 1}</span>
                 <i class="ri-file-text-line"></i> ${safeCategory}
             </span>`;
         }).join(' ');
 
+        const answers = container.querySelectorAll('.chat-message.bot');
+        answers[answers.length - 1]?.querySelectorAll('.chat-citation').forEach(citation => {
+            const label = labels[Number(citation.dataset.citation) - 1];
+            if (!label) return;
+            citation.classList.add('is-linked');
+            citation.title = label;
+        });
+
         const sources = document.createElement('div');
         sources.className = 'chat-sources';
         sources.innerHTML = sanitize(`<small>Fuentes: ${sourcesHtml}</small>`);
@@ -252,6 +400,178 @@ export class ChatUI {
         this.#scrollToBottom();
     }
 
+    /**
+     * Scrolls to and highlights the source a citation marker points to
+     *
+     * @param {HTMLElement} citation - `.chat-citation` element of an answer
+     * @returns {boolean} True if the answer has that source
+     *
+     * @example
+     * ui.highlightSource(messageEl.querySelector('.chat-citation'));
+     */
+    highlightSource(citation) {
+        const message = citation?.closest('.chat-message');
+        if (!message) return false;
+
+        // Sources follow their answer, before the next message
+        let sibling = message.nextElementSibling;
+        while (sibling && !sibling.classList.contains('chat-message')) {
+            if (sibling.classList.contains('chat-sources')) {
+                const tag = [...sibling.querySelectorAll('.source-tag')]
+                    .find(el => el.dataset.citation === citation.dataset.citation);
+                if (!tag) return false;
+
+                tag.scrollIntoView?.({ block: 'nearest', behavior: 'smooth' });
+                tag.focus();
+                tag.classList.remove('is-highlighted');
+                // Restart the animation when the same source is cited twice
+                void tag.offsetWidth;
+                tag.classList.add('is-highlighted');
+                return true;
+            }
+            sibling = sibling.nextElementSibling;
+        }
+
+        return false;
+    }
+
+    /**
+     * Offers guided diagnostics under the last message. Each button carries
+     * `data-diagnostic-id` for event delegation.
+     *
+     * @param {Array<{id: string, title: string}>} diagnostics - Diagnostics that fit the question
+     * @returns {void}
+     *
+     * @example
+     * ui.showDiagnosticSuggestions([{ id: 'apps-not-installing', title: 'Las apps no se instalan' }]);
+     */
+    showDiagnosticSuggestions(diagnostics) {
+        const container = this.#elements.messages;
+        if (!container || !diagnostics?.length) return;
+
+        const suggestions = document.createElement('div');
+        suggestions.className = 'chat-diagnostic-suggestions';
+
+        const label = document.createElement('small');
+        label.textContent = 'Diagnostico guiado:';
+        suggestions.appendChild(label);
+
+        diagnostics.forEach(diagnostic => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'chat-diagnostic-suggestion';
+            button.dataset.diagnosticId = diagnostic.id;
+            button.innerHTML = '<i class="ri-stethoscope-line" aria-hidden="true"></i> ';
+            button.append(diagnostic.title);
+            suggestions.appendChild(button);
+        });
+
+        container.appendChild(suggestions);
+        this.#scrollToBottom();
+    }
+
+    /**
+     * Shows the rating controls under the last answer. The controls carry
+     * `data-answer-id`, and each button `data-feedback` ('up', 'down' or
+     * 'wrong') for event delegation.
+     *
+     * @param {string} answerId - Answer identifier
+     * @returns {void}
+     *
+     * @example
+     * ui.showFeedbackControls(answerId);
+     */
+    showFeedbackControls(answerId) {
+        const container = this.#elements.messages;
+        if (!container) return;
+
+        const feedback = document.createElement('div');
+        feedback.className = 'chat-feedback';
+        feedback.dataset.answerId = answerId;
+
+        const label = document.createElement('small');
+        label.className = 'chat-feedback-label';
+        label.textContent = 'Te ha servido?';
+        feedback.appendChild(label);
+
+        feedback.append(
+            this.#createFeedbackButton('up', 'ri-thumb-up-line', 'Respuesta util'),
+            this.#createFeedbackButton('down', 'ri-thumb-down-line', 'Respuesta no util'),
+            this.#createFeedbackButton('wrong', 'ri-flag-line', 'Informar de una respuesta incorrecta', 'Informar de un error')
+        );
+
+        container.appendChild(feedback);
+        this.#scrollToBottom();
+    }
+
+    /**
+     * Marks the rating given to an answer
+     *
+     * @param {string} answerId - Answer identifier
+     * @param {import('./FeedbackStore.js').FeedbackRating} rating - Rating saved
+     * @returns {void}
+     */
+    setFeedbackState(answerId, rating) {
+        const feedback = this.#findFeedback(answerId);
+        if (!feedback) return;
+
+        feedback.querySelectorAll('[data-feedback]').forEach(button => {
+            button.setAttribute('aria-pressed', button.dataset.feedback === rating ? 'true' : 'false');
+        });
+
+        const label = feedback.querySelector('.chat-feedback-label');
+        if (label) {
+            label.textContent = rating === 'wrong' ? 'Gracias, revisaremos esta respuesta' : 'Gracias por tu valoracion';
+        }
+    }
+
+    /**
+     * Asks what is wrong with an answer, in place of its rating controls.
+     * Enter (or leaving the field) sends the comment, Escape cancels.
+     *
+     * @param {string} answerId - Answer identifier
+     * @returns {Promise<string|null>} Comment (may be empty), or null if cancelled
+     *
+     * @example
+     * const comment = await ui.promptFeedbackComment(answerId);
+     * if (comment !== null) await chatbot.rateAnswer(answerId, 'wrong', comment);
+     */
+    promptFeedbackComment(answerId) {
+        const feedback = this.#findFeedback(answerId);
+        if (!feedback) return Promise.resolve(null);
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'chat-feedback-comment';
+        input.maxLength = 500;
+        input.placeholder = 'Que esta mal? (opcional, Intro para enviar)';
+        input.setAttribute('aria-label', 'Que esta mal en la respuesta');
+
+        const controls = [...feedback.children];
+
+        return new Promise(resolve => {
+            let settled = false;
+            const finish = (value) => {
+                if (settled) return;
+                settled = true;
+                input.replaceWith(...controls);
+                resolve(value === null ? null : value.trim());
+            };
+
+            input.addEventListener('keydown', (e) => {
+                // Keep Enter/Escape from reaching the chat input handlers
+                e.stopPropagation();
+                if (e.key === 'Enter') finish(input.value);
+                if (e.key === 'Escape') finish(null);
+            });
+            input.addEventListener('blur', () => finish(input.value));
+            input.addEventListener('click', (e) => e.stopPropagation());
+
+            feedback.replaceChildren(input);
+            input.focus();
+        });
+    }
+
     /**
      * Shows rate limit warning
      *
@@ -334,12 +654,24 @@ export class ChatUI {
      * @param {boolean} settings.isPinned - Whether key is pinned
      * @param {boolean} settings.isSessionOnly - Whether using session storage
      * @param {string} settings.statusText - Status description
+     * @param {boolean} [settings.isConfigured] - Whether the provider is usable (keyless providers may have no key)
+     * @param {import('./LLMProviders.js').ProviderDescriptor} [settings.provider] - Active provider
+     * @param {import('./LLMProviders.js').ProviderOptions} [settings.providerOptions] - Saved endpoint/model
      * @returns {void}
      */
     updateApiKeyUI(settings) {
-        const { apiKey, isPinned, isSessionOnly, statusText } = settings;
+        const {
+            apiKey, isPinned, isSessionOnly, isConfigured, statusText, provider, providerOptions = {}
+        } = settings;
 
-        if (this.#elements.apiKeyInput && apiKey) {
+        if (provider) {
+            this.#applyProvider(provider, providerOptions);
+            if (this.#elements.apiKeyInput) {
+                this.#elements.apiKeyInput.value = apiKey || '';
+            }
+            this.updateApiStatus('', '');
+            this.updateValidationInfo(null);
+        } else if (this.#elements.apiKeyInput && apiKey) {
             this.#elements.apiKeyInput.value = apiKey;
         }
 
@@ -353,22 +685,89 @@ export class ChatUI {
 
         if (apiKey && statusText) {
             this.updateApiStatus(`API Key configurada - ${statusText}`, 'success');
+        } else if (isConfigured && statusText) {
+            this.updateApiStatus(statusText, 'success');
         }
+
+        this.#savedApiValues = JSON.stringify(this.getApiModalValues());
+    }
+
+    /**
+     * Fills the provider selector
+     *
+     * @param {ReadonlyArray<import('./LLMProviders.js').ProviderDescriptor>} providers - Supported providers
+     * @param {string} activeId - Currently selected provider
+     * @returns {void}
+     *
+     * @example
+     * ui.renderProviderOptions(PROVIDER_CATALOG, 'gemini');
+     */
+    renderProviderOptions(providers, activeId) {
+        const select = this.#elements.providerSelect;
+        if (!select || !providers?.length) return;
+
+        select.replaceChildren(...providers.map(provider => {
+            const option = document.createElement('option');
+            option.value = provider.id;
+            option.textContent = provider.label;
+            return option;
+        }));
+        select.value = activeId;
     }
 
     /**
      * Gets API modal form values
      *
-     * @returns {{key: string, pinned: boolean, sessionOnly: boolean}} Form values
+     * @returns {{key: string, pinned: boolean, sessionOnly: boolean, provider: string, baseUrl: string, model: string}} Form values
      */
     getApiModalValues() {
         return {
             key: this.#elements.apiKeyInput?.value?.trim() || '',
             pinned: this.#elements.pinCheckbox?.checked || false,
-            sessionOnly: this.#elements.sessionCheckbox?.checked || false
+            sessionOnly: this.#elements.sessionCheckbox?.checked || false,
+            provider: this.#elements.providerSelect?.value || '',
+            baseUrl: this.#elements.baseUrlField?.hidden ? '' : (this.#elements.baseUrlInput?.value?.trim() || ''),
+            model: this.#elements.modelInput?.value?.trim() || ''
         };
     }
 
+    /**
+     * Adapts the API modal to a provider: selector value, key placeholder,
+     * help link, endpoint field visibility and model field.
+     *
+     * @private
+     * @param {import('./LLMProviders.js').ProviderDescriptor} provider - Provider descriptor
+     * @param {import('./LLMProviders.js').ProviderOptions} options - Saved endpoint/model
+     */
+    #applyProvider(provider, options) {
+        const {
+            providerSelect, apiKeyInput, keyHelpLink, baseUrlField, baseUrlInput, baseUrlHint, modelInput
+        } = this.#elements;
+
+        if (providerSelect) providerSelect.value = provider.id;
+        if (apiKeyInput) apiKeyInput.placeholder = provider.keyPlaceholder;
+
+        if (keyHelpLink) {
+            keyHelpLink.href = provider.keyHelpUrl;
+            keyHelpLink.textContent = provider.keyHelpLabel;
+        }
+
+        if (baseUrlField) baseUrlField.hidden = !provider.supportsBaseUrl;
+        if (baseUrlInput) {
+            baseUrlInput.value = options.baseUrl || '';
+            baseUrlInput.placeholder = provider.defaultBaseUrl || '';
+        }
+        if (baseUrlHint) {
+            baseUrlHint.textContent = provider.endpointHint || '';
+            baseUrlHint.hidden = !provider.endpointHint;
+        }
+
+        if (modelInput) {
+            modelInput.placeholder = provider.defaultModel;
+            modelInput.value = options.model || '';
+        }
+    }
+
     /**
      * Shows documentation info footer
      *
@@ -394,30 +793,252 @@ export class ChatUI {
     }
 
     /**
-     * Formats message text with basic markdown
+     * Whether the saved conversations panel is visible
+     * @type {boolean}
+     * @readonly
+     */
+    get isThreadPanelOpen() {
+        return Boolean(this.#elements.threadPanel && !this.#elements.threadPanel.hidden);
+    }
+
+    /**
+     * Shows or hides the saved conversations panel
+     *
+     * @param {boolean} [force] - Desired state (toggles when omitted)
+     * @returns {boolean} New visibility
+     */
+    toggleThreadPanel(force) {
+        const panel = this.#elements.threadPanel;
+        if (!panel) return false;
+
+        const open = force ?? panel.hidden;
+        panel.hidden = !open;
+        this.#elements.threadsButton?.setAttribute('aria-expanded', String(open));
+        return open;
+    }
+
+    /**
+     * Renders the saved conversations list.
+     * Each entry carries `data-thread-id`; its buttons carry `data-action`
+     * ('resume', 'rename' or 'delete') for event delegation.
+     *
+     * @param {import('./ConversationStore.js').ThreadSummary[]} threads - Threads, most recent first
+     * @param {string|null} activeId - Thread shown in the chat
+     * @returns {void}
+     *
+     * @example
+     * ui.renderThreadList(await store.listThreads(), core.activeThreadId);
+     */
+    renderThreadList(threads, activeId) {
+        const list = this.#elements.threadList;
+        if (!list) return;
+
+        if (!threads?.length) {
+            const empty = document.createElement('li');
+            empty.className = 'thread-empty';
+            empty.textContent = 'No hay conversaciones guardadas';
+            list.replaceChildren(empty);
+            return;
+        }
+
+        list.replaceChildren(...threads.map(thread => {
+            const item = document.createElement('li');
+            item.className = 'thread-item';
+            item.dataset.threadId = thread.id;
+            item.classList.toggle('active', thread.id === activeId);
+
+            const open = document.createElement('button');
+            open.type = 'button';
+            open.className = 'thread-open';
+            open.dataset.action = 'resume';
+
+            const title = document.createElement('span');
+            title.className = 'thread-title';
+            title.textContent = thread.title;
+
+            const meta = document.createElement('small');
+            meta.className = 'thread-meta';
+            meta.textContent = `${this.#formatDate(thread.updatedAt)} • ${parseInt(thread.messageCount) || 0} mensajes`;
+
+            open.append(title, meta);
+            item.append(
+                open,
+                this.#createThreadAction('rename', 'ri-edit-line', 'Renombrar conversacion'),
+                this.#createThreadAction('delete', 'ri-delete-bin-line', 'Eliminar conversacion')
+            );
+            return item;
+        }));
+    }
+
+    /**
+     * Replaces a thread entry with an inline text field to edit its title
+     *
+     * @param {string} threadId - Thread to rename
+     * @returns {Promise<string|null>} New title (Enter or blur), or null if cancelled (Escape) or unchanged
      *
+     * @example
+     * const title = await ui.promptThreadRename(id);
+     * if (title) await store.renameThread(id, title);
+     */
+    promptThreadRename(threadId) {
+        const item = this.#findThreadItem(threadId);
+        const openButton = item?.querySelector('.thread-open');
+        if (!openButton) return Promise.resolve(null);
+
+        const current = openButton.querySelector('.thread-title')?.textContent || '';
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'thread-rename-input';
+        input.value = current;
+        input.maxLength = 80;
+        input.setAttribute('aria-label', 'Nuevo nombre de la conversacion');
+
+        return new Promise(resolve => {
+            let settled = false;
+            const finish = (value) => {
+                if (settled) return;
+                settled = true;
+                input.replaceWith(openButton);
+                const trimmed = value?.trim();
+                resolve(trimmed && trimmed !== current ? trimmed : null);
+            };
+
+            input.addEventListener('keydown', (e) => {
+                // Keep Enter/Escape from reaching the chat input handlers
+                e.stopPropagation();
+                if (e.key === 'Enter') finish(input.value);
+                if (e.key === 'Escape') finish(null);
+            });
+            input.addEventListener('blur', () => finish(input.value));
+            input.addEventListener('click', (e) => e.stopPropagation());
+
+            openButton.replaceWith(input);
+            input.focus();
+            input.select();
+        });
+    }
+
+    /**
+     * Asks the user to confirm deleting a thread
+     *
+     * @param {string} title - Thread title
+     * @returns {boolean} True if confirmed
+     */
+    confirmThreadDelete(title) {
+        return typeof window !== 'undefined' && typeof window.confirm === 'function'
+            ? window.confirm(`Eliminar la conversacion "${title}"? Esta accion no se puede deshacer.`)
+            : true;
+    }
+
+    /**
+     * Removes all messages and shows the initial greeting again
+     * @returns {void}
+     */
+    clearMessages() {
+        const container = this.#elements.messages;
+        if (!container) return;
+
+        container.innerHTML = this.#welcomeHtml;
+        this.#scrollToBottom();
+    }
+
+    /**
+     * Replays the messages of a resumed thread
+     *
+     * @param {import('./ConversationStore.js').ThreadMessage[]} messages - Stored messages, oldest first
+     * @returns {void}
+     */
+    renderThread(messages) {
+        this.clearMessages();
+
+        for (const message of messages) {
+            if (message.role === 'user') {
+                this.addUserMessage(message.text);
+            } else {
+                this.addBotMessage(message.text);
+            }
+        }
+    }
+
+    /**
+     * Creates an icon button for a thread list entry
      * @private
-     * @param {string} text - Raw message text
-     * @returns {string} HTML formatted message
+     * @param {string} action - Value for data-action
+     * @param {string} icon - Remix icon class
+     * @param {string} label - Accessible label
+     * @returns {HTMLButtonElement}
      */
-    #formatMessage(text) {
-        let html = this.#escapeHtml(text);
+    #createThreadAction(action, icon, label) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `thread-action thread-${action}`;
+        button.dataset.action = action;
+        button.setAttribute('aria-label', label);
+        button.title = label;
+        button.innerHTML = `<i class="${icon}" aria-hidden="true"></i>`;
+        return button;
+    }
 
-        // Bold
-        html = html.replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>');
+    /**
+     * Creates a rating button
+     * @private
+     * @param {import('./FeedbackStore.js').FeedbackRating} rating - Value for data-feedback
+     * @param {string} icon - Remix icon class
+     * @param {string} label - Accessible label
+     * @param {string} [text] - Visible text
+     * @returns {HTMLButtonElement}
+     */
+    #createFeedbackButton(rating, icon, label, text) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `chat-feedback-btn chat-feedback-${rating}`;
+        button.dataset.feedback = rating;
+        button.setAttribute('aria-label', label);
+        button.setAttribute('aria-pressed', 'false');
+        button.title = label;
+        button.innerHTML = `<i class="${icon}" aria-hidden="true"></i>`;
+        if (text) button.append(` ${text}`);
+        return button;
+    }
 
-        // Links
-        html = html.replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2" target="_blank">$1</a>');
+    /**
+     * Finds the rating controls of an answer
+     * @private
+     * @param {string} answerId - Answer identifier
+     * @returns {HTMLElement|null}
+     */
+    #findFeedback(answerId) {
+        const items = this.#elements.messages?.querySelectorAll('.chat-feedback') || [];
+        return [...items].find(item => item.dataset.answerId === answerId) || null;
+    }
 
-        // Lists
-        html = html.replace(/^\d+\.\s/gm, '<br>&#8226; ');
-        html = html.replace(/^-\s/gm, '<br>&#8226; ');
+    /**
+     * Finds the list entry of a thread
+     * @private
+     * @param {string} threadId - Thread identifier
+     * @returns {HTMLElement|null}
+     */
+    #findThreadItem(threadId) {
+        const items = this.#elements.threadList?.querySelectorAll('.thread-item') || [];
+        return [...items].find(item => item.dataset.threadId === threadId) || null;
+    }
 
-        // Paragraphs
-        html = html.replace(/\n\n/g, '</p><p>');
-        html = html.replace(/\n/g, '<br>');
+    /**
+     * Formats an ISO date for the thread list
+     * @private
+     * @param {string} iso - ISO date
+     * @returns {string} Short local date and time
+     */
+    #formatDate(iso) {
+        const date = new Date(iso);
+        if (Number.isNaN(date.getTime())) return '';
 
-        return '<p>' + html + '</p>';
+        return date.toLocaleString('es-ES', {
+            day: '2-digit',
+            month: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
     }
 
     /**
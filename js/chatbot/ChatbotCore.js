@@ -17,12 +17,40 @@ import { ChatEvents } from './EventBus.js';
 /**
  * @typedef {Object} ChatbotDependencies
  * @property {import('./ApiKeyManager.js').ApiKeyManager} apiKeyManager
- * @property {import('./GeminiClient.js').GeminiClient} [geminiClient]
+ * @property {import('./BaseLLMClient.js').BaseLLMClient} [llmClient] - Pre-built client (testing)
  * @property {import('./RAGEngine.js').RAGEngine} ragEngine
  * @property {import('./ChatUI.js').ChatUI} chatUI
  * @property {import('./RateLimiter.js').RateLimiter} rateLimiter
  * @property {import('./EventBus.js').EventBus} eventBus
- * @property {function(string): import('./GeminiClient.js').GeminiClient} geminiClientFactory - Factory to create GeminiClient
+ * @property {LLMClientFactory} llmClientFactory - Factory to create provider clients
+ * @property {import('./ConversationStore.js').ConversationStore} [conversationStore] - Saved threads (history is not persisted without it)
+ * @property {boolean} [streaming=true] - Render responses incrementally when the client supports it
+ * @property {DiagnosticSuggester} [diagnosticSuggester] - Finds the diagnostics that fit a question (none offered without it)
+ * @property {import('./FeedbackStore.js').FeedbackStore} [feedbackStore] - Saved answer ratings (answers cannot be rated without it)
+ */
+
+/**
+ * @callback DiagnosticSuggester
+ * @param {string} query - User question
+ * @param {Array<{id: string}>} docs - Documents retrieved for it, best first
+ * @returns {Array<{id: string, title: string}>} Diagnostics to offer
+ */
+
+/**
+ * Diagnostic the conversation started from
+ * @typedef {Object} DiagnosticHandoff
+ * @property {string} id - Diagnostic id
+ * @property {string} title - Diagnostic title
+ * @property {string} summary - Session summary: answers, solution tried, outcome
+ * @property {string} [question] - Suggested first question
+ */
+
+/**
+ * @callback LLMClientFactory
+ * @param {string} providerId - Provider identifier (e.g. 'gemini', 'openai', 'anthropic')
+ * @param {string} apiKey - Provider API key
+ * @param {import('./LLMProviders.js').ProviderOptions} [options] - Endpoint/model overrides
+ * @returns {import('./BaseLLMClient.js').BaseLLMClient} Provider client
  */
 
 /**
@@ -43,8 +71,8 @@ export class ChatbotCore {
     /** @private @type {import('./ApiKeyManager.js').ApiKeyManager} */
     #apiKeyManager;
 
-    /** @private @type {import('./GeminiClient.js').GeminiClient|null} */
-    #geminiClient = null;
+    /** @private @type {import('./BaseLLMClient.js').BaseLLMClient|null} */
+    #llmClient = null;
 
     /** @private @type {import('./RAGEngine.js').RAGEngine} */
     #ragEngine;
@@ -58,12 +86,42 @@ export class ChatbotCore {
     /** @private @type {import('./EventBus.js').EventBus} */
     #eventBus;
 
-    /** @private @type {function(string): import('./GeminiClient.js').GeminiClient} */
-    #geminiClientFactory;
+    /** @private @type {LLMClientFactory} */
+    #llmClientFactory;
+
+    /** @private @type {import('./ConversationStore.js').ConversationStore|null} */
+    #conversationStore = null;
+
+    /** @private @type {string|null} Thread receiving new messages (created on the first exchange) */
+    #activeThreadId = null;
+
+    /** @private @type {Array<{role: 'user'|'assistant', text: string}>} Messages of the open conversation */
+    #threadMessages = [];
+
+    /** @private @type {string} sessionStorage key remembering the open thread across reloads */
+    #activeThreadStorageKey = 'jamf-chat-active-thread';
+
+    /** @private @type {DiagnosticSuggester|null} */
+    #diagnosticSuggester = null;
+
+    /** @private @type {DiagnosticHandoff|null} Unsolved diagnostic the open conversation started from */
+    #diagnosticContext = null;
+
+    /** @private @type {import('./FeedbackStore.js').FeedbackStore|null} */
+    #feedbackStore = null;
+
+    /** @private @type {Map<string, {question: string, answer: string, docs: Array<Object>}>} Answers of the open conversation that can be rated */
+    #ratableAnswers = new Map();
 
     /** @private @type {boolean} */
     #isProcessing = false;
 
+    /** @private @type {boolean} */
+    #streamingEnabled = true;
+
+    /** @private @type {AbortController|null} Controller for the response being streamed */
+    #activeStream = null;
+
     /** @private @type {boolean} */
     #isInitialized = false;
 
@@ -80,12 +138,16 @@ export class ChatbotCore {
         this.#validateDependencies(deps);
 
         this.#apiKeyManager = deps.apiKeyManager;
-        this.#geminiClient = deps.geminiClient || null;
+        this.#llmClient = deps.llmClient || null;
         this.#ragEngine = deps.ragEngine;
         this.#chatUI = deps.chatUI;
         this.#rateLimiter = deps.rateLimiter;
         this.#eventBus = deps.eventBus;
-        this.#geminiClientFactory = deps.geminiClientFactory;
+        this.#llmClientFactory = deps.llmClientFactory;
+        this.#conversationStore = deps.conversationStore || null;
+        this.#streamingEnabled = deps.streaming !== false;
+        this.#diagnosticSuggester = deps.diagnosticSuggester || null;
+        this.#feedbackStore = deps.feedbackStore || null;
 
         this.#systemPrompt = this.#buildSystemPrompt();
     }
@@ -96,7 +158,7 @@ export class ChatbotCore {
      * @param {ChatbotDependencies} deps
      */
     #validateDependencies(deps) {
-        const required = ['apiKeyManager', 'ragEngine', 'chatUI', 'rateLimiter', 'eventBus', 'geminiClientFactory'];
+        const required = ['apiKeyManager', 'ragEngine', 'chatUI', 'rateLimiter', 'eventBus', 'llmClientFactory'];
         for (const dep of required) {
             if (!deps[dep]) {
                 throw new Error(`Missing required dependency: ${dep}`);
@@ -104,6 +166,15 @@ export class ChatbotCore {
         }
     }
 
+    /**
+     * Sets the function that finds the diagnostics fitting a question
+     * (set by the app once the diagnostics are loaded)
+     * @param {DiagnosticSuggester|null} suggester - Suggester, or null to offer none
+     */
+    set diagnosticSuggester(suggester) {
+        this.#diagnosticSuggester = typeof suggester === 'function' ? suggester : null;
+    }
+
     /**
      * Whether the chatbot is currently processing a message
      * @type {boolean}
@@ -113,6 +184,15 @@ export class ChatbotCore {
         return this.#isProcessing;
     }
 
+    /**
+     * Whether a response is currently being streamed
+     * @type {boolean}
+     * @readonly
+     */
+    get isStreaming() {
+        return this.#activeStream !== null;
+    }
+
     /**
      * Whether the chatbot has been initialized
      * @type {boolean}
@@ -122,6 +202,15 @@ export class ChatbotCore {
         return this.#isInitialized;
     }
 
+    /**
+     * Identifier of the thread shown in the chat, or null for a new unsaved conversation
+     * @type {string|null}
+     * @readonly
+     */
+    get activeThreadId() {
+        return this.#activeThreadId;
+    }
+
     /**
      * Initializes the chatbot and all modules
      *
@@ -137,9 +226,9 @@ export class ChatbotCore {
         // Load API key settings
         await this.#apiKeyManager.loadSettings();
 
-        // Initialize Gemini client if we have an API key
-        if (this.#apiKeyManager.hasKey) {
-            this.#initGeminiClient();
+        // Initialize provider client if we have an API key
+        if (this.#apiKeyManager.isConfigured) {
+            this.#initLLMClient();
         }
 
         // Load documentation
@@ -152,17 +241,29 @@ export class ChatbotCore {
         this.#updateApiKeyUI();
         this.#showDocsInfo();
 
+        // Reopen the conversation that was active before a reload
+        await this.#restoreActiveThread();
+
         this.#isInitialized = true;
         this.#eventBus.emit(ChatEvents.READY);
     }
 
     /**
-     * Initializes the Gemini client with current API key
+     * Initializes the client of the active provider with current API key
      * @private
      */
-    #initGeminiClient() {
+    #initLLMClient() {
         // D-Principle: Use injected factory instead of direct instantiation
-        this.#geminiClient = this.#geminiClientFactory(this.#apiKeyManager.apiKey);
+        this.#llmClient = this.#llmClientFactory(
+            this.#apiKeyManager.provider || 'gemini',
+            this.#apiKeyManager.apiKey,
+            this.#apiKeyManager.providerOptions
+        );
+
+        // Keep the open conversation when the provider or key changes
+        if (this.#threadMessages.length > 0) {
+            this.#llmClient.restoreHistory?.(this.#threadMessages);
+        }
     }
 
     /**
@@ -187,8 +288,12 @@ export class ChatbotCore {
             this.#eventBus.emit(ChatEvents.MODAL_OPENED);
         });
 
-        // Send message
+        // Send message (the same button stops a response being streamed)
         document.getElementById('chatbotSend')?.addEventListener('click', () => {
+            if (this.isStreaming) {
+                this.cancelResponse();
+                return;
+            }
             this.#handleSendMessage();
         });
 
@@ -198,6 +303,40 @@ export class ChatbotCore {
             }
         });
 
+        document.getElementById('chatbotInput')?.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isStreaming) {
+                this.cancelResponse();
+            }
+        });
+
+        // Saved conversations
+        document.getElementById('chatbotThreads')?.addEventListener('click', () => {
+            this.#handleThreadsToggle();
+        });
+
+        document.getElementById('chatbotNewThread')?.addEventListener('click', () => {
+            this.startNewThread();
+        });
+
+        document.getElementById('chatbotThreadList')?.addEventListener('click', (e) => {
+            this.#handleThreadAction(e);
+        });
+
+        // Diagnostics offered under the answers, ratings and citations of the sources
+        document.getElementById('chatbotMessages')?.addEventListener('click', (e) => {
+            const button = e.target.closest?.('[data-diagnostic-id]');
+            if (button) this.#handleDiagnosticSuggestion(button.dataset.diagnosticId);
+
+            const rating = e.target.closest?.('[data-feedback]');
+            if (rating) this.#handleFeedback(rating);
+
+            const citation = e.target.closest?.('.chat-citation');
+            if (citation) {
+                e.preventDefault();
+                this.#chatUI.highlightSource(citation);
+            }
+        });
+
         // API Modal
         document.getElementById('apiModalClose')?.addEventListener('click', () => {
             this.#chatUI.closeApiModal();
@@ -215,6 +354,10 @@ export class ChatbotCore {
             }
         });
 
+        document.getElementById('apiProviderSelect')?.addEventListener('change', (e) => {
+            this.#handleProviderChange(e.target.value);
+        });
+
         // API Key validation
         document.getElementById('apiKeyInput')?.addEventListener('input', (e) => {
             this.#handleApiKeyValidation(e.target.value);
@@ -245,12 +388,12 @@ export class ChatbotCore {
             this.#eventBus.emit(ChatEvents.CHAT_OPENED);
 
             // Show welcome message if no API key
-            if (!this.#apiKeyManager.hasKey) {
+            if (!this.#apiKeyManager.isConfigured) {
                 setTimeout(() => {
-                    if (!this.#apiKeyManager.hasKey) {
+                    if (!this.#apiKeyManager.isConfigured) {
                         const meta = this.#ragEngine.metadata;
                         this.#chatUI.addBotMessage(
-                            `Para respuestas con IA, necesitas una API Key de Google Gemini (gratuita). ` +
+                            `Para respuestas con IA, configura un proveedor: una API Key (Google Gemini es gratuita) o un servidor local del centro. ` +
                             `Pulsa el icono de configuracion para configurarla.\n\n` +
                             `Documentacion: v${meta.version} (${meta.lastUpdated})`
                         );
@@ -276,7 +419,7 @@ export class ChatbotCore {
 
         try {
             // Check rate limiting if API key is configured
-            if (this.#apiKeyManager.hasKey) {
+            if (this.#apiKeyManager.isConfigured) {
                 const rateLimitCheck = this.#rateLimiter.canMakeCall();
 
                 if (!rateLimitCheck.allowed) {
@@ -289,32 +432,46 @@ export class ChatbotCore {
             this.#chatUI.addUserMessage(message);
             this.#chatUI.showTyping();
 
-            // Search for relevant documents (async for semantic, sync for keyword fallback)
-            const relevantDocs = await Promise.resolve(this.#ragEngine.search(message));
+            // Search for relevant documents (async for semantic, sync for keyword fallback).
+            // A conversation started from a diagnostic also searches for its problem.
+            const query = this.#diagnosticContext ? `${message} ${this.#diagnosticContext.title}` : message;
+            const relevantDocs = await Promise.resolve(this.#ragEngine.search(query));
 
             let response;
-            if (this.#apiKeyManager.hasKey && this.#geminiClient) {
-                // Build RAG context
-                const ragContext = this.#ragEngine.buildContext(relevantDocs);
-                response = await this.#geminiClient.sendMessage(
-                    message,
-                    this.#systemPrompt,
-                    ragContext
-                );
+            if (this.#apiKeyManager.isConfigured && this.#llmClient) {
+                // Build RAG context (small local models get a tighter budget)
+                const ragContext = this.#withDiagnosticContext(this.#ragEngine.buildContext(
+                    relevantDocs,
+                    this.#apiKeyManager.providerDescriptor?.contextBudget
+                ));
+
+                if (this.#canStream()) {
+                    response = await this.#streamResponse(message, ragContext);
+                    if (response === null) return; // Cancelled by the user
+                } else {
+                    response = await this.#llmClient.sendMessage(
+                        message,
+                        this.#systemPrompt,
+                        ragContext
+                    );
+                    this.#chatUI.hideTyping();
+                    this.#chatUI.addBotMessage(response);
+                }
             } else {
                 // Offline response from documentation
                 response = this.#ragEngine.generateOfflineResponse(message, relevantDocs);
+                this.#chatUI.hideTyping();
+                this.#chatUI.addBotMessage(response);
             }
 
-            this.#chatUI.hideTyping();
-            this.#chatUI.addBotMessage(response);
-
             if (relevantDocs.length > 0) {
                 this.#chatUI.showSources(relevantDocs);
             }
+            this.#offerDiagnostics(message, relevantDocs);
+            this.#offerFeedback(message, response, relevantDocs);
 
             // Show rate limit warning if running low
-            if (this.#apiKeyManager.hasKey) {
+            if (this.#apiKeyManager.isConfigured) {
                 const remaining = this.#rateLimiter.getRemainingCalls();
                 if (remaining <= 3) {
                     this.#chatUI.showRateLimitWarning(remaining);
@@ -322,6 +479,7 @@ export class ChatbotCore {
                 }
             }
 
+            await this.#persistExchange(message, response);
             this.#eventBus.emit(ChatEvents.MESSAGE_RECEIVED, response);
 
         } catch (error) {
@@ -335,6 +493,247 @@ export class ChatbotCore {
         }
     }
 
+    /**
+     * Offers the diagnostics that fit the question, except the one the
+     * conversation started from. A failing suggester never breaks the chat.
+     * @private
+     * @param {string} message - User message
+     * @param {Array<{id: string}>} docs - Retrieved documents
+     */
+    #offerDiagnostics(message, docs) {
+        if (!this.#diagnosticSuggester) return;
+
+        try {
+            const suggestions = (this.#diagnosticSuggester(message, docs) || [])
+                .filter(suggestion => suggestion.id !== this.#diagnosticContext?.id);
+            this.#chatUI.showDiagnosticSuggestions(suggestions);
+        } catch (error) {
+            console.warn('[ChatbotCore] Could not suggest diagnostics:', error);
+        }
+    }
+
+    /**
+     * Shows the rating controls under an answer and keeps what a rating saves
+     * @private
+     * @param {string} message - User message
+     * @param {string} response - Answer shown
+     * @param {Array<Object>} docs - Retrieved documents
+     */
+    #offerFeedback(message, response, docs) {
+        if (!this.#feedbackStore) return;
+
+        const answerId = typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function'
+            ? crypto.randomUUID()
+            : `answer-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+        this.#ratableAnswers.set(answerId, { question: message, answer: response, docs });
+        this.#chatUI.showFeedbackControls(answerId);
+    }
+
+    /**
+     * Rates an answer from its rating controls. A report first asks what is wrong.
+     * @private
+     * @param {HTMLElement} button - Clicked control (`data-feedback`)
+     */
+    async #handleFeedback(button) {
+        const answerId = button.closest('[data-answer-id]')?.dataset.answerId;
+        const rating = button.dataset.feedback;
+        if (!answerId) return;
+
+        let comment = '';
+        if (rating === 'wrong') {
+            comment = await this.#chatUI.promptFeedbackComment(answerId);
+            if (comment === null) return;
+        }
+
+        await this.rateAnswer(answerId, rating, comment);
+    }
+
+    /**
+     * Saves the rating of an answer of the open conversation, with its
+     * question and the documents retrieved for it. Rating again replaces
+     * the previous rating.
+     *
+     * @param {string} answerId - Id shown in the answer's rating controls
+     * @param {import('./FeedbackStore.js').FeedbackRating} rating - 'up', 'down' or 'wrong'
+     * @param {string} [comment=''] - What is wrong (reports)
+     * @returns {Promise<boolean>} True if the rating was saved
+     * @fires ChatEvents.FEEDBACK_RECORDED
+     *
+     * @example
+     * await chatbot.rateAnswer(answerId, 'wrong', 'La ruta del menu ha cambiado');
+     */
+    async rateAnswer(answerId, rating, comment = '') {
+        const answer = this.#ratableAnswers.get(answerId);
+        if (!this.#feedbackStore || !answer) return false;
+
+        try {
+            await this.#feedbackStore.record({ id: answerId, rating, comment, ...answer });
+        } catch (error) {
+            console.warn('[ChatbotCore] Could not save feedback:', error);
+            return false;
+        }
+
+        this.#chatUI.setFeedbackState(answerId, rating);
+        this.#eventBus.emit(ChatEvents.FEEDBACK_RECORDED, {
+            answerId,
+            rating,
+            docIds: answer.docs.map(doc => doc.id)
+        });
+        return true;
+    }
+
+    /**
+     * Adds the diagnostic the conversation started from to the RAG context,
+     * so the model does not suggest what the user already tried
+     * @private
+     * @param {string} ragContext - Sanitized RAG context
+     * @returns {string} Context for the model
+     */
+    #withDiagnosticContext(ragContext) {
+        if (!this.#diagnosticContext) return ragContext;
+
+        const block = 'DIAGNOSTICO GUIADO YA REALIZADO (no repitas lo que ya se ha probado):\n' +
+            this.#diagnosticContext.summary;
+        return ragContext ? `${block}\n\n${ragContext}` : block;
+    }
+
+    /**
+     * Starts the diagnostic the user picked under an answer
+     * @private
+     * @param {string} diagnosticId - Diagnostic identifier
+     */
+    #handleDiagnosticSuggestion(diagnosticId) {
+        this.#chatUI.closeChat();
+        this.#eventBus.emit(ChatEvents.CHAT_CLOSED);
+        this.#eventBus.emit(ChatEvents.DIAGNOSTIC_REQUESTED, { id: diagnosticId });
+    }
+
+    /**
+     * Opens a new conversation about a diagnostic that did not solve the
+     * problem: shows what was tried, keeps it as context for the model and
+     * suggests a first question.
+     *
+     * @param {DiagnosticHandoff} handoff - Diagnostic and its session summary
+     * @returns {Promise<boolean>} False while a message is being processed
+     *
+     * @example
+     * eventBus.on(AppEvents.DIAGNOSTIC_ASSISTANT_REQUESTED, (handoff) => chatbot.startFromDiagnostic(handoff));
+     */
+    async startFromDiagnostic(handoff) {
+        if (this.#isProcessing || !handoff?.summary) return false;
+
+        await this.startNewThread();
+        this.#diagnosticContext = {
+            id: handoff.id,
+            title: handoff.title,
+            summary: handoff.summary
+        };
+
+        this.#chatUI.openChat();
+        this.#eventBus.emit(ChatEvents.CHAT_OPENED);
+        this.#chatUI.addBotMessage(
+            `Vienes del diagnostico **${handoff.title}**. Tendre en cuenta lo que ya has probado:\n\n${handoff.summary}`
+        );
+        if (handoff.question) {
+            this.#chatUI.setInputValue(handoff.question);
+        }
+
+        this.#eventBus.emit(ChatEvents.DIAGNOSTIC_HANDOFF, { id: handoff.id });
+        return true;
+    }
+
+    /**
+     * Whether the current client and configuration allow streaming
+     * @private
+     * @returns {boolean}
+     */
+    #canStream() {
+        return this.#streamingEnabled &&
+            typeof this.#llmClient?.streamMessage === 'function' &&
+            typeof TextDecoder !== 'undefined';
+    }
+
+    /**
+     * Streams the model response into a single growing bot message
+     *
+     * @private
+     * @param {string} message - User message
+     * @param {string} ragContext - Sanitized RAG context
+     * @returns {Promise<string|null>} Assembled response, or null if the user cancelled
+     * @throws {Error} If the stream fails for any reason other than cancellation
+     */
+    async #streamResponse(message, ragContext) {
+        const controller = new AbortController();
+        this.#activeStream = controller;
+        this.#chatUI.setStreamingState(true);
+
+        let messageEl = null;
+        let text = '';
+
+        try {
+            const stream = this.#llmClient.streamMessage(
+                message,
+                this.#systemPrompt,
+                ragContext,
+                { signal: controller.signal }
+            );
+
+            for await (const chunk of stream) {
+                text += chunk;
+
+                if (!messageEl) {
+                    this.#chatUI.hideTyping();
+                    messageEl = this.#chatUI.addBotMessage(text, { streaming: true });
+                } else {
+                    this.#chatUI.updateBotMessage(messageEl, text);
+                }
+
+                this.#eventBus.emit(ChatEvents.MESSAGE_CHUNK, chunk);
+            }
+
+            this.#chatUI.updateBotMessage(messageEl, text, { done: true });
+            return text;
+
+        } catch (error) {
+            if (!controller.signal.aborted) {
+                // Keep what already arrived visible, the error is shown below it
+                if (messageEl) this.#chatUI.updateBotMessage(messageEl, text, { done: true });
+                throw error;
+            }
+
+            this.#chatUI.hideTyping();
+            const note = '_Respuesta detenida._';
+            if (messageEl) {
+                this.#chatUI.updateBotMessage(messageEl, `${text}\n\n${note}`, { done: true });
+            } else {
+                this.#chatUI.addBotMessage(note);
+            }
+            this.#eventBus.emit(ChatEvents.MESSAGE_CANCELLED, text);
+            return null;
+
+        } finally {
+            this.#activeStream = null;
+            this.#chatUI.setStreamingState(false);
+        }
+    }
+
+    /**
+     * Stops the response currently being streamed, if any.
+     * Partial text stays visible but is not added to the conversation history.
+     *
+     * @returns {boolean} True if a stream was cancelled
+     *
+     * @example
+     * stopButton.addEventListener('click', () => chatbot.cancelResponse());
+     */
+    cancelResponse() {
+        if (!this.#activeStream) return false;
+
+        this.#activeStream.abort();
+        return true;
+    }
+
     /**
      * Shows rate limit exceeded message
      * @private
@@ -371,7 +770,7 @@ export class ChatbotCore {
                 `**Limite de consultas alcanzado**\n\n` +
                 `Para proteger tu cuota de API, he limitado las llamadas a ${this.#rateLimiter.maxCalls} por minuto.\n\n` +
                 `Por favor, espera **${timeText}** antes de hacer otra consulta.\n\n` +
-                `_Esto protege tu API Key de Google de consumir toda su cuota gratuita._`
+                `_Esto evita que tu API Key consuma toda su cuota._`
             );
         }
 
@@ -397,14 +796,42 @@ export class ChatbotCore {
         this.#chatUI.updateValidationInfo(validation);
     }
 
+    /**
+     * Switches the active provider from the modal selector.
+     * Loads the key saved for that provider (if any) and rebuilds the client.
+     * @private
+     * @param {string} providerId - Selected provider
+     */
+    async #handleProviderChange(providerId) {
+        if (!providerId || providerId === this.#apiKeyManager.provider) return;
+
+        try {
+            await this.#apiKeyManager.setProvider(providerId);
+        } catch (error) {
+            console.error('[ChatbotCore] Provider change failed:', error);
+            this.#chatUI.updateApiStatus('Proveedor no disponible', 'error');
+            return;
+        }
+
+        this.#llmClient = null;
+        if (this.#apiKeyManager.isConfigured) {
+            this.#initLLMClient();
+        }
+
+        this.#updateApiKeyUI();
+        this.#eventBus.emit(ChatEvents.API_PROVIDER_CHANGED, providerId);
+    }
+
     /**
      * Handles saving API key from modal
      * @private
      */
     async #handleSaveApiKey() {
-        const { key, pinned, sessionOnly } = this.#chatUI.getApiModalValues();
+        const { key, pinned, sessionOnly, baseUrl, model } = this.#chatUI.getApiModalValues();
+        const options = { baseUrl, model };
+        const keyRequired = this.#apiKeyManager.providerDescriptor?.requiresApiKey !== false;
 
-        if (!key) {
+        if (!key && keyRequired) {
             this.#chatUI.updateApiStatus('Introduce una API Key valida', 'error');
             return;
         }
@@ -413,33 +840,34 @@ export class ChatbotCore {
         const cleanKey = key.replace(/[\s\n\r]/g, '');
 
         // Validate format
-        const formatValidation = this.#apiKeyManager.validateFormat(cleanKey);
+        const formatValidation = this.#apiKeyManager.validateFormat(cleanKey, options);
         if (!formatValidation.valid) {
             this.#chatUI.updateApiStatus(formatValidation.error, 'error');
             return;
         }
 
         this.#chatUI.updateApiStatus(
-            `Validando formato... (Fortaleza: ${formatValidation.strength})`,
+            formatValidation.strength
+                ? `Validando formato... (Fortaleza: ${formatValidation.strength})`
+                : 'Comprobando conexion...',
             ''
         );
 
         // Test with real API
-        const result = await this.#apiKeyManager.testKey(cleanKey);
+        const result = await this.#apiKeyManager.testKey(cleanKey, options);
 
         if (result.valid) {
-            await this.#apiKeyManager.saveKey(cleanKey, pinned, sessionOnly);
-
-            // D-Principle: Use injected factory instead of direct instantiation
-            this.#geminiClient = this.#geminiClientFactory(cleanKey);
+            await this.#apiKeyManager.saveKey(cleanKey, pinned, sessionOnly, options);
+            this.#initLLMClient();
 
+            const subject = cleanKey ? 'API Key guardada' : 'Servidor configurado';
             let msg = '';
             if (sessionOnly) {
-                msg = 'API Key guardada solo para esta sesion';
+                msg = `${subject} solo para esta sesion`;
             } else if (pinned) {
-                msg = 'API Key guardada permanentemente (cifrada)';
+                msg = cleanKey ? `${subject} permanentemente (cifrada)` : `${subject} permanentemente`;
             } else {
-                msg = 'API Key guardada por 24 horas (cifrada)';
+                msg = cleanKey ? `${subject} por 24 horas (cifrada)` : `${subject} por 24 horas`;
             }
 
             this.#chatUI.updateApiStatus(msg, 'success');
@@ -457,11 +885,19 @@ export class ChatbotCore {
      * @private
      */
     #updateApiKeyUI() {
+        const providers = this.#apiKeyManager.providers || [];
+        if (providers.length > 0) {
+            this.#chatUI.renderProviderOptions(providers, this.#apiKeyManager.provider);
+        }
+
         this.#chatUI.updateApiKeyUI({
             apiKey: this.#apiKeyManager.apiKey,
             isPinned: this.#apiKeyManager.isPinned,
             isSessionOnly: this.#apiKeyManager.isSessionOnly,
-            statusText: this.#apiKeyManager.getStatusDescription()
+            isConfigured: this.#apiKeyManager.isConfigured,
+            statusText: this.#apiKeyManager.getStatusDescription(),
+            provider: this.#apiKeyManager.providerDescriptor,
+            providerOptions: this.#apiKeyManager.providerOptions
         });
     }
 
@@ -478,7 +914,7 @@ export class ChatbotCore {
     }
 
     /**
-     * Builds the system prompt for Gemini
+     * Builds the system prompt sent to the LLM provider
      * @private
      * @returns {string} System prompt
      */
@@ -512,18 +948,287 @@ INSTRUCCIONES:
 4. Para problemas: primero verificar ASM, luego Jamf, luego dispositivo
 5. Da rutas de menu exactas cuando sea posible
 6. La app Aula es fundamental - prioriza soluciones relacionadas
+7. Usa listas numeradas para los pasos y \`codigo\` para rutas de menu (\`Ajustes > WiFi\`)
+8. Cita los documentos que uses con su numero entre corchetes, por ejemplo [1]
 
 IMPORTANTE: Si el usuario pregunta como crear algo (usuarios, clases, etc.),
 recuerda que se crea en Apple School Manager, NO en Jamf.`;
     }
 
+    // ========================================================================
+    // CONVERSATION THREADS
+    // ========================================================================
+
+    /**
+     * Lists saved conversation threads, most recent first
+     *
+     * @returns {Promise<import('./ConversationStore.js').ThreadSummary[]>} Thread summaries (empty without a store)
+     *
+     * @example
+     * const threads = await chatbot.listThreads();
+     */
+    async listThreads() {
+        if (!this.#conversationStore) return [];
+        return this.#conversationStore.listThreads();
+    }
+
+    /**
+     * Starts a new conversation. The thread is saved once the first answer arrives.
+     *
+     * @returns {Promise<void>}
+     *
+     * @example
+     * await chatbot.startNewThread();
+     */
+    async startNewThread() {
+        if (this.#isProcessing) return;
+
+        this.#setActiveThread(null, []);
+        this.#chatUI.clearMessages();
+        this.#chatUI.toggleThreadPanel(false);
+    }
+
+    /**
+     * Reopens a saved conversation: replays its messages and restores the
+     * provider history so follow-up questions keep their context.
+     *
+     * @param {string} threadId - Thread identifier
+     * @returns {Promise<boolean>} True if the thread was found and opened
+     *
+     * @example
+     * await chatbot.resumeThread(threads[0].id);
+     */
+    async resumeThread(threadId) {
+        if (!this.#conversationStore || this.#isProcessing) return false;
+
+        let thread;
+        try {
+            thread = await this.#conversationStore.getThread(threadId);
+        } catch (error) {
+            console.error('[ChatbotCore] Could not read thread:', error);
+            thread = null;
+        }
+
+        if (!thread) {
+            this.#setActiveThread(null, []);
+            return false;
+        }
+
+        this.#setActiveThread(thread.id, thread.messages);
+        this.#chatUI.renderThread(thread.messages);
+        this.#chatUI.toggleThreadPanel(false);
+        this.#eventBus.emit(ChatEvents.THREAD_RESUMED, thread.id);
+        return true;
+    }
+
+    /**
+     * Renames a saved conversation
+     *
+     * @param {string} threadId - Thread identifier
+     * @param {string} title - New title
+     * @returns {Promise<boolean>} True if the thread was renamed
+     *
+     * @example
+     * await chatbot.renameThread(id, 'Aula no detecta alumnos');
+     */
+    async renameThread(threadId, title) {
+        if (!this.#conversationStore) return false;
+
+        const summary = await this.#conversationStore.renameThread(threadId, title);
+        if (!summary) return false;
+
+        this.#eventBus.emit(ChatEvents.THREAD_RENAMED, { id: threadId, title: summary.title });
+        return true;
+    }
+
+    /**
+     * Deletes a saved conversation. If it is the open one, a new conversation starts.
+     *
+     * @param {string} threadId - Thread identifier
+     * @returns {Promise<boolean>} True if the thread existed
+     *
+     * @example
+     * await chatbot.deleteThread(id);
+     */
+    async deleteThread(threadId) {
+        if (!this.#conversationStore) return false;
+
+        const deleted = await this.#conversationStore.deleteThread(threadId);
+        if (threadId === this.#activeThreadId) {
+            this.#setActiveThread(null, []);
+            this.#chatUI.clearMessages();
+        }
+
+        if (deleted) {
+            this.#eventBus.emit(ChatEvents.THREAD_DELETED, threadId);
+        }
+        return deleted;
+    }
+
+    /**
+     * Saves a completed question/answer pair to the active thread,
+     * creating the thread on the first exchange. Storage failures are
+     * logged but never interrupt the chat.
+     *
+     * @private
+     * @param {string} question - User message
+     * @param {string} answer - Bot response
+     */
+    async #persistExchange(question, answer) {
+        const exchange = [
+            { role: 'user', text: question },
+            { role: 'assistant', text: answer }
+        ];
+        this.#threadMessages.push(...exchange);
+
+        if (!this.#conversationStore) return;
+
+        try {
+            if (!this.#activeThreadId) {
+                const thread = await this.#conversationStore.createThread();
+                this.#activeThreadId = thread.id;
+                this.#rememberActiveThread(thread.id);
+                this.#eventBus.emit(ChatEvents.THREAD_CREATED, thread.id);
+            }
+
+            await this.#conversationStore.appendMessages(this.#activeThreadId, exchange);
+        } catch (error) {
+            console.warn('[ChatbotCore] Could not save conversation:', error);
+        }
+
+        if (this.#chatUI.isThreadPanelOpen) {
+            await this.#refreshThreadList();
+        }
+    }
+
+    /**
+     * Sets the open thread and syncs the provider history with its messages
+     *
+     * @private
+     * @param {string|null} threadId - Thread identifier, or null for a new conversation
+     * @param {Array<{role: 'user'|'assistant', text: string}>} messages - Thread messages
+     */
+    #setActiveThread(threadId, messages) {
+        this.#activeThreadId = threadId;
+        this.#diagnosticContext = null;
+        this.#ratableAnswers.clear();
+        this.#threadMessages = messages.map(({ role, text }) => ({ role, text }));
+
+        if (this.#llmClient) {
+            if (typeof this.#llmClient.restoreHistory === 'function') {
+                this.#llmClient.restoreHistory(this.#threadMessages);
+            } else {
+                this.#llmClient.clearHistory();
+            }
+        }
+
+        this.#rememberActiveThread(threadId);
+    }
+
+    /**
+     * Stores the open thread id so it can be reopened after a reload
+     * @private
+     * @param {string|null} threadId - Thread identifier, or null to forget it
+     */
+    #rememberActiveThread(threadId) {
+        try {
+            if (threadId) {
+                sessionStorage.setItem(this.#activeThreadStorageKey, threadId);
+            } else {
+                sessionStorage.removeItem(this.#activeThreadStorageKey);
+            }
+        } catch {
+            // sessionStorage unavailable: the thread simply is not reopened after a reload
+        }
+    }
+
+    /**
+     * Reopens the thread that was active before the page reloaded
+     * @private
+     */
+    async #restoreActiveThread() {
+        if (!this.#conversationStore) return;
+
+        let threadId = null;
+        try {
+            threadId = sessionStorage.getItem(this.#activeThreadStorageKey);
+        } catch {
+            return;
+        }
+
+        if (threadId) {
+            await this.resumeThread(threadId);
+        }
+    }
+
+    /**
+     * Toggles the saved conversations panel, refreshing the list when it opens
+     * @private
+     */
+    async #handleThreadsToggle() {
+        if (this.#chatUI.toggleThreadPanel()) {
+            await this.#refreshThreadList();
+        }
+    }
+
+    /**
+     * Handles clicks on the thread list (resume / rename / delete)
+     * @private
+     * @param {MouseEvent} event - Click event
+     */
+    async #handleThreadAction(event) {
+        const button = event.target.closest?.('[data-action]');
+        const item = button?.closest('[data-thread-id]');
+        if (!button || !item) return;
+
+        const threadId = item.dataset.threadId;
+
+        try {
+            switch (button.dataset.action) {
+                case 'resume':
+                    await this.resumeThread(threadId);
+                    break;
+
+                case 'rename': {
+                    const title = await this.#chatUI.promptThreadRename(threadId);
+                    if (title) await this.renameThread(threadId, title);
+                    await this.#refreshThreadList();
+                    break;
+                }
+
+                case 'delete': {
+                    const title = item.querySelector('.thread-title')?.textContent || '';
+                    if (!this.#chatUI.confirmThreadDelete(title)) return;
+                    await this.deleteThread(threadId);
+                    await this.#refreshThreadList();
+                    break;
+                }
+            }
+        } catch (error) {
+            console.error('[ChatbotCore] Thread action failed:', error);
+        }
+    }
+
+    /**
+     * Re-renders the saved conversations list
+     * @private
+     */
+    async #refreshThreadList() {
+        try {
+            this.#chatUI.renderThreadList(await this.listThreads(), this.#activeThreadId);
+        } catch (error) {
+            console.error('[ChatbotCore] Could not list threads:', error);
+            this.#chatUI.renderThreadList([], null);
+        }
+    }
+
     /**
      * Clears the conversation history
      * @returns {void}
      */
     clearHistory() {
-        if (this.#geminiClient) {
-            this.#geminiClient.clearHistory();
+        if (this.#llmClient) {
+            this.#llmClient.clearHistory();
         }
     }
 
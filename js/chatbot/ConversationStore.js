@@ -0,0 +1,374 @@
+/**
+ * @fileoverview Conversation Store - Encrypted chat threads in IndexedDB
+ * @module chatbot/ConversationStore
+ * @version 1.0.0
+ * @license MIT
+ *
+ * Persists chatbot conversations so they survive a reload and can be resumed,
+ * renamed or deleted from the thread list in the chat panel.
+ *
+ * Each thread is stored as one record. Only the id, timestamps and message
+ * count are kept in clear (needed to sort the list); the title and messages
+ * are encrypted with the injected EncryptionService.
+ *
+ * @security Titles and messages are encrypted at rest (AES-256-GCM)
+ */
+
+import { createKeyValueStore } from '../utils/IndexedDBStore.js';
+
+/**
+ * @typedef {Object} ThreadMessage
+ * @property {'user'|'assistant'} role - Message author
+ * @property {string} text - Message text as shown in the chat
+ * @property {string} timestamp - ISO date the message was stored
+ */
+
+/**
+ * @typedef {Object} ThreadSummary
+ * @property {string} id - Thread identifier
+ * @property {string} title - Thread title
+ * @property {string} createdAt - ISO creation date
+ * @property {string} updatedAt - ISO date of the last message or rename
+ * @property {number} messageCount - Number of stored messages
+ */
+
+/**
+ * @typedef {ThreadSummary & {messages: ThreadMessage[]}} Thread
+ */
+
+/**
+ * @typedef {Object} ConversationStoreDependencies
+ * @property {import('./EncryptionService.js').EncryptionService} encryptionService - Encrypts titles and messages
+ * @property {import('../utils/IndexedDBStore.js').KeyValueStore} [store] - Record store (defaults to IndexedDB)
+ * @property {number} [maxThreads=50] - Oldest threads are removed beyond this number
+ * @property {number} [maxMessagesPerThread=200] - Oldest messages are dropped beyond this number
+ */
+
+/**
+ * Title used until the first user message names the thread
+ * @type {string}
+ */
+export const DEFAULT_THREAD_TITLE = 'Nueva conversacion';
+
+/**
+ * @class ConversationStore
+ * @description Encrypted persistence of chatbot conversation threads
+ *
+ * @example
+ * const store = new ConversationStore({ encryptionService });
+ * const thread = await store.createThread();
+ * await store.appendMessages(thread.id, [
+ *   { role: 'user', text: 'Como creo una clase?' },
+ *   { role: 'assistant', text: 'Las clases se crean en Apple School Manager...' }
+ * ]);
+ * const threads = await store.listThreads();
+ */
+export class ConversationStore {
+    /** @private @type {import('./EncryptionService.js').EncryptionService} */
+    #encryptionService;
+
+    /** @private @type {import('../utils/IndexedDBStore.js').KeyValueStore} */
+    #store;
+
+    /** @private @type {number} */
+    #maxThreads;
+
+    /** @private @type {number} */
+    #maxMessagesPerThread;
+
+    /** @private @type {number} */
+    #maxTitleLength = 80;
+
+    /**
+     * Creates a new ConversationStore instance
+     *
+     * @param {ConversationStoreDependencies} deps - Injected dependencies
+     * @throws {TypeError} If encryptionService is missing
+     */
+    constructor({ encryptionService, store = null, maxThreads = 50, maxMessagesPerThread = 200 } = {}) {
+        if (!encryptionService) {
+            throw new TypeError('ConversationStore requires an EncryptionService instance');
+        }
+
+        this.#encryptionService = encryptionService;
+        this.#store = store || createKeyValueStore({
+            dbName: 'jamf-assistant-chat',
+            storeName: 'threads',
+            keyPath: 'id'
+        });
+        this.#maxThreads = maxThreads;
+        this.#maxMessagesPerThread = maxMessagesPerThread;
+    }
+
+    /**
+     * Whether threads survive a page reload (false when IndexedDB is unavailable)
+     * @type {boolean}
+     * @readonly
+     */
+    get isPersistent() {
+        return this.#store.isPersistent !== false;
+    }
+
+    /**
+     * Lists stored threads, most recently updated first.
+     * Records that cannot be decrypted (e.g. after the browser key was reset) are skipped.
+     *
+     * @returns {Promise<ThreadSummary[]>} Thread summaries
+     *
+     * @example
+     * const threads = await store.listThreads();
+     * ui.renderThreadList(threads, activeId);
+     */
+    async listThreads() {
+        const records = await this.#store.getAll();
+        const summaries = [];
+
+        for (const record of records) {
+            try {
+                summaries.push({
+                    id: record.id,
+                    title: await this.#encryptionService.decrypt(record.title),
+                    createdAt: record.createdAt,
+                    updatedAt: record.updatedAt,
+                    messageCount: record.messageCount || 0
+                });
+            } catch (error) {
+                console.warn(`[ConversationStore] Skipping unreadable thread ${record.id}:`, error.message);
+            }
+        }
+
+        return summaries.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    }
+
+    /**
+     * Loads a thread with its messages
+     *
+     * @param {string} id - Thread identifier
+     * @returns {Promise<Thread|null>} Thread, or null if it does not exist
+     *
+     * @example
+     * const thread = await store.getThread(id);
+     * thread.messages.forEach(m => render(m));
+     */
+    async getThread(id) {
+        const record = await this.#store.get(id);
+        return record ? this.#decryptRecord(record) : null;
+    }
+
+    /**
+     * Creates an empty thread. The oldest threads are removed when the limit is reached.
+     *
+     * @param {Object} [options={}] - Thread options
+     * @param {string} [options.title] - Initial title (defaults to the first user message)
+     * @returns {Promise<Thread>} New thread
+     *
+     * @example
+     * const thread = await store.createThread();
+     */
+    async createThread({ title } = {}) {
+        const now = new Date().toISOString();
+        const thread = {
+            id: this.#generateId(),
+            title: this.#normalizeTitle(title) || DEFAULT_THREAD_TITLE,
+            createdAt: now,
+            updatedAt: now,
+            messageCount: 0,
+            messages: []
+        };
+
+        await this.#pruneOldThreads(this.#maxThreads - 1);
+        await this.#store.put(await this.#encryptRecord(thread));
+        return thread;
+    }
+
+    /**
+     * Appends messages to a thread.
+     * A thread still using the default title is named after its first user message.
+     *
+     * @param {string} id - Thread identifier
+     * @param {Array<{role: 'user'|'assistant', text: string}>} messages - Messages to append
+     * @returns {Promise<Thread>} Updated thread
+     * @throws {Error} If the thread does not exist
+     *
+     * @example
+     * await store.appendMessages(threadId, [
+     *   { role: 'user', text: question },
+     *   { role: 'assistant', text: answer }
+     * ]);
+     */
+    async appendMessages(id, messages) {
+        const thread = await this.getThread(id);
+        if (!thread) {
+            throw new Error(`Thread not found: ${id}`);
+        }
+
+        const now = new Date().toISOString();
+        thread.messages.push(...messages.map(({ role, text }) => ({ role, text: String(text), timestamp: now })));
+        thread.messages = thread.messages.slice(-this.#maxMessagesPerThread);
+        thread.messageCount = thread.messages.length;
+        thread.updatedAt = now;
+
+        if (thread.title === DEFAULT_THREAD_TITLE) {
+            const firstQuestion = thread.messages.find(m => m.role === 'user');
+            thread.title = this.#normalizeTitle(firstQuestion?.text) || DEFAULT_THREAD_TITLE;
+        }
+
+        await this.#store.put(await this.#encryptRecord(thread));
+        return thread;
+    }
+
+    /**
+     * Renames a thread
+     *
+     * @param {string} id - Thread identifier
+     * @param {string} title - New title
+     * @returns {Promise<ThreadSummary|null>} Updated summary, or null if the thread does not exist
+     * @throws {TypeError} If the title is empty
+     *
+     * @example
+     * await store.renameThread(id, 'Problemas con Aula');
+     */
+    async renameThread(id, title) {
+        const normalized = this.#normalizeTitle(title);
+        if (!normalized) {
+            throw new TypeError('Thread title cannot be empty');
+        }
+
+        const thread = await this.getThread(id);
+        if (!thread) return null;
+
+        thread.title = normalized;
+        thread.updatedAt = new Date().toISOString();
+        await this.#store.put(await this.#encryptRecord(thread));
+
+        const { messages, ...summary } = thread;
+        return summary;
+    }
+
+    /**
+     * Deletes a thread
+     *
+     * @param {string} id - Thread identifier
+     * @returns {Promise<boolean>} True if the thread existed
+     */
+    async deleteThread(id) {
+        const existing = await this.#store.get(id);
+        if (!existing) return false;
+
+        await this.#store.delete(id);
+        return true;
+    }
+
+    /**
+     * Deletes every thread (RGPD delete-all)
+     *
+     * @returns {Promise<void>}
+     */
+    async clearAll() {
+        await this.#store.clear();
+    }
+
+    /**
+     * Decrypts every thread for a data export (RGPD portability).
+     * Unreadable records are skipped.
+     *
+     * @returns {Promise<Thread[]>} Threads with messages, most recent first
+     *
+     * @example
+     * const exportData = { conversations: await store.exportAll() };
+     */
+    async exportAll() {
+        const records = await this.#store.getAll();
+        const threads = [];
+
+        for (const record of records) {
+            try {
+                threads.push(await this.#decryptRecord(record));
+            } catch (error) {
+                console.warn(`[ConversationStore] Skipping unreadable thread ${record.id}:`, error.message);
+            }
+        }
+
+        return threads.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    }
+
+    /**
+     * Encrypts a thread into its storage record
+     * @private
+     * @param {Thread} thread - Thread to store
+     * @returns {Promise<Object>} Storage record
+     */
+    async #encryptRecord(thread) {
+        return {
+            id: thread.id,
+            createdAt: thread.createdAt,
+            updatedAt: thread.updatedAt,
+            messageCount: thread.messages.length,
+            title: await this.#encryptionService.encrypt(thread.title),
+            payload: await this.#encryptionService.encrypt(JSON.stringify(thread.messages))
+        };
+    }
+
+    /**
+     * Decrypts a storage record into a thread
+     * @private
+     * @param {Object} record - Storage record
+     * @returns {Promise<Thread>} Thread
+     */
+    async #decryptRecord(record) {
+        const messages = JSON.parse(await this.#encryptionService.decrypt(record.payload));
+        return {
+            id: record.id,
+            title: await this.#encryptionService.decrypt(record.title),
+            createdAt: record.createdAt,
+            updatedAt: record.updatedAt,
+            messageCount: messages.length,
+            messages
+        };
+    }
+
+    /**
+     * Removes the least recently updated threads so at most `keep` remain
+     * @private
+     * @param {number} keep - Number of threads to keep
+     */
+    async #pruneOldThreads(keep) {
+        const records = await this.#store.getAll();
+        if (records.length <= keep) return;
+
+        const oldest = records
+            .sort((a, b) => a.updatedAt.localeCompare(b.updatedAt))
+            .slice(0, records.length - Math.max(keep, 0));
+
+        for (const record of oldest) {
+            await this.#store.delete(record.id);
+        }
+    }
+
+    /**
+     * Collapses whitespace and truncates a title
+     * @private
+     * @param {string} [title] - Raw title
+     * @returns {string} Normalized title (empty if none)
+     */
+    #normalizeTitle(title) {
+        const clean = String(title || '').replace(/\s+/g, ' ').trim();
+        return clean.length > this.#maxTitleLength
+            ? clean.slice(0, this.#maxTitleLength - 3) + '...'
+            : clean;
+    }
+
+    /**
+     * Generates a unique thread identifier
+     * @private
+     * @returns {string} Identifier
+     */
+    #generateId() {
+        if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+            return crypto.randomUUID();
+        }
+        return `thread-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+}
+
+export default ConversationStore;
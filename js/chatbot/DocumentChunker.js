@@ -0,0 +1,264 @@
+/**
+ * @fileoverview Document Chunker - Section-aware article splitting for retrieval
+ * @module chatbot/DocumentChunker
+ * @version 1.0.0
+ * @license MIT
+ *
+ * Splits docs.json articles into small overlapping chunks so retrieval can
+ * match (and cite) the passage that answers a question, instead of the first
+ * characters of the article.
+ *
+ * Chunks follow the structure of the articles:
+ * - Section headings ("SOLUCIONES:", "PASO 2 - VERIFICAR WIFI:", "## Titulo")
+ *   start a new chunk once the current one has enough text
+ * - Paragraphs and numbered steps (with their bullet lines) are never split
+ *   unless a single step is longer than a chunk
+ * - Consecutive chunks of the same section share their last lines (overlap)
+ *
+ * Shared by RAGEngine (browser) and scripts/build-embeddings.js (Node).
+ */
+
+/**
+ * @typedef {Object} ChunkOptions
+ * @property {number} [maxChars=400] - Target maximum chunk length
+ * @property {number} [minChars=150] - A new section only starts a new chunk beyond this length
+ * @property {number} [overlap=100] - Maximum characters repeated from the previous chunk
+ */
+
+/**
+ * @typedef {Object} DocumentChunk
+ * @property {string} id - Chunk identifier (`<article id>#<index>`)
+ * @property {string} docId - Parent article id
+ * @property {number} index - Position in the article (0-based)
+ * @property {string} title - Parent article title
+ * @property {string|null} heading - Section the chunk starts in (null for the introduction)
+ * @property {string} text - Chunk text
+ */
+
+/**
+ * Default chunking configuration (sized for the 512-character embedding input)
+ * @type {Readonly<ChunkOptions>}
+ */
+export const DEFAULT_CHUNK_OPTIONS = Object.freeze({
+    maxChars: 400,
+    minChars: 150,
+    overlap: 100
+});
+
+/** Markdown heading: "## Titulo" */
+const MARKDOWN_HEADING = /^#{1,6}\s+(.+)$/;
+
+/** Numbered step or "PASO n": "1. Abrir Jamf", "2) ...", "PASO 3 - ..." */
+const STEP_START = /^(\d+[.)]\s|paso\s+\d+)/i;
+
+/** Numbered list item, never a heading even in upper case ("2. REINICIAR AULA:") */
+const NUMBERED_ITEM = /^\d+[.)]\s/;
+
+/**
+ * Returns the heading text of a line, or null if the line is not a heading.
+ * Headings are markdown headings or short upper-case lines ending in a colon
+ * ("VERIFICACIONES EN EL iPAD DEL PROFESOR:", "EN ASM (school.apple.com):").
+ *
+ * @param {string} line - Trimmed line
+ * @returns {string|null} Heading without markup
+ */
+export function parseHeading(line) {
+    const markdown = line.match(MARKDOWN_HEADING);
+    if (markdown) return markdown[1].trim();
+
+    if (line.length > 80 || !line.endsWith(':') || NUMBERED_ITEM.test(line)) return null;
+
+    // Ignore parenthesized remarks, which are usually lower case
+    const letters = line.replace(/\(.*?\)/g, '').replace(/[^\p{L}]/gu, '');
+    if (letters.length < 3) return null;
+
+    const lower = letters.replace(/[^\p{Ll}]/gu, '').length;
+    return lower / letters.length < 0.2 ? line.slice(0, -1).trim() : null;
+}
+
+/**
+ * Splits an article into overlapping, section-aware chunks
+ *
+ * @param {import('./RAGEngine.js').Document} doc - Article
+ * @param {ChunkOptions} [options={}] - Chunk sizes
+ * @returns {DocumentChunk[]} Chunks in article order (at least one for non-empty content)
+ *
+ * @example
+ * const chunks = chunkDocument(article);
+ * // [{ id: 'aula-bluetooth#0', heading: null, text: 'Si App Aula no detecta...' }, ...]
+ */
+export function chunkDocument(doc, options = {}) {
+    const { maxChars, minChars, overlap } = { ...DEFAULT_CHUNK_OPTIONS, ...options };
+    const chunks = [];
+
+    /** @type {{heading: string|null, lines: string[]}|null} */
+    let current = null;
+    let currentLength = 0;
+
+    const flush = () => {
+        if (current && currentLength > 0) {
+            chunks.push({
+                id: `${doc.id}#${chunks.length}`,
+                docId: doc.id,
+                index: chunks.length,
+                title: doc.title,
+                heading: current.heading,
+                text: current.lines.join('\n').trim()
+            });
+        }
+        current = null;
+        currentLength = 0;
+    };
+
+    const append = (heading, lines) => {
+        if (!current) current = { heading, lines: [] };
+        // Keep paragraphs apart, as in the article
+        if (current.lines.length > 0) current.lines.push('');
+        current.lines.push(...lines);
+        currentLength += lines.join('\n').length + 1;
+    };
+
+    for (const block of splitBlocks(doc.content || '', maxChars)) {
+        const blockLength = block.lines.join('\n').length + 1;
+        const startsSection = block.isSectionStart && currentLength >= minChars;
+
+        if (current && (startsSection || currentLength + blockLength > maxChars)) {
+            const carried = !block.isSectionStart ? overlapLines(current.lines, overlap) : [];
+            const heading = current.heading;
+            flush();
+            if (carried.length > 0) append(heading, carried);
+        }
+
+        append(block.heading, block.lines);
+    }
+    flush();
+
+    return chunks;
+}
+
+/**
+ * Splits article content into blocks (paragraphs, steps) tagged with their section
+ * @private
+ * @param {string} content - Article content
+ * @param {number} maxChars - Blocks longer than this are split by lines
+ * @returns {Array<{heading: string|null, lines: string[], isSectionStart: boolean}>}
+ */
+function splitBlocks(content, maxChars) {
+    const blocks = [];
+    let heading = null;
+    let block = null;
+
+    const close = () => {
+        if (block && block.lines.length > 0) {
+            blocks.push(...splitOversized(block, maxChars));
+        }
+        block = null;
+    };
+
+    for (const rawLine of content.split('\n')) {
+        const line = rawLine.trimEnd();
+        const trimmed = line.trim();
+
+        if (!trimmed) {
+            close();
+            continue;
+        }
+
+        const sectionHeading = parseHeading(trimmed);
+        if (sectionHeading) {
+            close();
+            heading = sectionHeading;
+            block = { heading, lines: [line], isSectionStart: true };
+            continue;
+        }
+
+        // A numbered step starts a new block, unless it directly follows its heading
+        if (STEP_START.test(trimmed) && block && !(block.isSectionStart && block.lines.length === 1)) {
+            close();
+        }
+
+        if (!block) block = { heading, lines: [], isSectionStart: false };
+        block.lines.push(line);
+    }
+    close();
+
+    return blocks;
+}
+
+/**
+ * Splits a block longer than maxChars by lines (and very long lines by words)
+ * @private
+ * @param {{heading: string|null, lines: string[], isSectionStart: boolean}} block
+ * @param {number} maxChars
+ * @returns {Array<{heading: string|null, lines: string[], isSectionStart: boolean}>}
+ */
+function splitOversized(block, maxChars) {
+    if (block.lines.join('\n').length <= maxChars) return [block];
+
+    const lines = block.lines.flatMap(line => line.length <= maxChars ? [line] : splitLongLine(line, maxChars));
+    const parts = [];
+    let part = [];
+    let length = 0;
+
+    for (const line of lines) {
+        if (part.length > 0 && length + line.length + 1 > maxChars) {
+            parts.push(part);
+            part = [];
+            length = 0;
+        }
+        part.push(line);
+        length += line.length + 1;
+    }
+    if (part.length > 0) parts.push(part);
+
+    return parts.map((partLines, i) => ({
+        heading: block.heading,
+        lines: partLines,
+        isSectionStart: block.isSectionStart && i === 0
+    }));
+}
+
+/**
+ * Splits a single long line at word boundaries
+ * @private
+ * @param {string} line
+ * @param {number} maxChars
+ * @returns {string[]}
+ */
+function splitLongLine(line, maxChars) {
+    const pieces = [];
+    let piece = '';
+
+    for (const word of line.split(/(\s+)/)) {
+        if (piece && (piece + word).length > maxChars) {
+            pieces.push(piece.trimEnd());
+            piece = word.trimStart();
+        } else {
+            piece += word;
+        }
+    }
+    if (piece.trim()) pieces.push(piece.trimEnd());
+
+    return pieces;
+}
+
+/**
+ * Last lines of a chunk that fit in the overlap budget
+ * @private
+ * @param {string[]} lines - Lines of the previous chunk
+ * @param {number} overlap - Maximum characters to repeat
+ * @returns {string[]} Lines to carry into the next chunk
+ */
+function overlapLines(lines, overlap) {
+    const carried = [];
+    let length = 0;
+
+    for (let i = lines.length - 1; i > 0; i--) {
+        if (!lines[i] && carried.length === 0) continue;
+        length += lines[i].length + 1;
+        if (length > overlap) break;
+        carried.unshift(lines[i]);
+    }
+
+    return carried;
+}
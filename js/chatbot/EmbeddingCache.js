@@ -0,0 +1,272 @@
+/**
+ * @fileoverview Embedding Cache - Persistent embedding vectors in IndexedDB
+ * @module chatbot/EmbeddingCache
+ * @version 1.0.0
+ * @license MIT
+ *
+ * Keeps the vectors computed by EmbeddingService across sessions, so article
+ * and frequent query embeddings are not recomputed on every page load.
+ *
+ * Records are keyed by model id + a hash of the normalized text. The text
+ * itself is never stored. Vectors from another model (or an older cache
+ * layout) are discarded the first time the cache is used with a new model.
+ * The least recently used vectors are evicted beyond `maxEntries`.
+ */
+
+import { createKeyValueStore } from '../utils/IndexedDBStore.js';
+import { hashContent } from './EmbeddingIndex.js';
+
+/**
+ * Version of the record layout. Records with another version are discarded.
+ * @type {number}
+ */
+export const EMBEDDING_CACHE_VERSION = 1;
+
+/**
+ * @typedef {Object} EmbeddingCacheOptions
+ * @property {import('../utils/IndexedDBStore.js').KeyValueStore} [store] - Record store (defaults to IndexedDB)
+ * @property {number} [maxEntries=2000] - Maximum stored vectors (~1.5 KB each for MiniLM)
+ */
+
+/**
+ * @typedef {Object} EmbeddingCacheStats
+ * @property {number} entries - Stored vectors (known after first use)
+ * @property {number} maxEntries - Size limit
+ * @property {number} hits - Vectors served from the cache this session
+ * @property {number} misses - Lookups that had to be computed
+ * @property {boolean} isPersistent - Whether vectors survive a reload
+ */
+
+/**
+ * @class EmbeddingCache
+ * @description LRU-bounded persistent cache of embedding vectors
+ *
+ * @example
+ * const cache = new EmbeddingCache({ maxEntries: 1000 });
+ * const cached = await cache.get('Xenova/all-MiniLM-L6-v2', 'como configuro aula');
+ * if (!cached) await cache.set('Xenova/all-MiniLM-L6-v2', 'como configuro aula', vector);
+ */
+export class EmbeddingCache {
+    /** @private @type {import('../utils/IndexedDBStore.js').KeyValueStore} */
+    #store;
+
+    /** @private @type {number} */
+    #maxEntries;
+
+    /** @private @type {string|null} Model the stored records were checked against */
+    #activeModel = null;
+
+    /** @private @type {Promise<void>|null} */
+    #readyPromise = null;
+
+    /** @private @type {number} */
+    #count = 0;
+
+    /** @private @type {number} */
+    #hits = 0;
+
+    /** @private @type {number} */
+    #misses = 0;
+
+    /**
+     * Creates a new EmbeddingCache instance (the database opens lazily)
+     *
+     * @param {EmbeddingCacheOptions} [options={}] - Cache configuration
+     */
+    constructor({ store = null, maxEntries = 2000 } = {}) {
+        this.#store = store || createKeyValueStore({
+            dbName: 'jamf-assistant-embeddings',
+            storeName: 'vectors',
+            keyPath: 'key'
+        });
+        this.#maxEntries = maxEntries;
+    }
+
+    /**
+     * Whether vectors survive a page reload (false when IndexedDB is unavailable)
+     * @type {boolean}
+     * @readonly
+     */
+    get isPersistent() {
+        return this.#store.isPersistent !== false;
+    }
+
+    /**
+     * Reads a cached vector. Storage errors are treated as a miss.
+     *
+     * @param {string} modelId - Embedding model id
+     * @param {string} text - Normalized text
+     * @returns {Promise<Float32Array|null>} Vector, or null if not cached
+     *
+     * @example
+     * const vector = await cache.get(embedder.modelId, normalizedText);
+     */
+    async get(modelId, text) {
+        try {
+            await this.#ready(modelId);
+
+            const record = await this.#store.get(this.#key(modelId, text));
+            if (!record) {
+                this.#misses++;
+                return null;
+            }
+
+            this.#hits++;
+            await this.#store.put({ ...record, lastUsedAt: Date.now() });
+            return new Float32Array(record.embedding);
+        } catch (error) {
+            console.warn('[EmbeddingCache] Read failed:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Stores a vector, evicting the least recently used ones beyond the limit.
+     * Storage errors (quota...) are logged and ignored.
+     *
+     * @param {string} modelId - Embedding model id
+     * @param {string} text - Normalized text
+     * @param {Float32Array} embedding - Vector to store
+     * @returns {Promise<void>}
+     *
+     * @example
+     * await cache.set(embedder.modelId, normalizedText, vector);
+     */
+    async set(modelId, text, embedding) {
+        try {
+            await this.#ready(modelId);
+
+            const key = this.#key(modelId, text);
+            const exists = await this.#store.get(key);
+            const now = Date.now();
+
+            await this.#store.put({
+                key,
+                version: EMBEDDING_CACHE_VERSION,
+                model: modelId,
+                embedding: new Float32Array(embedding),
+                createdAt: now,
+                lastUsedAt: now
+            });
+
+            if (!exists) {
+                this.#count++;
+                if (this.#count > this.#maxEntries) {
+                    await this.#evict();
+                }
+            }
+        } catch (error) {
+            console.warn('[EmbeddingCache] Write failed:', error.message);
+        }
+    }
+
+    /**
+     * Deletes every cached vector (RGPD delete-all)
+     *
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        await this.#store.clear();
+        this.#count = 0;
+        this.#activeModel = null;
+        this.#readyPromise = null;
+        console.log('[EmbeddingCache] Cache cleared');
+    }
+
+    /**
+     * Gets cache statistics
+     *
+     * @returns {EmbeddingCacheStats} Statistics
+     */
+    getStats() {
+        return {
+            entries: this.#count,
+            maxEntries: this.#maxEntries,
+            hits: this.#hits,
+            misses: this.#misses,
+            isPersistent: this.isPersistent
+        };
+    }
+
+    /**
+     * Checks the stored records once per model: records from another model
+     * or cache version are discarded and the remaining ones are counted.
+     * @private
+     * @param {string} modelId - Model in use
+     * @returns {Promise<void>}
+     */
+    #ready(modelId) {
+        if (this.#activeModel !== modelId) {
+            this.#activeModel = modelId;
+            this.#readyPromise = this.#purgeStale(modelId).catch(error => {
+                this.#activeModel = null;
+                this.#readyPromise = null;
+                throw error;
+            });
+        }
+        return this.#readyPromise;
+    }
+
+    /**
+     * Removes records that do not belong to the given model and cache version
+     * @private
+     * @param {string} modelId - Model in use
+     * @returns {Promise<void>}
+     */
+    async #purgeStale(modelId) {
+        const records = await this.#store.getAll();
+        let stale = 0;
+
+        for (const record of records) {
+            if (record.model !== modelId || record.version !== EMBEDDING_CACHE_VERSION) {
+                await this.#store.delete(record.key);
+                stale++;
+            }
+        }
+
+        this.#count = records.length - stale;
+
+        if (stale > 0) {
+            console.log(`[EmbeddingCache] Discarded ${stale} vectors from a previous model`);
+        }
+    }
+
+    /**
+     * Evicts the least recently used vectors down to 90% of the limit,
+     * so eviction does not run on every write
+     * @private
+     * @returns {Promise<void>}
+     */
+    async #evict() {
+        const records = await this.#store.getAll();
+        const target = Math.floor(this.#maxEntries * 0.9);
+        const excess = records.length - target;
+        if (excess <= 0) {
+            this.#count = records.length;
+            return;
+        }
+
+        const oldest = records
+            .sort((a, b) => a.lastUsedAt - b.lastUsedAt)
+            .slice(0, excess);
+
+        for (const record of oldest) {
+            await this.#store.delete(record.key);
+        }
+
+        this.#count = records.length - oldest.length;
+    }
+
+    /**
+     * Builds the record key for a text
+     * @private
+     * @param {string} modelId - Embedding model id
+     * @param {string} text - Normalized text
+     * @returns {string} Record key
+     */
+    #key(modelId, text) {
+        return `${modelId}:${hashContent(text)}`;
+    }
+}
+
+export default EmbeddingCache;
@@ -0,0 +1,239 @@
+/**
+ * @fileoverview Embedding Index - Precomputed article embeddings format
+ * @module chatbot/EmbeddingIndex
+ * @version 1.0.0
+ * @license MIT
+ *
+ * Shared between the build script (`scripts/build-embeddings.js`, Node) and
+ * RAGEngine (browser), so both compute the same text, hash and encoding.
+ * Has no browser or Node specific dependencies.
+ *
+ * Index file (`data/embeddings.json`):
+ * ```
+ * {
+ *   "formatVersion": 2,
+ *   "model": "Xenova/all-MiniLM-L6-v2",
+ *   "dimension": 384,
+ *   "docsVersion": "2.1.0",
+ *   "generatedAt": "2026-01-01T00:00:00.000Z",
+ *   "entries": {
+ *     "<article id>#<chunk>": { "hash": "<content hash>", "embedding": "<base64 float32, little-endian>" }
+ *   }
+ * }
+ * ```
+ * One entry per article chunk (see DocumentChunker). An entry is reused only
+ * while the hash of the chunk's searchable text matches; changed or new
+ * chunks are embedded again.
+ */
+
+/**
+ * Version of the index file layout. Bump when the layout or the way the
+ * searchable text is built changes incompatibly.
+ * @type {number}
+ */
+export const EMBEDDING_INDEX_VERSION = 2;
+
+/**
+ * Default location of the index, next to docs.json
+ * @type {string}
+ */
+export const DEFAULT_EMBEDDING_INDEX_PATH = 'data/embeddings.json';
+
+/**
+ * Maximum text length passed to the embedding model
+ * @type {number}
+ */
+const MAX_EMBEDDING_TEXT_LENGTH = 512;
+
+/**
+ * @typedef {Object} EmbeddingIndexEntry
+ * @property {string} hash - Hash of the chunk's searchable text
+ * @property {Float32Array} embedding - Embedding vector
+ */
+
+/**
+ * @typedef {Object} EmbeddingIndexFile
+ * @property {number} formatVersion - {@link EMBEDDING_INDEX_VERSION}
+ * @property {string} model - Embedding model id
+ * @property {number} dimension - Vector length
+ * @property {string} [docsVersion] - docs.json version the index was built from
+ * @property {string} generatedAt - ISO build date
+ * @property {Object<string, {hash: string, embedding: string}>} entries - Entries by chunk id
+ */
+
+/**
+ * Builds the text embedded for an article chunk.
+ * The article title and section heading give short chunks their context.
+ *
+ * @param {import('./DocumentChunker.js').DocumentChunk} chunk - Article chunk
+ * @returns {string} Searchable text
+ *
+ * @example
+ * const text = createSearchableText(chunk);
+ * const vector = await embedder.embed(text);
+ */
+export function createSearchableText(chunk) {
+    const parts = [
+        chunk.title,
+        chunk.heading,
+        chunk.text
+    ];
+
+    return parts.filter(Boolean).join(' ').slice(0, MAX_EMBEDDING_TEXT_LENGTH);
+}
+
+/**
+ * Normalizes text exactly as it is fed to the embedding model
+ *
+ * @param {string} text - Raw text
+ * @returns {string} Lowercased, whitespace-collapsed and truncated text
+ */
+export function normalizeEmbeddingText(text) {
+    return text
+        .toLowerCase()
+        .trim()
+        .replace(/\s+/g, ' ')
+        .slice(0, MAX_EMBEDDING_TEXT_LENGTH);
+}
+
+/**
+ * Hashes text with a 53-bit non-cryptographic hash (cyrb53).
+ * Only used to detect changed content, synchronous and identical in Node and browsers.
+ *
+ * @param {string} text - Text to hash
+ * @returns {string} 14-character hexadecimal hash
+ *
+ * @example
+ * hashContent(normalizeEmbeddingText(createSearchableText(chunk)));
+ */
+export function hashContent(text) {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text.charCodeAt(i);
+        h1 = Math.imul(h1 ^ ch, 2654435761);
+        h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+
+    const hash = 4294967296 * (2097151 & h2) + (h1 >>> 0);
+    return hash.toString(16).padStart(14, '0');
+}
+
+/**
+ * Hash of the text a chunk contributes to the index
+ *
+ * @param {import('./DocumentChunker.js').DocumentChunk} chunk - Article chunk
+ * @returns {string} Content hash
+ */
+export function hashChunk(chunk) {
+    return hashContent(normalizeEmbeddingText(createSearchableText(chunk)));
+}
+
+/**
+ * Encodes a vector as base64 little-endian float32
+ *
+ * @param {Float32Array|number[]} vector - Embedding vector
+ * @returns {string} Base64 string
+ */
+export function encodeEmbedding(vector) {
+    const view = new DataView(new ArrayBuffer(vector.length * 4));
+    for (let i = 0; i < vector.length; i++) {
+        view.setFloat32(i * 4, vector[i], true);
+    }
+
+    let binary = '';
+    const bytes = new Uint8Array(view.buffer);
+    for (let i = 0; i < bytes.length; i++) {
+        binary += String.fromCharCode(bytes[i]);
+    }
+    return btoa(binary);
+}
+
+/**
+ * Decodes a vector produced by {@link encodeEmbedding}
+ *
+ * @param {string} encoded - Base64 string
+ * @returns {Float32Array} Embedding vector
+ * @throws {Error} If the payload is not a whole number of float32 values
+ */
+export function decodeEmbedding(encoded) {
+    const binary = atob(encoded);
+    if (binary.length % 4 !== 0) {
+        throw new Error('Invalid embedding payload length');
+    }
+
+    const view = new DataView(new ArrayBuffer(binary.length));
+    for (let i = 0; i < binary.length; i++) {
+        view.setUint8(i, binary.charCodeAt(i));
+    }
+
+    const vector = new Float32Array(binary.length / 4);
+    for (let i = 0; i < vector.length; i++) {
+        vector[i] = view.getFloat32(i * 4, true);
+    }
+    return vector;
+}
+
+/**
+ * Validates an index file and decodes its entries.
+ * Returns an empty map when the file was built for another model, dimension
+ * or format version, so every chunk is embedded again.
+ *
+ * @param {EmbeddingIndexFile} data - Parsed index file
+ * @param {Object} expected - Current embedding configuration
+ * @param {string} expected.model - Model id in use
+ * @param {number} expected.dimension - Vector length in use
+ * @returns {Map<string, EmbeddingIndexEntry>} Entries by chunk id
+ *
+ * @example
+ * const entries = parseEmbeddingIndex(await res.json(), { model: 'Xenova/all-MiniLM-L6-v2', dimension: 384 });
+ */
+export function parseEmbeddingIndex(data, { model, dimension }) {
+    const entries = new Map();
+
+    if (!data || data.formatVersion !== EMBEDDING_INDEX_VERSION) return entries;
+    if (data.model !== model || data.dimension !== dimension) return entries;
+
+    for (const [id, entry] of Object.entries(data.entries || {})) {
+        try {
+            const embedding = decodeEmbedding(entry.embedding);
+            if (embedding.length === dimension && typeof entry.hash === 'string') {
+                entries.set(id, { hash: entry.hash, embedding });
+            }
+        } catch {
+            // Corrupt entry: the chunk is embedded again
+        }
+    }
+
+    return entries;
+}
+
+/**
+ * Builds an index file from embedded chunks
+ *
+ * @param {Map<string, EmbeddingIndexEntry>} entries - Entries by chunk id
+ * @param {Object} meta - Index metadata
+ * @param {string} meta.model - Embedding model id
+ * @param {number} meta.dimension - Vector length
+ * @param {string} [meta.docsVersion] - docs.json version
+ * @returns {EmbeddingIndexFile} Serializable index
+ */
+export function serializeEmbeddingIndex(entries, { model, dimension, docsVersion }) {
+    const serialized = {};
+    for (const [id, entry] of entries) {
+        serialized[id] = { hash: entry.hash, embedding: encodeEmbedding(entry.embedding) };
+    }
+
+    return {
+        formatVersion: EMBEDDING_INDEX_VERSION,
+        model,
+        dimension,
+        docsVersion,
+        generatedAt: new Date().toISOString(),
+        entries: serialized
+    };
+}
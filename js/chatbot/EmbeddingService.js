@@ -14,6 +14,8 @@
  * const similarity = embedder.cosineSimilarity(vec1, vec2);
  */
 
+import { normalizeEmbeddingText } from './EmbeddingIndex.js';
+
 /**
  * @typedef {Object} EmbeddingProgress
  * @property {string} status - Current status ('loading', 'ready', 'error')
@@ -26,6 +28,7 @@
  * @property {string} [modelId='Xenova/all-MiniLM-L6-v2'] - HuggingFace model ID
  * @property {boolean} [quantized=true] - Use quantized model for smaller size
  * @property {function(EmbeddingProgress):void} [onProgress] - Progress callback
+ * @property {import('./EmbeddingCache.js').EmbeddingCache} [persistentCache] - Cache kept across sessions (IndexedDB)
  */
 
 /**
@@ -35,7 +38,7 @@
  * Features:
  * - Lazy initialization (model loads only when first needed)
  * - Progress tracking during model download
- * - Embedding cache for repeated queries
+ * - Embedding cache for repeated queries (in memory, optionally persisted)
  * - Cosine similarity calculation
  * - Graceful degradation if model fails to load
  */
@@ -67,6 +70,9 @@ export class EmbeddingService {
     /** @private @type {number} - Max cache size */
     #maxCacheSize = 500;
 
+    /** @private @type {import('./EmbeddingCache.js').EmbeddingCache|null} - Persistent cache */
+    #persistentCache = null;
+
     /** @private @type {function(EmbeddingProgress):void|null} - Progress callback */
     #onProgress = null;
 
@@ -82,6 +88,7 @@ export class EmbeddingService {
         this.#modelId = config.modelId || 'Xenova/all-MiniLM-L6-v2';
         this.#quantized = config.quantized !== false; // Default true
         this.#onProgress = config.onProgress || null;
+        this.#persistentCache = config.persistentCache || null;
     }
 
     /**
@@ -120,6 +127,15 @@ export class EmbeddingService {
         return this.#errorMessage;
     }
 
+    /**
+     * Model identifier (precomputed indexes must be built with the same model)
+     * @type {string}
+     * @readonly
+     */
+    get modelId() {
+        return this.#modelId;
+    }
+
     /**
      * Embedding dimension size
      * @type {number}
@@ -265,6 +281,15 @@ export class EmbeddingService {
             return this.#cache.get(normalizedText);
         }
 
+        // Check vectors computed in a previous session
+        if (useCache && this.#persistentCache) {
+            const stored = await this.#persistentCache.get(this.#modelId, normalizedText);
+            if (stored) {
+                this.#addToCache(normalizedText, stored);
+                return stored;
+            }
+        }
+
         // Ensure model is ready
         if (!this.#isReady) {
             const success = await this.initialize();
@@ -286,6 +311,9 @@ export class EmbeddingService {
             // Cache the result
             if (useCache) {
                 this.#addToCache(normalizedText, embedding);
+                if (this.#persistentCache) {
+                    await this.#persistentCache.set(this.#modelId, normalizedText, embedding);
+                }
             }
 
             return embedding;
@@ -373,11 +401,8 @@ export class EmbeddingService {
      * @returns {string}
      */
     #normalizeText(text) {
-        return text
-            .toLowerCase()
-            .trim()
-            .replace(/\s+/g, ' ')
-            .slice(0, 512); // Limit length for model
+        // Shared with scripts/build-embeddings.js so precomputed vectors match
+        return normalizeEmbeddingText(text);
     }
 
     /**
@@ -397,7 +422,8 @@ export class EmbeddingService {
     }
 
     /**
-     * Clears the embedding cache
+     * Clears the in-memory embedding cache (the persistent cache is cleared
+     * through {@link EmbeddingCache#clear}, e.g. by DataManager)
      * @returns {void}
      */
     clearCache() {
@@ -417,7 +443,8 @@ export class EmbeddingService {
             modelId: this.#modelId,
             dimension: this.#dimension,
             cacheSize: this.#cache.size,
-            maxCacheSize: this.#maxCacheSize
+            maxCacheSize: this.#maxCacheSize,
+            persistentCache: this.#persistentCache ? this.#persistentCache.getStats() : null
         };
     }
 }
@@ -244,13 +244,29 @@ export const ChatEvents = {
     // Chat actions
     MESSAGE_SEND: 'message:send',
     MESSAGE_RECEIVED: 'message:received',
+    MESSAGE_CHUNK: 'message:chunk',
+    MESSAGE_CANCELLED: 'message:cancelled',
     MESSAGE_ERROR: 'message:error',
 
+    // Conversation threads
+    THREAD_CREATED: 'thread:created',
+    THREAD_RESUMED: 'thread:resumed',
+    THREAD_RENAMED: 'thread:renamed',
+    THREAD_DELETED: 'thread:deleted',
+
     // API
     API_KEY_CHANGED: 'api:key:changed',
     API_KEY_CLEARED: 'api:key:cleared',
+    API_PROVIDER_CHANGED: 'api:provider:changed',
     API_ERROR: 'api:error',
 
+    // Hand-off with the guided diagnostics
+    DIAGNOSTIC_REQUESTED: 'diagnostic:requested',
+    DIAGNOSTIC_HANDOFF: 'diagnostic:handoff',
+
+    // Ratings of the answers
+    FEEDBACK_RECORDED: 'feedback:recorded',
+
     // UI
     CHAT_OPENED: 'ui:chat:opened',
     CHAT_CLOSED: 'ui:chat:closed',
@@ -0,0 +1,242 @@
+/**
+ * @fileoverview Feedback Store - Encrypted ratings of chatbot answers in IndexedDB
+ * @module chatbot/FeedbackStore
+ * @version 1.0.0
+ * @license MIT
+ *
+ * Keeps the thumbs up/down and "wrong answer" reports given to chatbot
+ * answers, with the documents RAGEngine retrieved for them, so content
+ * editors can see which docs.json articles lead to bad answers
+ * (Mis Datos > Calidad del asistente).
+ *
+ * Each answer has one record: rating it again replaces its rating. The
+ * rating, dates and retrieved documents are kept in clear (they are
+ * aggregated per article); the question, answer and comment are encrypted
+ * with the injected EncryptionService.
+ *
+ * @security Questions, answers and comments are encrypted at rest (AES-256-GCM)
+ */
+
+import { createKeyValueStore } from '../utils/IndexedDBStore.js';
+
+/**
+ * @typedef {'up'|'down'|'wrong'} FeedbackRating
+ */
+
+/**
+ * @typedef {Object} FeedbackDocument
+ * @property {string} id - docs.json article id
+ * @property {string} title - Article title when the answer was given
+ * @property {number|null} score - Retrieval score (0-1)
+ * @property {string|null} searchType - 'semantic', 'hybrid' or 'keyword'
+ */
+
+/**
+ * @typedef {Object} FeedbackEntry
+ * @property {string} id - Answer identifier
+ * @property {FeedbackRating} rating - Rating given
+ * @property {string} question - User question
+ * @property {string} answer - Rated answer
+ * @property {string} comment - What was wrong (reports only, may be empty)
+ * @property {FeedbackDocument[]} docs - Retrieved documents, best first
+ * @property {string} createdAt - ISO date of the first rating
+ * @property {string} updatedAt - ISO date of the last rating
+ */
+
+/**
+ * @typedef {Object} FeedbackStoreDependencies
+ * @property {import('./EncryptionService.js').EncryptionService} encryptionService - Encrypts questions, answers and comments
+ * @property {import('../utils/IndexedDBStore.js').KeyValueStore} [store] - Record store (defaults to IndexedDB)
+ * @property {number} [maxEntries=500] - Oldest ratings are removed beyond this number
+ */
+
+/**
+ * Accepted ratings
+ * @type {ReadonlyArray<FeedbackRating>}
+ */
+export const FEEDBACK_RATINGS = Object.freeze(['up', 'down', 'wrong']);
+
+/**
+ * @class FeedbackStore
+ * @description Encrypted persistence of the ratings given to chatbot answers
+ *
+ * @example
+ * const store = new FeedbackStore({ encryptionService });
+ * await store.record({
+ *   id: answerId,
+ *   rating: 'down',
+ *   question: 'Como creo una clase?',
+ *   answer: 'Las clases se crean en Jamf...',
+ *   docs: [{ id: 'crear-clases', title: 'Crear clases', score: 0.82, searchType: 'hybrid' }]
+ * });
+ * const entries = await store.getAll();
+ */
+export class FeedbackStore {
+    /** @private @type {import('./EncryptionService.js').EncryptionService} */
+    #encryptionService;
+
+    /** @private @type {import('../utils/IndexedDBStore.js').KeyValueStore} */
+    #store;
+
+    /** @private @type {number} */
+    #maxEntries;
+
+    /** @private @type {number} */
+    #maxCommentLength = 500;
+
+    /**
+     * Creates a new FeedbackStore instance
+     *
+     * @param {FeedbackStoreDependencies} deps - Injected dependencies
+     * @throws {TypeError} If encryptionService is missing
+     */
+    constructor({ encryptionService, store = null, maxEntries = 500 } = {}) {
+        if (!encryptionService) {
+            throw new TypeError('FeedbackStore requires an EncryptionService instance');
+        }
+
+        this.#encryptionService = encryptionService;
+        this.#store = store || createKeyValueStore({
+            dbName: 'jamf-assistant-feedback',
+            storeName: 'answers',
+            keyPath: 'id'
+        });
+        this.#maxEntries = maxEntries;
+    }
+
+    /**
+     * Whether ratings survive a page reload (false when IndexedDB is unavailable)
+     * @type {boolean}
+     * @readonly
+     */
+    get isPersistent() {
+        return this.#store.isPersistent !== false;
+    }
+
+    /**
+     * Saves the rating of an answer, replacing the previous one. The oldest
+     * ratings are removed when the limit is reached.
+     *
+     * @param {Object} entry - Rating to save
+     * @param {string} entry.id - Answer identifier
+     * @param {FeedbackRating} entry.rating - Rating given
+     * @param {string} entry.question - User question
+     * @param {string} entry.answer - Rated answer
+     * @param {Array<{id: string, title?: string, score?: number, searchType?: string}>} [entry.docs=[]] - Retrieved documents, best first
+     * @param {string} [entry.comment=''] - What was wrong
+     * @returns {Promise<FeedbackEntry>} Saved entry
+     * @throws {TypeError} If the id or the rating is invalid
+     *
+     * @example
+     * await store.record({ id, rating: 'wrong', question, answer, docs, comment: 'La ruta del menu no existe' });
+     */
+    async record({ id, rating, question, answer, docs = [], comment = '' }) {
+        if (!id) {
+            throw new TypeError('Feedback requires an answer id');
+        }
+        if (!FEEDBACK_RATINGS.includes(rating)) {
+            throw new TypeError(`Unknown feedback rating: ${rating}`);
+        }
+
+        const existing = await this.#store.get(id);
+        const now = new Date().toISOString();
+        const entry = {
+            id,
+            rating,
+            question: String(question ?? ''),
+            answer: String(answer ?? ''),
+            comment: String(comment ?? '').trim().slice(0, this.#maxCommentLength),
+            docs: docs.map(doc => ({
+                id: String(doc.id),
+                title: String(doc.title ?? doc.id),
+                score: typeof doc.score === 'number' ? doc.score : null,
+                searchType: doc.searchType ?? null
+            })),
+            createdAt: existing?.createdAt || now,
+            updatedAt: now
+        };
+
+        if (!existing) await this.#pruneOldEntries(this.#maxEntries - 1);
+        await this.#store.put(await this.#encryptRecord(entry));
+        return entry;
+    }
+
+    /**
+     * Loads every rating. Records that cannot be decrypted (e.g. after the
+     * browser key was reset) are skipped.
+     *
+     * @returns {Promise<FeedbackEntry[]>} Ratings, most recent first
+     *
+     * @example
+     * const rows = aggregateFeedback(await store.getAll());
+     */
+    async getAll() {
+        const records = await this.#store.getAll();
+        const entries = [];
+
+        for (const record of records) {
+            try {
+                entries.push(await this.#decryptRecord(record));
+            } catch (error) {
+                console.warn(`[FeedbackStore] Skipping unreadable rating ${record.id}:`, error.message);
+            }
+        }
+
+        return entries.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    }
+
+    /**
+     * Deletes every rating (RGPD delete-all)
+     *
+     * @returns {Promise<void>}
+     */
+    async clearAll() {
+        await this.#store.clear();
+    }
+
+    /**
+     * Encrypts an entry into its storage record
+     * @private
+     * @param {FeedbackEntry} entry - Entry to store
+     * @returns {Promise<Object>} Storage record
+     */
+    async #encryptRecord(entry) {
+        const { question, answer, comment, ...clear } = entry;
+        return {
+            ...clear,
+            payload: await this.#encryptionService.encrypt(JSON.stringify({ question, answer, comment }))
+        };
+    }
+
+    /**
+     * Decrypts a storage record into an entry
+     * @private
+     * @param {Object} record - Storage record
+     * @returns {Promise<FeedbackEntry>} Entry
+     */
+    async #decryptRecord(record) {
+        const { payload, ...clear } = record;
+        const { question, answer, comment } = JSON.parse(await this.#encryptionService.decrypt(payload));
+        return { ...clear, question, answer, comment };
+    }
+
+    /**
+     * Removes the least recently rated answers so at most `keep` remain
+     * @private
+     * @param {number} keep - Number of ratings to keep
+     */
+    async #pruneOldEntries(keep) {
+        const records = await this.#store.getAll();
+        if (records.length <= keep) return;
+
+        const oldest = records
+            .sort((a, b) => a.updatedAt.localeCompare(b.updatedAt))
+            .slice(0, records.length - Math.max(keep, 0));
+
+        for (const record of oldest) {
+            await this.#store.delete(record.id);
+        }
+    }
+}
+
+export default FeedbackStore;
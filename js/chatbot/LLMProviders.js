@@ -0,0 +1,174 @@
+/**
+ * @fileoverview LLM Providers - Catalog of supported chat backends
+ * @module chatbot/LLMProviders
+ * @version 1.0.0
+ * @license MIT
+ *
+ * Single place describing each supported provider: how to validate its key,
+ * how to build its client, and the UI hints shown in the API key modal.
+ * Adding a provider means adding one descriptor here; ApiKeyManager,
+ * ChatbotCore and ChatUI work from the catalog without modification.
+ */
+
+import { GeminiClient } from './GeminiClient.js';
+import { OpenAIClient } from './OpenAIClient.js';
+import { AnthropicClient } from './AnthropicClient.js';
+import { LocalLLMClient } from './LocalLLMClient.js';
+import {
+    createGeminiValidator,
+    createOpenAIValidator,
+    createAnthropicValidator,
+    createLocalEndpointValidator
+} from '../patterns/ValidatorChain.js';
+
+/**
+ * Supported provider identifiers
+ * @readonly
+ * @enum {string}
+ */
+export const LLMProviders = {
+    GEMINI: 'gemini',
+    OPENAI: 'openai',
+    ANTHROPIC: 'anthropic',
+    LOCAL: 'local'
+};
+
+/**
+ * @typedef {Object} ProviderOptions
+ * @property {string} [baseUrl] - API root override (only for providers with supportsBaseUrl)
+ * @property {string} [model] - Model override
+ */
+
+/**
+ * @typedef {Object} ContextBudget
+ * @property {number} maxChars - Maximum length of the whole RAG context
+ * @property {number} maxDocChars - Maximum length of each document in the context
+ */
+
+/**
+ * @typedef {Object} ProviderDescriptor
+ * @property {string} id - Provider identifier (see {@link LLMProviders})
+ * @property {string} label - Name shown in the provider selector
+ * @property {string} keyPlaceholder - Placeholder for the API key input
+ * @property {string} keyHelpUrl - Where users create a key
+ * @property {string} keyHelpLabel - Link text for keyHelpUrl
+ * @property {string} defaultModel - Model used when none is configured
+ * @property {boolean} supportsBaseUrl - Whether a custom endpoint (e.g. district gateway) can be set
+ * @property {string} [defaultBaseUrl] - Endpoint used when none is configured (supportsBaseUrl only)
+ * @property {string} [endpointHint] - Shown under the endpoint field: which servers work
+ * @property {boolean} requiresApiKey - Whether the provider refuses requests without a key
+ * @property {ContextBudget} [contextBudget] - RAG context limits (defaults to RAGEngine's)
+ * @property {function(ProviderOptions=): import('../patterns/ValidatorChain.js').ApiKeyValidatorChain} createValidator - Key format validator factory (for the endpoint, if given)
+ * @property {function(string, ProviderOptions=): import('./BaseLLMClient.js').BaseLLMClient} createClient - Client factory
+ */
+
+/**
+ * Default provider (keeps existing Gemini installs working unchanged)
+ * @type {string}
+ */
+export const DEFAULT_PROVIDER = LLMProviders.GEMINI;
+
+/**
+ * Provider catalog, in the order shown in the selector
+ * @type {ReadonlyArray<ProviderDescriptor>}
+ */
+export const PROVIDER_CATALOG = Object.freeze([
+    Object.freeze({
+        id: LLMProviders.GEMINI,
+        label: 'Google Gemini',
+        keyPlaceholder: 'AIza...',
+        keyHelpUrl: 'https://aistudio.google.com/app/apikey',
+        keyHelpLabel: 'Google AI Studio',
+        defaultModel: GeminiClient.defaultModel,
+        supportsBaseUrl: false,
+        requiresApiKey: true,
+        createValidator: () => createGeminiValidator(),
+        createClient: (apiKey, options = {}) => new GeminiClient(apiKey, { model: options.model })
+    }),
+    Object.freeze({
+        id: LLMProviders.OPENAI,
+        label: 'OpenAI / pasarela compatible',
+        keyPlaceholder: 'sk-...',
+        keyHelpUrl: 'https://platform.openai.com/api-keys',
+        keyHelpLabel: 'OpenAI Platform',
+        defaultModel: OpenAIClient.defaultModel,
+        supportsBaseUrl: true,
+        defaultBaseUrl: OpenAIClient.defaultBaseUrl,
+        requiresApiKey: true,
+        createValidator: (options = {}) => createOpenAIValidator(options),
+        createClient: (apiKey, options = {}) => new OpenAIClient(apiKey, {
+            baseUrl: options.baseUrl,
+            model: options.model
+        })
+    }),
+    Object.freeze({
+        id: LLMProviders.ANTHROPIC,
+        label: 'Anthropic Claude',
+        keyPlaceholder: 'sk-ant-...',
+        keyHelpUrl: 'https://console.anthropic.com/settings/keys',
+        keyHelpLabel: 'Anthropic Console',
+        defaultModel: AnthropicClient.defaultModel,
+        supportsBaseUrl: false,
+        requiresApiKey: true,
+        createValidator: () => createAnthropicValidator(),
+        createClient: (apiKey, options = {}) => new AnthropicClient(apiKey, { model: options.model })
+    }),
+    Object.freeze({
+        id: LLMProviders.LOCAL,
+        label: 'Servidor local (Ollama, llama.cpp)',
+        keyPlaceholder: 'Sin API Key (opcional)',
+        keyHelpUrl: 'https://github.com/ollama/ollama/blob/main/docs/openai.md',
+        keyHelpLabel: 'la guia de Ollama',
+        defaultModel: LocalLLMClient.defaultModel,
+        supportsBaseUrl: true,
+        defaultBaseUrl: LocalLLMClient.defaultBaseUrl,
+        endpointHint: 'Sin mas configuracion solo funciona un servidor en este mismo ordenador (localhost). ' +
+            'Un servidor de la red del centro necesita https y que quien publica el asistente lo autorice.',
+        requiresApiKey: false,
+        // Small local models often run with a 2k-4k token window
+        contextBudget: Object.freeze({ maxChars: 3000, maxDocChars: 800 }),
+        createValidator: () => createLocalEndpointValidator(),
+        createClient: (apiKey, options = {}) => new LocalLLMClient(apiKey, {
+            baseUrl: options.baseUrl,
+            model: options.model
+        })
+    })
+]);
+
+/**
+ * Looks up a provider descriptor
+ *
+ * @param {string} id - Provider identifier
+ * @returns {ProviderDescriptor|undefined} Descriptor, or undefined if unknown
+ *
+ * @example
+ * const provider = getProvider('openai');
+ * const validator = provider.createValidator();
+ */
+export function getProvider(id) {
+    return PROVIDER_CATALOG.find(provider => provider.id === id);
+}
+
+/**
+ * Creates a client for the given provider.
+ * Used as the `llmClientFactory` injected into ChatbotCore (D-Principle).
+ *
+ * @param {string} providerId - Provider identifier
+ * @param {string} apiKey - Provider API key (may be empty for keyless providers)
+ * @param {ProviderOptions} [options={}] - Endpoint/model overrides
+ * @returns {import('./BaseLLMClient.js').BaseLLMClient} Provider client
+ * @throws {Error} If the provider is unknown
+ *
+ * @example
+ * const client = createLLMClient('anthropic', 'sk-ant-...');
+ * const reply = await client.sendMessage(question, systemPrompt, ragContext);
+ */
+export function createLLMClient(providerId, apiKey, options = {}) {
+    const provider = getProvider(providerId);
+    if (!provider) {
+        throw new Error(`Unknown LLM provider: ${providerId}`);
+    }
+    return provider.createClient(apiKey, options);
+}
+
+export default PROVIDER_CATALOG;
@@ -0,0 +1,73 @@
+/**
+ * @fileoverview Local LLM Client - Self-hosted OpenAI-compatible servers
+ * @module chatbot/LocalLLMClient
+ * @version 1.0.0
+ * @license MIT
+ *
+ * Client for on-premises models served with the OpenAI Chat Completions
+ * protocol (Ollama, llama.cpp server, LM Studio, vLLM...). Questions and
+ * RAG context never leave the school network.
+ *
+ * Differences from OpenAIClient:
+ * - No API key required (sent as Bearer token only if provided)
+ * - Base URL defaults to a local Ollama server
+ * - Longer default timeout, since local inference is often CPU-bound
+ *
+ * @security Integrates PromptGuard for injection protection (via BaseLLMClient)
+ */
+
+import { OpenAIClient } from './OpenAIClient.js';
+
+/**
+ * @typedef {Object} LocalLLMConfig
+ * @property {string} [baseUrl='http://localhost:11434/v1'] - Server API root
+ * @property {string} [model='llama3.1'] - Model name as known by the server
+ * @property {number} [temperature=0.3] - Response randomness (0-1)
+ * @property {number} [maxOutputTokens=1024] - Maximum response length
+ * @property {number} [timeout=120000] - Request timeout in ms (per chunk when streaming)
+ */
+
+/**
+ * @class LocalLLMClient
+ * @extends OpenAIClient
+ * @description HTTP client for self-hosted OpenAI-compatible servers
+ *
+ * @example
+ * // Ollama on the school server, no key
+ * const client = new LocalLLMClient('', {
+ *   baseUrl: 'http://ia.colegio.local:11434/v1',
+ *   model: 'llama3.1:8b'
+ * });
+ * const response = await client.sendMessage(question, systemPrompt, ragContext);
+ */
+export class LocalLLMClient extends OpenAIClient {
+    /** @type {string} */
+    static providerName = 'Local';
+
+    /** @type {string} */
+    static defaultModel = 'llama3.1';
+
+    /** @type {string} */
+    static defaultBaseUrl = 'http://localhost:11434/v1';
+
+    /** @type {boolean} */
+    static requiresApiKey = false;
+
+    /** @type {number} */
+    static defaultTimeout = 120000;
+
+    /**
+     * Creates a new LocalLLMClient instance
+     *
+     * @param {string} [apiKey=''] - Optional key, for servers behind an authenticating proxy
+     * @param {LocalLLMConfig} [config] - Optional configuration
+     */
+    constructor(apiKey = '', config = {}) {
+        super(apiKey, {
+            ...config,
+            timeout: config.timeout || LocalLLMClient.defaultTimeout
+        });
+    }
+}
+
+export default LocalLLMClient;
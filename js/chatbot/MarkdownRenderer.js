@@ -0,0 +1,356 @@
+/**
+ * @fileoverview Markdown Renderer - Formats chatbot answers as HTML
+ * @module chatbot/MarkdownRenderer
+ * @version 1.0.0
+ * @license MIT
+ *
+ * Renders the Markdown subset the assistant answers with:
+ * - Headings ("## Pasos"), paragraphs and line breaks
+ * - Ordered and unordered lists, nested by indentation; numbered lists keep
+ *   their numbers ("2. ..." after a paragraph starts at 2)
+ * - Tables with a header row ("| Campo | Valor |" + "|---|---|")
+ * - Fenced code blocks, inline code for menu paths (`Ajustes → WiFi`),
+ *   bold, italics and http(s)/mailto links
+ * - Citation markers ("[1]", "[1, 2]") pointing to the numbered documents of
+ *   the RAG context, rendered as `.chat-citation` links with `data-citation`
+ *
+ * All text is escaped here; the output is still meant to go through
+ * DOMPurify with {@link MARKDOWN_SANITIZER_CONFIG}.
+ */
+
+/**
+ * DOMPurify configuration for rendered answers: only the markup produced by
+ * {@link renderMarkdown} is allowed
+ * @type {Readonly<import('../core/ModalManager.js').SanitizerConfig>}
+ */
+export const MARKDOWN_SANITIZER_CONFIG = Object.freeze({
+    ALLOWED_TAGS: [
+        'h3', 'h4', 'h5', 'h6', 'p', 'br', 'ul', 'ol', 'li', 'strong', 'em',
+        'a', 'pre', 'code', 'div', 'table', 'thead', 'tbody', 'tr', 'th', 'td'
+    ],
+    ALLOWED_ATTR: ['class', 'href', 'target', 'rel', 'start', 'title', 'aria-label', 'data-citation'],
+    ALLOW_DATA_ATTR: false
+});
+
+/** Code fence: "```" or "```bash" */
+const FENCE = /^\s*```/;
+
+/** Heading: "## Titulo" */
+const HEADING = /^\s*(#{1,6})\s+(.+?)\s*#*\s*$/;
+
+/** List item: indentation, marker ("1.", "2)", "-", "*", "+", "•") and text */
+const LIST_ITEM = /^(\s*)(\d{1,3}[.)]|[-*+•])\s+(.*)$/;
+
+/** Table header divider: "|---|:---:|" */
+const TABLE_DIVIDER = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+/** Inline code: `Ajustes → WiFi` */
+const INLINE_CODE = /`([^`\n]+)`/g;
+
+/** Link: [texto](url) */
+const LINK = /\[([^\]\n]+)\]\(([^)\s]+)\)/g;
+
+/** Link targets allowed in answers */
+const SAFE_URL = /^(https?:\/\/|mailto:)/i;
+
+/** Citation marker: "[1]", "[1, 3]" */
+const CITATION = /\[(\d{1,2}(?:\s*,\s*\d{1,2})*)\]/g;
+
+/** Placeholder for an already rendered fragment (code span or link) */
+const PLACEHOLDER = /\u0000(\d+)\u0000/g;
+
+/**
+ * Escapes HTML special characters
+ * @private
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Applies bold and italics to escaped text
+ * @private
+ * @param {string} html - Escaped text
+ * @returns {string} HTML
+ */
+function emphasize(html) {
+    return html
+        .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+        .replace(/__(.+?)__/g, '<strong>$1</strong>')
+        .replace(/(^|[^*\w])\*(?!\s)([^*\n]+?)\*(?!\w)/g, '$1<em>$2</em>')
+        .replace(/(^|[^_\w])_(?!\s)([^_\n]+?)_(?!\w)/g, '$1<em>$2</em>');
+}
+
+/**
+ * Renders a citation marker
+ * @private
+ * @param {string} number - Document number in the RAG context
+ * @returns {string} HTML
+ */
+function renderCitation(number) {
+    return `<a href="#" class="chat-citation" data-citation="${number}" aria-label="Fuente ${number}">${number}</a>`;
+}
+
+/**
+ * Renders the inline Markdown of one line
+ * @private
+ * @param {string} text - Raw text
+ * @returns {string} HTML
+ */
+function renderInline(text) {
+    const fragments = [];
+    const keep = (html) => `\u0000${fragments.push(html) - 1}\u0000`;
+
+    const withoutSpans = text
+        .replace(INLINE_CODE, (_, code) => keep(`<code>${escapeHtml(code)}</code>`))
+        .replace(LINK, (match, label, url) => (SAFE_URL.test(url)
+            ? keep(`<a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer">${emphasize(escapeHtml(label))}</a>`)
+            : match));
+
+    return emphasize(escapeHtml(withoutSpans))
+        .replace(CITATION, (_, numbers) => numbers.split(',').map(n => renderCitation(n.trim())).join(''))
+        .replace(PLACEHOLDER, (_, index) => fragments[Number(index)]);
+}
+
+/**
+ * Splits a table row into cells. Escaped pipes ("\|") and pipes inside
+ * inline code stay in the cell.
+ * @private
+ * @param {string} line - Table row
+ * @returns {string[]} Raw cell texts
+ */
+function splitRow(line) {
+    let row = line.trim();
+    if (row.startsWith('|')) row = row.slice(1);
+    if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
+
+    const cells = [''];
+    let inCode = false;
+
+    for (let i = 0; i < row.length; i++) {
+        const char = row[i];
+        if (char === '\\' && row[i + 1] === '|') {
+            cells[cells.length - 1] += '|';
+            i++;
+        } else if (char === '|' && !inCode) {
+            cells.push('');
+        } else {
+            if (char === '`') inCode = !inCode;
+            cells[cells.length - 1] += char;
+        }
+    }
+
+    return cells.map(cell => cell.trim());
+}
+
+/**
+ * Checks if a table starts at a line: a row followed by a header divider
+ * @private
+ * @param {string[]} lines - All lines
+ * @param {number} index - Line to check
+ * @returns {boolean}
+ */
+function isTableStart(lines, index) {
+    return lines[index].includes('|') && index + 1 < lines.length && TABLE_DIVIDER.test(lines[index + 1]);
+}
+
+/**
+ * Checks if a line starts a block other than a paragraph
+ * @private
+ * @param {string[]} lines - All lines
+ * @param {number} index - Line to check
+ * @returns {boolean}
+ */
+function isBlockStart(lines, index) {
+    const line = lines[index];
+    return FENCE.test(line) || HEADING.test(line) || LIST_ITEM.test(line) || isTableStart(lines, index);
+}
+
+/**
+ * Renders a fenced code block
+ * @private
+ * @param {string[]} lines - All lines
+ * @param {number} start - Opening fence
+ * @returns {{html: string, next: number}} HTML and the line after the block
+ */
+function renderCodeBlock(lines, start) {
+    let end = start + 1;
+    while (end < lines.length && !FENCE.test(lines[end])) end++;
+
+    const code = lines.slice(start + 1, end).join('\n');
+    return { html: `<pre><code>${escapeHtml(code)}</code></pre>`, next: end + 1 };
+}
+
+/**
+ * Renders a table
+ * @private
+ * @param {string[]} lines - All lines
+ * @param {number} start - Header row
+ * @returns {{html: string, next: number}} HTML and the line after the table
+ */
+function renderTable(lines, start) {
+    const header = splitRow(lines[start]);
+    let next = start + 2;
+    const rows = [];
+
+    while (next < lines.length && lines[next].includes('|') && lines[next].trim()) {
+        rows.push(splitRow(lines[next]));
+        next++;
+    }
+
+    const cells = (row, tag) => header
+        .map((_, i) => `<${tag}>${renderInline(row[i] || '')}</${tag}>`)
+        .join('');
+
+    const body = rows.map(row => `<tr>${cells(row, 'td')}</tr>`).join('');
+    return {
+        html: `<div class="chat-table"><table><thead><tr>${cells(header, 'th')}</tr></thead><tbody>${body}</tbody></table></div>`,
+        next
+    };
+}
+
+/**
+ * Renders consecutive list items as (nested) lists
+ * @private
+ * @param {Array<{indent: number, ordered: boolean, number: number, lines: string[]}>} items - Parsed items
+ * @returns {string} HTML
+ */
+function renderListItems(items) {
+    let pos = 0;
+
+    const renderLevel = () => {
+        const indent = items[pos].indent;
+        let html = '';
+
+        while (pos < items.length && items[pos].indent >= indent) {
+            const { ordered, number } = items[pos];
+            const tag = ordered ? 'ol' : 'ul';
+            const start = ordered && number !== 1 ? ` start="${number}"` : '';
+            html += `<${tag}${start}>`;
+
+            while (pos < items.length && items[pos].indent === indent && items[pos].ordered === ordered) {
+                const item = items[pos++];
+                let body = item.lines.map(renderInline).join('<br>');
+                while (pos < items.length && items[pos].indent > indent) body += renderLevel();
+                html += `<li>${body}</li>`;
+            }
+
+            html += `</${tag}>`;
+        }
+
+        return html;
+    };
+
+    let html = '';
+    while (pos < items.length) html += renderLevel();
+    return html;
+}
+
+/**
+ * Renders a list. Blank lines between items and indented continuation
+ * lines stay in the list.
+ * @private
+ * @param {string[]} lines - All lines
+ * @param {number} start - First item
+ * @returns {{html: string, next: number}} HTML and the line after the list
+ */
+function renderList(lines, start) {
+    const items = [];
+    let next = start;
+
+    while (next < lines.length) {
+        const line = lines[next];
+        const match = line.match(LIST_ITEM);
+
+        if (match) {
+            items.push({
+                indent: match[1].replace(/\t/g, '    ').length,
+                ordered: /\d/.test(match[2]),
+                number: parseInt(match[2], 10),
+                lines: [match[3]]
+            });
+        } else if (!line.trim()) {
+            const following = lines.slice(next + 1).find(l => l.trim());
+            if (!following || !LIST_ITEM.test(following)) break;
+        } else if (/^\s/.test(line) && !isBlockStart(lines, next)) {
+            items[items.length - 1].lines.push(line.trim());
+        } else {
+            break;
+        }
+
+        next++;
+    }
+
+    return { html: renderListItems(items), next };
+}
+
+/**
+ * Renders a paragraph: lines up to a blank line or another block
+ * @private
+ * @param {string[]} lines - All lines
+ * @param {number} start - First line
+ * @returns {{html: string, next: number}} HTML and the line after the paragraph
+ */
+function renderParagraph(lines, start) {
+    let next = start + 1;
+    while (next < lines.length && lines[next].trim() && !isBlockStart(lines, next)) next++;
+
+    const text = lines.slice(start, next).map(line => renderInline(line.trim())).join('<br>');
+    return { html: `<p>${text}</p>`, next };
+}
+
+/**
+ * Renders an assistant answer written in Markdown as HTML
+ *
+ * @param {string} text - Answer text (may be incomplete while streaming)
+ * @returns {string} HTML, to be sanitized with {@link MARKDOWN_SANITIZER_CONFIG}
+ *
+ * @example
+ * renderMarkdown('Pasos:\n1. Abre `Ajustes → WiFi` [1]\n2. Elige la red');
+ * // '<p>Pasos:</p><ol><li>Abre <code>Ajustes → WiFi</code> <a ... data-citation="1" ...>1</a></li>...</ol>'
+ */
+export function renderMarkdown(text) {
+    const lines = String(text ?? '').replace(/\u0000/g, '').replace(/\r\n?/g, '\n').split('\n');
+    let html = '';
+    let index = 0;
+
+    while (index < lines.length) {
+        const line = lines[index];
+
+        if (!line.trim()) {
+            index++;
+            continue;
+        }
+
+        const heading = line.match(HEADING);
+        if (heading) {
+            const level = Math.min(heading[1].length + 2, 6);
+            html += `<h${level}>${renderInline(heading[2])}</h${level}>`;
+            index++;
+            continue;
+        }
+
+        let block;
+        if (FENCE.test(line)) {
+            block = renderCodeBlock(lines, index);
+        } else if (isTableStart(lines, index)) {
+            block = renderTable(lines, index);
+        } else if (LIST_ITEM.test(line)) {
+            block = renderList(lines, index);
+        } else {
+            block = renderParagraph(lines, index);
+        }
+
+        html += block.html;
+        index = block.next;
+    }
+
+    return html;
+}
@@ -0,0 +1,157 @@
+/**
+ * @fileoverview OpenAI-compatible API Client - Chat Completions over HTTP
+ * @module chatbot/OpenAIClient
+ * @version 1.0.0
+ * @license MIT
+ *
+ * Talks to any endpoint implementing the OpenAI Chat Completions API
+ * (`POST {baseUrl}/chat/completions`): OpenAI itself, Azure-style gateways
+ * or a district proxy. The base URL is configurable so schools can route
+ * traffic through their own gateway.
+ *
+ * @security API key is passed via Authorization header
+ * @security Integrates PromptGuard for injection protection (via BaseLLMClient)
+ */
+
+import { BaseLLMClient, LLMApiError } from './BaseLLMClient.js';
+
+/**
+ * @typedef {Object} OpenAIConfig
+ * @property {string} [baseUrl='https://api.openai.com/v1'] - API root (without /chat/completions)
+ * @property {string} [model='gpt-4o-mini'] - Model name
+ * @property {number} [temperature=0.3] - Response randomness (0-1)
+ * @property {number} [maxOutputTokens=1024] - Maximum response length
+ * @property {number} [timeout=30000] - Request timeout in ms
+ */
+
+/**
+ * Custom error for OpenAI-compatible API failures
+ * @class OpenAIApiError
+ * @extends LLMApiError
+ */
+export class OpenAIApiError extends LLMApiError {
+    /**
+     * @param {string} message - Error message
+     * @param {number} [statusCode] - HTTP status code
+     * @param {Error} [cause] - Original error
+     */
+    constructor(message, statusCode, cause) {
+        super(message, statusCode, cause);
+        this.name = 'OpenAIApiError';
+    }
+}
+
+/**
+ * @class OpenAIClient
+ * @extends BaseLLMClient
+ * @description HTTP client for OpenAI-compatible Chat Completions endpoints
+ *
+ * @example
+ * // District gateway
+ * const client = new OpenAIClient('sk-...', {
+ *   baseUrl: 'https://ia.distrito.edu/v1',
+ *   model: 'gpt-4o-mini'
+ * });
+ * const response = await client.sendMessage(question, systemPrompt, ragContext);
+ */
+export class OpenAIClient extends BaseLLMClient {
+    /** @type {string} */
+    static providerName = 'OpenAI';
+
+    /** @type {string} */
+    static defaultModel = 'gpt-4o-mini';
+
+    /** @type {string} */
+    static defaultBaseUrl = 'https://api.openai.com/v1';
+
+    /** @private @type {string} */
+    #baseUrl;
+
+    /**
+     * Creates a new OpenAIClient instance
+     *
+     * @param {string} apiKey - API key for the endpoint
+     * @param {OpenAIConfig} [config] - Optional configuration
+     * @throws {Error} If apiKey is not provided
+     */
+    constructor(apiKey, config = {}) {
+        super(apiKey, config);
+        this.#baseUrl = (config.baseUrl || this.constructor.defaultBaseUrl).replace(/\/+$/, '');
+    }
+
+    /**
+     * API root used for requests
+     * @type {string}
+     * @readonly
+     */
+    get baseUrl() {
+        return this.#baseUrl;
+    }
+
+    /**
+     * @param {string} model - Model name (sent in the body, not the URL)
+     * @param {boolean} stream - Whether a streamed response is requested
+     * @returns {string} Endpoint URL
+     */
+    buildEndpoint(model, stream) {
+        return `${this.#baseUrl}/chat/completions`;
+    }
+
+    /**
+     * @param {string} apiKey - API key
+     * @returns {Object} HTTP headers
+     */
+    buildHeaders(apiKey) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (apiKey) {
+            headers.Authorization = `Bearer ${apiKey}`;
+        }
+        return headers;
+    }
+
+    /**
+     * @param {import('./BaseLLMClient.js').ProviderRequest} request - Request description
+     * @returns {Object} Chat Completions request body
+     */
+    buildRequestBody({ systemPrompt, history, model, temperature, maxOutputTokens, stream }) {
+        const messages = systemPrompt
+            ? [{ role: 'system', content: systemPrompt }, ...history]
+            : [...history];
+
+        return {
+            model,
+            messages,
+            temperature,
+            max_tokens: maxOutputTokens,
+            stream
+        };
+    }
+
+    /**
+     * @param {Object} data - Chat Completions response
+     * @returns {string|undefined} Response text
+     */
+    extractResponseText(data) {
+        return data.choices?.[0]?.message?.content;
+    }
+
+    /**
+     * @param {Object} event - Chat Completions stream chunk
+     * @returns {string} Text delta
+     */
+    extractStreamText(event) {
+        return event.choices?.[0]?.delta?.content || '';
+    }
+
+    /**
+     * @param {string} message - Error message
+     * @param {number} [statusCode] - HTTP status code
+     * @param {Error} [cause] - Original error
+     * @returns {OpenAIApiError}
+     */
+    createError(message, statusCode, cause) {
+        return new OpenAIApiError(message, statusCode, cause);
+    }
+}
+
+export default OpenAIClient;
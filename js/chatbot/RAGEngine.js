@@ -18,6 +18,14 @@
 
 import { PromptGuard } from './PromptGuard.js';
 import { EmbeddingService } from './EmbeddingService.js';
+import { chunkDocument } from './DocumentChunker.js';
+import { BM25Index } from '../utils/BM25Index.js';
+import {
+    DEFAULT_EMBEDDING_INDEX_PATH,
+    createSearchableText,
+    hashChunk,
+    parseEmbeddingIndex
+} from './EmbeddingIndex.js';
 import { ErrorMonitor } from '../core/ErrorMonitor.js';
 
 /**
@@ -31,10 +39,19 @@ import { ErrorMonitor } from '../core/ErrorMonitor.js';
  */
 
 /**
- * @typedef {Object} IndexedDocument
- * @property {string} id - Document ID
+ * @typedef {Object} IndexedChunk
+ * @property {string} id - Chunk ID
  * @property {Float32Array} embedding - Semantic embedding vector
- * @property {Document} document - Original document
+ * @property {import('./DocumentChunker.js').DocumentChunk} chunk - Article chunk
+ */
+
+/**
+ * @typedef {Object} ChunkMatch
+ * @property {string} id - Chunk ID (`<article id>#<index>`), used for citations
+ * @property {number} index - Position of the chunk in the article
+ * @property {string|null} heading - Section the chunk belongs to
+ * @property {string} text - Chunk text
+ * @property {number} score - Chunk relevance score
  */
 
 /**
@@ -47,6 +64,7 @@ import { ErrorMonitor } from '../core/ErrorMonitor.js';
  * @property {string} [officialDocUrl] - Official documentation URL
  * @property {number} score - Relevance score (0-1 for semantic, normalized for keyword)
  * @property {string} [searchType] - 'semantic', 'keyword', or 'hybrid'
+ * @property {ChunkMatch[]} [chunks] - Best matching chunks of the article, most relevant first
  */
 
 /**
@@ -62,7 +80,8 @@ import { ErrorMonitor } from '../core/ErrorMonitor.js';
  * @property {number} [topK=3] - Maximum results to return
  * @property {number} [minScore=0.3] - Minimum similarity score for semantic search
  * @property {boolean} [forceKeyword=false] - Force keyword search only
- * @property {boolean} [hybridMode=true] - Combine semantic and keyword scores
+ * @property {boolean} [hybridMode=true] - Combine semantic and BM25 keyword scores
+ * @property {number} [maxChunksPerDoc=2] - Matching chunks kept per article
  */
 
 /**
@@ -71,7 +90,7 @@ import { ErrorMonitor } from '../core/ErrorMonitor.js';
  *
  * Architecture:
  * - Semantic search using Transformers.js embeddings (primary)
- * - Keyword-based search (fallback)
+ * - BM25 keyword search (offline fallback when the model is unavailable)
  * - Hybrid mode combining both approaches
  * - Lazy initialization of embedding model
  * - PromptGuard integration for security
@@ -91,8 +110,32 @@ export class RAGEngine {
     /** @private @type {Document[]} */
     #documents = [];
 
-    /** @private @type {IndexedDocument[]} */
-    #indexedDocuments = [];
+    /** @private @type {import('./DocumentChunker.js').DocumentChunk[]} */
+    #chunks = [];
+
+    /** @private @type {Map<string, Document>} Articles by id */
+    #documentsById = new Map();
+
+    /** @private @type {import('./DocumentChunker.js').ChunkOptions} */
+    #chunkOptions = {};
+
+    /** @private @type {Map<string, import('./DocumentChunker.js').DocumentChunk>} Chunks by id */
+    #chunksById = new Map();
+
+    /** @private @type {BM25Index} Keyword index over chunks */
+    #keywordIndex = new BM25Index({
+        fieldWeights: { title: 2, keywords: 2, heading: 1.5, text: 1 }
+    });
+
+    /**
+     * Hybrid ranking: share of the BM25 score, and the BM25 score (relative to
+     * the best match) that qualifies a chunk without semantic similarity
+     * @private @type {{keywordWeight: number, minKeywordScore: number}}
+     */
+    #hybridConfig = { keywordWeight: 0.3, minKeywordScore: 0.5 };
+
+    /** @private @type {IndexedChunk[]} */
+    #indexedChunks = [];
 
     /** @private @type {boolean} */
     #isIndexed = false;
@@ -113,6 +156,15 @@ export class RAGEngine {
     /** @private @type {string} */
     #docsPath = 'data/docs.json';
 
+    /** @private @type {string|null} Precomputed embedding index (null disables it) */
+    #embeddingIndexPath = DEFAULT_EMBEDDING_INDEX_PATH;
+
+    /** @private @type {Map<string, import('./EmbeddingIndex.js').EmbeddingIndexEntry>|null} */
+    #precomputedEmbeddings = null;
+
+    /** @private @type {{reused: number, embedded: number}} */
+    #indexStats = { reused: 0, embedded: 0 };
+
     /** @private @type {function(Object):void|null} */
     #onProgress = null;
 
@@ -122,6 +174,11 @@ export class RAGEngine {
      * @param {string} [docsPath='data/docs.json'] - Path to documentation JSON
      * @param {Object} [options={}] - Configuration options
      * @param {function(Object):void} [options.onProgress] - Progress callback for indexing
+     * @param {string|null} [options.embeddingIndexPath='data/embeddings.json'] - Precomputed embeddings (null to always embed in the browser)
+     * @param {import('./DocumentChunker.js').ChunkOptions} [options.chunking] - Chunk sizes (must match the precomputed index to reuse it)
+     * @param {import('./EmbeddingCache.js').EmbeddingCache} [options.embeddingCache] - Persistent vector cache for the embedding service
+     * @param {EmbeddingService} [options.embeddingService] - Embedding service (testing)
+     * @param {{keywordWeight?: number, minKeywordScore?: number}} [options.hybrid] - Hybrid ranking weights (see scripts/evaluate-retrieval.js)
      */
     constructor(docsPath, options = {}) {
         if (docsPath) {
@@ -130,8 +187,16 @@ export class RAGEngine {
 
         this.#onProgress = options.onProgress || null;
 
+        if (options.embeddingIndexPath !== undefined) {
+            this.#embeddingIndexPath = options.embeddingIndexPath;
+        }
+
+        this.#chunkOptions = options.chunking || {};
+        this.#hybridConfig = { ...this.#hybridConfig, ...options.hybrid };
+
         // Create embedding service with progress reporting
-        this.#embeddingService = new EmbeddingService({
+        this.#embeddingService = options.embeddingService || new EmbeddingService({
+            persistentCache: options.embeddingCache,
             onProgress: (progress) => {
                 this.#reportProgress({
                     type: 'embedding',
@@ -159,6 +224,15 @@ export class RAGEngine {
         return this.#documents.length;
     }
 
+    /**
+     * Number of searchable chunks
+     * @type {number}
+     * @readonly
+     */
+    get chunkCount() {
+        return this.#chunks.length;
+    }
+
     /**
      * Whether documents are semantically indexed
      * @type {boolean}
@@ -261,6 +335,8 @@ export class RAGEngine {
             });
         }
 
+        this.#buildChunks();
+
         // Start background indexing (non-blocking)
         this.#backgroundIndex();
     }
@@ -305,14 +381,14 @@ export class RAGEngine {
         this.#reportProgress({
             type: 'indexing',
             status: 'start',
-            total: this.#documents.length
+            total: this.#chunks.length
         });
 
         ErrorMonitor.addBreadcrumb({
             category: 'rag',
             message: 'Starting document indexing for semantic search',
             level: 'info',
-            data: { documentCount: this.#documents.length }
+            data: { documentCount: this.#documents.length, chunkCount: this.#chunks.length }
         });
 
         try {
@@ -322,30 +398,37 @@ export class RAGEngine {
                 throw new Error('Embedding service failed to initialize');
             }
 
-            console.log(`[RAG] Indexing ${this.#documents.length} documents...`);
+            const precomputed = await this.#loadPrecomputedEmbeddings();
 
-            // Index each document
-            this.#indexedDocuments = [];
-            for (let i = 0; i < this.#documents.length; i++) {
-                const doc = this.#documents[i];
+            console.log(`[RAG] Indexing ${this.#chunks.length} chunks from ${this.#documents.length} documents...`);
 
-                // Create searchable text from document
-                const searchText = this.#createSearchableText(doc);
+            // Index each chunk, reusing precomputed vectors whose content is unchanged
+            this.#indexedChunks = [];
+            this.#indexStats = { reused: 0, embedded: 0 };
+            for (let i = 0; i < this.#chunks.length; i++) {
+                const chunk = this.#chunks[i];
+                const cached = precomputed.get(chunk.id);
 
-                // Generate embedding
-                const embedding = await this.#embeddingService.embed(searchText);
+                let embedding;
+                if (cached && cached.hash === hashChunk(chunk)) {
+                    embedding = cached.embedding;
+                    this.#indexStats.reused++;
+                } else {
+                    embedding = await this.#embeddingService.embed(createSearchableText(chunk));
+                    this.#indexStats.embedded++;
+                }
 
-                this.#indexedDocuments.push({
-                    id: doc.id,
+                this.#indexedChunks.push({
+                    id: chunk.id,
                     embedding,
-                    document: doc
+                    chunk
                 });
 
                 this.#reportProgress({
                     type: 'indexing',
                     status: 'progress',
                     current: i + 1,
-                    total: this.#documents.length
+                    total: this.#chunks.length
                 });
             }
 
@@ -355,16 +438,19 @@ export class RAGEngine {
             this.#reportProgress({
                 type: 'indexing',
                 status: 'complete',
-                total: this.#documents.length
+                total: this.#chunks.length
             });
 
-            console.log(`[RAG] Indexing complete: ${this.#indexedDocuments.length} documents indexed`);
+            console.log(
+                `[RAG] Indexing complete: ${this.#indexedChunks.length} chunks indexed ` +
+                `(${this.#indexStats.reused} precomputed, ${this.#indexStats.embedded} embedded)`
+            );
 
             ErrorMonitor.addBreadcrumb({
                 category: 'rag',
                 message: 'Semantic indexing complete',
                 level: 'info',
-                data: { indexedCount: this.#indexedDocuments.length }
+                data: { indexedCount: this.#indexedChunks.length, ...this.#indexStats }
             });
 
             return true;
@@ -408,20 +494,45 @@ export class RAGEngine {
     }
 
     /**
-     * Creates searchable text from document for embedding
+     * Loads the precomputed embedding index once.
+     * A missing, outdated or invalid index yields an empty map (everything is embedded).
      * @private
-     * @param {Document} doc
-     * @returns {string}
+     * @returns {Promise<Map<string, import('./EmbeddingIndex.js').EmbeddingIndexEntry>>}
      */
-    #createSearchableText(doc) {
-        const parts = [
-            doc.title,
-            doc.category,
-            doc.content,
-            (doc.keywords || []).join(' ')
-        ];
+    async #loadPrecomputedEmbeddings() {
+        if (this.#precomputedEmbeddings) return this.#precomputedEmbeddings;
+
+        this.#precomputedEmbeddings = new Map();
+        if (!this.#embeddingIndexPath) return this.#precomputedEmbeddings;
 
-        return parts.join(' ').slice(0, 512); // Limit for model
+        try {
+            const response = await fetch(this.#embeddingIndexPath);
+            if (!response.ok) {
+                console.log(`[RAG] No precomputed embeddings (${response.status}), embedding in browser`);
+                return this.#precomputedEmbeddings;
+            }
+
+            const data = await response.json();
+            this.#precomputedEmbeddings = parseEmbeddingIndex(data, {
+                model: this.#embeddingService.modelId,
+                dimension: this.#embeddingService.dimension
+            });
+
+            if (this.#precomputedEmbeddings.size === 0) {
+                console.warn('[RAG] Precomputed embeddings do not match the current model/format, ignoring');
+            }
+
+            ErrorMonitor.addBreadcrumb({
+                category: 'rag',
+                message: 'Precomputed embeddings loaded',
+                level: 'info',
+                data: { entries: this.#precomputedEmbeddings.size, model: data.model }
+            });
+        } catch (error) {
+            console.warn('[RAG] Could not load precomputed embeddings:', error.message);
+        }
+
+        return this.#precomputedEmbeddings;
     }
 
     /**
@@ -449,7 +560,8 @@ export class RAGEngine {
             topK = 3,
             minScore = 0.3,
             forceKeyword = false,
-            hybridMode = true
+            hybridMode = true,
+            maxChunksPerDoc = 2
         } = options;
 
         // Add breadcrumb for search tracking (don't log full query for privacy)
@@ -468,33 +580,50 @@ export class RAGEngine {
 
         // If semantic is ready and not forced keyword, do async semantic search
         if (!forceKeyword && this.#embeddingService.isReady && this.#isIndexed) {
-            return this.#asyncSearch(query, topK, minScore, hybridMode);
+            return this.#asyncSearch(query, topK, minScore, hybridMode, maxChunksPerDoc);
         }
 
         // Fallback to synchronous keyword search
-        return this.#keywordSearch(query, topK);
+        return this.#keywordSearch(query, topK, maxChunksPerDoc);
     }
 
     /**
-     * Performs async semantic search with fallback
+     * Performs async semantic (or hybrid) search with BM25 fallback
      * @private
      * @param {string} query
      * @param {number} topK
      * @param {number} minScore
      * @param {boolean} hybridMode
+     * @param {number} maxChunksPerDoc
      * @returns {Promise<SearchResult[]>}
      */
-    async #asyncSearch(query, topK, minScore, hybridMode) {
+    async #asyncSearch(query, topK, minScore, hybridMode, maxChunksPerDoc) {
         try {
-            const semanticResults = await this.#semanticSearch(query, topK, minScore);
+            const semanticScores = await this.#scoreChunksSemantic(query);
+            const matches = hybridMode
+                ? this.#hybridScores(query, semanticScores, minScore)
+                : semanticScores.filter(match => match.score >= minScore);
+
+            const results = this.#groupByDocument(
+                matches,
+                hybridMode ? 'hybrid' : 'semantic',
+                topK,
+                maxChunksPerDoc
+            );
 
-            // If hybrid mode, boost with keyword matches
-            if (hybridMode && semanticResults.length > 0) {
-                return this.#hybridRank(query, semanticResults, topK);
-            }
+            ErrorMonitor.addBreadcrumb({
+                category: 'rag',
+                message: 'Semantic search completed',
+                level: 'info',
+                data: {
+                    resultsCount: results.length,
+                    topScore: results[0]?.score || 0,
+                    hybridMode
+                }
+            });
 
-            if (semanticResults.length > 0) {
-                return semanticResults;
+            if (results.length > 0) {
+                return results;
             }
 
             // Semantic returned nothing, fall through to keyword
@@ -504,136 +633,110 @@ export class RAGEngine {
         }
 
         // Fallback to keyword search
-        return this.#keywordSearch(query, topK);
+        return this.#keywordSearch(query, topK, maxChunksPerDoc);
     }
 
     /**
-     * Performs semantic search using embeddings
+     * Scores every chunk by cosine similarity with the query
      * @private
      * @param {string} query
-     * @param {number} topK
-     * @param {number} minScore
-     * @returns {Promise<SearchResult[]>}
+     * @returns {Promise<Array<{chunk: import('./DocumentChunker.js').DocumentChunk, score: number}>>}
      */
-    async #semanticSearch(query, topK, minScore) {
-        // Generate query embedding
+    async #scoreChunksSemantic(query) {
         const queryEmbedding = await this.#embeddingService.embed(query);
 
-        // Calculate similarity scores
-        const scores = this.#indexedDocuments.map(indexed => {
-            const similarity = this.#embeddingService.cosineSimilarity(
-                queryEmbedding,
-                indexed.embedding
-            );
-
-            return {
-                ...indexed.document,
-                score: similarity,
-                searchType: 'semantic'
-            };
-        });
-
-        // Filter by minimum score and sort
-        const results = scores
-            .filter(d => d.score >= minScore)
-            .sort((a, b) => b.score - a.score)
-            .slice(0, topK);
-
-        ErrorMonitor.addBreadcrumb({
-            category: 'rag',
-            message: 'Semantic search completed',
-            level: 'info',
-            data: {
-                resultsCount: results.length,
-                topScore: results[0]?.score || 0
-            }
-        });
-
-        return results;
+        return this.#indexedChunks.map(indexed => ({
+            chunk: indexed.chunk,
+            score: this.#embeddingService.cosineSimilarity(queryEmbedding, indexed.embedding)
+        }));
     }
 
     /**
-     * Performs keyword-based search (fallback)
+     * Performs BM25 keyword search on chunks (offline fallback and hybrid leg).
+     * Scores are relative to the best chunk (0-1).
      * @private
      * @param {string} query
      * @param {number} topK
+     * @param {number} maxChunksPerDoc
      * @returns {SearchResult[]}
      */
-    #keywordSearch(query, topK) {
-        const queryWords = query.toLowerCase().split(/\s+/);
-
-        const results = this.#documents.map(doc => {
-            let score = 0;
-            const allText = (
-                doc.title + ' ' +
-                doc.content + ' ' +
-                (doc.keywords || []).join(' ')
-            ).toLowerCase();
-
-            queryWords.forEach(word => {
-                if (word.length < 3) return;
-
-                // Content match
-                if (allText.includes(word)) score++;
-
-                // Keyword match (weighted higher)
-                if ((doc.keywords || []).some(k => k.includes(word))) score += 2;
-
-                // Title match (weighted highest)
-                if (doc.title.toLowerCase().includes(word)) score += 3;
-            });
-
-            // Normalize score to 0-1 range for consistency with semantic
-            const normalizedScore = Math.min(score / 10, 1);
-
-            return {
-                ...doc,
-                score: normalizedScore,
-                searchType: 'keyword'
-            };
-        });
+    #keywordSearch(query, topK, maxChunksPerDoc) {
+        const matches = this.#keywordIndex.search(query).map(result => ({
+            chunk: this.#chunksById.get(result.id),
+            score: result.normalizedScore
+        }));
 
-        return results
-            .filter(d => d.score > 0)
-            .sort((a, b) => b.score - a.score)
-            .slice(0, topK);
+        return this.#groupByDocument(matches, 'keyword', topK, maxChunksPerDoc);
     }
 
     /**
-     * Combines semantic and keyword scores for hybrid ranking
+     * Combines semantic and BM25 scores per chunk.
+     * Chunks qualify on semantic similarity, or on a strong keyword match the
+     * embedding missed (exact product names, error codes...).
      * @private
      * @param {string} query
-     * @param {SearchResult[]} semanticResults
-     * @param {number} topK
-     * @returns {SearchResult[]}
+     * @param {Array<{chunk: import('./DocumentChunker.js').DocumentChunk, score: number}>} semanticScores
+     * @param {number} minScore - Minimum semantic similarity
+     * @returns {Array<{chunk: import('./DocumentChunker.js').DocumentChunk, score: number}>}
      */
-    #hybridRank(query, semanticResults, topK) {
-        const queryWords = query.toLowerCase().split(/\s+/);
-
-        return semanticResults.map(result => {
-            // Calculate keyword boost
-            let keywordBoost = 0;
-
-            queryWords.forEach(word => {
-                if (word.length < 3) return;
+    #hybridScores(query, semanticScores, minScore) {
+        const keywordScores = new Map(
+            this.#keywordIndex.search(query).map(result => [result.id, result.normalizedScore])
+        );
+
+        return semanticScores
+            .map(({ chunk, score }) => ({
+                chunk,
+                semantic: score,
+                keyword: keywordScores.get(chunk.id) || 0
+            }))
+            .filter(match => match.semantic >= minScore || match.keyword >= this.#hybridConfig.minKeywordScore)
+            .map(({ chunk, semantic, keyword }) => ({
+                chunk,
+                score: Math.min(
+                    semantic * (1 - this.#hybridConfig.keywordWeight) + keyword * this.#hybridConfig.keywordWeight,
+                    1
+                )
+            }));
+    }
 
-                // Exact keyword match gets boost
-                if ((result.keywords || []).some(k => k.toLowerCase() === word)) {
-                    keywordBoost += 0.1;
-                }
+    /**
+     * Groups scored chunks by parent article. An article scores as its best
+     * chunk and keeps its best `maxChunksPerDoc` chunks for context and citations.
+     * @private
+     * @param {Array<{chunk: import('./DocumentChunker.js').DocumentChunk, score: number}>} scoredChunks
+     * @param {string} searchType - 'semantic', 'hybrid' or 'keyword'
+     * @param {number} topK - Maximum articles
+     * @param {number} maxChunksPerDoc - Maximum chunks per article
+     * @returns {SearchResult[]}
+     */
+    #groupByDocument(scoredChunks, searchType, topK, maxChunksPerDoc) {
+        const groups = new Map();
+
+        for (const { chunk, score } of [...scoredChunks].sort((a, b) => b.score - a.score)) {
+            let group = groups.get(chunk.docId);
+            if (!group) {
+                group = {
+                    ...this.#documentsById.get(chunk.docId),
+                    score,
+                    searchType,
+                    chunks: []
+                };
+                groups.set(chunk.docId, group);
+            }
 
-                // Title exact match gets bigger boost
-                if (result.title.toLowerCase().includes(word)) {
-                    keywordBoost += 0.05;
-                }
-            });
+            if (group.chunks.length < maxChunksPerDoc) {
+                group.chunks.push({
+                    id: chunk.id,
+                    index: chunk.index,
+                    heading: chunk.heading,
+                    text: chunk.text,
+                    score
+                });
+            }
+        }
 
-            return {
-                ...result,
-                score: Math.min(result.score + keywordBoost, 1),
-                searchType: 'hybrid'
-            };
-        }).sort((a, b) => b.score - a.score).slice(0, topK);
+        return [...groups.values()].slice(0, topK);
     }
 
     /**
@@ -641,16 +744,31 @@ export class RAGEngine {
      * Applies PromptGuard sanitization to prevent injection attacks
      *
      * @param {SearchResult[]} docs - Documents to include in context
+     * @param {Object} [budget] - Size limits, e.g. for small local models
+     * @param {number} [budget.maxChars=6000] - Maximum length of the whole context
+     * @param {number} [budget.maxDocChars=1500] - Maximum length of each document
      * @returns {string} Formatted and sanitized context string
      *
+     * Results with matched `chunks` contribute those passages (in article
+     * order) instead of the start of the article.
+     *
+     * Documents are numbered by their position in `docs`, even when one is
+     * blocked, so the model's citations ("[2]") match the sources shown
+     * under the answer.
+     *
      * @example
      * const results = await rag.search(query);
      * const context = rag.buildContext(results);
-     * // Returns sanitized: "[1] Title (relevancia: 85%)\nContent...\nFuente: url\n"
+     * // Returns sanitized: "[1] Title > SOLUCIONES (relevancia: 85%)\nContent...\nFuente: url\n"
+     *
+     * // Tighter budget for a model with a 4k token window
+     * const shortContext = rag.buildContext(results, { maxChars: 3000, maxDocChars: 800 });
      *
      * @security Documents are analyzed and sanitized before inclusion
      */
-    buildContext(docs) {
+    buildContext(docs, budget = {}) {
+        const { maxChars = 6000, maxDocChars = 1500 } = budget;
+
         if (!docs || docs.length === 0) {
             return '';
         }
@@ -660,9 +778,10 @@ export class RAGEngine {
 
         for (let i = 0; i < docs.length; i++) {
             const doc = docs[i];
+            const passage = this.#getPassage(doc);
 
             // Analyze document content for injection attempts
-            const analysis = PromptGuard.analyze(doc.content);
+            const analysis = PromptGuard.analyze(passage);
 
             if (!analysis.safe) {
                 console.warn(
@@ -674,15 +793,16 @@ export class RAGEngine {
             }
 
             // Sanitize content even if it passed initial analysis
-            const sanitizedContent = PromptGuard.sanitize(doc.content);
-            const truncatedContent = PromptGuard.truncate(sanitizedContent, 1500);
+            const sanitizedContent = PromptGuard.sanitize(passage);
+            const truncatedContent = PromptGuard.truncate(sanitizedContent, maxDocChars);
 
             // Add relevance info for semantic/hybrid results
             const scoreInfo = doc.searchType === 'semantic' || doc.searchType === 'hybrid'
                 ? ` (relevancia: ${Math.round(doc.score * 100)}%)`
                 : '';
 
-            context += `\n[${i + 1 - blockedCount}] ${doc.title}${scoreInfo}\n${truncatedContent}\n`;
+            const section = doc.chunks?.[0]?.heading ? ` > ${doc.chunks[0].heading}` : '';
+            context += `\n[${i + 1}] ${doc.title}${section}${scoreInfo}\n${truncatedContent}\n`;
 
             if (doc.officialDocUrl) {
                 context += `Fuente: ${doc.officialDocUrl}\n`;
@@ -694,7 +814,48 @@ export class RAGEngine {
         }
 
         // Apply final truncation to total context
-        return PromptGuard.truncate(context, 6000);
+        return PromptGuard.truncate(context, maxChars);
+    }
+
+    /**
+     * Text of a result used as context: its matched chunks in article order
+     * (overlapping lines are not repeated), or the whole content
+     * @private
+     * @param {SearchResult} doc
+     * @returns {string}
+     */
+    #getPassage(doc) {
+        if (!doc.chunks?.length) return doc.content;
+
+        const ordered = [...doc.chunks].sort((a, b) => a.index - b.index);
+        const parts = [];
+        let previous = null;
+
+        for (const chunk of ordered) {
+            const adjacent = previous && chunk.index === previous.index + 1;
+            const text = adjacent ? this.#stripOverlap(previous.text, chunk.text) : chunk.text;
+            parts.push(previous && !adjacent ? `...\n${text}` : text);
+            previous = chunk;
+        }
+
+        return parts.join('\n');
+    }
+
+    /**
+     * Removes from `text` the leading lines it repeats from `previous`
+     * @private
+     * @param {string} previous
+     * @param {string} text
+     * @returns {string}
+     */
+    #stripOverlap(previous, text) {
+        const lines = text.split('\n');
+        for (let n = lines.length - 1; n > 0; n--) {
+            if (previous.endsWith(lines.slice(0, n).join('\n'))) {
+                return lines.slice(n).join('\n').trim();
+            }
+        }
+        return text;
     }
 
     /**
@@ -737,8 +898,12 @@ export class RAGEngine {
     getStats() {
         return {
             documentCount: this.#documents.length,
+            chunkCount: this.#chunks.length,
+            keywordTerms: this.#keywordIndex.termCount,
             isIndexed: this.#isIndexed,
             isSemanticReady: this.isSemanticReady,
+            precomputedEmbeddings: this.#indexStats.reused,
+            browserEmbeddings: this.#indexStats.embedded,
             embeddingService: this.#embeddingService.getStats()
         };
     }
@@ -880,7 +1045,29 @@ IMPORTANTE: Los iPads deben ser supervisados para que funcionen todas las restri
     setDocuments(docs) {
         this.#documents = docs;
         this.#isIndexed = false;
-        this.#indexedDocuments = [];
+        this.#indexedChunks = [];
+        this.#buildChunks();
+    }
+
+    /**
+     * Splits the loaded articles into searchable chunks
+     * @private
+     */
+    #buildChunks() {
+        this.#documentsById = new Map(this.#documents.map(doc => [doc.id, doc]));
+        this.#chunks = this.#documents.flatMap(doc => chunkDocument(doc, this.#chunkOptions));
+        this.#chunksById = new Map(this.#chunks.map(chunk => [chunk.id, chunk]));
+
+        this.#keywordIndex.clear();
+        for (const chunk of this.#chunks) {
+            const doc = this.#documentsById.get(chunk.docId);
+            this.#keywordIndex.add(chunk.id, {
+                title: doc.title,
+                keywords: doc.keywords || [],
+                heading: chunk.heading,
+                text: chunk.text
+            });
+        }
     }
 
     /**
@@ -889,7 +1076,7 @@ IMPORTANTE: Los iPads deben ser supervisados para que funcionen todas las restri
      */
     async reindex() {
         this.#isIndexed = false;
-        this.#indexedDocuments = [];
+        this.#indexedChunks = [];
         return this.indexDocuments();
     }
 }
@@ -0,0 +1,245 @@
+/**
+ * @fileoverview Retrieval Evaluation - Ranking metrics for the RAG pipeline
+ * @module chatbot/RetrievalEvaluation
+ * @version 1.0.0
+ * @license MIT
+ *
+ * Scores RAGEngine retrieval against a golden dataset (data/retrieval-golden.json:
+ * questions mapped to the article ids that should be retrieved) with
+ * recall@k, MRR and nDCG@k, for keyword, semantic and hybrid modes.
+ *
+ * Used by scripts/evaluate-retrieval.js and the Jest suite; it is not loaded
+ * by the app. The hashed stand-in embedding makes runs deterministic and
+ * offline, so the numbers are comparable between commits: they measure the
+ * ranking pipeline (chunking, BM25, hybrid weights, thresholds), not the
+ * quality of the real embedding model.
+ *
+ * @example
+ * const rag = new RAGEngine(null, {
+ *     embeddingIndexPath: null,
+ *     embeddingService: createHashEmbeddingService()
+ * });
+ * rag.setDocuments(articles);
+ * await rag.indexDocuments();
+ * const report = await evaluateRetrieval(rag, golden.questions, { k: 5 });
+ * console.log(formatReport(report));
+ */
+
+import { analyze } from '../utils/TextAnalyzer.js';
+
+/**
+ * @typedef {Object} GoldenQuestion
+ * @property {string} id - Question id
+ * @property {string} question - User question (Spanish)
+ * @property {string[]} relevant - Article ids that answer it
+ */
+
+/**
+ * @typedef {Object} ModeReport
+ * @property {number} recall - Mean recall@k
+ * @property {number} recallAt1 - Mean recall@1
+ * @property {number} mrr - Mean reciprocal rank
+ * @property {number} ndcg - Mean nDCG@k
+ * @property {Array<{id: string, ranked: string[], recall: number, rr: number, ndcg: number}>} questions - Per-question scores
+ */
+
+/**
+ * @typedef {Object} EvaluationReport
+ * @property {number} k - Cutoff used for recall and nDCG
+ * @property {number} questionCount - Questions evaluated
+ * @property {Object<string, ModeReport>} modes - Report per retrieval mode
+ */
+
+/**
+ * Search options for each retrieval mode
+ * @type {Object<string, Object>}
+ */
+export const RETRIEVAL_MODES = Object.freeze({
+    keyword: { forceKeyword: true },
+    semantic: { hybridMode: false },
+    hybrid: { hybridMode: true }
+});
+
+/**
+ * Fraction of the relevant ids found in the first k results
+ *
+ * @param {string[]} ranked - Retrieved ids, best first
+ * @param {string[]} relevant - Expected ids
+ * @param {number} k - Cutoff
+ * @returns {number} Recall between 0 and 1
+ *
+ * @example
+ * recallAtK(['a', 'b', 'c'], ['c', 'd'], 3); // 0.5
+ */
+export function recallAtK(ranked, relevant, k) {
+    if (relevant.length === 0) return 0;
+    const top = ranked.slice(0, k);
+    return relevant.filter(id => top.includes(id)).length / relevant.length;
+}
+
+/**
+ * Inverse rank of the first relevant result (0 if none)
+ *
+ * @param {string[]} ranked - Retrieved ids, best first
+ * @param {string[]} relevant - Expected ids
+ * @returns {number} Reciprocal rank between 0 and 1
+ *
+ * @example
+ * reciprocalRank(['a', 'b'], ['b']); // 0.5
+ */
+export function reciprocalRank(ranked, relevant) {
+    const position = ranked.findIndex(id => relevant.includes(id));
+    return position === -1 ? 0 : 1 / (position + 1);
+}
+
+/**
+ * Normalized discounted cumulative gain with binary relevance
+ *
+ * @param {string[]} ranked - Retrieved ids, best first
+ * @param {string[]} relevant - Expected ids
+ * @param {number} k - Cutoff
+ * @returns {number} nDCG between 0 and 1
+ *
+ * @example
+ * ndcgAtK(['a', 'b'], ['b'], 2); // 0.63
+ */
+export function ndcgAtK(ranked, relevant, k) {
+    const gain = (hits) => hits.reduce((sum, hit, i) => sum + (hit ? 1 / Math.log2(i + 2) : 0), 0);
+
+    const dcg = gain(ranked.slice(0, k).map(id => relevant.includes(id)));
+    const ideal = gain(Array.from({ length: Math.min(k, relevant.length) }, () => true));
+
+    return ideal === 0 ? 0 : dcg / ideal;
+}
+
+/**
+ * 32-bit FNV-1a hash
+ * @param {string} text - Text to hash
+ * @returns {number} Unsigned hash
+ * @private
+ */
+function fnv1a(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Creates a deterministic, offline stand-in for EmbeddingService.
+ * Texts are analyzed like the keyword index, then each term and its
+ * character trigrams are hashed into a fixed-size normalized vector, so
+ * texts sharing words or word stems are similar.
+ *
+ * @param {Object} [options={}] - Options
+ * @param {number} [options.dimension=256] - Vector size
+ * @returns {Object} Object with the EmbeddingService interface used by RAGEngine
+ *
+ * @example
+ * const embeddingService = createHashEmbeddingService();
+ * const rag = new RAGEngine(null, { embeddingIndexPath: null, embeddingService });
+ */
+export function createHashEmbeddingService({ dimension = 256 } = {}) {
+    const embed = async (text) => {
+        const vector = new Float32Array(dimension);
+
+        for (const term of analyze(text)) {
+            vector[fnv1a(term) % dimension] += 1;
+
+            const padded = `^${term}$`;
+            for (let i = 0; i + 3 <= padded.length; i++) {
+                vector[fnv1a(padded.slice(i, i + 3)) % dimension] += 0.3;
+            }
+        }
+
+        const norm = Math.hypot(...vector) || 1;
+        return vector.map(value => value / norm);
+    };
+
+    return {
+        modelId: `hash-${dimension}`,
+        dimension,
+        isReady: true,
+        initialize: async () => true,
+        embed,
+        cosineSimilarity: (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0),
+        getStats: () => ({ modelId: `hash-${dimension}`, dimension })
+    };
+}
+
+/**
+ * Runs every golden question through RAGEngine in each mode and scores the rankings
+ *
+ * @param {import('./RAGEngine.js').RAGEngine} ragEngine - Indexed engine
+ * @param {GoldenQuestion[]} questions - Golden dataset
+ * @param {Object} [options={}] - Evaluation options
+ * @param {number} [options.k=5] - Cutoff (also the topK requested)
+ * @param {string[]} [options.modes] - Modes to evaluate (default: all of RETRIEVAL_MODES)
+ * @param {Object} [options.searchOptions] - Extra RAGEngine search options (e.g. minScore)
+ * @returns {Promise<EvaluationReport>} Metrics per mode
+ *
+ * @example
+ * const report = await evaluateRetrieval(rag, questions, { k: 3, searchOptions: { minScore: 0.2 } });
+ * report.modes.hybrid.mrr;
+ */
+export async function evaluateRetrieval(ragEngine, questions, options = {}) {
+    const { k = 5, modes = Object.keys(RETRIEVAL_MODES), searchOptions = {} } = options;
+    const report = { k, questionCount: questions.length, modes: {} };
+
+    for (const mode of modes) {
+        const scores = [];
+
+        for (const { id, question, relevant } of questions) {
+            const results = await ragEngine.search(question, {
+                topK: k,
+                ...searchOptions,
+                ...RETRIEVAL_MODES[mode]
+            });
+            const ranked = results.map(result => result.id);
+
+            scores.push({
+                id,
+                ranked,
+                recallAt1: recallAtK(ranked, relevant, 1),
+                recall: recallAtK(ranked, relevant, k),
+                rr: reciprocalRank(ranked, relevant),
+                ndcg: ndcgAtK(ranked, relevant, k)
+            });
+        }
+
+        const mean = (key) => scores.reduce((sum, s) => sum + s[key], 0) / (scores.length || 1);
+
+        report.modes[mode] = {
+            recall: mean('recall'),
+            recallAt1: mean('recallAt1'),
+            mrr: mean('rr'),
+            ndcg: mean('ndcg'),
+            questions: scores.map(({ recallAt1, ...rest }) => rest)
+        };
+    }
+
+    return report;
+}
+
+/**
+ * Formats a report as a plain-text table
+ *
+ * @param {EvaluationReport} report - Evaluation report
+ * @returns {string} Table with one row per mode
+ */
+export function formatReport(report) {
+    const pad = (value, width) => String(value).padEnd(width);
+    const num = (value) => value.toFixed(3);
+
+    const lines = [
+        `${pad('modo', 10)}${pad('recall@1', 10)}${pad(`recall@${report.k}`, 10)}${pad('MRR', 8)}nDCG@${report.k}`
+    ];
+
+    for (const [mode, m] of Object.entries(report.modes)) {
+        lines.push(`${pad(mode, 10)}${pad(num(m.recallAt1), 10)}${pad(num(m.recall), 10)}${pad(num(m.mrr), 8)}${num(m.ndcg)}`);
+    }
+
+    return lines.join('\n');
+}
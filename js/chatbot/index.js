@@ -28,10 +28,21 @@
 export { RateLimiter } from './RateLimiter.js';
 export { EncryptionService, EncryptionError, DecryptionError } from './EncryptionService.js';
 export { ApiKeyManager } from './ApiKeyManager.js';
+export { ConversationStore, DEFAULT_THREAD_TITLE } from './ConversationStore.js';
+export { FeedbackStore, FEEDBACK_RATINGS } from './FeedbackStore.js';
+export { BaseLLMClient, LLMApiError } from './BaseLLMClient.js';
 export { GeminiClient, GeminiApiError } from './GeminiClient.js';
+export { OpenAIClient, OpenAIApiError } from './OpenAIClient.js';
+export { AnthropicClient, AnthropicApiError } from './AnthropicClient.js';
+export { LocalLLMClient } from './LocalLLMClient.js';
+export { LLMProviders, PROVIDER_CATALOG, getProvider, createLLMClient } from './LLMProviders.js';
 export { RAGEngine } from './RAGEngine.js';
 export { EmbeddingService } from './EmbeddingService.js';
+export { EmbeddingCache, EMBEDDING_CACHE_VERSION } from './EmbeddingCache.js';
+export { EMBEDDING_INDEX_VERSION, hashChunk, parseEmbeddingIndex } from './EmbeddingIndex.js';
+export { chunkDocument, DEFAULT_CHUNK_OPTIONS } from './DocumentChunker.js';
 export { ChatUI } from './ChatUI.js';
+export { renderMarkdown, MARKDOWN_SANITIZER_CONFIG } from './MarkdownRenderer.js';
 export { EventBus, ChatEvents } from './EventBus.js';
 export { ChatbotCore } from './ChatbotCore.js';
 export { PromptGuard } from './PromptGuard.js';
@@ -40,8 +51,11 @@ export { PromptGuard } from './PromptGuard.js';
 import { RateLimiter } from './RateLimiter.js';
 import { EncryptionService } from './EncryptionService.js';
 import { ApiKeyManager } from './ApiKeyManager.js';
-import { GeminiClient } from './GeminiClient.js';
+import { ConversationStore } from './ConversationStore.js';
+import { FeedbackStore } from './FeedbackStore.js';
+import { PROVIDER_CATALOG, createLLMClient } from './LLMProviders.js';
 import { RAGEngine } from './RAGEngine.js';
+import { EmbeddingCache } from './EmbeddingCache.js';
 import { ChatUI } from './ChatUI.js';
 import { EventBus } from './EventBus.js';
 import { ChatbotCore } from './ChatbotCore.js';
@@ -80,15 +94,18 @@ export async function createChatbot(config = {}) {
     const validatorChain = createGeminiValidator();
     const apiKeyManager = new ApiKeyManager({
         encryptionService,
-        validatorChain
+        validatorChain,
+        providerCatalog: PROVIDER_CATALOG
     });
+    const conversationStore = new ConversationStore({ encryptionService });
+    const feedbackStore = new FeedbackStore({ encryptionService });
     const rateLimiter = new RateLimiter(rateLimitCalls, rateLimitWindow);
-    const ragEngine = new RAGEngine(docsPath);
+    const ragEngine = new RAGEngine(docsPath, { embeddingCache: new EmbeddingCache() });
     const chatUI = new ChatUI();
     const eventBus = new EventBus();
 
-    // Factory for GeminiClient (D-Principle: inject factory)
-    const geminiClientFactory = (apiKey) => new GeminiClient(apiKey);
+    // Factory for provider clients (D-Principle: inject factory)
+    const llmClientFactory = (providerId, apiKey, options) => createLLMClient(providerId, apiKey, options);
 
     // Create core with injected dependencies
     const chatbot = new ChatbotCore({
@@ -97,7 +114,9 @@ export async function createChatbot(config = {}) {
         chatUI,
         rateLimiter,
         eventBus,
-        geminiClientFactory
+        llmClientFactory,
+        conversationStore,
+        feedbackStore
     });
 
     // Initialize
@@ -128,6 +147,12 @@ export class JamfChatbot {
     /** @private @type {RAGEngine} */
     #ragEngine;
 
+    /** @private @type {ConversationStore} */
+    #conversationStore;
+
+    /** @private @type {FeedbackStore} */
+    #feedbackStore;
+
     /**
      * Creates legacy JamfChatbot instance
      * @deprecated Use createChatbot() instead
@@ -138,10 +163,13 @@ export class JamfChatbot {
         const validatorChain = createGeminiValidator();
         this.#apiKeyManager = new ApiKeyManager({
             encryptionService,
-            validatorChain
+            validatorChain,
+            providerCatalog: PROVIDER_CATALOG
         });
+        this.#conversationStore = new ConversationStore({ encryptionService });
+        this.#feedbackStore = new FeedbackStore({ encryptionService });
         this.#rateLimiter = new RateLimiter(10, 60000);
-        this.#ragEngine = new RAGEngine();
+        this.#ragEngine = new RAGEngine(undefined, { embeddingCache: new EmbeddingCache() });
 
         // Expose for legacy compatibility
         this.rateLimiter = this.#rateLimiter;
@@ -164,7 +192,7 @@ export class JamfChatbot {
         try {
             const chatUI = new ChatUI();
             const eventBus = new EventBus();
-            const geminiClientFactory = (apiKey) => new GeminiClient(apiKey);
+            const llmClientFactory = (providerId, apiKey, options) => createLLMClient(providerId, apiKey, options);
 
             await this.#apiKeyManager.loadSettings();
 
@@ -174,7 +202,9 @@ export class JamfChatbot {
                 chatUI,
                 rateLimiter: this.#rateLimiter,
                 eventBus,
-                geminiClientFactory
+                llmClientFactory,
+                conversationStore: this.#conversationStore,
+                feedbackStore: this.#feedbackStore
             });
 
             await this.#core.init();
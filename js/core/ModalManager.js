@@ -88,11 +88,13 @@ export class ModalManager {
         ALLOWED_TAGS: [
             'h1', 'h2', 'h3', 'h4', 'p', 'ul', 'ol', 'li',
             'strong', 'em', 'br', 'div', 'span', 'a', 'i',
-            'button', 'label', 'input', 'pre', 'code'
+            'button', 'label', 'input', 'pre', 'code',
+            'table', 'thead', 'tbody', 'tr', 'th', 'td'
         ],
         ALLOWED_ATTR: [
-            'class', 'href', 'target', 'rel', 'data-idx', 'data-next',
-            'data-solution', 'id', 'type', 'checked', 'title'
+            'class', 'href', 'target', 'rel', 'data-idx', 'data-item-id', 'data-run-id', 'data-next',
+            'data-solution', 'id', 'type', 'checked', 'title', 'name', 'value', 'disabled', 'placeholder',
+            'aria-label'
         ],
         ALLOW_DATA_ATTR: false,
         ADD_ATTR: ['target'],
@@ -213,7 +215,8 @@ export class ModalManager {
                 const solution = wizardOption.dataset.solution;
 
                 this.#eventBus.emit('modal:wizardOptionClicked', {
-                    next: next !== '' ? parseInt(next, 10) : null,
+                    index: wizardOption.dataset.idx !== undefined ? parseInt(wizardOption.dataset.idx, 10) : null,
+                    next: next || null,
                     solution: solution || null
                 });
             }
@@ -222,6 +225,14 @@ export class ModalManager {
             if (restartBtn) {
                 this.#eventBus.emit('modal:diagnosticRestart');
             }
+
+            // "Anterior" goes back one step; a breadcrumb answer, to its question
+            const backBtn = e.target.closest('#backDiag, .wizard-crumb');
+            if (backBtn) {
+                this.#eventBus.emit('modal:diagnosticBack', {
+                    index: backBtn.dataset.idx !== undefined ? parseInt(backBtn.dataset.idx, 10) : null
+                });
+            }
         });
 
         // Handle checklist checkbox changes
@@ -231,6 +242,7 @@ export class ModalManager {
                 const idx = parseInt(checkbox.dataset.idx, 10);
                 this.#eventBus.emit('modal:checklistItemChanged', {
                     index: idx,
+                    itemId: checkbox.dataset.itemId,
                     checked: checkbox.checked
                 });
             }
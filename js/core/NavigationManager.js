@@ -18,8 +18,187 @@ import { AppEvents } from '../utils/EventBus.js';
  * @property {import('../utils/EventBus.js').EventBus} eventBus - Event bus instance
  * @property {import('./StateManager.js').StateManager} stateManager - State manager instance
  * @property {Document} [document] - Document reference (for testing)
+ * @property {Window} [window] - Window reference for location and history (for testing)
  */
 
+/**
+ * @typedef {Object} Route
+ * @property {Section} section - Section shown behind the modal
+ * @property {'guide'|'diagnostic'|'checklist'} [type] - Open modal, if any
+ * @property {string} [id] - Guide, diagnostic or checklist identifier
+ * @property {number} [step] - Diagnostic step index (0-based; 1-based in the URL)
+ * @property {string} [solution] - Diagnostic solution key
+ */
+
+/**
+ * @typedef {Object} NavigationGuardContext
+ * @property {Route} to - Route being navigated to
+ * @property {Route} from - Route currently shown
+ */
+
+/**
+ * Guard run before every navigation (sidebar, quick cards, deep links,
+ * back/forward). Return `false` to cancel, a section or route to redirect,
+ * or anything else to allow.
+ *
+ * @callback NavigationGuard
+ * @param {NavigationGuardContext} context - Navigation being attempted
+ * @returns {boolean|Section|Route|void|Promise<boolean|Section|Route|void>} Guard decision
+ */
+
+/**
+ * Redirects followed before a navigation is abandoned (guards redirecting in a loop)
+ * @type {number}
+ * @private
+ */
+const MAX_REDIRECTS = 5;
+
+/**
+ * Valid section identifiers
+ * @type {Section[]}
+ * @private
+ */
+const VALID_SECTIONS = [
+    'dashboard',
+    'ecosistema',
+    'ipads',
+    'macs',
+    'aula',
+    'classroom',
+    'teacher',
+    'troubleshooting',
+    'checklists',
+    'mis-datos'
+];
+
+/**
+ * URL segment for each guide id prefix (see GuideManager)
+ * @type {Object<string, string>}
+ * @private
+ */
+const GUIDE_PREFIXES = {
+    ipads: 'ipad',
+    macs: 'mac',
+    aula: 'aula',
+    teacher: 'teacher',
+    ecosistema: 'ecosistema'
+};
+
+/**
+ * Parses a location hash into a route
+ *
+ * Supported forms:
+ * - `#/ipads` - section
+ * - `#/aula/setup` - guide `aula-setup` in its section
+ * - `#/diagnostico/aula-no-funciona/paso/2` - diagnostic step (1-based)
+ * - `#/diagnostico/aula-no-funciona/solucion/activar-bluetooth` - diagnostic solution
+ * - `#/checklist/newIpad` - checklist
+ *
+ * @param {string} hash - Location hash (with or without the leading `#`)
+ * @returns {Route|null} Parsed route, or null if the hash is empty or unknown
+ *
+ * @example
+ * parseRoute('#/diagnostico/aula-no-funciona/paso/2');
+ * // { section: 'troubleshooting', type: 'diagnostic', id: 'aula-no-funciona', step: 1 }
+ */
+export function parseRoute(hash) {
+    const parts = String(hash || '')
+        .replace(/^#\/?/, '')
+        .split('/')
+        .filter(Boolean)
+        .map(part => {
+            try {
+                return decodeURIComponent(part);
+            } catch {
+                return part;
+            }
+        });
+
+    if (parts.length === 0) return null;
+
+    const [head, id, kind, value] = parts;
+
+    if (head === 'diagnostico' && id) {
+        const route = { section: 'troubleshooting', type: 'diagnostic', id };
+
+        if (kind === 'paso') {
+            const step = Number.parseInt(value, 10);
+            if (!(step >= 1)) return null;
+            route.step = step - 1;
+        } else if (kind === 'solucion' && value) {
+            route.solution = value;
+        } else if (kind !== undefined) {
+            return null;
+        }
+
+        return route;
+    }
+
+    if (head === 'checklist' && id && parts.length === 2) {
+        return { section: 'checklists', type: 'checklist', id };
+    }
+
+    if (!VALID_SECTIONS.includes(head)) return null;
+
+    if (id === undefined) {
+        return { section: head };
+    }
+
+    const prefix = GUIDE_PREFIXES[head];
+    if (!prefix || parts.length !== 2) return null;
+
+    return { section: head, type: 'guide', id: `${prefix}-${id}` };
+}
+
+/**
+ * Formats a route as a location hash (inverse of parseRoute)
+ *
+ * @param {Route} route - Route to format
+ * @returns {string} Hash starting with `#/`
+ *
+ * @example
+ * formatRoute({ section: 'aula', type: 'guide', id: 'aula-setup' }); // '#/aula/setup'
+ */
+export function formatRoute(route) {
+    const encode = encodeURIComponent;
+
+    if (route.type === 'diagnostic') {
+        let hash = `#/diagnostico/${encode(route.id)}`;
+        if (route.solution) {
+            hash += `/solucion/${encode(route.solution)}`;
+        } else if (route.step > 0) {
+            hash += `/paso/${route.step + 1}`;
+        }
+        return hash;
+    }
+
+    if (route.type === 'checklist') {
+        return `#/checklist/${encode(route.id)}`;
+    }
+
+    if (route.type === 'guide') {
+        const section = route.section in GUIDE_PREFIXES ? route.section : guideSection(route.id);
+        const key = route.id.slice(route.id.indexOf('-') + 1);
+        return `#/${section}/${encode(key)}`;
+    }
+
+    return `#/${route.section}`;
+}
+
+/**
+ * Section of a guide id, from its prefix (`classroom-` guides live in aula)
+ * @param {string} guideId - Guide identifier
+ * @returns {Section} Section identifier
+ * @private
+ */
+function guideSection(guideId) {
+    const prefix = guideId.split('-')[0];
+    if (prefix === 'classroom') return 'aula';
+
+    const entry = Object.entries(GUIDE_PREFIXES).find(([, value]) => value === prefix);
+    return entry ? entry[0] : 'dashboard';
+}
+
 /**
  * @typedef {Object} NavigationEvent
  * @property {Section} section - Target section
@@ -30,6 +209,8 @@ import { AppEvents } from '../utils/EventBus.js';
  * Manages SPA navigation between sections.
  * Handles nav item activation, sidebar state, and view rendering delegation.
  *
+ * Keeps the location hash in sync with the open view and runs navigation guards.
+ *
  * @class NavigationManager
  * @example
  * const navigationManager = new NavigationManager({
@@ -74,18 +255,42 @@ export class NavigationManager {
      * @type {Set<string>}
      * @private
      */
-    #validSections = new Set([
-        'dashboard',
-        'ecosistema',
-        'ipads',
-        'macs',
-        'aula',
-        'classroom',
-        'teacher',
-        'troubleshooting',
-        'checklists',
-        'mis-datos'
-    ]);
+    #validSections = new Set(VALID_SECTIONS);
+
+    /**
+     * Window reference (location and History API)
+     * @type {Window|null}
+     * @private
+     */
+    #window;
+
+    /**
+     * Hash of the route currently shown
+     * @type {string}
+     * @private
+     */
+    #currentHash = '';
+
+    /**
+     * True while a route from the URL is being applied (nothing is pushed)
+     * @type {boolean}
+     * @private
+     */
+    #applying = false;
+
+    /**
+     * History entries pushed since the current modal was opened
+     * @type {number}
+     * @private
+     */
+    #modalDepth = 0;
+
+    /**
+     * Registered navigation guards, run in order
+     * @type {NavigationGuard[]}
+     * @private
+     */
+    #guards = [];
 
     /**
      * Creates a new NavigationManager instance
@@ -93,7 +298,7 @@ export class NavigationManager {
      * @param {NavigationManagerDependencies} dependencies - Injected dependencies
      * @throws {TypeError} If required dependencies are missing
      */
-    constructor({ eventBus, stateManager, document: doc = null }) {
+    constructor({ eventBus, stateManager, document: doc = null, window: win = null }) {
         if (!eventBus) {
             throw new TypeError('NavigationManager requires an EventBus instance');
         }
@@ -104,6 +309,7 @@ export class NavigationManager {
         this.#eventBus = eventBus;
         this.#stateManager = stateManager;
         this.#document = doc || (typeof document !== 'undefined' ? document : null);
+        this.#window = win || (typeof window !== 'undefined' ? window : null);
     }
 
     /**
@@ -116,9 +322,269 @@ export class NavigationManager {
      */
     init() {
         this.#bindNavItems();
+        this.#bindRouting();
         this.#currentSection = this.#stateManager.get('currentSection', 'dashboard');
     }
 
+    /**
+     * Subscribes to the events that change the route and to browser history
+     * @private
+     */
+    #bindRouting() {
+        this.#eventBus.on(AppEvents.GUIDE_OPENED, ({ id, type }) => {
+            if (type === 'article') return;
+            this.#pushRoute({ section: guideSection(id), type: 'guide', id });
+        });
+
+        this.#eventBus.on(AppEvents.DIAGNOSTIC_STARTED, ({ id }) => {
+            this.#pushRoute({ section: 'troubleshooting', type: 'diagnostic', id });
+        });
+
+        this.#eventBus.on(AppEvents.DIAGNOSTIC_STEP_CHANGED, ({ id, step }) => {
+            this.#pushRoute({ section: 'troubleshooting', type: 'diagnostic', id, step });
+        });
+
+        this.#eventBus.on(AppEvents.DIAGNOSTIC_COMPLETED, ({ id, solution }) => {
+            this.#pushRoute({ section: 'troubleshooting', type: 'diagnostic', id, solution });
+        });
+
+        this.#eventBus.on(AppEvents.CHECKLIST_OPENED, ({ id }) => {
+            this.#pushRoute({ section: 'checklists', type: 'checklist', id });
+        });
+
+        this.#eventBus.on(AppEvents.MODAL_CLOSED, () => {
+            this.#onModalClosed();
+        });
+
+        if (!this.#window) return;
+
+        const onLocationChange = () => {
+            const hash = this.#window.location.hash;
+            if (hash === this.#currentHash) return;
+
+            this.#followLocation(parseRoute(hash) || { section: 'dashboard' });
+        };
+
+        // Back/forward fire popstate; hash edits in the address bar also fire hashchange
+        this.#window.addEventListener('popstate', onLocationChange);
+        this.#window.addEventListener('hashchange', onLocationChange);
+    }
+
+    /**
+     * Shows a route the browser moved to (back/forward or an edited hash),
+     * or puts the previous URL back if a guard cancels it
+     * @param {Route} route - Route in the new URL
+     * @private
+     */
+    async #followLocation(route) {
+        const target = await this.#runGuards(route);
+
+        if (!target) {
+            // The browser already changed the URL: restore the one still shown
+            const hash = this.#currentHash || formatRoute({ section: this.#currentSection });
+            this.#window.history.pushState({ route: parseRoute(hash) }, '', hash);
+            this.#currentHash = hash;
+            return;
+        }
+
+        if (target !== route) {
+            this.#window.history.replaceState({ route: target }, '', formatRoute(target));
+        }
+
+        this.#modalDepth = 0;
+        this.#applyRoute(target);
+    }
+
+    /**
+     * Restores the route in the current URL (deep link on page load).
+     * Guards run first and may redirect it.
+     *
+     * @returns {Promise<boolean>} True if the URL held a valid route and it was applied
+     * @fires NavigationManager#navigation:routeChanged
+     *
+     * @example
+     * if (!await navigationManager.restoreFromUrl()) {
+     *     renderDashboard();
+     * }
+     */
+    async restoreFromUrl() {
+        const route = parseRoute(this.#window?.location.hash);
+        if (!route) return false;
+
+        const target = await this.#runGuards(route);
+        if (!target) return false;
+
+        if (target !== route) {
+            this.#window.history.replaceState({ route: target }, '', formatRoute(target));
+        }
+
+        this.#applyRoute(target, { initial: true });
+        return true;
+    }
+
+    /**
+     * Registers a navigation guard
+     *
+     * Guards run in registration order before every navigation; the first
+     * one returning `false` cancels it, and one returning a section or route
+     * redirects it (the redirect runs the guards again). Guards may be async,
+     * e.g. to wait for a confirmation dialog.
+     *
+     * @param {NavigationGuard} guard - Guard function
+     * @returns {{unsubscribe: Function}} Subscription to remove the guard
+     * @throws {TypeError} If guard is not a function
+     *
+     * @example
+     * const sub = navigationManager.addGuard(({ to }) => {
+     *     if (to.section === 'mis-datos' && !isUnlocked()) return 'dashboard';
+     *     return true;
+     * });
+     *
+     * // Later: sub.unsubscribe();
+     */
+    addGuard(guard) {
+        if (typeof guard !== 'function') {
+            throw new TypeError('Navigation guard must be a function');
+        }
+
+        this.#guards.push(guard);
+
+        return {
+            unsubscribe: () => {
+                this.#guards = this.#guards.filter(registered => registered !== guard);
+            }
+        };
+    }
+
+    /**
+     * Runs the guard chain for a route, following redirects
+     * @param {Route} to - Requested route
+     * @returns {Promise<Route|null>} Route to show, or null if cancelled
+     * @private
+     */
+    async #runGuards(to) {
+        let target = to;
+
+        for (let redirects = 0; redirects <= MAX_REDIRECTS; redirects++) {
+            const from = this.getCurrentRoute() || { section: this.#currentSection };
+            let redirect = null;
+
+            for (const guard of this.#guards) {
+                let result;
+                try {
+                    result = await guard({ to: target, from });
+                } catch (error) {
+                    console.error('[NavigationManager] Navigation guard failed:', error);
+                    continue;
+                }
+
+                if (result === false) return null;
+
+                redirect = this.#toRoute(result);
+                if (redirect) break;
+            }
+
+            if (!redirect) return target;
+            target = redirect;
+        }
+
+        console.warn('[NavigationManager] Too many guard redirects, navigation cancelled');
+        return null;
+    }
+
+    /**
+     * Reads a guard redirect (a section or a route)
+     * @param {*} result - Guard return value
+     * @returns {Route|null} Redirect route, or null if the guard allowed the navigation
+     * @private
+     */
+    #toRoute(result) {
+        if (typeof result === 'string') {
+            return parseRoute(result) || (this.#isValidSection(result) ? { section: result } : null);
+        }
+
+        if (result && typeof result === 'object' && this.#isValidSection(result.section)) {
+            return result;
+        }
+
+        return null;
+    }
+
+    /**
+     * Gets the route shown in the URL
+     *
+     * @returns {Route|null} Current route, or null if the URL has none
+     *
+     * @example
+     * navigationManager.getCurrentRoute(); // { section: 'aula', type: 'guide', id: 'aula-setup' }
+     */
+    getCurrentRoute() {
+        return parseRoute(this.#currentHash);
+    }
+
+    /**
+     * Shows a route read from the URL without pushing new history entries
+     * @param {Route} route - Route to show
+     * @param {Object} [options={}] - Options
+     * @param {boolean} [options.initial=false] - First render (always renders the section)
+     * @private
+     */
+    #applyRoute(route, { initial = false } = {}) {
+        this.#applying = true;
+        this.#currentHash = formatRoute(route);
+
+        try {
+            if (initial || route.section !== this.#currentSection) {
+                this.#changeSection(route.section);
+            }
+
+            this.#eventBus.emit(AppEvents.ROUTE_CHANGED, { route });
+        } finally {
+            this.#applying = false;
+        }
+    }
+
+    /**
+     * Adds a history entry for a route (no-op while applying one from the URL)
+     * @param {Route} route - Route to push
+     * @private
+     */
+    #pushRoute(route) {
+        if (this.#applying || !this.#window?.history) return;
+
+        const hash = formatRoute(route);
+        if (hash === this.#currentHash) return;
+
+        const previous = parseRoute(this.#currentHash);
+        this.#modalDepth = route.type && previous?.type ? this.#modalDepth + 1 : (route.type ? 1 : 0);
+
+        this.#window.history.pushState({ route }, '', hash);
+        this.#currentHash = hash;
+    }
+
+    /**
+     * Returns the URL to the section once the modal is closed
+     * @private
+     */
+    #onModalClosed() {
+        if (this.#applying || !this.#window?.history) return;
+        if (!parseRoute(this.#currentHash)?.type) return;
+
+        const sectionRoute = { section: this.#currentSection };
+        const hash = formatRoute(sectionRoute);
+
+        if (this.#modalDepth > 0) {
+            // Drop the modal entries so "back" does not reopen it
+            const depth = this.#modalDepth;
+            this.#modalDepth = 0;
+            this.#currentHash = hash;
+            this.#window.history.go(-depth);
+        } else {
+            this.#window.history.replaceState({ route: sectionRoute }, '', hash);
+            this.#currentHash = hash;
+        }
+    }
+
     /**
      * Binds click handlers to navigation items
      * @private
@@ -138,24 +604,43 @@ export class NavigationManager {
     }
 
     /**
-     * Navigates to a specific section
+     * Navigates to a specific section, once the navigation guards allow it
      *
      * @param {Section} section - Target section identifier
-     * @returns {boolean} True if navigation was successful
+     * @returns {Promise<boolean>} True if navigation happened (false if invalid or cancelled)
      * @fires NavigationManager#navigation:changed
      *
      * @example
-     * navigationManager.navigateTo('ipads');
+     * await navigationManager.navigateTo('ipads');
      */
-    navigateTo(section) {
+    async navigateTo(section) {
         if (!this.#isValidSection(section)) {
             console.warn(`[NavigationManager] Invalid section: ${section}`);
             return false;
         }
 
+        const route = await this.#runGuards({ section });
+        if (!route) return false;
+
+        this.#changeSection(route.section);
+
+        // A guard redirected to a guide, diagnostic or checklist
+        if (route.type) {
+            this.#eventBus.emit(AppEvents.ROUTE_CHANGED, { route });
+        }
+
+        return true;
+    }
+
+    /**
+     * Shows a section (guards already passed)
+     * @param {Section} section - Target section identifier
+     * @private
+     */
+    #changeSection(section) {
         const previousSection = this.#currentSection;
 
-        // Emit before change event (allows cancellation)
+        // Notify listeners the view is about to change (guards have already allowed it)
         this.#eventBus.emit(AppEvents.NAVIGATION_BEFORE_CHANGE, {
             section,
             previousSection
@@ -170,14 +655,13 @@ export class NavigationManager {
         // Update current section
         this.#currentSection = section;
         this.#stateManager.set('currentSection', section);
+        this.#pushRoute({ section });
 
         // Emit navigation changed event
         this.#eventBus.emit(AppEvents.NAVIGATION_CHANGED, {
             section,
             previousSection
         });
-
-        return true;
     }
 
     /**
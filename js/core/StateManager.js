@@ -1,5 +1,5 @@
 /**
- * @fileoverview Centralized state management with localStorage persistence
+ * @fileoverview Centralized state management with browser persistence
  * @module core/StateManager
  * @version 1.0.0
  * @author Jamf Assistant Team
@@ -7,24 +7,63 @@
  */
 
 import { AppEvents } from '../utils/EventBus.js';
+import { createStateStorage, isQuotaExceededError, isStateStorageKey } from './StateStorage.js';
+import { SCHEMA_VERSION_KEY, stateMigrations } from './StateMigrations.js';
 
 /**
  * @typedef {Object} AppState
  * @property {string} theme - Current theme ('light' | 'dark')
  * @property {string} currentSection - Active navigation section
  * @property {boolean} sidebarCollapsed - Sidebar collapse state
- * @property {Object<string, boolean[]>} checklistProgress - Checklist completion states
+ * @property {Object<string, ChecklistRecord>} checklistProgress - Runs by checklist
+ */
+
+/**
+ * @typedef {Object} ChecklistItemState
+ * @property {boolean} done - Whether the item is completed
+ * @property {string|null} completedAt - When it was completed (ISO 8601)
+ * @property {string} [note] - Free-text note
+ */
+
+/**
+ * @typedef {Object} ChecklistRun
+ * @property {string} id - Run identifier
+ * @property {string} name - Run name (e.g. serial number or classroom)
+ * @property {string} assignee - Person responsible
+ * @property {string|null} dueDate - Due date (YYYY-MM-DD)
+ * @property {string|null} createdAt - Creation date (ISO 8601; unknown for migrated runs)
+ * @property {string|null} completedAt - When every item was completed (ISO 8601)
+ * @property {Object<string, ChecklistItemState>} items - Item state by item id
+ */
+
+/**
+ * @typedef {Object} ChecklistRecord
+ * @property {string|null} activeRunId - Run shown when the checklist is opened
+ * @property {ChecklistRun[]} runs - Runs, oldest first
+ */
+
+/**
+ * @typedef {Object} ImportSummary
+ * @property {string[]} added - Keys that did not exist
+ * @property {string[]} changed - Keys whose value changes
+ * @property {string[]} unchanged - Keys that already had the imported value
+ * @property {string[]} removed - Keys deleted because the import replaces the data
  */
 
 /**
  * @typedef {Object} StateManagerDependencies
  * @property {import('../utils/EventBus.js').EventBus} eventBus - Event bus instance
- * @property {Storage} [storage] - Storage adapter (defaults to localStorage)
+ * @property {Storage} [storage] - Storage adapter (defaults to IndexedDB, or localStorage where unavailable)
+ * @property {import('../ui/ToastManager.js').ToastManager} [toastManager] - Warns the user when storage is full
+ * @property {import('./StateMigrations.js').StateMigration[]} [migrations] - Schema migrations (defaults to {@link module:core/StateMigrations})
+ * @property {BroadcastChannel} [channel] - Channel shared with the other tabs (defaults to `jamf-state` where supported)
+ * @property {Window} [window] - Window whose `storage` events are followed (for testing)
  */
 
 /**
- * Manages application state with localStorage persistence.
+ * Manages application state with browser persistence.
  * Provides a single source of truth for all application state.
+ * Call {@link StateManager#ready} before reading persisted values.
  *
  * @class StateManager
  * @example
@@ -77,72 +116,341 @@ export class StateManager {
      */
     #prefix = 'jamf_';
 
+    /**
+     * Toast manager for storage warnings
+     * @type {import('../ui/ToastManager.js').ToastManager|null}
+     * @private
+     */
+    #toastManager;
+
+    /**
+     * Storage loading, shared by every ready() call
+     * @type {Promise<void>|null}
+     * @private
+     */
+    #readyPromise = null;
+
+    /**
+     * Time of the last "storage full" warning (avoids one toast per write)
+     * @type {number}
+     * @private
+     */
+    #lastQuotaWarning = 0;
+
+    /**
+     * Minimum time between two "storage full" warnings
+     * @type {number}
+     * @private
+     */
+    #quotaWarningInterval = 60000;
+
+    /**
+     * Registered schema migrations, by target version
+     * @type {Map<number, import('./StateMigrations.js').StateMigration>}
+     * @private
+     */
+    #migrations = new Map();
+
+    /**
+     * Channel announcing changes to the other tabs
+     * @type {BroadcastChannel|null}
+     * @private
+     */
+    #channel = null;
+
+    /**
+     * Window whose storage events are followed
+     * @type {Window|null}
+     * @private
+     */
+    #window;
+
+    /**
+     * Bound `storage` event listener (kept to remove it)
+     * @type {Function|null}
+     * @private
+     */
+    #storageListener = null;
+
     /**
      * Creates a new StateManager instance
      *
      * @param {StateManagerDependencies} dependencies - Injected dependencies
      * @throws {TypeError} If eventBus is not provided
      */
-    constructor({ eventBus, storage = null }) {
+    constructor({
+        eventBus,
+        storage = null,
+        toastManager = null,
+        migrations = stateMigrations,
+        channel = null,
+        window: win = null
+    }) {
         if (!eventBus) {
             throw new TypeError('StateManager requires an EventBus instance');
         }
 
         this.#eventBus = eventBus;
-        this.#storage = storage || this.#createStorageAdapter();
+        this.#toastManager = toastManager;
+        this.#storage = storage || createStateStorage();
+        this.#window = win || (typeof window !== 'undefined' ? window : null);
+        migrations.forEach(migration => this.registerMigration(migration));
         this.#loadInitialState();
+        this.#initTabSync(channel);
     }
 
     /**
-     * Creates a storage adapter that wraps localStorage
-     * @returns {Storage} Storage adapter
+     * Starts following the changes made in other tabs
+     * @param {BroadcastChannel|null} channel - Injected channel
      * @private
      */
-    #createStorageAdapter() {
-        return {
-            getItem: (key) => {
-                try {
-                    return localStorage.getItem(key);
-                } catch {
-                    return null;
-                }
-            },
-            setItem: (key, value) => {
-                try {
-                    localStorage.setItem(key, value);
-                } catch (e) {
-                    console.warn('[StateManager] Storage write failed:', e);
-                }
-            },
-            removeItem: (key) => {
-                try {
-                    localStorage.removeItem(key);
-                } catch {
-                    // Ignore removal errors
+    #initTabSync(channel) {
+        this.#channel = channel;
+
+        if (!this.#channel && typeof BroadcastChannel !== 'undefined') {
+            try {
+                this.#channel = new BroadcastChannel('jamf-state');
+            } catch {
+                // BroadcastChannel not supported in this context
+                this.#channel = null;
+            }
+        }
+
+        if (this.#channel) {
+            this.#channel.onmessage = (event) => {
+                if (event.data?.type === 'change') {
+                    this.#applyRemoteChange(event.data.key, event.data.newValue ?? null);
                 }
-            },
-            clear: () => {
-                try {
-                    localStorage.clear();
-                } catch {
-                    // Ignore clear errors
+            };
+        }
+
+        if (this.#window?.addEventListener) {
+            this.#storageListener = (event) => {
+                if (event.key === null || isStateStorageKey(event.key)) {
+                    // localStorage is shared: only the state needs reloading
+                    this.#reloadKeys(event.key === null ? this.#getKnownStorageKeys() : [event.key]);
                 }
-            },
-            get length() {
-                try {
-                    return localStorage.length;
-                } catch {
-                    return 0;
+            };
+            this.#window.addEventListener('storage', this.#storageListener);
+        }
+    }
+
+    /**
+     * Applies a change announced by another tab
+     * @param {string|null} storageKey - Changed storage key, or null if the data was cleared
+     * @param {string|null} newValue - Serialized value, or null if removed
+     * @private
+     */
+    #applyRemoteChange(storageKey, newValue) {
+        if (storageKey !== null && !isStateStorageKey(storageKey)) return;
+
+        this.#storage.applyRemoteChange?.(storageKey, newValue);
+        this.#reloadKeys(storageKey === null ? this.#getKnownStorageKeys() : [storageKey]);
+    }
+
+    /**
+     * Announces a persisted change to the other tabs
+     * @param {string|null} storageKey - Changed storage key, or null if the data was cleared
+     * @param {string|null} newValue - Serialized value, or null if removed
+     * @private
+     */
+    #broadcast(storageKey, newValue) {
+        if (!this.#channel) return;
+
+        try {
+            this.#channel.postMessage({ type: 'change', key: storageKey, newValue });
+        } catch {
+            // Channel might be closed
+        }
+    }
+
+    /**
+     * Gets the storage keys of the loaded and watched state
+     * @returns {string[]} Storage keys
+     * @private
+     */
+    #getKnownStorageKeys() {
+        const keys = new Set([...this.#state.keys(), ...this.#subscribers.keys()]);
+        return [...keys].map(key => this.#getStorageKey(key));
+    }
+
+    /**
+     * Stops following other tabs (closes the channel)
+     *
+     * @returns {void}
+     *
+     * @example
+     * stateManager.destroy();
+     */
+    destroy() {
+        if (this.#channel) {
+            this.#channel.onmessage = null;
+            this.#channel.close?.();
+            this.#channel = null;
+        }
+
+        if (this.#storageListener) {
+            this.#window.removeEventListener('storage', this.#storageListener);
+            this.#storageListener = null;
+        }
+    }
+
+    /**
+     * Registers a schema migration, run by {@link StateManager#ready} when the
+     * stored schema version is older than `migration.version`
+     *
+     * @param {import('./StateMigrations.js').StateMigration} migration - Migration to register
+     * @returns {void}
+     * @throws {TypeError} If the version is not a positive integer or the migrate function is missing
+     * @throws {Error} If a migration for that version exists or ready() was already called
+     *
+     * @example
+     * stateManager.registerMigration({
+     *     version: 2,
+     *     description: 'Rename the troubleshooting section',
+     *     migrate: (store) => {
+     *         if (store.get('jamf_currentSection') === 'troubleshooting') {
+     *             store.set('jamf_currentSection', 'diagnostico');
+     *         }
+     *     }
+     * });
+     */
+    registerMigration(migration) {
+        const { version, migrate } = migration || {};
+
+        if (!Number.isInteger(version) || version < 1) {
+            throw new TypeError('Migration version must be a positive integer');
+        }
+        if (typeof migrate !== 'function') {
+            throw new TypeError(`Migration to schema v${version} requires a migrate function`);
+        }
+        if (this.#migrations.has(version)) {
+            throw new Error(`A migration to schema v${version} is already registered`);
+        }
+        if (this.#readyPromise) {
+            throw new Error('Migrations must be registered before ready() is called');
+        }
+
+        this.#migrations.set(version, migration);
+    }
+
+    /**
+     * Gets the schema version of the stored data
+     *
+     * @returns {number} Stored schema version (0 before the first migration)
+     *
+     * @example
+     * await stateManager.ready();
+     * stateManager.getSchemaVersion(); // 1
+     */
+    getSchemaVersion() {
+        return Number(this.#storage.getItem(SCHEMA_VERSION_KEY)) || 0;
+    }
+
+    /**
+     * Waits for asynchronous storage (IndexedDB) to load, including the
+     * one-time migration of the old localStorage keys, runs the pending
+     * schema migrations and then reloads the initial state.
+     *
+     * @returns {Promise<void>}
+     *
+     * @example
+     * const stateManager = container.resolve('stateManager');
+     * await stateManager.ready();
+     * const theme = stateManager.get('theme');
+     */
+    ready() {
+        if (!this.#readyPromise) {
+            this.#readyPromise = (async () => {
+                const loads = typeof this.#storage.load === 'function';
+
+                if (loads) {
+                    try {
+                        await this.#storage.load();
+                    } catch (error) {
+                        console.error('[StateManager] Storage load failed:', error);
+                    }
                 }
-            },
-            key: (index) => {
-                try {
-                    return localStorage.key(index);
-                } catch {
-                    return null;
+
+                const migrated = await this.#runMigrations();
+
+                if (loads || migrated) {
+                    this.#state.clear();
+                    this.#loadInitialState();
                 }
+            })();
+        }
+
+        return this.#readyPromise;
+    }
+
+    /**
+     * Runs the migrations newer than the stored schema version, in order.
+     * The version is saved after each one, so a failed migration stops the
+     * upgrade and is retried on the next start.
+     * @returns {Promise<boolean>} True if any migration ran
+     * @private
+     */
+    async #runMigrations() {
+        const current = this.getSchemaVersion();
+        const latest = this.#getLatestSchemaVersion();
+
+        if (current > latest) {
+            console.warn(`[StateManager] Stored schema v${current} is newer than this version of the app (v${latest})`);
+            return false;
+        }
+
+        let migrated = false;
+
+        for (const { version, description, migrate } of this.#getPendingMigrations(current)) {
+            const writes = [];
+            const store = {
+                keys: () => (typeof this.#storage.keys === 'function'
+                    ? this.#storage.keys()
+                    : Array.from({ length: this.#storage.length }, (_, i) => this.#storage.key(i))),
+                get: (key) => {
+                    const stored = this.#storage.getItem(key);
+                    return stored !== null ? this.#parse(stored) : null;
+                },
+                set: (key, value) => writes.push(this.#storage.setItem(key, this.#serialize(value))),
+                remove: (key) => writes.push(this.#storage.removeItem(key))
+            };
+
+            try {
+                await migrate(store);
+                await Promise.all(writes);
+                await this.#storage.setItem(SCHEMA_VERSION_KEY, String(version));
+            } catch (error) {
+                console.error(`[StateManager] Migration to schema v${version} failed:`, error);
+                break;
             }
-        };
+
+            migrated = true;
+            console.log(`[StateManager] State migrated to schema v${version}${description ? `: ${description}` : ''}`);
+        }
+
+        return migrated;
+    }
+
+    /**
+     * Gets the current schema version (the newest registered migration)
+     * @returns {number} Schema version
+     * @private
+     */
+    #getLatestSchemaVersion() {
+        return Math.max(0, ...this.#migrations.keys());
+    }
+
+    /**
+     * Gets the migrations newer than a schema version, in order
+     * @param {number} fromVersion - Schema version of the data
+     * @returns {import('./StateMigrations.js').StateMigration[]} Pending migrations
+     * @private
+     */
+    #getPendingMigrations(fromVersion) {
+        return [...this.#migrations.values()]
+            .filter(migration => migration.version > fromVersion)
+            .sort((a, b) => a.version - b.version);
     }
 
     /**
@@ -247,7 +555,10 @@ export class StateManager {
         this.#state.set(key, value);
 
         if (persist) {
-            this.#storage.setItem(this.#getStorageKey(key), this.#serialize(value));
+            const storageKey = this.#getStorageKey(key);
+            const serialized = this.#serialize(value);
+            this.#write(storageKey, serialized);
+            this.#broadcast(storageKey, serialized);
         }
 
         if (!silent && oldValue !== value) {
@@ -267,10 +578,54 @@ export class StateManager {
     remove(key) {
         const existed = this.#state.has(key);
         this.#state.delete(key);
-        this.#storage.removeItem(this.#getStorageKey(key));
+
+        const storageKey = this.#getStorageKey(key);
+        const removal = this.#storage.removeItem(storageKey);
+        removal?.catch?.(error => console.warn('[StateManager] Storage removal failed:', error));
+        this.#broadcast(storageKey, null);
+
         return existed;
     }
 
+    /**
+     * Writes to storage, reporting failures (sync throws or rejected saves)
+     * @param {string} storageKey - Storage key
+     * @param {string} value - Serialized value
+     * @private
+     */
+    #write(storageKey, value) {
+        try {
+            const saving = this.#storage.setItem(storageKey, value);
+            saving?.catch?.(error => this.#handleWriteError(error, storageKey));
+        } catch (error) {
+            this.#handleWriteError(error, storageKey);
+        }
+    }
+
+    /**
+     * Logs a failed write and, if storage is full, tells the user
+     * @param {Error} error - Storage error
+     * @param {string} storageKey - Key that could not be saved
+     * @fires StateManager#storage:quotaExceeded
+     * @private
+     */
+    #handleWriteError(error, storageKey) {
+        console.warn(`[StateManager] Storage write failed for "${storageKey}":`, error);
+
+        if (!isQuotaExceededError(error)) return;
+
+        this.#eventBus.emit(AppEvents.STORAGE_QUOTA_EXCEEDED, { key: storageKey });
+
+        const now = Date.now();
+        if (now - this.#lastQuotaWarning < this.#quotaWarningInterval) return;
+        this.#lastQuotaWarning = now;
+
+        this.#toastManager?.warning(
+            'No queda espacio en este navegador: algunos cambios no se han guardado. Exporta o elimina datos desde "Mis Datos".',
+            10000
+        );
+    }
+
     /**
      * Subscribes to state changes for a specific key
      *
@@ -320,9 +675,9 @@ export class StateManager {
     }
 
     /**
-     * Gets all stored data (for RGPD export)
+     * Gets all stored data of this app (for RGPD export)
      *
-     * @returns {Object} All stored data
+     * @returns {Object} All stored data, by storage key
      *
      * @example
      * const allData = stateManager.exportAll();
@@ -347,51 +702,553 @@ export class StateManager {
     }
 
     /**
-     * Clears all stored data (for RGPD deletion)
+     * Clears all stored data of this app (for RGPD deletion).
+     * Keys of other apps on the same origin are kept.
      *
-     * @returns {void}
+     * @returns {Promise<void>} Resolves once asynchronous storage is cleared
      * @fires StateManager#data:deleted
      *
      * @example
-     * stateManager.clearAll();
+     * await stateManager.clearAll();
      */
     clearAll() {
-        this.#storage.clear();
+        let clearing;
+        try {
+            clearing = Promise.resolve(this.#storage.clear());
+        } catch (error) {
+            clearing = Promise.reject(error);
+        }
+
         this.#state.clear();
+        this.#broadcast(null, null);
         this.#eventBus.emit(AppEvents.DATA_DELETED);
+
+        return clearing.catch(error => {
+            console.error('[StateManager] Storage clear failed:', error);
+        });
     }
 
     /**
-     * Gets checklist progress
+     * Prepares the `data` of an export file for import: keeps the keys
+     * StateManager owns and upgrades them from the schema version of the
+     * file to the current one. Other keys (chatbot settings, encryption
+     * material...) only work in the browser that created them.
+     *
+     * @param {Object<string, *>} data - Exported values, by storage key
+     * @returns {Promise<{values: Object<string, *>, skipped: string[]}>} Values to import and the keys left out
+     * @throws {Error} If the data comes from a newer version of the app or a migration fails
+     *
+     * @example
+     * const { values, skipped } = await stateManager.prepareImport(file.data);
+     */
+    async prepareImport(data) {
+        const fromVersion = Number(data[SCHEMA_VERSION_KEY]) || 0;
+        const latest = this.#getLatestSchemaVersion();
+
+        if (fromVersion > latest) {
+            throw new Error(`The data uses schema v${fromVersion}, newer than this version of the app (v${latest})`);
+        }
+
+        const values = new Map();
+        const skipped = [];
+
+        Object.entries(data).forEach(([key, value]) => {
+            if (key === SCHEMA_VERSION_KEY) return;
+
+            if (isStateStorageKey(key)) {
+                values.set(key, value);
+            } else {
+                skipped.push(key);
+            }
+        });
+
+        const store = {
+            keys: () => [...values.keys()],
+            get: (key) => values.get(key) ?? null,
+            set: (key, value) => values.set(key, value),
+            remove: (key) => values.delete(key)
+        };
+
+        for (const { migrate } of this.#getPendingMigrations(fromVersion)) {
+            await migrate(store);
+        }
+
+        return { values: Object.fromEntries(values), skipped };
+    }
+
+    /**
+     * Describes what {@link StateManager#importAll} would change, without writing
+     *
+     * @param {Object<string, *>} values - Values from {@link StateManager#prepareImport}
+     * @param {Object} [options={}] - Options
+     * @param {'merge'|'replace'} [options.mode='merge'] - Import mode
+     * @returns {ImportSummary} Storage keys by kind of change
+     *
+     * @example
+     * const { added, changed } = stateManager.previewImport(values, { mode: 'replace' });
+     */
+    previewImport(values, { mode = 'merge' } = {}) {
+        return this.#planImport(values, mode).summary;
+    }
+
+    /**
+     * Imports prepared values. `merge` keeps the current data and combines
+     * objects with the imported ones (checklist runs by run id); `replace` also
+     * removes the StateManager data missing from the import. Subscribers of
+     * the changed keys are notified.
+     *
+     * @param {Object<string, *>} values - Values from {@link StateManager#prepareImport}
+     * @param {Object} [options={}] - Options
+     * @param {'merge'|'replace'} [options.mode='merge'] - Import mode
+     * @returns {Promise<ImportSummary>} Storage keys by kind of change
+     * @throws {TypeError} If the mode is unknown
+     *
+     * @example
+     * const { values } = await stateManager.prepareImport(file.data);
+     * await stateManager.importAll(values, { mode: 'merge' });
+     */
+    async importAll(values, { mode = 'merge' } = {}) {
+        const { writes, summary } = this.#planImport(values, mode);
+
+        try {
+            const saving = [];
+            writes.forEach((value, key) => saving.push(this.#storage.setItem(key, this.#serialize(value))));
+            summary.removed.forEach(key => saving.push(this.#storage.removeItem(key)));
+            saving.push(this.#storage.setItem(SCHEMA_VERSION_KEY, String(this.#getLatestSchemaVersion())));
+
+            await Promise.all(saving);
+        } finally {
+            this.#reloadKeys([...writes.keys(), ...summary.removed]);
+            writes.forEach((value, key) => this.#broadcast(key, this.#serialize(value)));
+            summary.removed.forEach(key => this.#broadcast(key, null));
+        }
+
+        return summary;
+    }
+
+    /**
+     * Works out the writes and removals of an import
+     * @param {Object<string, *>} values - Values to import
+     * @param {'merge'|'replace'} mode - Import mode
+     * @returns {{writes: Map<string, *>, summary: ImportSummary}} Import plan
+     * @throws {TypeError} If the mode is unknown
+     * @private
+     */
+    #planImport(values, mode) {
+        if (mode !== 'merge' && mode !== 'replace') {
+            throw new TypeError(`Unknown import mode: ${mode}`);
+        }
+
+        const current = new Map();
+        for (let i = 0; i < this.#storage.length; i++) {
+            const key = this.#storage.key(i);
+            if (key && key !== SCHEMA_VERSION_KEY && isStateStorageKey(key)) {
+                current.set(key, this.#parse(this.#storage.getItem(key)));
+            }
+        }
+
+        const summary = { added: [], changed: [], unchanged: [], removed: [] };
+        const writes = new Map();
+
+        Object.entries(values).forEach(([key, incoming]) => {
+            if (!current.has(key)) {
+                summary.added.push(key);
+                writes.set(key, incoming);
+                return;
+            }
+
+            const existing = current.get(key);
+            const value = mode === 'merge' ? this.#mergeImportedValue(existing, incoming) : incoming;
+
+            if (JSON.stringify(value) === JSON.stringify(existing)) {
+                summary.unchanged.push(key);
+            } else {
+                summary.changed.push(key);
+                writes.set(key, value);
+            }
+        });
+
+        if (mode === 'replace') {
+            current.forEach((_, key) => {
+                if (!(key in values)) summary.removed.push(key);
+            });
+        }
+
+        return { writes, summary };
+    }
+
+    /**
+     * Combines a current value with an imported one. Objects are merged
+     * key by key; lists of records with an id (checklist runs, custom
+     * checklists) are merged by id, the imported record winning over the
+     * current one with the same id.
+     * @param {*} existing - Current value
+     * @param {*} incoming - Imported value
+     * @returns {*} Merged value
+     * @private
+     */
+    #mergeImportedValue(existing, incoming) {
+        const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+        const isRecordList = (value) => Array.isArray(value) && value.every(entry => isObject(entry) && 'id' in entry);
+
+        if (isRecordList(existing) && isRecordList(incoming)) {
+            const records = new Map(existing.map(record => [record.id, record]));
+            incoming.forEach(record => records.set(record.id, record));
+            return [...records.values()];
+        }
+
+        if (!isObject(existing) || !isObject(incoming)) return incoming;
+
+        if (Array.isArray(existing.runs) && Array.isArray(incoming.runs)) {
+            return {
+                activeRunId: incoming.activeRunId ?? existing.activeRunId,
+                runs: this.#mergeImportedValue(existing.runs, incoming.runs)
+            };
+        }
+
+        return { ...existing, ...incoming };
+    }
+
+    /**
+     * Reloads state keys after their storage changed (import or another tab)
+     * and notifies their subscribers
+     * @param {string[]} storageKeys - Changed storage keys
+     * @private
+     */
+    #reloadKeys(storageKeys) {
+        const legacyKeys = ['theme', 'sidebarCollapsed'];
+        const keys = storageKeys.map(storageKey => (
+            !legacyKeys.includes(storageKey) && storageKey.startsWith(this.#prefix)
+                ? storageKey.slice(this.#prefix.length)
+                : storageKey
+        ));
+        const previous = new Map(keys.map(key => [key, this.#state.has(key) ? this.#state.get(key) : null]));
+
+        keys.forEach(key => this.#state.delete(key));
+        this.#loadInitialState();
+
+        previous.forEach((oldValue, key) => {
+            const newValue = this.get(key);
+            if (JSON.stringify(newValue) !== JSON.stringify(oldValue)) {
+                this.#notifySubscribers(key, newValue, oldValue);
+            }
+        });
+    }
+
+    /**
+     * Reads the saved runs of a checklist as a copy that can be modified
+     * @param {string} checklistId - Checklist identifier
+     * @returns {ChecklistRecord} Checklist record (no runs if nothing is saved)
+     * @private
+     */
+    #readChecklistRecord(checklistId) {
+        const record = this.get(`checklist-${checklistId}`, null);
+
+        // Data from older schemas is only meaningful to the migrations
+        if (!record || typeof record !== 'object' || !Array.isArray(record.runs)) {
+            return { activeRunId: null, runs: [] };
+        }
+
+        return JSON.parse(JSON.stringify(record));
+    }
+
+    /**
+     * Saves the runs of a checklist (the key is removed when none are left)
+     * @param {string} checklistId - Checklist identifier
+     * @param {ChecklistRecord} record - Checklist record
+     * @private
+     */
+    #writeChecklistRecord(checklistId, record) {
+        if (record.runs.length === 0) {
+            this.remove(`checklist-${checklistId}`);
+        } else {
+            this.set(`checklist-${checklistId}`, record);
+        }
+    }
+
+    /**
+     * Finds a run of a checklist record
+     * @param {ChecklistRecord} record - Checklist record
+     * @param {string|null} runId - Run identifier, or null for the active run
+     * @returns {ChecklistRun|null} Run or null
+     * @private
+     */
+    #findRun(record, runId) {
+        const id = runId ?? record.activeRunId;
+        return record.runs.find(run => run.id === id) || null;
+    }
+
+    /**
+     * Finds the run to write to. Checklists without runs get the default
+     * run "Principal", so progress can be saved before creating any run.
+     * @param {ChecklistRecord} record - Checklist record (modified)
+     * @param {string|null} runId - Run identifier, or null for the active run
+     * @returns {ChecklistRun|null} Run, or null if the given run does not exist
+     * @private
+     */
+    #resolveRun(record, runId) {
+        const run = this.#findRun(record, runId);
+        if (run || runId || record.runs.length > 0) return run;
+
+        const created = this.#createRun({ id: 'principal', name: 'Principal' });
+        record.runs.push(created);
+        record.activeRunId = created.id;
+        return created;
+    }
+
+    /**
+     * Creates an empty run
+     * @param {Object} fields - Run fields
+     * @returns {ChecklistRun} New run
+     * @private
+     */
+    #createRun({ id = this.#generateRunId(), name, assignee = '', dueDate = null }) {
+        return {
+            id,
+            name,
+            assignee,
+            dueDate,
+            createdAt: new Date().toISOString(),
+            completedAt: null,
+            items: {}
+        };
+    }
+
+    /**
+     * Generates a run identifier
+     * @returns {string} Unique identifier
+     * @private
+     */
+    #generateRunId() {
+        if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+            return crypto.randomUUID();
+        }
+        return `run-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+
+    /**
+     * Gets the runs of a checklist, oldest first. Each run is one pass
+     * through the checklist, e.g. for one device or one classroom.
+     *
+     * @param {string} checklistId - Checklist identifier
+     * @returns {ChecklistRun[]} Copies of the runs
+     *
+     * @example
+     * const runs = stateManager.getChecklistRuns('newIpad');
+     * runs.forEach(run => console.log(run.name, run.completedAt));
+     */
+    getChecklistRuns(checklistId) {
+        return this.#readChecklistRecord(checklistId).runs;
+    }
+
+    /**
+     * Gets one run of a checklist
+     *
+     * @param {string} checklistId - Checklist identifier
+     * @param {string|null} [runId=null] - Run identifier (defaults to the active run)
+     * @returns {ChecklistRun|null} Copy of the run, or null if it does not exist
+     *
+     * @example
+     * const run = stateManager.getChecklistRun('newIpad');
+     */
+    getChecklistRun(checklistId, runId = null) {
+        return this.#findRun(this.#readChecklistRecord(checklistId), runId);
+    }
+
+    /**
+     * Creates a run of a checklist and makes it the active one
+     *
+     * @param {string} checklistId - Checklist identifier
+     * @param {Object} [fields={}] - Run fields
+     * @param {string} [fields.name] - Run name (defaults to "Ejecucion <n>")
+     * @param {string} [fields.assignee=''] - Person responsible
+     * @param {string|null} [fields.dueDate=null] - Due date (YYYY-MM-DD)
+     * @returns {ChecklistRun} Copy of the new run
+     *
+     * @example
+     * stateManager.createChecklistRun('newIpad', { name: 'DMPXK2ABCD', assignee: 'Ana' });
+     */
+    createChecklistRun(checklistId, { name, assignee = '', dueDate = null } = {}) {
+        const record = this.#readChecklistRecord(checklistId);
+        const run = this.#createRun({
+            name: name?.trim() || `Ejecucion ${record.runs.length + 1}`,
+            assignee,
+            dueDate: dueDate || null
+        });
+
+        record.runs.push(run);
+        record.activeRunId = run.id;
+        this.#writeChecklistRecord(checklistId, record);
+
+        return JSON.parse(JSON.stringify(run));
+    }
+
+    /**
+     * Updates the name, assignee, due date or completion date of a run
+     *
+     * @param {string} checklistId - Checklist identifier
+     * @param {string|null} runId - Run identifier, or null for the active run
+     * @param {Partial<Pick<ChecklistRun, 'name'|'assignee'|'dueDate'|'completedAt'>>} changes - Fields to change
+     * @returns {ChecklistRun|null} Copy of the updated run, or null if it does not exist
+     *
+     * @example
+     * stateManager.updateChecklistRun('newIpad', runId, { dueDate: '2026-09-08' });
+     */
+    updateChecklistRun(checklistId, runId, changes) {
+        const record = this.#readChecklistRecord(checklistId);
+        const run = this.#resolveRun(record, runId);
+        if (!run) return null;
+
+        ['name', 'assignee', 'dueDate', 'completedAt'].forEach(field => {
+            if (field in changes) run[field] = changes[field] ?? null;
+        });
+        run.name = run.name?.trim() || this.#findRun(this.#readChecklistRecord(checklistId), run.id)?.name || 'Principal';
+        run.assignee = run.assignee?.trim() || '';
+        run.dueDate = run.dueDate || null;
+
+        this.#writeChecklistRecord(checklistId, record);
+        return JSON.parse(JSON.stringify(run));
+    }
+
+    /**
+     * Deletes a run. If it was the active run, the newest remaining run
+     * becomes active.
+     *
+     * @param {string} checklistId - Checklist identifier
+     * @param {string} runId - Run identifier
+     * @returns {boolean} True if the run existed
+     *
+     * @example
+     * stateManager.deleteChecklistRun('newIpad', runId);
+     */
+    deleteChecklistRun(checklistId, runId) {
+        const record = this.#readChecklistRecord(checklistId);
+        const index = record.runs.findIndex(run => run.id === runId);
+        if (index === -1) return false;
+
+        record.runs.splice(index, 1);
+        if (record.activeRunId === runId) {
+            record.activeRunId = record.runs[record.runs.length - 1]?.id ?? null;
+        }
+
+        this.#writeChecklistRecord(checklistId, record);
+        return true;
+    }
+
+    /**
+     * Makes a run the active one (the run the checklist modal shows)
+     *
+     * @param {string} checklistId - Checklist identifier
+     * @param {string} runId - Run identifier
+     * @returns {boolean} True if the run exists
+     *
+     * @example
+     * stateManager.setActiveChecklistRun('newIpad', runId);
+     */
+    setActiveChecklistRun(checklistId, runId) {
+        const record = this.#readChecklistRecord(checklistId);
+        if (!this.#findRun(record, runId)) return false;
+
+        if (record.activeRunId !== runId) {
+            record.activeRunId = runId;
+            this.#writeChecklistRecord(checklistId, record);
+        }
+        return true;
+    }
+
+    /**
+     * Gets checklist progress, keyed by item id (see the `id` of each
+     * item in KnowledgeChecklists.js) so it survives reordering the items
      *
      * @param {string} checklistId - Checklist identifier
-     * @returns {boolean[]} Array of completion states
+     * @param {string|null} [runId=null] - Run identifier (defaults to the active run)
+     * @returns {Object<string, boolean>} Completed items, by item id
      *
      * @example
-     * const progress = stateManager.getChecklistProgress('inicio-curso');
+     * const progress = stateManager.getChecklistProgress('newIpad');
+     * const done = Boolean(progress['verificar-numero-serie']);
      */
-    getChecklistProgress(checklistId) {
-        const key = `checklist-${checklistId}`;
-        return this.get(key, []);
+    getChecklistProgress(checklistId, runId = null) {
+        const run = this.getChecklistRun(checklistId, runId);
+        const progress = {};
+
+        Object.entries(run?.items || {}).forEach(([itemId, item]) => {
+            if (item.done) progress[itemId] = true;
+        });
+
+        return progress;
     }
 
     /**
-     * Sets checklist item progress
+     * Sets checklist item progress and records when the item was completed
      *
      * @param {string} checklistId - Checklist identifier
-     * @param {number} itemIndex - Item index
+     * @param {string} itemId - Item identifier
      * @param {boolean} completed - Completion state
+     * @param {string|null} [runId=null] - Run identifier (defaults to the active run)
      * @returns {void}
+     * @fires StateManager#checklist:itemToggled
+     *
+     * @example
+     * stateManager.setChecklistProgress('newIpad', 'verificar-numero-serie', true);
      */
-    setChecklistProgress(checklistId, itemIndex, completed) {
-        const key = `checklist-${checklistId}`;
-        const progress = this.getChecklistProgress(checklistId);
-        progress[itemIndex] = completed;
-        this.#storage.setItem(key, JSON.stringify(progress));
+    setChecklistProgress(checklistId, itemId, completed, runId = null) {
+        const record = this.#readChecklistRecord(checklistId);
+        const run = this.#resolveRun(record, runId);
+        if (!run) return;
+
+        const item = run.items[itemId] || {};
+        item.done = Boolean(completed);
+        item.completedAt = completed ? (item.completedAt || new Date().toISOString()) : null;
+        this.#storeItem(run, itemId, item);
+
+        this.#writeChecklistRecord(checklistId, record);
         this.#eventBus.emit(AppEvents.CHECKLIST_ITEM_TOGGLED, {
             checklistId,
-            itemIndex,
+            runId: run.id,
+            itemId,
             completed
         });
     }
+
+    /**
+     * Sets the note of a checklist item (an empty note removes it)
+     *
+     * @param {string} checklistId - Checklist identifier
+     * @param {string} itemId - Item identifier
+     * @param {string} note - Note text
+     * @param {string|null} [runId=null] - Run identifier (defaults to the active run)
+     * @returns {void}
+     *
+     * @example
+     * stateManager.setChecklistItemNote('newIpad', 'etiquetar-dispositivo-fisicamente', 'Etiqueta A-12');
+     */
+    setChecklistItemNote(checklistId, itemId, note, runId = null) {
+        const record = this.#readChecklistRecord(checklistId);
+        const run = this.#resolveRun(record, runId);
+        if (!run) return;
+
+        const item = run.items[itemId] || { done: false, completedAt: null };
+        item.note = String(note ?? '').trim();
+        this.#storeItem(run, itemId, item);
+
+        this.#writeChecklistRecord(checklistId, record);
+    }
+
+    /**
+     * Stores the state of an item, dropping items that are neither done nor noted
+     * @param {ChecklistRun} run - Run (modified)
+     * @param {string} itemId - Item identifier
+     * @param {ChecklistItemState} item - Item state
+     * @private
+     */
+    #storeItem(run, itemId, item) {
+        if (!item.note) delete item.note;
+
+        if (item.done || item.note) {
+            run.items[itemId] = item;
+        } else {
+            delete run.items[itemId];
+        }
+    }
 }
@@ -0,0 +1,281 @@
+/**
+ * @fileoverview Versioned schema of the persisted state and its migrations
+ * @module core/StateMigrations
+ * @version 1.0.0
+ * @author Jamf Assistant Team
+ * @license MIT
+ *
+ * @description
+ * The schema version is stored next to the state (key `jamf_schemaVersion`).
+ * On startup {@link StateManager#ready} runs, in order, every migration newer
+ * than the stored version, and then stores the new version.
+ *
+ * To change the format of stored data, add a migration with the next version
+ * number instead of reading both formats everywhere. Migrations must be
+ * idempotent: after "Eliminar todos mis datos" the version is gone, so they
+ * also run over data already in the current format.
+ *
+ * Version history:
+ * - 0: no version stored. Checklist progress as boolean arrays by item position.
+ * - 1: checklist progress as `{ [itemId]: true }` under `jamf_checklist-<id>`.
+ * - 2: checklist runs under `jamf_checklist-<id>`: `{ activeRunId, runs: [...] }`,
+ *   each run with its own items `{ [itemId]: { done, completedAt, note } }`.
+ */
+
+/**
+ * Storage key of the schema version
+ * @type {string}
+ */
+export const SCHEMA_VERSION_KEY = 'jamf_schemaVersion';
+
+/**
+ * @typedef {Object} MigrationStore
+ * @property {function(): string[]} keys - Storage keys of this app
+ * @property {function(string): *} get - Parsed value of a key, or null
+ * @property {function(string, *): void} set - Stores a value (serialized as JSON)
+ * @property {function(string): void} remove - Removes a key
+ */
+
+/**
+ * @typedef {Object} StateMigration
+ * @property {number} version - Schema version the migration upgrades to
+ * @property {string} description - What the migration changes
+ * @property {function(MigrationStore): (void|Promise<void>)} migrate - Rewrites the stored data
+ */
+
+/**
+ * Checklist item ids in the order the items had in schema 0, when progress
+ * was saved by position. Frozen on purpose: the data in KnowledgeChecklists.js
+ * may be reordered, but old arrays must keep mapping to the same tasks.
+ * @type {Readonly<Object<string, ReadonlyArray<string>>>}
+ */
+export const LEGACY_CHECKLIST_ORDER = Object.freeze({
+    newIpad: [
+        'verificar-numero-serie',
+        'comprobar-asignacion-servidor',
+        'encender-conectar-wifi',
+        'aceptar-perfil-gestion',
+        'verificar-managed-jamf',
+        'asignar-smart-group',
+        'verificar-instalacion-automatica',
+        'etiquetar-dispositivo-fisicamente',
+        'documentar-asignacion-alumno'
+    ],
+    newMac: [
+        'verificar-apple-school',
+        'comprobar-asignacion-servidor',
+        'borrar-disco-datos',
+        'reinstalar-macos-limpio',
+        'conectar-red-aceptar',
+        'verificar-enrollment-jamf',
+        'crear-cuenta-usuario',
+        'ejecutar-politicas-configuracion',
+        'instalar-software-necesario',
+        'configurar-impresoras-centro',
+        'documentar-asignacion-profesor',
+        'etiquetar-dispositivo-fisicamente'
+    ],
+    startYear: [
+        'inventario-completo-todos',
+        'verificar-estado-baterias',
+        'actualizar-ipados-macos',
+        'importar-nuevos-alumnos',
+        'crear-nuevas-clases',
+        'verificar-sincronizacion-clases',
+        'actualizar-smart-groups',
+        'revisar-actualizar-perfiles',
+        'distribuir-apps-necesarias',
+        'verificar-app-aula',
+        'formar-profesores-aula',
+        'formar-profesores-teacher',
+        'probar-self-service',
+        'verificar-conectividad-wifi',
+        'verificar-bluetooth-funciona',
+        'preparar-ipads-repuesto',
+        'revisar-documentar-incidencias',
+        'backup-configuraciones-actuales',
+        'actualizar-base-conocimiento'
+    ],
+    endYear: [
+        'recoger-todos-ipads',
+        'verificar-estado-fisico',
+        'documentar-dispositivos-danados',
+        'verificar-inventario-jamf',
+        'cerrar-sesion-icloud',
+        'borrar-contenido-usuarios',
+        'actualizar-ipados-ultima',
+        'cargar-todos-dispositivos',
+        'guardar-dispositivos-lugar',
+        'desactivar-alumnos-salientes',
+        'archivar-clases-curso',
+        'documentar-lecciones-aprendidas',
+        'planificar-compras-renovaciones',
+        'backup-completo-configuracion'
+    ],
+    newTeacher: [
+        'crear-usuario-apple',
+        'asignar-rol-profesor',
+        'asignar-clases-correspondientes',
+        'verificar-sincronizacion-usuario',
+        'asignar-mac-centro',
+        'crear-cuenta-usuario',
+        'instalar-app-aula',
+        'verificar-clases-aula',
+        'instalar-jamf-teacher',
+        'formacion-aula-basica',
+        'formacion-bloquear-desbloquear',
+        'formacion-ver-pantallas',
+        'formacion-abrir-app',
+        'entregar-guia-rapida',
+        'anadir-canal-soporte'
+    ],
+    studentLeaves: [
+        'verificar-numero-serie',
+        'comprobar-estado-fisico',
+        'documentar-danos',
+        'verificar-incluye-cargador',
+        'cerrar-sesion-icloud',
+        'borrar-contenido-ajustes',
+        'jamf-reasignar-dispositivo',
+        'actualizar-inventario-marcar',
+        'guardar-armario-dispositivos',
+        'actualizar-registro-alumno'
+    ],
+    aulaNotWorking: [
+        'bluetooth-profesor',
+        'bluetooth-alumnos',
+        'misma-red-wifi',
+        'client-isolation-wifi',
+        'verificar-clase-existe',
+        'profesor-asignado-clase',
+        'verificar-sincronizacion-clase',
+        'enviar-blank-push',
+        'cerrar-completamente-app',
+        'reiniciar-ipad-profesor',
+        'reiniciar-ipads-alumnos',
+        'ipads-supervisados',
+        'contactar-soporte-jamf'
+    ],
+    dailyCheck: [
+        'revisar-alertas-consola',
+        'verificar-estado-conexion',
+        'revisar-tickets-soporte',
+        'actualizaciones-criticas',
+        'verificar-sincronizacion-asm',
+        'dispositivos-sin-conexion'
+    ],
+    weeklyMaintenance: [
+        'revisar-bateria-baja',
+        'almacenamiento-casi-lleno',
+        'apps-pendientes-actualizar',
+        'comprobar-caducidad-perfiles',
+        'revisar-logs-errores',
+        'actualizar-documentacion',
+        'backup-configuracion-jamf',
+        'revisar-estadisticas-uso',
+        'preparar-resumen-semanal'
+    ],
+    prepareExam: [
+        'crear-perfil-restriccion',
+        'bloquear-acceso-safari',
+        'bloquear-acceso-airdrop',
+        'bloquear-acceso-mensajes',
+        'permitir-solo-app-examen',
+        'crear-smart-group',
+        'asignar-perfil-examen',
+        'verificar-restriccion-aplica',
+        'informar-profesor',
+        'despues-retirar-perfil',
+        'despues-verificar-ipads'
+    ]
+});
+
+/**
+ * Converts positional checklist progress (`[true, false, true]`) into
+ * progress keyed by item id. Progress was written to `checklist-<id>` but
+ * read from `jamf_checklist-<id>`, so both keys are merged.
+ *
+ * @param {MigrationStore} store - Storage access
+ * @returns {void}
+ */
+export function migrateChecklistProgressToItemIds(store) {
+    Object.entries(LEGACY_CHECKLIST_ORDER).forEach(([checklistId, itemIds]) => {
+        const legacyKey = `checklist-${checklistId}`;
+        const key = `jamf_${legacyKey}`;
+        const progress = {};
+
+        [store.get(legacyKey), store.get(key)].forEach(saved => {
+            if (Array.isArray(saved)) {
+                saved.forEach((completed, index) => {
+                    if (completed === true && itemIds[index]) progress[itemIds[index]] = true;
+                });
+            } else if (saved && typeof saved === 'object') {
+                Object.assign(progress, saved);
+            }
+        });
+
+        store.remove(legacyKey);
+        if (Object.keys(progress).length > 0) {
+            store.set(key, progress);
+        } else {
+            store.remove(key);
+        }
+    });
+}
+
+/**
+ * Moves the progress of each checklist (`{ [itemId]: true }`) into a first
+ * run named "Principal". Completion dates were not recorded, so they stay
+ * empty. Records that already have runs are left alone.
+ *
+ * @param {MigrationStore} store - Storage access
+ * @returns {void}
+ */
+export function migrateChecklistProgressToRuns(store) {
+    store.keys().filter(key => key.startsWith('jamf_checklist-')).forEach(key => {
+        const progress = store.get(key);
+        if (!progress || typeof progress !== 'object' || Array.isArray(progress) || Array.isArray(progress.runs)) {
+            return;
+        }
+
+        const items = {};
+        Object.entries(progress).forEach(([itemId, completed]) => {
+            if (completed === true) items[itemId] = { done: true, completedAt: null };
+        });
+
+        if (Object.keys(items).length === 0) {
+            store.remove(key);
+            return;
+        }
+
+        store.set(key, {
+            activeRunId: 'principal',
+            runs: [{
+                id: 'principal',
+                name: 'Principal',
+                assignee: '',
+                dueDate: null,
+                createdAt: null,
+                completedAt: null,
+                items
+            }]
+        });
+    });
+}
+
+/**
+ * Migrations of the persisted state, by ascending version
+ * @type {ReadonlyArray<StateMigration>}
+ */
+export const stateMigrations = Object.freeze([
+    {
+        version: 1,
+        description: 'Checklist progress keyed by item id instead of position',
+        migrate: migrateChecklistProgressToItemIds
+    },
+    {
+        version: 2,
+        description: 'Checklist progress split into named runs with notes and dates',
+        migrate: migrateChecklistProgressToRuns
+    }
+]);
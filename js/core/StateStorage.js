@@ -0,0 +1,520 @@
+/**
+ * @fileoverview Storage adapters for StateManager
+ * @module core/StateStorage
+ * @version 1.0.0
+ * @author Jamf Assistant Team
+ * @license MIT
+ *
+ * @description
+ * Both adapters expose the synchronous `Storage` interface StateManager uses
+ * (getItem/setItem/removeItem/clear/length/key), restricted to this app's
+ * keys: GitHub Pages serves several apps from the same origin, so listing
+ * or clearing must never touch keys written by other apps.
+ *
+ * - {@link LocalStorageAdapter}: localStorage filtered to the app's keys.
+ * - {@link IndexedDBStorageAdapter}: StateManager's own keys in IndexedDB
+ *   (more room than localStorage), served from an in-memory copy loaded by
+ *   `load()`, which also moves the existing localStorage keys over. Keys
+ *   that other modules read directly from localStorage (API settings,
+ *   consent...) stay there.
+ *
+ * Writes that do not fit are reported to StateManager: synchronously by
+ * throwing, or asynchronously by rejecting the promise `setItem` returns.
+ *
+ * @example
+ * const storage = createStateStorage();
+ * const stateManager = new StateManager({ eventBus, storage, toastManager });
+ * await stateManager.ready();
+ */
+
+import { createKeyValueStore } from '../utils/IndexedDBStore.js';
+
+/**
+ * Key prefixes written by this app
+ * - `jamf_`: StateManager keys
+ * - `jamf-`: chatbot, onboarding and encryption keys
+ * - `checklist-`: checklist progress before schema v1 (see StateMigrations)
+ * @type {ReadonlyArray<string>}
+ */
+export const APP_KEY_PREFIXES = Object.freeze(['jamf_', 'jamf-', 'checklist-']);
+
+/**
+ * Unprefixed keys written by this app (legacy names)
+ * @type {ReadonlyArray<string>}
+ */
+export const APP_KEYS = Object.freeze(['theme', 'sidebarCollapsed', 'consent_preferences', 'consent_timestamp']);
+
+/**
+ * Legacy unprefixed keys owned by StateManager
+ * @type {ReadonlyArray<string>}
+ * @private
+ */
+const STATE_LEGACY_KEYS = ['theme', 'sidebarCollapsed'];
+
+/**
+ * Checks if a storage key belongs to this app
+ *
+ * @param {string} key - Storage key
+ * @returns {boolean} True for the app's keys
+ *
+ * @example
+ * isAppStorageKey('jamf_currentSection'); // true
+ * isAppStorageKey('other-app-token');     // false
+ */
+export function isAppStorageKey(key) {
+    return APP_KEYS.includes(key) || APP_KEY_PREFIXES.some(prefix => key.startsWith(prefix));
+}
+
+/**
+ * Checks if a storage key is written by StateManager (and moves to IndexedDB)
+ *
+ * @param {string} key - Storage key
+ * @returns {boolean} True for StateManager keys
+ */
+export function isStateStorageKey(key) {
+    return STATE_LEGACY_KEYS.includes(key) || key.startsWith('jamf_') || key.startsWith('checklist-');
+}
+
+/**
+ * Checks if an error means the browser storage is full
+ *
+ * @param {*} error - Error thrown by localStorage or IndexedDB
+ * @returns {boolean} True for quota errors
+ *
+ * @example
+ * try { localStorage.setItem(key, value); } catch (e) { if (isQuotaExceededError(e)) warn(); }
+ */
+export function isQuotaExceededError(error) {
+    if (!error) return false;
+
+    return error.name === 'QuotaExceededError' ||
+        error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+        error.code === 22 ||
+        error.code === 1014;
+}
+
+/**
+ * @class LocalStorageAdapter
+ * @description localStorage restricted to this app's keys
+ *
+ * @example
+ * const storage = new LocalStorageAdapter();
+ * storage.setItem('jamf_currentSection', 'ipads');
+ * storage.clear(); // Only removes this app's keys
+ */
+export class LocalStorageAdapter {
+    /**
+     * Underlying storage
+     * @type {Storage|null}
+     * @private
+     */
+    #storage;
+
+    /**
+     * Creates a new LocalStorageAdapter instance
+     *
+     * @param {Object} [options={}] - Options
+     * @param {Storage} [options.storage] - Storage to wrap (defaults to localStorage)
+     */
+    constructor({ storage = null } = {}) {
+        this.#storage = storage || LocalStorageAdapter.#globalStorage();
+    }
+
+    /**
+     * Global localStorage, or null where access throws (blocked cookies)
+     * @returns {Storage|null}
+     * @private
+     */
+    static #globalStorage() {
+        try {
+            return typeof localStorage !== 'undefined' ? localStorage : null;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Data survives a page reload
+     * @type {boolean}
+     * @readonly
+     */
+    get isPersistent() {
+        return this.#storage !== null;
+    }
+
+    /**
+     * Reads a value
+     *
+     * @param {string} key - Storage key
+     * @returns {string|null} Stored value or null
+     */
+    getItem(key) {
+        try {
+            return this.#storage?.getItem(key) ?? null;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Writes a value
+     *
+     * @param {string} key - Storage key
+     * @param {string} value - Serialized value
+     * @returns {void}
+     * @throws {DOMException} If the browser storage is full
+     */
+    setItem(key, value) {
+        this.#storage?.setItem(key, value);
+    }
+
+    /**
+     * Removes a value
+     *
+     * @param {string} key - Storage key
+     * @returns {void}
+     */
+    removeItem(key) {
+        try {
+            this.#storage?.removeItem(key);
+        } catch {
+            // Ignore removal errors
+        }
+    }
+
+    /**
+     * Removes this app's keys (other apps on the origin keep theirs)
+     *
+     * @returns {void}
+     */
+    clear() {
+        this.keys().forEach(key => this.removeItem(key));
+    }
+
+    /**
+     * Lists this app's keys
+     *
+     * @returns {string[]} Storage keys
+     */
+    keys() {
+        const keys = [];
+
+        try {
+            for (let i = 0; i < (this.#storage?.length ?? 0); i++) {
+                const key = this.#storage.key(i);
+                if (key !== null && isAppStorageKey(key)) {
+                    keys.push(key);
+                }
+            }
+        } catch {
+            // Storage not readable: nothing to list
+        }
+
+        return keys;
+    }
+
+    /**
+     * Number of this app's keys
+     * @type {number}
+     * @readonly
+     */
+    get length() {
+        return this.keys().length;
+    }
+
+    /**
+     * Gets the app key at an index
+     *
+     * @param {number} index - Key index
+     * @returns {string|null} Storage key or null
+     */
+    key(index) {
+        return this.keys()[index] ?? null;
+    }
+}
+
+/**
+ * @class IndexedDBStorageAdapter
+ * @description StateManager keys in IndexedDB, other app keys in localStorage
+ *
+ * Reads are synchronous from an in-memory copy filled by {@link IndexedDBStorageAdapter#load};
+ * writes update the copy at once and are saved in the background.
+ *
+ * @example
+ * const storage = new IndexedDBStorageAdapter();
+ * await storage.load(); // Reads IndexedDB and migrates localStorage keys
+ * storage.setItem('jamf_currentSection', '"ipads"');
+ */
+export class IndexedDBStorageAdapter {
+    /**
+     * Record store ({ key, value })
+     * @type {import('../utils/IndexedDBStore.js').KeyValueStore}
+     * @private
+     */
+    #store;
+
+    /**
+     * localStorage side: migration source, non-state keys and fallback
+     * @type {LocalStorageAdapter}
+     * @private
+     */
+    #local;
+
+    /**
+     * In-memory copy of the IndexedDB records
+     * @type {Map<string, string>}
+     * @private
+     */
+    #cache = new Map();
+
+    /**
+     * True when IndexedDB could not be opened: every key stays in localStorage
+     * @type {boolean}
+     * @private
+     */
+    #useLocal = false;
+
+    /**
+     * Background writes not yet finished
+     * @type {Set<Promise<void>>}
+     * @private
+     */
+    #pending = new Set();
+
+    /**
+     * Creates a new IndexedDBStorageAdapter instance (nothing is read until load())
+     *
+     * @param {Object} [options={}] - Options
+     * @param {import('../utils/IndexedDBStore.js').KeyValueStore} [options.store] - Record store (defaults to IndexedDB)
+     * @param {LocalStorageAdapter} [options.localStorage] - localStorage side
+     */
+    constructor({ store = null, localStorage: local = null } = {}) {
+        this.#store = store || createKeyValueStore({
+            dbName: 'jamf-assistant-state',
+            storeName: 'state',
+            keyPath: 'key'
+        });
+        this.#local = local || new LocalStorageAdapter();
+    }
+
+    /**
+     * Data survives a page reload
+     * @type {boolean}
+     * @readonly
+     */
+    get isPersistent() {
+        return this.#useLocal ? this.#local.isPersistent : this.#store.isPersistent;
+    }
+
+    /**
+     * Loads the stored state and moves StateManager keys still in
+     * localStorage into IndexedDB (removing them from localStorage once
+     * saved). Falls back to localStorage if IndexedDB cannot be opened.
+     *
+     * @returns {Promise<number>} Number of keys migrated from localStorage
+     *
+     * @example
+     * const migrated = await storage.load();
+     */
+    async load() {
+        let records;
+        try {
+            records = await this.#store.getAll();
+        } catch (error) {
+            console.warn('[StateStorage] IndexedDB unavailable, using localStorage:', error);
+            this.#useLocal = true;
+            return 0;
+        }
+
+        records.forEach(({ key, value }) => this.#cache.set(key, value));
+
+        const legacyKeys = this.#local.keys().filter(isStateStorageKey);
+        let migrated = 0;
+
+        for (const key of legacyKeys) {
+            const value = this.#local.getItem(key);
+
+            // Data already in IndexedDB wins over a stale localStorage copy
+            if (!this.#cache.has(key) && value !== null) {
+                try {
+                    await this.#store.put({ key, value });
+                    this.#cache.set(key, value);
+                    migrated++;
+                } catch (error) {
+                    console.warn(`[StateStorage] Could not migrate "${key}":`, error);
+                    continue;
+                }
+            }
+
+            this.#local.removeItem(key);
+        }
+
+        if (migrated > 0) {
+            console.log(`[StateStorage] Migrated ${migrated} keys from localStorage to IndexedDB`);
+        }
+
+        return migrated;
+    }
+
+    /**
+     * Whether a key is kept in IndexedDB
+     * @param {string} key - Storage key
+     * @returns {boolean}
+     * @private
+     */
+    #inIndexedDB(key) {
+        return !this.#useLocal && isStateStorageKey(key);
+    }
+
+    /**
+     * Reads a value
+     *
+     * @param {string} key - Storage key
+     * @returns {string|null} Stored value or null
+     */
+    getItem(key) {
+        if (!this.#inIndexedDB(key)) return this.#local.getItem(key);
+        return this.#cache.get(key) ?? null;
+    }
+
+    /**
+     * Writes a value (saved to IndexedDB in the background)
+     *
+     * @param {string} key - Storage key
+     * @param {string} value - Serialized value
+     * @returns {Promise<void>|void} Pending save for IndexedDB keys; rejects if it fails
+     * @throws {DOMException} If a localStorage key does not fit
+     */
+    setItem(key, value) {
+        if (!this.#inIndexedDB(key)) {
+            this.#local.setItem(key, value);
+            return undefined;
+        }
+
+        this.#cache.set(key, value);
+        return this.#track(this.#store.put({ key, value }));
+    }
+
+    /**
+     * Removes a value
+     *
+     * @param {string} key - Storage key
+     * @returns {Promise<void>|void} Pending removal for IndexedDB keys
+     */
+    removeItem(key) {
+        if (!this.#inIndexedDB(key)) {
+            this.#local.removeItem(key);
+            return undefined;
+        }
+
+        this.#cache.delete(key);
+        return this.#track(this.#store.delete(key));
+    }
+
+    /**
+     * Removes this app's keys from IndexedDB and localStorage
+     *
+     * @returns {Promise<void>} Resolves once IndexedDB is cleared
+     */
+    clear() {
+        this.#local.clear();
+        this.#cache.clear();
+        return this.#track(this.#store.clear());
+    }
+
+    /**
+     * Updates the in-memory copy after another tab saved a change (it is
+     * already in IndexedDB, so nothing is written)
+     *
+     * @param {string|null} key - Changed storage key, or null if the storage was cleared
+     * @param {string|null} newValue - Serialized value, or null if removed
+     * @returns {void}
+     *
+     * @example
+     * channel.onmessage = ({ data }) => storage.applyRemoteChange(data.key, data.newValue);
+     */
+    applyRemoteChange(key, newValue) {
+        if (key === null) {
+            this.#cache.clear();
+        } else if (this.#inIndexedDB(key)) {
+            if (newValue === null) {
+                this.#cache.delete(key);
+            } else {
+                this.#cache.set(key, newValue);
+            }
+        }
+    }
+
+    /**
+     * Lists this app's keys (IndexedDB and localStorage)
+     *
+     * @returns {string[]} Storage keys
+     */
+    keys() {
+        return [...new Set([...this.#cache.keys(), ...this.#local.keys()])];
+    }
+
+    /**
+     * Number of this app's keys
+     * @type {number}
+     * @readonly
+     */
+    get length() {
+        return this.keys().length;
+    }
+
+    /**
+     * Gets the app key at an index
+     *
+     * @param {number} index - Key index
+     * @returns {string|null} Storage key or null
+     */
+    key(index) {
+        return this.keys()[index] ?? null;
+    }
+
+    /**
+     * Waits for the background writes
+     *
+     * @returns {Promise<void>}
+     *
+     * @example
+     * storage.setItem('jamf_key', '1');
+     * await storage.flush();
+     */
+    async flush() {
+        await Promise.allSettled([...this.#pending]);
+    }
+
+    /**
+     * Keeps a write in the pending set until it settles
+     * @param {Promise<void>} promise - Write in progress
+     * @returns {Promise<void>} The same write
+     * @private
+     */
+    #track(promise) {
+        this.#pending.add(promise);
+        promise.then(
+            () => this.#pending.delete(promise),
+            () => this.#pending.delete(promise)
+        );
+        return promise;
+    }
+}
+
+/**
+ * Creates the storage for StateManager: IndexedDB where available,
+ * otherwise the app's localStorage keys
+ *
+ * @returns {IndexedDBStorageAdapter|LocalStorageAdapter} Storage adapter
+ *
+ * @example
+ * const stateManager = new StateManager({ eventBus, storage: createStateStorage() });
+ */
+export function createStateStorage() {
+    if (typeof indexedDB !== 'undefined') {
+        return new IndexedDBStorageAdapter();
+    }
+
+    return new LocalStorageAdapter();
+}
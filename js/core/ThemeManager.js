@@ -21,7 +21,8 @@ import { AppEvents } from '../utils/EventBus.js';
 
 /**
  * Manages application theme (light/dark mode).
- * Handles theme persistence, toggling, and UI synchronization.
+ * Handles theme persistence, toggling, and UI synchronization, including
+ * theme changes made in other tabs or by a data import.
  *
  * @class ThemeManager
  * @example
@@ -110,9 +111,25 @@ export class ThemeManager {
     init() {
         this.#loadSavedTheme();
         this.#bindToggleButton();
+        this.#subscribeToStateChanges();
         this.#eventBus.emit(AppEvents.THEME_LOADED, this.#currentTheme);
     }
 
+    /**
+     * Applies theme changes that did not come from this manager
+     * @private
+     */
+    #subscribeToStateChanges() {
+        this.#stateManager.subscribe('theme', (theme) => {
+            const newTheme = this.#validateTheme(theme);
+            if (newTheme === this.#currentTheme) return;
+
+            this.#currentTheme = newTheme;
+            this.#applyTheme();
+            this.#eventBus.emit(AppEvents.THEME_CHANGED, this.#currentTheme);
+        });
+    }
+
     /**
      * Loads the saved theme from storage
      * @private
@@ -68,6 +68,7 @@ import { SidebarManager } from './SidebarManager.js';
 // ============================================================================
 import { SearchEngine } from '../features/SearchEngine.js';
 import { ChecklistManager } from '../features/ChecklistManager.js';
+import { ChecklistEditor } from '../features/ChecklistEditor.js';
 import { DiagnosticsManager } from '../features/DiagnosticsManager.js';
 import { GuideManager } from '../features/GuideManager.js';
 import { DataManager } from '../features/DataManager.js';
@@ -83,9 +84,12 @@ import { createGeminiValidator } from '../patterns/ValidatorChain.js';
 // ============================================================================
 import { RateLimiter } from '../chatbot/RateLimiter.js';
 import { EncryptionService } from '../chatbot/EncryptionService.js';
+import { ConversationStore } from '../chatbot/ConversationStore.js';
+import { FeedbackStore } from '../chatbot/FeedbackStore.js';
 import { ApiKeyManager } from '../chatbot/ApiKeyManager.js';
-import { GeminiClient } from '../chatbot/GeminiClient.js';
+import { PROVIDER_CATALOG, createLLMClient } from '../chatbot/LLMProviders.js';
 import { RAGEngine } from '../chatbot/RAGEngine.js';
+import { EmbeddingCache } from '../chatbot/EmbeddingCache.js';
 import { ChatUI } from '../chatbot/ChatUI.js';
 import { EventBus as ChatEventBus } from '../chatbot/EventBus.js';
 import { ChatbotCore } from '../chatbot/ChatbotCore.js';
@@ -141,7 +145,7 @@ export function createContainer(config = {}) {
 
     container.register('stateManager', StateManager, {
         lifecycle: 'singleton',
-        dependencies: ['eventBus']
+        dependencies: ['eventBus', 'toastManager']
     });
 
     container.register('themeManager', ThemeManager, {
@@ -203,6 +207,11 @@ export function createContainer(config = {}) {
         dependencies: ['eventBus', 'stateManager', 'modalManager']
     });
 
+    container.register('checklistEditor', ChecklistEditor, {
+        lifecycle: 'singleton',
+        dependencies: ['modalManager', 'checklistManager']
+    });
+
     container.register('guideManager', GuideManager, {
         lifecycle: 'singleton',
         dependencies: ['eventBus', 'modalManager']
@@ -210,7 +219,7 @@ export function createContainer(config = {}) {
 
     container.register('dataManager', DataManager, {
         lifecycle: 'singleton',
-        dependencies: ['eventBus', 'stateManager', 'modalManager']
+        dependencies: ['eventBus', 'stateManager', 'modalManager', 'conversationStore', 'embeddingCache', 'feedbackStore']
     });
 
     // ========================================================================
@@ -221,21 +230,53 @@ export function createContainer(config = {}) {
         lifecycle: 'singleton'
     });
 
+    // Encrypted chat threads in IndexedDB (also used by DataManager for RGPD export/delete)
+    container.register('conversationStore', ConversationStore, {
+        lifecycle: 'singleton',
+        dependencies: ['encryptionService']
+    });
+
+    // Encrypted ratings of chatbot answers (aggregated and exported by DataManager)
+    container.register('feedbackStore', FeedbackStore, {
+        lifecycle: 'singleton',
+        dependencies: ['encryptionService']
+    });
+
     // RateLimiter with custom configuration
     container.register('rateLimiter', () => new RateLimiter(rateLimitCalls, rateLimitWindow), {
         lifecycle: 'singleton',
         factory: true
     });
 
-    container.register('apiKeyManager', ApiKeyManager, {
+    // Supported LLM providers (Gemini, OpenAI-compatible, Anthropic)
+    container.register('llmProviderCatalog', () => PROVIDER_CATALOG, {
         lifecycle: 'singleton',
-        dependencies: ['encryptionService', 'validatorChain']
+        factory: true
     });
 
-    container.register('ragEngine', RAGEngine, {
+    container.register('apiKeyManager', (deps) => new ApiKeyManager({
+        encryptionService: deps.encryptionService,
+        validatorChain: deps.validatorChain,
+        providerCatalog: deps.llmProviderCatalog
+    }), {
+        lifecycle: 'singleton',
+        factory: true,
+        dependencies: ['encryptionService', 'validatorChain', 'llmProviderCatalog']
+    });
+
+    // Embedding vectors kept across sessions (also cleared by DataManager)
+    container.register('embeddingCache', EmbeddingCache, {
         lifecycle: 'singleton'
     });
 
+    container.register('ragEngine', (deps) => new RAGEngine(undefined, {
+        embeddingCache: deps.embeddingCache
+    }), {
+        lifecycle: 'singleton',
+        factory: true,
+        dependencies: ['embeddingCache']
+    });
+
     container.register('chatUI', ChatUI, {
         lifecycle: 'singleton'
     });
@@ -245,17 +286,17 @@ export function createContainer(config = {}) {
         lifecycle: 'singleton'
     });
 
-    // GeminiClient is created on-demand when API key is available
-    // We don't register it as a standalone service since it requires runtime API key
+    // LLM clients are created on-demand when API key is available
+    // We don't register them as standalone services since they require runtime API key
 
-    // GeminiClient factory - D-Principle: inject factory instead of class
-    container.registerFactory('geminiClientFactory', () => {
-        return (apiKey) => new GeminiClient(apiKey);
+    // LLM client factory - D-Principle: inject factory instead of classes
+    container.registerFactory('llmClientFactory', () => {
+        return (providerId, apiKey, options) => createLLMClient(providerId, apiKey, options);
     }, true);
 
     // ChatbotCore needs 'eventBus' but we want to give it the chat-specific one
     // We use a factory to map chatEventBus -> eventBus
-    // D-Principle: inject geminiClientFactory for runtime client creation
+    // D-Principle: inject llmClientFactory for runtime client creation
     container.register('chatbotCore', (deps) => {
         return new ChatbotCore({
             apiKeyManager: deps.apiKeyManager,
@@ -263,12 +304,14 @@ export function createContainer(config = {}) {
             chatUI: deps.chatUI,
             rateLimiter: deps.rateLimiter,
             eventBus: deps.chatEventBus,
-            geminiClientFactory: deps.geminiClientFactory
+            llmClientFactory: deps.llmClientFactory,
+            conversationStore: deps.conversationStore,
+            feedbackStore: deps.feedbackStore
         });
     }, {
         lifecycle: 'singleton',
         factory: true,
-        dependencies: ['apiKeyManager', 'ragEngine', 'chatUI', 'rateLimiter', 'chatEventBus', 'geminiClientFactory']
+        dependencies: ['apiKeyManager', 'ragEngine', 'chatUI', 'rateLimiter', 'chatEventBus', 'llmClientFactory', 'conversationStore', 'feedbackStore']
     });
 
     if (debug) {
@@ -358,8 +401,8 @@ export const SERVICE_REGISTRY = {
     stateManager: {
         class: 'StateManager',
         lifecycle: 'singleton',
-        dependencies: ['eventBus'],
-        description: 'Application state persistence and management'
+        dependencies: ['eventBus', 'toastManager'],
+        description: 'Application state persistence (IndexedDB, namespaced app keys) and management'
     },
     themeManager: {
         class: 'ThemeManager',
@@ -405,7 +448,7 @@ export const SERVICE_REGISTRY = {
         class: 'SearchEngine',
         lifecycle: 'singleton',
         dependencies: ['eventBus'],
-        description: 'Knowledge base search functionality'
+        description: 'Unified search over guides, checklists, diagnostics and docs.json'
     },
     diagnosticsManager: {
         class: 'DiagnosticsManager',
@@ -419,6 +462,12 @@ export const SERVICE_REGISTRY = {
         dependencies: ['eventBus', 'stateManager', 'modalManager'],
         description: 'Checklist management and persistence'
     },
+    checklistEditor: {
+        class: 'ChecklistEditor',
+        lifecycle: 'singleton',
+        dependencies: ['modalManager', 'checklistManager'],
+        description: 'Editor of user-authored checklists'
+    },
     guideManager: {
         class: 'GuideManager',
         lifecycle: 'singleton',
@@ -428,8 +477,8 @@ export const SERVICE_REGISTRY = {
     dataManager: {
         class: 'DataManager',
         lifecycle: 'singleton',
-        dependencies: ['eventBus', 'stateManager', 'modalManager'],
-        description: 'User data export/delete (GDPR)'
+        dependencies: ['eventBus', 'stateManager', 'modalManager', 'conversationStore', 'embeddingCache', 'feedbackStore'],
+        description: 'User data export/import/delete (GDPR)'
     },
 
     // Chatbot
@@ -439,22 +488,46 @@ export const SERVICE_REGISTRY = {
         dependencies: [],
         description: 'AES-256-GCM encryption for API keys'
     },
+    conversationStore: {
+        class: 'ConversationStore',
+        lifecycle: 'singleton',
+        dependencies: ['encryptionService'],
+        description: 'Encrypted chatbot conversation threads (IndexedDB)'
+    },
+    feedbackStore: {
+        class: 'FeedbackStore',
+        lifecycle: 'singleton',
+        dependencies: ['encryptionService'],
+        description: 'Encrypted ratings of chatbot answers (IndexedDB)'
+    },
     rateLimiter: {
         class: 'RateLimiter',
         lifecycle: 'singleton',
         dependencies: [],
         description: 'API call rate limiting'
     },
+    llmProviderCatalog: {
+        class: 'Array',
+        lifecycle: 'singleton',
+        dependencies: [],
+        description: 'Supported LLM providers (Gemini, OpenAI-compatible, Anthropic)'
+    },
     apiKeyManager: {
         class: 'ApiKeyManager',
         lifecycle: 'singleton',
-        dependencies: ['encryptionService', 'validatorChain'],
-        description: 'API key storage and validation'
+        dependencies: ['encryptionService', 'validatorChain', 'llmProviderCatalog'],
+        description: 'Per-provider API key storage and validation'
+    },
+    embeddingCache: {
+        class: 'EmbeddingCache',
+        lifecycle: 'singleton',
+        dependencies: [],
+        description: 'Persistent embedding vectors (IndexedDB)'
     },
     ragEngine: {
         class: 'RAGEngine',
         lifecycle: 'singleton',
-        dependencies: [],
+        dependencies: ['embeddingCache'],
         description: 'Retrieval-Augmented Generation for documents'
     },
     chatUI: {
@@ -469,16 +542,16 @@ export const SERVICE_REGISTRY = {
         dependencies: [],
         description: 'Chatbot-specific event bus'
     },
-    geminiClientFactory: {
+    llmClientFactory: {
         class: 'Function',
         lifecycle: 'singleton',
         dependencies: [],
-        description: 'Factory function to create GeminiClient instances (D-Principle)'
+        description: 'Factory function to create LLM provider clients (D-Principle)'
     },
     chatbotCore: {
         class: 'ChatbotCore',
         lifecycle: 'singleton',
-        dependencies: ['apiKeyManager', 'ragEngine', 'chatUI', 'rateLimiter', 'chatEventBus', 'geminiClientFactory'],
+        dependencies: ['apiKeyManager', 'ragEngine', 'chatUI', 'rateLimiter', 'chatEventBus', 'llmClientFactory', 'conversationStore', 'feedbackStore'],
         description: 'Main chatbot orchestrator (factory maps chatEventBus -> eventBus)'
     }
 };
@@ -4,11 +4,15 @@
  *
  * @module KnowledgeChecklists
  * @version 2.0.0
- * @lastUpdated 2025-12-24
+ * @lastUpdated 2026-10-19
+ *
+ * Saved progress refers to items by `id`: items can be reordered or reworded
+ * freely, but an id must never change or be reused for a different task.
  */
 
 /**
  * @typedef {Object} ChecklistItem
+ * @property {string} id - Stable identifier, unique within the checklist
  * @property {string} text - Description of the checklist item
  * @property {boolean} done - Whether the item is completed
  */
@@ -32,15 +36,15 @@ export const newIpad = {
     category: 'Dispositivos',
     estimatedTime: '15-20 min',
     items: [
-        { text: 'Verificar numero de serie en Apple School Manager (school.apple.com)', done: false },
-        { text: 'Comprobar asignacion al servidor Jamf en ASM', done: false },
-        { text: 'Encender y conectar a WiFi del centro', done: false },
-        { text: 'Aceptar perfil de gestion remota (debe aparecer automaticamente)', done: false },
-        { text: 'Verificar que aparece en Jamf como "Managed" (Gestionado)', done: false },
-        { text: 'Asignar a Smart Group correspondiente (ej: "iPads 1 ESO")', done: false },
-        { text: 'Verificar instalacion automatica de apps', done: false },
-        { text: 'Etiquetar dispositivo fisicamente con numero de inventario', done: false },
-        { text: 'Documentar asignacion al alumno (nombre, curso)', done: false }
+        { id: 'verificar-numero-serie', text: 'Verificar numero de serie en Apple School Manager (school.apple.com)', done: false },
+        { id: 'comprobar-asignacion-servidor', text: 'Comprobar asignacion al servidor Jamf en ASM', done: false },
+        { id: 'encender-conectar-wifi', text: 'Encender y conectar a WiFi del centro', done: false },
+        { id: 'aceptar-perfil-gestion', text: 'Aceptar perfil de gestion remota (debe aparecer automaticamente)', done: false },
+        { id: 'verificar-managed-jamf', text: 'Verificar que aparece en Jamf como "Managed" (Gestionado)', done: false },
+        { id: 'asignar-smart-group', text: 'Asignar a Smart Group correspondiente (ej: "iPads 1 ESO")', done: false },
+        { id: 'verificar-instalacion-automatica', text: 'Verificar instalacion automatica de apps', done: false },
+        { id: 'etiquetar-dispositivo-fisicamente', text: 'Etiquetar dispositivo fisicamente con numero de inventario', done: false },
+        { id: 'documentar-asignacion-alumno', text: 'Documentar asignacion al alumno (nombre, curso)', done: false }
     ]
 };
 
@@ -54,18 +58,18 @@ export const newMac = {
     category: 'Dispositivos',
     estimatedTime: '30-45 min',
     items: [
-        { text: 'Verificar en Apple School Manager (school.apple.com)', done: false },
-        { text: 'Comprobar asignacion al servidor Jamf en ASM', done: false },
-        { text: 'Borrar disco si tiene datos previos', done: false },
-        { text: 'Reinstalar macOS limpio', done: false },
-        { text: 'Conectar a red y aceptar gestion remota', done: false },
-        { text: 'Verificar enrollment en Jamf como "Managed"', done: false },
-        { text: 'Crear cuenta de usuario local para el profesor', done: false },
-        { text: 'Ejecutar politicas de configuracion automatica', done: false },
-        { text: 'Instalar software necesario (Office, navegadores, etc.)', done: false },
-        { text: 'Configurar impresoras del centro', done: false },
-        { text: 'Documentar asignacion al profesor (nombre, departamento)', done: false },
-        { text: 'Etiquetar dispositivo fisicamente', done: false }
+        { id: 'verificar-apple-school', text: 'Verificar en Apple School Manager (school.apple.com)', done: false },
+        { id: 'comprobar-asignacion-servidor', text: 'Comprobar asignacion al servidor Jamf en ASM', done: false },
+        { id: 'borrar-disco-datos', text: 'Borrar disco si tiene datos previos', done: false },
+        { id: 'reinstalar-macos-limpio', text: 'Reinstalar macOS limpio', done: false },
+        { id: 'conectar-red-aceptar', text: 'Conectar a red y aceptar gestion remota', done: false },
+        { id: 'verificar-enrollment-jamf', text: 'Verificar enrollment en Jamf como "Managed"', done: false },
+        { id: 'crear-cuenta-usuario', text: 'Crear cuenta de usuario local para el profesor', done: false },
+        { id: 'ejecutar-politicas-configuracion', text: 'Ejecutar politicas de configuracion automatica', done: false },
+        { id: 'instalar-software-necesario', text: 'Instalar software necesario (Office, navegadores, etc.)', done: false },
+        { id: 'configurar-impresoras-centro', text: 'Configurar impresoras del centro', done: false },
+        { id: 'documentar-asignacion-profesor', text: 'Documentar asignacion al profesor (nombre, departamento)', done: false },
+        { id: 'etiquetar-dispositivo-fisicamente', text: 'Etiquetar dispositivo fisicamente', done: false }
     ]
 };
 
@@ -79,25 +83,25 @@ export const startYear = {
     category: 'Curso Escolar',
     estimatedTime: '2-3 dias',
     items: [
-        { text: 'Inventario completo de todos los dispositivos (iPads y Macs)', done: false },
-        { text: 'Verificar estado de baterias de todos los iPads', done: false },
-        { text: 'Actualizar iPadOS/macOS a la ultima version estable', done: false },
-        { text: 'Importar nuevos alumnos y profesores en Apple School Manager', done: false },
-        { text: 'Crear nuevas clases en Apple School Manager', done: false },
-        { text: 'Verificar sincronizacion de clases con Jamf School', done: false },
-        { text: 'Actualizar Smart Groups con alumnos del nuevo curso', done: false },
-        { text: 'Revisar y actualizar perfiles de restriccion por curso/edad', done: false },
-        { text: 'Distribuir apps necesarias para el nuevo curso', done: false },
-        { text: 'Verificar que la app Aula funciona en todas las clases', done: false },
-        { text: 'Formar a nuevos profesores en el uso de la app Aula', done: false },
-        { text: 'Formar a profesores en el uso de Jamf Teacher (si se usa)', done: false },
-        { text: 'Probar Self Service en Macs de profesores', done: false },
-        { text: 'Verificar conectividad WiFi en todas las aulas', done: false },
-        { text: 'Verificar que Bluetooth funciona en todos los dispositivos', done: false },
-        { text: 'Preparar iPads de repuesto para prestamos/sustituciones', done: false },
-        { text: 'Revisar y documentar incidencias del curso anterior', done: false },
-        { text: 'Backup de configuraciones actuales de Jamf', done: false },
-        { text: 'Actualizar base de conocimiento con cambios del nuevo curso', done: false }
+        { id: 'inventario-completo-todos', text: 'Inventario completo de todos los dispositivos (iPads y Macs)', done: false },
+        { id: 'verificar-estado-baterias', text: 'Verificar estado de baterias de todos los iPads', done: false },
+        { id: 'actualizar-ipados-macos', text: 'Actualizar iPadOS/macOS a la ultima version estable', done: false },
+        { id: 'importar-nuevos-alumnos', text: 'Importar nuevos alumnos y profesores en Apple School Manager', done: false },
+        { id: 'crear-nuevas-clases', text: 'Crear nuevas clases en Apple School Manager', done: false },
+        { id: 'verificar-sincronizacion-clases', text: 'Verificar sincronizacion de clases con Jamf School', done: false },
+        { id: 'actualizar-smart-groups', text: 'Actualizar Smart Groups con alumnos del nuevo curso', done: false },
+        { id: 'revisar-actualizar-perfiles', text: 'Revisar y actualizar perfiles de restriccion por curso/edad', done: false },
+        { id: 'distribuir-apps-necesarias', text: 'Distribuir apps necesarias para el nuevo curso', done: false },
+        { id: 'verificar-app-aula', text: 'Verificar que la app Aula funciona en todas las clases', done: false },
+        { id: 'formar-profesores-aula', text: 'Formar a nuevos profesores en el uso de la app Aula', done: false },
+        { id: 'formar-profesores-teacher', text: 'Formar a profesores en el uso de Jamf Teacher (si se usa)', done: false },
+        { id: 'probar-self-service', text: 'Probar Self Service en Macs de profesores', done: false },
+        { id: 'verificar-conectividad-wifi', text: 'Verificar conectividad WiFi en todas las aulas', done: false },
+        { id: 'verificar-bluetooth-funciona', text: 'Verificar que Bluetooth funciona en todos los dispositivos', done: false },
+        { id: 'preparar-ipads-repuesto', text: 'Preparar iPads de repuesto para prestamos/sustituciones', done: false },
+        { id: 'revisar-documentar-incidencias', text: 'Revisar y documentar incidencias del curso anterior', done: false },
+        { id: 'backup-configuraciones-actuales', text: 'Backup de configuraciones actuales de Jamf', done: false },
+        { id: 'actualizar-base-conocimiento', text: 'Actualizar base de conocimiento con cambios del nuevo curso', done: false }
     ]
 };
 
@@ -111,20 +115,20 @@ export const endYear = {
     category: 'Curso Escolar',
     estimatedTime: '1-2 dias',
     items: [
-        { text: 'Recoger todos los iPads de los alumnos', done: false },
-        { text: 'Verificar estado fisico de cada dispositivo (pantalla, carcasa)', done: false },
-        { text: 'Documentar dispositivos danados para reparacion', done: false },
-        { text: 'Verificar que todos los iPads estan en el inventario de Jamf', done: false },
-        { text: 'Cerrar sesion de iCloud en iPads personalizados', done: false },
-        { text: 'Borrar contenido de usuarios en iPads compartidos (Shared iPad)', done: false },
-        { text: 'Actualizar iPadOS a ultima version antes de guardar', done: false },
-        { text: 'Cargar todos los dispositivos al 50-80% para almacenamiento', done: false },
-        { text: 'Guardar dispositivos en lugar seguro y climatizado', done: false },
-        { text: 'Desactivar alumnos que se van en Apple School Manager', done: false },
-        { text: 'Archivar clases del curso actual en ASM', done: false },
-        { text: 'Documentar lecciones aprendidas del curso', done: false },
-        { text: 'Planificar compras o renovaciones para el proximo curso', done: false },
-        { text: 'Backup completo de configuracion de Jamf School', done: false }
+        { id: 'recoger-todos-ipads', text: 'Recoger todos los iPads de los alumnos', done: false },
+        { id: 'verificar-estado-fisico', text: 'Verificar estado fisico de cada dispositivo (pantalla, carcasa)', done: false },
+        { id: 'documentar-dispositivos-danados', text: 'Documentar dispositivos danados para reparacion', done: false },
+        { id: 'verificar-inventario-jamf', text: 'Verificar que todos los iPads estan en el inventario de Jamf', done: false },
+        { id: 'cerrar-sesion-icloud', text: 'Cerrar sesion de iCloud en iPads personalizados', done: false },
+        { id: 'borrar-contenido-usuarios', text: 'Borrar contenido de usuarios en iPads compartidos (Shared iPad)', done: false },
+        { id: 'actualizar-ipados-ultima', text: 'Actualizar iPadOS a ultima version antes de guardar', done: false },
+        { id: 'cargar-todos-dispositivos', text: 'Cargar todos los dispositivos al 50-80% para almacenamiento', done: false },
+        { id: 'guardar-dispositivos-lugar', text: 'Guardar dispositivos en lugar seguro y climatizado', done: false },
+        { id: 'desactivar-alumnos-salientes', text: 'Desactivar alumnos que se van en Apple School Manager', done: false },
+        { id: 'archivar-clases-curso', text: 'Archivar clases del curso actual en ASM', done: false },
+        { id: 'documentar-lecciones-aprendidas', text: 'Documentar lecciones aprendidas del curso', done: false },
+        { id: 'planificar-compras-renovaciones', text: 'Planificar compras o renovaciones para el proximo curso', done: false },
+        { id: 'backup-completo-configuracion', text: 'Backup completo de configuracion de Jamf School', done: false }
     ]
 };
 
@@ -138,21 +142,21 @@ export const newTeacher = {
     category: 'Personal',
     estimatedTime: '30-45 min',
     items: [
-        { text: 'Crear usuario en Apple School Manager (school.apple.com)', done: false },
-        { text: 'Asignar rol de "Profesor" en ASM', done: false },
-        { text: 'Asignar a las clases correspondientes en ASM', done: false },
-        { text: 'Verificar sincronizacion del usuario con Jamf School', done: false },
-        { text: 'Asignar Mac del centro (si corresponde)', done: false },
-        { text: 'Crear cuenta de usuario en el Mac', done: false },
-        { text: 'Instalar app Aula en su iPad personal o del centro', done: false },
-        { text: 'Verificar que ve sus clases en la app Aula', done: false },
-        { text: 'Instalar app Jamf Teacher (si se usa)', done: false },
-        { text: 'Formacion basica: Como usar la app Aula', done: false },
-        { text: 'Formacion: Como bloquear/desbloquear iPads de alumnos', done: false },
-        { text: 'Formacion: Como ver pantallas de alumnos', done: false },
-        { text: 'Formacion: Como abrir una app en todos los iPads', done: false },
-        { text: 'Entregar guia rapida de referencia (fisica o digital)', done: false },
-        { text: 'Anadir a canal de soporte tecnico (email, chat, etc.)', done: false }
+        { id: 'crear-usuario-apple', text: 'Crear usuario en Apple School Manager (school.apple.com)', done: false },
+        { id: 'asignar-rol-profesor', text: 'Asignar rol de "Profesor" en ASM', done: false },
+        { id: 'asignar-clases-correspondientes', text: 'Asignar a las clases correspondientes en ASM', done: false },
+        { id: 'verificar-sincronizacion-usuario', text: 'Verificar sincronizacion del usuario con Jamf School', done: false },
+        { id: 'asignar-mac-centro', text: 'Asignar Mac del centro (si corresponde)', done: false },
+        { id: 'crear-cuenta-usuario', text: 'Crear cuenta de usuario en el Mac', done: false },
+        { id: 'instalar-app-aula', text: 'Instalar app Aula en su iPad personal o del centro', done: false },
+        { id: 'verificar-clases-aula', text: 'Verificar que ve sus clases en la app Aula', done: false },
+        { id: 'instalar-jamf-teacher', text: 'Instalar app Jamf Teacher (si se usa)', done: false },
+        { id: 'formacion-aula-basica', text: 'Formacion basica: Como usar la app Aula', done: false },
+        { id: 'formacion-bloquear-desbloquear', text: 'Formacion: Como bloquear/desbloquear iPads de alumnos', done: false },
+        { id: 'formacion-ver-pantallas', text: 'Formacion: Como ver pantallas de alumnos', done: false },
+        { id: 'formacion-abrir-app', text: 'Formacion: Como abrir una app en todos los iPads', done: false },
+        { id: 'entregar-guia-rapida', text: 'Entregar guia rapida de referencia (fisica o digital)', done: false },
+        { id: 'anadir-canal-soporte', text: 'Anadir a canal de soporte tecnico (email, chat, etc.)', done: false }
     ]
 };
 
@@ -166,16 +170,16 @@ export const studentLeaves = {
     category: 'Dispositivos',
     estimatedTime: '10-15 min',
     items: [
-        { text: 'Verificar numero de serie del dispositivo', done: false },
-        { text: 'Comprobar estado fisico (pantalla, carcasa, botones)', done: false },
-        { text: 'Documentar danos si los hay (con fotos)', done: false },
-        { text: 'Verificar que incluye cargador y cable original', done: false },
-        { text: 'Cerrar sesion de iCloud en el dispositivo', done: false },
-        { text: 'Borrar contenido y ajustes (Ajustes -> General -> Restablecer)', done: false },
-        { text: 'En Jamf: Reasignar dispositivo o dejar sin usuario', done: false },
-        { text: 'Actualizar inventario: marcar como "Disponible"', done: false },
-        { text: 'Guardar en armario de dispositivos de reserva', done: false },
-        { text: 'Actualizar registro del alumno (dispositivo devuelto)', done: false }
+        { id: 'verificar-numero-serie', text: 'Verificar numero de serie del dispositivo', done: false },
+        { id: 'comprobar-estado-fisico', text: 'Comprobar estado fisico (pantalla, carcasa, botones)', done: false },
+        { id: 'documentar-danos', text: 'Documentar danos si los hay (con fotos)', done: false },
+        { id: 'verificar-incluye-cargador', text: 'Verificar que incluye cargador y cable original', done: false },
+        { id: 'cerrar-sesion-icloud', text: 'Cerrar sesion de iCloud en el dispositivo', done: false },
+        { id: 'borrar-contenido-ajustes', text: 'Borrar contenido y ajustes (Ajustes -> General -> Restablecer)', done: false },
+        { id: 'jamf-reasignar-dispositivo', text: 'En Jamf: Reasignar dispositivo o dejar sin usuario', done: false },
+        { id: 'actualizar-inventario-marcar', text: 'Actualizar inventario: marcar como "Disponible"', done: false },
+        { id: 'guardar-armario-dispositivos', text: 'Guardar en armario de dispositivos de reserva', done: false },
+        { id: 'actualizar-registro-alumno', text: 'Actualizar registro del alumno (dispositivo devuelto)', done: false }
     ]
 };
 
@@ -189,19 +193,19 @@ export const aulaNotWorking = {
     category: 'Soporte',
     estimatedTime: '10-20 min',
     items: [
-        { text: 'Verificar Bluetooth activado en iPad del PROFESOR', done: false },
-        { text: 'Verificar Bluetooth activado en iPads de ALUMNOS', done: false },
-        { text: 'Verificar que todos estan en la MISMA red WiFi', done: false },
-        { text: 'Preguntar a IT si hay "Client Isolation" en la WiFi', done: false },
-        { text: 'Verificar que la clase existe en Apple School Manager', done: false },
-        { text: 'Verificar que el profesor esta asignado a la clase en ASM', done: false },
-        { text: 'Verificar sincronizacion de la clase en Jamf School', done: false },
-        { text: 'Enviar "Blank Push" a dispositivos desde Jamf', done: false },
-        { text: 'Cerrar completamente la app Aula y volver a abrirla', done: false },
-        { text: 'Reiniciar iPad del profesor', done: false },
-        { text: 'Reiniciar iPads de alumnos problematicos', done: false },
-        { text: 'Verificar que iPads son supervisados (Ajustes -> General -> Info)', done: false },
-        { text: 'Si nada funciona: contactar soporte Jamf', done: false }
+        { id: 'bluetooth-profesor', text: 'Verificar Bluetooth activado en iPad del PROFESOR', done: false },
+        { id: 'bluetooth-alumnos', text: 'Verificar Bluetooth activado en iPads de ALUMNOS', done: false },
+        { id: 'misma-red-wifi', text: 'Verificar que todos estan en la MISMA red WiFi', done: false },
+        { id: 'client-isolation-wifi', text: 'Preguntar a IT si hay "Client Isolation" en la WiFi', done: false },
+        { id: 'verificar-clase-existe', text: 'Verificar que la clase existe en Apple School Manager', done: false },
+        { id: 'profesor-asignado-clase', text: 'Verificar que el profesor esta asignado a la clase en ASM', done: false },
+        { id: 'verificar-sincronizacion-clase', text: 'Verificar sincronizacion de la clase en Jamf School', done: false },
+        { id: 'enviar-blank-push', text: 'Enviar "Blank Push" a dispositivos desde Jamf', done: false },
+        { id: 'cerrar-completamente-app', text: 'Cerrar completamente la app Aula y volver a abrirla', done: false },
+        { id: 'reiniciar-ipad-profesor', text: 'Reiniciar iPad del profesor', done: false },
+        { id: 'reiniciar-ipads-alumnos', text: 'Reiniciar iPads de alumnos problematicos', done: false },
+        { id: 'ipads-supervisados', text: 'Verificar que iPads son supervisados (Ajustes -> General -> Info)', done: false },
+        { id: 'contactar-soporte-jamf', text: 'Si nada funciona: contactar soporte Jamf', done: false }
     ]
 };
 
@@ -215,12 +219,12 @@ export const dailyCheck = {
     category: 'Soporte',
     estimatedTime: '5-10 min',
     items: [
-        { text: 'Revisar alertas en consola de Jamf School', done: false },
-        { text: 'Verificar estado de conexion de dispositivos criticos', done: false },
-        { text: 'Revisar tickets de soporte pendientes', done: false },
-        { text: 'Comprobar que no hay actualizaciones pendientes criticas', done: false },
-        { text: 'Verificar que la sincronizacion con ASM esta funcionando', done: false },
-        { text: 'Revisar dispositivos que no han conectado en 7+ dias', done: false }
+        { id: 'revisar-alertas-consola', text: 'Revisar alertas en consola de Jamf School', done: false },
+        { id: 'verificar-estado-conexion', text: 'Verificar estado de conexion de dispositivos criticos', done: false },
+        { id: 'revisar-tickets-soporte', text: 'Revisar tickets de soporte pendientes', done: false },
+        { id: 'actualizaciones-criticas', text: 'Comprobar que no hay actualizaciones pendientes criticas', done: false },
+        { id: 'verificar-sincronizacion-asm', text: 'Verificar que la sincronizacion con ASM esta funcionando', done: false },
+        { id: 'dispositivos-sin-conexion', text: 'Revisar dispositivos que no han conectado en 7+ dias', done: false }
     ]
 };
 
@@ -234,15 +238,15 @@ export const weeklyMaintenance = {
     category: 'Soporte',
     estimatedTime: '1-2 horas',
     items: [
-        { text: 'Revisar informe de dispositivos con bateria baja', done: false },
-        { text: 'Verificar dispositivos con almacenamiento casi lleno', done: false },
-        { text: 'Revisar apps que necesitan actualizacion', done: false },
-        { text: 'Comprobar caducidad de perfiles y certificados', done: false },
-        { text: 'Revisar logs de errores en Jamf School', done: false },
-        { text: 'Actualizar documentacion si hubo cambios', done: false },
-        { text: 'Backup de configuracion de Jamf (si es manual)', done: false },
-        { text: 'Revisar estadisticas de uso de apps', done: false },
-        { text: 'Preparar resumen semanal para direccion (opcional)', done: false }
+        { id: 'revisar-bateria-baja', text: 'Revisar informe de dispositivos con bateria baja', done: false },
+        { id: 'almacenamiento-casi-lleno', text: 'Verificar dispositivos con almacenamiento casi lleno', done: false },
+        { id: 'apps-pendientes-actualizar', text: 'Revisar apps que necesitan actualizacion', done: false },
+        { id: 'comprobar-caducidad-perfiles', text: 'Comprobar caducidad de perfiles y certificados', done: false },
+        { id: 'revisar-logs-errores', text: 'Revisar logs de errores en Jamf School', done: false },
+        { id: 'actualizar-documentacion', text: 'Actualizar documentacion si hubo cambios', done: false },
+        { id: 'backup-configuracion-jamf', text: 'Backup de configuracion de Jamf (si es manual)', done: false },
+        { id: 'revisar-estadisticas-uso', text: 'Revisar estadisticas de uso de apps', done: false },
+        { id: 'preparar-resumen-semanal', text: 'Preparar resumen semanal para direccion (opcional)', done: false }
     ]
 };
 
@@ -256,17 +260,17 @@ export const prepareExam = {
     category: 'Aula',
     estimatedTime: '15-20 min',
     items: [
-        { text: 'Crear perfil de restriccion especifico para examen en Jamf', done: false },
-        { text: 'Bloquear acceso a Safari y navegadores', done: false },
-        { text: 'Bloquear acceso a AirDrop durante el examen', done: false },
-        { text: 'Bloquear acceso a mensajes y comunicacion', done: false },
-        { text: 'Permitir solo la app de examen (si es especifica)', done: false },
-        { text: 'Crear Smart Group temporal para los iPads del examen', done: false },
-        { text: 'Asignar perfil de examen al Smart Group', done: false },
-        { text: 'Verificar que la restriccion se aplica (probar en 1 iPad)', done: false },
-        { text: 'Informar al profesor de como usar Aula durante el examen', done: false },
-        { text: 'DESPUES: Retirar el perfil de examen del Smart Group', done: false },
-        { text: 'DESPUES: Verificar que los iPads vuelven a la normalidad', done: false }
+        { id: 'crear-perfil-restriccion', text: 'Crear perfil de restriccion especifico para examen en Jamf', done: false },
+        { id: 'bloquear-acceso-safari', text: 'Bloquear acceso a Safari y navegadores', done: false },
+        { id: 'bloquear-acceso-airdrop', text: 'Bloquear acceso a AirDrop durante el examen', done: false },
+        { id: 'bloquear-acceso-mensajes', text: 'Bloquear acceso a mensajes y comunicacion', done: false },
+        { id: 'permitir-solo-app-examen', text: 'Permitir solo la app de examen (si es especifica)', done: false },
+        { id: 'crear-smart-group', text: 'Crear Smart Group temporal para los iPads del examen', done: false },
+        { id: 'asignar-perfil-examen', text: 'Asignar perfil de examen al Smart Group', done: false },
+        { id: 'verificar-restriccion-aplica', text: 'Verificar que la restriccion se aplica (probar en 1 iPad)', done: false },
+        { id: 'informar-profesor', text: 'Informar al profesor de como usar Aula durante el examen', done: false },
+        { id: 'despues-retirar-perfil', text: 'DESPUES: Retirar el perfil de examen del Smart Group', done: false },
+        { id: 'despues-verificar-ipads', text: 'DESPUES: Verificar que los iPads vuelven a la normalidad', done: false }
     ]
 };
 
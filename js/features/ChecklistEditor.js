@@ -0,0 +1,290 @@
+/**
+ * @fileoverview Editor of custom checklists
+ * @module features/ChecklistEditor
+ * @version 1.0.0
+ * @author Jamf Assistant Team
+ * @license MIT
+ */
+
+/**
+ * @typedef {Object} ChecklistDraft
+ * @property {string|null} id - Custom checklist being edited, or null for a new one
+ * @property {string} title - Checklist title
+ * @property {string} category - Category label
+ * @property {string} estimatedTime - Time estimate
+ * @property {Array<{id?: string, text: string}>} items - Items in order
+ */
+
+/**
+ * @typedef {Object} ChecklistEditorDependencies
+ * @property {import('../core/ModalManager.js').ModalManager} modalManager - Modal manager
+ * @property {import('./ChecklistManager.js').ChecklistManager} checklistManager - Stores the checklists
+ * @property {Document} [document] - Document reference (for testing)
+ */
+
+/**
+ * Edits custom checklists in the modal: title, category, estimated time
+ * and the items, which can be added, reordered and removed. Saving goes
+ * through {@link ChecklistManager#saveCustomChecklist}.
+ *
+ * @class ChecklistEditor
+ * @example
+ * const editor = new ChecklistEditor({ modalManager, checklistManager });
+ *
+ * editor.open();                                  // new checklist
+ * editor.open(checklistManager.duplicateChecklist('newIpad'));
+ */
+export class ChecklistEditor {
+    /**
+     * Modal manager for display
+     * @type {import('../core/ModalManager.js').ModalManager}
+     * @private
+     */
+    #modalManager;
+
+    /**
+     * Checklist manager that stores the checklists
+     * @type {import('./ChecklistManager.js').ChecklistManager}
+     * @private
+     */
+    #checklistManager;
+
+    /**
+     * Document reference
+     * @type {Document|null}
+     * @private
+     */
+    #document;
+
+    /**
+     * Checklist being edited
+     * @type {ChecklistDraft|null}
+     * @private
+     */
+    #draft = null;
+
+    /**
+     * Creates a new ChecklistEditor instance
+     *
+     * @param {ChecklistEditorDependencies} dependencies - Injected dependencies
+     * @throws {TypeError} If required dependencies are missing
+     */
+    constructor({ modalManager, checklistManager, document: doc = null }) {
+        if (!modalManager) {
+            throw new TypeError('ChecklistEditor requires a ModalManager instance');
+        }
+        if (!checklistManager) {
+            throw new TypeError('ChecklistEditor requires a ChecklistManager instance');
+        }
+
+        this.#modalManager = modalManager;
+        this.#checklistManager = checklistManager;
+        this.#document = doc || (typeof document !== 'undefined' ? document : null);
+    }
+
+    /**
+     * Opens the editor
+     *
+     * @param {string|null} [checklistId=null] - Custom checklist to edit (omit to create one)
+     * @returns {boolean} True if the editor was opened
+     *
+     * @example
+     * checklistEditor.open('custom-lx2k9a-4f7h2c');
+     */
+    open(checklistId = null) {
+        if (checklistId) {
+            const checklist = this.#checklistManager.getChecklist(checklistId);
+            if (!checklist || !this.#checklistManager.isCustomChecklist(checklistId)) {
+                console.warn(`[ChecklistEditor] Not a custom checklist: ${checklistId}`);
+                return false;
+            }
+
+            this.#draft = {
+                id: checklistId,
+                title: checklist.title,
+                category: checklist.category === 'Mis checklists' ? '' : checklist.category,
+                estimatedTime: checklist.estimatedTime,
+                items: checklist.items.map(item => ({ id: item.id, text: item.text }))
+            };
+        } else {
+            this.#draft = { id: null, title: '', category: '', estimatedTime: '', items: [{ text: '' }] };
+        }
+
+        this.#render();
+        return true;
+    }
+
+    /**
+     * Shows the draft in the modal
+     * @param {string} [error=''] - Validation message
+     * @private
+     */
+    #render(error = '') {
+        const draft = this.#draft;
+        const last = draft.items.length - 1;
+
+        this.#modalManager.show(`
+            <h2><i class="ri-edit-line"></i> ${draft.id ? 'Editar checklist' : 'Nueva checklist'}</h2>
+            <div class="checklist-editor">
+                <div class="checklist-run-fields">
+                    <label>Titulo
+                        <input type="text" id="editorTitle" value="${this.#escapeHtml(draft.title)}" placeholder="Ej: Etiquetado de iPads">
+                    </label>
+                    <label>Categoria
+                        <input type="text" id="editorCategory" value="${this.#escapeHtml(draft.category)}" placeholder="Mis checklists">
+                    </label>
+                    <label>Tiempo estimado
+                        <input type="text" id="editorEstimatedTime" value="${this.#escapeHtml(draft.estimatedTime)}" placeholder="Ej: 15-20 min">
+                    </label>
+                </div>
+                <h4>Tareas</h4>
+                <ol class="checklist-editor-items">
+                    ${draft.items.map((item, idx) => `
+                        <li class="checklist-editor-item">
+                            <input type="text" class="checklist-editor-text" data-idx="${idx}"
+                                   value="${this.#escapeHtml(item.text)}" placeholder="Describe la tarea">
+                            <button class="checklist-editor-up" data-idx="${idx}" title="Subir" ${idx === 0 ? 'disabled' : ''}>
+                                <i class="ri-arrow-up-line"></i>
+                            </button>
+                            <button class="checklist-editor-down" data-idx="${idx}" title="Bajar" ${idx === last ? 'disabled' : ''}>
+                                <i class="ri-arrow-down-line"></i>
+                            </button>
+                            <button class="checklist-editor-remove" data-idx="${idx}" title="Quitar tarea">
+                                <i class="ri-close-line"></i>
+                            </button>
+                        </li>
+                    `).join('')}
+                </ol>
+                <button class="checklist-run-tab" id="editorAddItem">
+                    <i class="ri-add-line"></i> Anadir tarea
+                </button>
+                ${error ? `<p class="checklist-editor-error">${this.#escapeHtml(error)}</p>` : ''}
+                <div class="checklist-editor-actions">
+                    <button class="diagnostic-btn" id="editorSave">
+                        <i class="ri-save-line"></i> Guardar
+                    </button>
+                    <button class="diagnostic-btn" id="editorCancel">Cancelar</button>
+                </div>
+            </div>
+        `);
+        this.#bindControls();
+    }
+
+    /**
+     * Binds the editor buttons
+     * @private
+     */
+    #bindControls() {
+        if (!this.#document) return;
+
+        const onItem = (selector, change) => {
+            this.#document.querySelectorAll(selector).forEach(button => {
+                button.addEventListener('click', () => {
+                    this.#readForm();
+                    change(parseInt(button.dataset.idx, 10));
+                    this.#render();
+                });
+            });
+        };
+
+        onItem('.checklist-editor-up', (idx) => this.#moveItem(idx, -1));
+        onItem('.checklist-editor-down', (idx) => this.#moveItem(idx, 1));
+        onItem('.checklist-editor-remove', (idx) => {
+            this.#draft.items.splice(idx, 1);
+            if (this.#draft.items.length === 0) this.#draft.items.push({ text: '' });
+        });
+
+        this.#document.getElementById('editorAddItem')?.addEventListener('click', () => {
+            this.#readForm();
+            this.#draft.items.push({ text: '' });
+            this.#render();
+
+            const inputs = this.#document.querySelectorAll('.checklist-editor-text');
+            inputs[inputs.length - 1]?.focus();
+        });
+
+        this.#document.getElementById('editorSave')?.addEventListener('click', () => this.#save());
+        this.#document.getElementById('editorCancel')?.addEventListener('click', () => {
+            this.#draft = null;
+            this.#modalManager.hide();
+        });
+    }
+
+    /**
+     * Copies the form values into the draft
+     * @private
+     */
+    #readForm() {
+        const value = (id) => this.#document.getElementById(id)?.value ?? '';
+
+        this.#draft.title = value('editorTitle');
+        this.#draft.category = value('editorCategory');
+        this.#draft.estimatedTime = value('editorEstimatedTime');
+        this.#document.querySelectorAll('.checklist-editor-text').forEach(input => {
+            const item = this.#draft.items[parseInt(input.dataset.idx, 10)];
+            if (item) item.text = input.value;
+        });
+    }
+
+    /**
+     * Moves an item of the draft
+     * @param {number} idx - Item position
+     * @param {number} offset - Positions to move (negative moves up)
+     * @private
+     */
+    #moveItem(idx, offset) {
+        const items = this.#draft.items;
+        const to = idx + offset;
+        if (to < 0 || to >= items.length) return;
+
+        items.splice(to, 0, items.splice(idx, 1)[0]);
+    }
+
+    /**
+     * Saves the draft and closes the editor, or shows why it cannot be saved
+     * @private
+     */
+    #save() {
+        this.#readForm();
+
+        if (!this.#draft.title.trim()) {
+            this.#render('Escribe un titulo para la checklist.');
+            return;
+        }
+        if (!this.#draft.items.some(item => item.text.trim())) {
+            this.#render('Anade al menos una tarea.');
+            return;
+        }
+
+        try {
+            this.#checklistManager.saveCustomChecklist(this.#draft);
+        } catch (error) {
+            if (!(error instanceof TypeError)) throw error;
+
+            // Deleted meanwhile, e.g. in another tab: saving again creates it anew
+            this.#draft.id = null;
+            this.#render('Esta checklist se ha eliminado. Pulsa Guardar para crearla de nuevo.');
+            return;
+        }
+
+        this.#draft = null;
+        this.#modalManager.hide();
+    }
+
+    /**
+     * Escapes HTML special characters
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     * @private
+     */
+    #escapeHtml(text) {
+        const map = {
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            "'": '&#039;'
+        };
+        return String(text).replace(/[&<>"']/g, m => map[m]);
+    }
+}
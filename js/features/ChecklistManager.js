@@ -7,9 +7,30 @@
  */
 
 import { AppEvents } from '../utils/EventBus.js';
+import { REPORT_FORMATS, buildChecklistReport, toCsv, toMarkdown, toPrintHtml } from './ChecklistReport.js';
+
+/**
+ * State key of the checklists written by the user
+ * @type {string}
+ */
+export const CUSTOM_CHECKLISTS_KEY = 'customChecklists';
+
+/**
+ * Icon of custom checklists (stored data never provides HTML)
+ * @type {string}
+ */
+const CUSTOM_CHECKLIST_ICON = '<i class="ri-list-check-2"></i>';
+
+/**
+ * Format of the ids generated for custom checklists (see #generateId).
+ * Stored or imported entries with other ids are ignored.
+ * @type {RegExp}
+ */
+const CUSTOM_CHECKLIST_ID = /^custom-[a-z0-9]+-[a-z0-9]+$/;
 
 /**
  * @typedef {Object} ChecklistItem
+ * @property {string} id - Stable item identifier (progress is saved by id)
  * @property {string} text - Item description
  */
 
@@ -20,6 +41,25 @@ import { AppEvents } from '../utils/EventBus.js';
  * @property {string} [category] - Category label
  * @property {string} [estimatedTime] - Time estimate
  * @property {ChecklistItem[]} items - Checklist items
+ * @property {boolean} [custom] - True for checklists written by the user
+ * @property {string|null} [basedOn] - Checklist a custom checklist was duplicated from
+ */
+
+/**
+ * @typedef {Object} CustomChecklistInput
+ * @property {string} [id] - Custom checklist to update (omit to create one)
+ * @property {string} title - Checklist title
+ * @property {string} [category] - Category label
+ * @property {string} [estimatedTime] - Time estimate (free text)
+ * @property {Array<{id?: string, text: string}>} items - Items in order (items keep their id, and progress, when given)
+ * @property {string} [basedOn] - Checklist it was copied from (only when creating)
+ */
+
+/**
+ * @typedef {Object} ChecklistExport
+ * @property {string} filename - Suggested file name
+ * @property {string} content - File content
+ * @property {string} mimeType - MIME type
  */
 
 /**
@@ -27,12 +67,13 @@ import { AppEvents } from '../utils/EventBus.js';
  * @property {import('../utils/EventBus.js').EventBus} eventBus - Event bus instance
  * @property {import('../core/ModalManager.js').ModalManager} modalManager - Modal manager
  * @property {import('../core/StateManager.js').StateManager} stateManager - State manager
- * @property {Object<string, Checklist>} checklists - Checklists data
+ * @property {Object<string, Checklist>} [checklists] - Checklists data (can be set later)
+ * @property {Document} [document] - Document reference (for testing)
  */
 
 /**
  * Manages checklist display and progress tracking.
- * Persists progress to localStorage via StateManager.
+ * Persists runs and progress via StateManager.
  *
  * @class ChecklistManager
  * @example
@@ -82,13 +123,34 @@ export class ChecklistManager {
      */
     #currentChecklistId = null;
 
+    /**
+     * Run shown in the modal (null until the first run is saved)
+     * @type {string|null}
+     * @private
+     */
+    #currentRunId = null;
+
+    /**
+     * Stops following the progress of the open checklist
+     * @type {Function|null}
+     * @private
+     */
+    #unsubscribeProgress = null;
+
+    /**
+     * Document reference
+     * @type {Document|null}
+     * @private
+     */
+    #document;
+
     /**
      * Creates a new ChecklistManager instance
      *
      * @param {ChecklistManagerDependencies} dependencies - Injected dependencies
      * @throws {TypeError} If required dependencies are missing
      */
-    constructor({ eventBus, modalManager, stateManager, checklists }) {
+    constructor({ eventBus, modalManager, stateManager, checklists, document: doc = null }) {
         if (!eventBus) {
             throw new TypeError('ChecklistManager requires an EventBus instance');
         }
@@ -98,14 +160,25 @@ export class ChecklistManager {
         if (!stateManager) {
             throw new TypeError('ChecklistManager requires a StateManager instance');
         }
+
+        // Graceful degradation - the container does not provide the data, app.js sets it
         if (!checklists) {
-            throw new TypeError('ChecklistManager requires checklists data');
+            console.warn('[ChecklistManager] checklists data not provided - checklists disabled');
         }
 
         this.#eventBus = eventBus;
         this.#modalManager = modalManager;
         this.#stateManager = stateManager;
-        this.#checklists = checklists;
+        this.#checklists = checklists || {};
+        this.#document = doc || (typeof document !== 'undefined' ? document : null);
+    }
+
+    /**
+     * Sets the checklists data
+     * @param {Object<string, Checklist>} value - Checklists data
+     */
+    set checklists(value) {
+        this.#checklists = value || {};
     }
 
     /**
@@ -126,111 +199,369 @@ export class ChecklistManager {
      */
     #subscribeToModalEvents() {
         this.#eventBus.on('modal:checklistItemChanged', (data) => {
-            if (this.#currentChecklistId) {
-                this.#updateItemProgress(data.index, data.checked);
+            if (this.#currentChecklistId && data.itemId) {
+                this.#updateItemProgress(data.itemId, data.checked);
             }
         });
+
+        this.#eventBus.on(AppEvents.MODAL_CLOSED, () => this.#followProgress(null));
+    }
+
+    /**
+     * Keeps the checkboxes of the open checklist in sync with its saved
+     * progress, which another tab may change
+     * @param {string|null} checklistId - Open checklist, or null to stop
+     * @private
+     */
+    #followProgress(checklistId) {
+        this.#unsubscribeProgress?.();
+        this.#unsubscribeProgress = null;
+
+        if (!checklistId || !this.#document) return;
+
+        this.#unsubscribeProgress = this.#stateManager.subscribe(`checklist-${checklistId}`, () => {
+            const run = this.#stateManager.getChecklistRun(checklistId, this.#currentRunId);
+            this.#document.querySelectorAll('.checklist-item input[data-item-id]').forEach(checkbox => {
+                const item = run?.items[checkbox.dataset.itemId];
+                checkbox.checked = item?.done === true;
+
+                const date = checkbox.closest('.checklist-item')?.querySelector('.checklist-item-date');
+                if (date) date.textContent = this.#formatCompletedAt(item);
+            });
+        });
     }
 
     /**
      * Opens a checklist in the modal
      *
      * @param {string} checklistId - Checklist identifier
+     * @param {Object} [options={}] - Options
+     * @param {string} [options.runId] - Run to show (defaults to the active run)
      * @returns {boolean} True if checklist was opened
      * @fires ChecklistManager#checklist:opened
      *
      * @example
      * checklistManager.open('inicio-curso');
+     * checklistManager.open('newIpad', { runId });
      */
-    open(checklistId) {
-        const checklist = this.#checklists[checklistId];
+    open(checklistId, { runId } = {}) {
+        const checklist = this.#findChecklist(checklistId);
         if (!checklist) {
             console.warn(`[ChecklistManager] Checklist not found: ${checklistId}`);
             return false;
         }
 
-        this.#currentChecklistId = checklistId;
-        const savedState = this.#stateManager.getChecklistProgress(checklistId);
-        const html = this.#buildChecklistHtml(checklist, savedState, checklistId);
+        if (runId) this.#stateManager.setActiveChecklistRun(checklistId, runId);
 
-        this.#modalManager.show(html);
+        this.#currentChecklistId = checklistId;
+        this.#currentRunId = this.#stateManager.getChecklistRun(checklistId)?.id ?? null;
+        this.#render();
+        this.#followProgress(checklistId);
 
         this.#eventBus.emit(AppEvents.CHECKLIST_OPENED, {
             id: checklistId,
-            title: checklist.title
+            title: checklist.title,
+            runId: this.#currentRunId
         });
 
         return true;
     }
 
+    /**
+     * Shows the open checklist and its current run in the modal
+     * @private
+     */
+    #render() {
+        const checklistId = this.#currentChecklistId;
+        const checklist = this.#findChecklist(checklistId);
+        const runs = this.#stateManager.getChecklistRuns(checklistId);
+        const run = runs.find(r => r.id === this.#currentRunId) || null;
+
+        this.#modalManager.show(this.#buildChecklistHtml(checklist, runs, run, checklistId));
+        this.#bindRunControls();
+    }
+
     /**
      * Builds HTML for checklist display
      * @param {Checklist} checklist - Checklist data
-     * @param {boolean[]} savedState - Saved completion states
+     * @param {import('../core/StateManager.js').ChecklistRun[]} runs - Saved runs
+     * @param {import('../core/StateManager.js').ChecklistRun|null} run - Run shown (null before the first save)
      * @param {string} checklistId - Checklist identifier
      * @returns {string} Checklist HTML
      * @private
      */
-    #buildChecklistHtml(checklist, savedState, checklistId) {
+    #buildChecklistHtml(checklist, runs, run, checklistId) {
+        const items = run?.items || {};
+
         return `
-            <h2>${checklist.icon} ${checklist.title}</h2>
-            <div class="checklist-items" data-checklist-id="${checklistId}">
+            <h2>${checklist.icon} ${this.#escapeHtml(checklist.title)}</h2>
+            ${this.#buildRunBarHtml(runs, run)}
+            <div class="checklist-items" data-checklist-id="${this.#escapeHtml(checklistId)}">
                 ${checklist.items.map((item, idx) => `
-                    <label class="checklist-item">
-                        <input type="checkbox"
-                               data-idx="${idx}"
-                               ${savedState[idx] ? 'checked' : ''}>
-                        <span>${item.text}</span>
-                    </label>
+                    <div class="checklist-entry">
+                        <label class="checklist-item">
+                            <input type="checkbox"
+                                   data-idx="${idx}"
+                                   data-item-id="${this.#escapeHtml(item.id)}"
+                                   ${items[item.id]?.done ? 'checked' : ''}>
+                            <span>${this.#escapeHtml(item.text)}</span>
+                            <span class="checklist-item-date">${this.#formatCompletedAt(items[item.id])}</span>
+                        </label>
+                        <input type="text" class="checklist-note"
+                               data-item-id="${this.#escapeHtml(item.id)}"
+                               value="${this.#escapeHtml(items[item.id]?.note || '')}"
+                               placeholder="Nota (opcional)">
+                    </div>
                 `).join('')}
             </div>
         `;
     }
 
     /**
-     * Updates item progress
-     * @param {number} itemIndex - Item index
+     * Builds the run selector and the fields of the run shown
+     * @param {import('../core/StateManager.js').ChecklistRun[]} runs - Saved runs
+     * @param {import('../core/StateManager.js').ChecklistRun|null} run - Run shown
+     * @returns {string} Run bar HTML
+     * @private
+     */
+    #buildRunBarHtml(runs, run) {
+        const tabs = runs.length > 0
+            ? runs.map(r => `
+                <button class="checklist-run-tab ${r.id === run?.id ? 'active' : ''}" data-run-id="${this.#escapeHtml(r.id)}">
+                    ${r.completedAt ? '<i class="ri-checkbox-circle-fill"></i>' : ''}
+                    ${this.#escapeHtml(r.name)}
+                </button>
+            `).join('')
+            : '<button class="checklist-run-tab active">Principal</button>';
+
+        return `
+            <div class="checklist-runs">
+                <div class="checklist-run-tabs">
+                    ${tabs}
+                    <button class="checklist-run-tab" id="newChecklistRun" title="Repetir la checklist, p. ej. para otro dispositivo o aula">
+                        <i class="ri-add-line"></i> Nueva ejecucion
+                    </button>
+                </div>
+                <div class="checklist-run-fields">
+                    <label>Nombre
+                        <input type="text" id="checklistRunName" value="${this.#escapeHtml(run?.name || 'Principal')}" placeholder="Num. de serie, aula...">
+                    </label>
+                    <label>Responsable
+                        <input type="text" id="checklistRunAssignee" value="${this.#escapeHtml(run?.assignee || '')}" placeholder="Opcional">
+                    </label>
+                    <label>Fecha limite
+                        <input type="date" id="checklistRunDueDate" value="${this.#escapeHtml(run?.dueDate || '')}">
+                    </label>
+                    ${run ? `
+                        <button class="checklist-run-delete" id="deleteChecklistRun" title="Eliminar esta ejecucion">
+                            <i class="ri-delete-bin-line"></i>
+                        </button>
+                    ` : ''}
+                </div>
+                <div class="checklist-run-export">
+                    <button class="checklist-run-tab" id="exportChecklistMarkdown" title="Descargar informe en Markdown">
+                        <i class="ri-markdown-line"></i> Markdown
+                    </button>
+                    <button class="checklist-run-tab" id="exportChecklistCsv" title="Descargar tareas en CSV (hoja de calculo)">
+                        <i class="ri-file-excel-2-line"></i> CSV
+                    </button>
+                    <button class="checklist-run-tab" id="printChecklist" title="Abrir informe para imprimir o guardar como PDF">
+                        <i class="ri-printer-line"></i> Imprimir
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Binds the run controls and the item notes of the modal
+     * @private
+     */
+    #bindRunControls() {
+        if (!this.#document) return;
+
+        this.#document.querySelectorAll('.checklist-run-tab[data-run-id]').forEach(tab => {
+            tab.addEventListener('click', () => this.#showRun(tab.dataset.runId));
+        });
+
+        this.#document.getElementById('newChecklistRun')?.addEventListener('click', () => {
+            const run = this.#stateManager.createChecklistRun(this.#currentChecklistId);
+            this.#showRun(run.id);
+        });
+
+        this.#document.getElementById('deleteChecklistRun')?.addEventListener('click', () => this.#deleteCurrentRun());
+
+        this.#document.getElementById('exportChecklistMarkdown')?.addEventListener('click', () => {
+            this.downloadRun(this.#currentChecklistId, 'markdown', this.#currentRunId);
+        });
+        this.#document.getElementById('exportChecklistCsv')?.addEventListener('click', () => {
+            this.downloadRun(this.#currentChecklistId, 'csv', this.#currentRunId);
+        });
+        this.#document.getElementById('printChecklist')?.addEventListener('click', () => {
+            this.printRun(this.#currentChecklistId, this.#currentRunId);
+        });
+
+        const fields = { checklistRunName: 'name', checklistRunAssignee: 'assignee', checklistRunDueDate: 'dueDate' };
+        Object.entries(fields).forEach(([elementId, field]) => {
+            this.#document.getElementById(elementId)?.addEventListener('change', (e) => {
+                const run = this.#stateManager.updateChecklistRun(
+                    this.#currentChecklistId,
+                    this.#currentRunId,
+                    { [field]: e.target.value }
+                );
+                if (run) this.#adoptRun(run.id);
+                if (run && field === 'name') e.target.value = run.name;
+            });
+        });
+
+        this.#document.querySelectorAll('.checklist-note[data-item-id]').forEach(input => {
+            input.addEventListener('change', () => {
+                this.#stateManager.setChecklistItemNote(
+                    this.#currentChecklistId,
+                    input.dataset.itemId,
+                    input.value,
+                    this.#currentRunId
+                );
+                this.#adoptRun(this.#stateManager.getChecklistRun(this.#currentChecklistId)?.id);
+            });
+        });
+    }
+
+    /**
+     * Shows another run of the open checklist
+     * @param {string} runId - Run identifier
+     * @private
+     */
+    #showRun(runId) {
+        if (!this.#stateManager.setActiveChecklistRun(this.#currentChecklistId, runId)) return;
+
+        this.#currentRunId = runId;
+        this.#render();
+    }
+
+    /**
+     * Deletes the run shown, after confirmation, and shows the active one
+     * @private
+     */
+    #deleteCurrentRun() {
+        const run = this.#stateManager.getChecklistRun(this.#currentChecklistId, this.#currentRunId);
+        if (!run) return;
+
+        const win = this.#document?.defaultView;
+        const confirmed = typeof win?.confirm === 'function'
+            ? win.confirm(`Eliminar la ejecucion "${run.name}" y su progreso? Esta accion no se puede deshacer.`)
+            : true;
+        if (!confirmed) return;
+
+        this.#stateManager.deleteChecklistRun(this.#currentChecklistId, run.id);
+        this.#currentRunId = this.#stateManager.getChecklistRun(this.#currentChecklistId)?.id ?? null;
+        this.#render();
+    }
+
+    /**
+     * Remembers the run created by the first save of a checklist without runs
+     * @param {string|undefined} runId - Run identifier
+     * @private
+     */
+    #adoptRun(runId) {
+        if (!this.#currentRunId && runId) {
+            this.#currentRunId = runId;
+            this.#render();
+        }
+    }
+
+    /**
+     * Formats when an item was completed
+     * @param {import('../core/StateManager.js').ChecklistItemState} [item] - Item state
+     * @returns {string} Short date, or an empty string
+     * @private
+     */
+    #formatCompletedAt(item) {
+        if (!item?.done || !item.completedAt) return '';
+        return new Date(item.completedAt).toLocaleString('es-ES', {
+            day: '2-digit',
+            month: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    }
+
+    /**
+     * Escapes HTML special characters
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     * @private
+     */
+    #escapeHtml(text) {
+        const map = {
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            "'": '&#039;'
+        };
+        return String(text).replace(/[&<>"']/g, m => map[m]);
+    }
+
+    /**
+     * Updates item progress in the run shown and records when the run
+     * was completed
+     * @param {string} itemId - Item identifier
      * @param {boolean} completed - Completion state
      * @private
      */
-    #updateItemProgress(itemIndex, completed) {
+    #updateItemProgress(itemId, completed) {
         if (!this.#currentChecklistId) return;
 
-        this.#stateManager.setChecklistProgress(
-            this.#currentChecklistId,
-            itemIndex,
-            completed
-        );
+        const checklistId = this.#currentChecklistId;
+        // Deleted meanwhile, e.g. in another tab
+        const checklist = this.#findChecklist(checklistId);
+        if (!checklist) return;
+
+        this.#stateManager.setChecklistProgress(checklistId, itemId, completed, this.#currentRunId);
+
+        const run = this.#stateManager.getChecklistRun(checklistId, this.#currentRunId);
+        if (!run) return;
 
         // Check if all items are completed
-        const checklist = this.#checklists[this.#currentChecklistId];
-        const progress = this.#stateManager.getChecklistProgress(this.#currentChecklistId);
-        const allCompleted = checklist.items.every((_, idx) => progress[idx] === true);
+        const allCompleted = checklist.items.every(item => run.items[item.id]?.done === true);
+
+        if (allCompleted && !run.completedAt) {
+            this.#stateManager.updateChecklistRun(checklistId, run.id, { completedAt: new Date().toISOString() });
+        } else if (!allCompleted && run.completedAt) {
+            this.#stateManager.updateChecklistRun(checklistId, run.id, { completedAt: null });
+        }
+
+        // Re-render once the first save created the default run, so it can be renamed or deleted
+        this.#adoptRun(run.id);
 
         if (allCompleted) {
             this.#eventBus.emit(AppEvents.CHECKLIST_COMPLETED, {
-                id: this.#currentChecklistId,
-                title: checklist.title
+                id: checklistId,
+                title: checklist.title,
+                runId: run.id
             });
         }
     }
 
     /**
-     * Gets progress for a checklist
+     * Gets progress for a checklist run
      *
      * @param {string} checklistId - Checklist identifier
+     * @param {string|null} [runId=null] - Run identifier (defaults to the active run)
      * @returns {Object} Progress information
      *
      * @example
      * const progress = checklistManager.getProgress('inicio-curso');
      * console.log(`${progress.completed}/${progress.total} completed`);
      */
-    getProgress(checklistId) {
-        const checklist = this.#checklists[checklistId];
+    getProgress(checklistId, runId = null) {
+        const checklist = this.#findChecklist(checklistId);
         if (!checklist) return { completed: 0, total: 0, percentage: 0 };
 
-        const savedState = this.#stateManager.getChecklistProgress(checklistId);
-        const completed = savedState.filter(Boolean).length;
+        // Only count current items: ids of removed items may remain saved
+        const savedState = this.#stateManager.getChecklistProgress(checklistId, runId);
+        const completed = checklist.items.filter(item => savedState[item.id]).length;
         const total = checklist.items.length;
 
         return {
@@ -241,7 +572,103 @@ export class ChecklistManager {
     }
 
     /**
-     * Resets progress for a checklist
+     * Exports a run as a report with its completion dates, notes and
+     * estimated vs actual time
+     *
+     * @param {string} checklistId - Checklist identifier
+     * @param {'markdown'|'csv'|'html'} format - Report format
+     * @param {string|null} [runId=null] - Run identifier (defaults to the active run)
+     * @returns {ChecklistExport|null} Report file, or null if the checklist does not exist
+     * @throws {TypeError} If the format is unknown
+     *
+     * @example
+     * const { filename, content } = checklistManager.exportRun('newIpad', 'markdown');
+     */
+    exportRun(checklistId, format, runId = null) {
+        const type = REPORT_FORMATS[format];
+        if (!type) {
+            throw new TypeError(`Unknown report format: ${format}`);
+        }
+
+        const checklist = this.#findChecklist(checklistId);
+        if (!checklist) return null;
+
+        const report = buildChecklistReport(checklist, this.#stateManager.getChecklistRun(checklistId, runId));
+        const formatters = { markdown: toMarkdown, csv: toCsv, html: toPrintHtml };
+        const slug = (text) => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+        return {
+            filename: `checklist-${slug(checklistId)}-${slug(report.runName) || 'principal'}-${report.generatedAt.split('T')[0]}.${type.extension}`,
+            content: formatters[format](report),
+            mimeType: type.mimeType
+        };
+    }
+
+    /**
+     * Downloads a run report
+     *
+     * @param {string} checklistId - Checklist identifier
+     * @param {'markdown'|'csv'|'html'} format - Report format
+     * @param {string|null} [runId=null] - Run identifier (defaults to the active run)
+     * @returns {boolean} True if the download started
+     *
+     * @example
+     * checklistManager.downloadRun('newIpad', 'csv');
+     */
+    downloadRun(checklistId, format, runId = null) {
+        const file = this.exportRun(checklistId, format, runId);
+        if (!file || !this.#document) return false;
+
+        // The BOM lets spreadsheets read accented text as UTF-8
+        const parts = format === 'csv' ? ['\uFEFF', file.content] : [file.content];
+        const blob = new Blob(parts, { type: `${file.mimeType};charset=utf-8` });
+        const url = URL.createObjectURL(blob);
+        const a = this.#document.createElement('a');
+
+        a.href = url;
+        a.download = file.filename;
+
+        this.#document.body.appendChild(a);
+        a.click();
+        this.#document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+
+        return true;
+    }
+
+    /**
+     * Opens the print view of a run and the print dialog (from there it
+     * can also be saved as PDF). Downloads the HTML if pop-ups are blocked.
+     *
+     * @param {string} checklistId - Checklist identifier
+     * @param {string|null} [runId=null] - Run identifier (defaults to the active run)
+     * @returns {boolean} True if the report was printed or downloaded
+     *
+     * @example
+     * checklistManager.printRun('inicio-curso');
+     */
+    printRun(checklistId, runId = null) {
+        const file = this.exportRun(checklistId, 'html', runId);
+        if (!file) return false;
+
+        const printWindow = this.#document?.defaultView?.open('', '_blank');
+        if (!printWindow) {
+            console.warn('[ChecklistManager] Print window blocked - downloading the report instead');
+            return this.downloadRun(checklistId, 'html', runId);
+        }
+
+        printWindow.document.open();
+        printWindow.document.write(file.content);
+        printWindow.document.close();
+        printWindow.focus();
+        printWindow.print();
+
+        return true;
+    }
+
+    /**
+     * Resets progress of the active run of a checklist (notes are kept)
      *
      * @param {string} checklistId - Checklist identifier
      * @returns {boolean} True if reset was successful
@@ -250,12 +677,11 @@ export class ChecklistManager {
      * checklistManager.resetProgress('inicio-curso');
      */
     resetProgress(checklistId) {
-        const checklist = this.#checklists[checklistId];
+        const checklist = this.#findChecklist(checklistId);
         if (!checklist) return false;
 
-        const emptyState = new Array(checklist.items.length).fill(false);
-        checklist.items.forEach((_, idx) => {
-            this.#stateManager.setChecklistProgress(checklistId, idx, false);
+        checklist.items.forEach(item => {
+            this.#stateManager.setChecklistProgress(checklistId, item.id, false);
         });
 
         return true;
@@ -272,7 +698,7 @@ export class ChecklistManager {
     getGroupedByCategory() {
         const categories = {};
 
-        Object.entries(this.#checklists).forEach(([key, checklist]) => {
+        Object.entries(this.#getAllChecklists()).forEach(([key, checklist]) => {
             const category = checklist.category || 'General';
             if (!categories[category]) {
                 categories[category] = [];
@@ -296,7 +722,7 @@ export class ChecklistManager {
      * const ids = checklistManager.getAvailableChecklists();
      */
     getAvailableChecklists() {
-        return Object.keys(this.#checklists);
+        return Object.keys(this.#getAllChecklists());
     }
 
     /**
@@ -309,7 +735,232 @@ export class ChecklistManager {
      * const checklist = checklistManager.getChecklist('inicio-curso');
      */
     getChecklist(id) {
-        return this.#checklists[id] || null;
+        return this.#findChecklist(id);
+    }
+
+    /**
+     * Finds a built-in or custom checklist
+     * @param {string} id - Checklist identifier
+     * @returns {Checklist|null} Checklist data or null
+     * @private
+     */
+    #findChecklist(id) {
+        if (Object.prototype.hasOwnProperty.call(this.#checklists, id)) {
+            return this.#checklists[id];
+        }
+        return this.getCustomChecklists()[id] || null;
+    }
+
+    /**
+     * Gets the built-in checklists followed by the custom ones
+     * @returns {Object<string, Checklist>} Checklists by id
+     * @private
+     */
+    #getAllChecklists() {
+        return { ...this.#checklists, ...this.getCustomChecklists() };
+    }
+
+    /**
+     * Reads the stored custom checklists, skipping malformed entries and
+     * ids that were not generated by this manager
+     * @returns {Object[]} Stored custom checklists, in order
+     * @private
+     */
+    #readCustomChecklists() {
+        const stored = this.#stateManager.get(CUSTOM_CHECKLISTS_KEY, []);
+        if (!Array.isArray(stored)) return [];
+
+        return stored.filter(entry => (
+            entry && CUSTOM_CHECKLIST_ID.test(entry.id) && typeof entry.title === 'string' && Array.isArray(entry.items)
+        ));
+    }
+
+    /**
+     * Saves the custom checklists
+     * @param {Object[]} entries - Custom checklists, in order
+     * @private
+     */
+    #writeCustomChecklists(entries) {
+        if (entries.length === 0) {
+            this.#stateManager.remove(CUSTOM_CHECKLISTS_KEY);
+        } else {
+            this.#stateManager.set(CUSTOM_CHECKLISTS_KEY, entries);
+        }
+    }
+
+    /**
+     * Gets the checklists written by the user, in the order they chose
+     *
+     * @returns {Object<string, Checklist>} Custom checklists by id
+     *
+     * @example
+     * Object.entries(checklistManager.getCustomChecklists()).forEach(([id, checklist]) => {
+     *     console.log(id, checklist.title);
+     * });
+     */
+    getCustomChecklists() {
+        const custom = {};
+
+        this.#readCustomChecklists().forEach(entry => {
+            custom[entry.id] = {
+                title: entry.title,
+                icon: CUSTOM_CHECKLIST_ICON,
+                category: entry.category || 'Mis checklists',
+                estimatedTime: entry.estimatedTime || '',
+                items: entry.items.filter(item => item && typeof item.id === 'string' && typeof item.text === 'string'),
+                custom: true,
+                basedOn: entry.basedOn || null
+            };
+        });
+
+        return custom;
+    }
+
+    /**
+     * Checks if a checklist was written by the user
+     *
+     * @param {string} id - Checklist identifier
+     * @returns {boolean} True for custom checklists
+     *
+     * @example
+     * if (checklistManager.isCustomChecklist(id)) showEditButton();
+     */
+    isCustomChecklist(id) {
+        return this.#readCustomChecklists().some(entry => entry.id === id);
+    }
+
+    /**
+     * Creates or updates a custom checklist. Blank items are dropped.
+     *
+     * @param {CustomChecklistInput} checklist - Checklist fields
+     * @returns {string} Checklist identifier
+     * @throws {TypeError} If the title or every item is blank, or the id is not a custom checklist
+     *
+     * @example
+     * const id = checklistManager.saveCustomChecklist({
+     *     title: 'Etiquetado de iPads',
+     *     category: 'Dispositivos',
+     *     items: [{ text: 'Imprimir etiquetas' }, { text: 'Anotar en el inventario' }]
+     * });
+     */
+    saveCustomChecklist({ id = null, title, category = '', estimatedTime = '', items = [], basedOn = null }) {
+        const cleanTitle = String(title ?? '').trim();
+        if (!cleanTitle) {
+            throw new TypeError('A checklist needs a title');
+        }
+
+        const usedIds = new Set();
+        const cleanItems = items
+            .map(item => ({ id: item.id, text: String(item.text ?? '').trim() }))
+            .filter(item => item.text)
+            .map(item => {
+                const itemId = typeof item.id === 'string' && item.id && !usedIds.has(item.id)
+                    ? item.id
+                    : this.#generateId('item');
+                usedIds.add(itemId);
+                return { id: itemId, text: item.text };
+            });
+        if (cleanItems.length === 0) {
+            throw new TypeError('A checklist needs at least one item');
+        }
+
+        const entries = this.#readCustomChecklists();
+        const index = id ? entries.findIndex(entry => entry.id === id) : -1;
+        if (id && index === -1) {
+            throw new TypeError(`Not a custom checklist: ${id}`);
+        }
+
+        const now = new Date().toISOString();
+        const entry = {
+            ...(index >= 0 ? entries[index] : { id: this.#generateId('custom'), basedOn, createdAt: now }),
+            title: cleanTitle,
+            category: String(category ?? '').trim(),
+            estimatedTime: String(estimatedTime ?? '').trim(),
+            items: cleanItems,
+            updatedAt: now
+        };
+
+        if (index >= 0) {
+            entries[index] = entry;
+        } else {
+            entries.push(entry);
+        }
+        this.#writeCustomChecklists(entries);
+
+        return entry.id;
+    }
+
+    /**
+     * Creates a custom checklist from a copy of another one (built-in or
+     * custom). The items keep their ids.
+     *
+     * @param {string} sourceId - Checklist to copy
+     * @returns {string|null} New checklist identifier, or null if the source does not exist
+     *
+     * @example
+     * const id = checklistManager.duplicateChecklist('newIpad');
+     */
+    duplicateChecklist(sourceId) {
+        const source = this.#findChecklist(sourceId);
+        if (!source) return null;
+
+        return this.saveCustomChecklist({
+            title: `${source.title} (copia)`,
+            category: source.category,
+            estimatedTime: source.estimatedTime,
+            items: source.items.map(item => ({ id: item.id, text: item.text })),
+            basedOn: sourceId
+        });
+    }
+
+    /**
+     * Moves a custom checklist up or down among the custom checklists
+     *
+     * @param {string} id - Custom checklist identifier
+     * @param {number} offset - Positions to move (negative moves up)
+     * @returns {boolean} True if the checklist moved
+     *
+     * @example
+     * checklistManager.moveCustomChecklist(id, -1);
+     */
+    moveCustomChecklist(id, offset) {
+        const entries = this.#readCustomChecklists();
+        const from = entries.findIndex(entry => entry.id === id);
+        const to = from + offset;
+        if (from === -1 || to < 0 || to >= entries.length || offset === 0) return false;
+
+        entries.splice(to, 0, entries.splice(from, 1)[0]);
+        this.#writeCustomChecklists(entries);
+        return true;
+    }
+
+    /**
+     * Deletes a custom checklist and its runs
+     *
+     * @param {string} id - Custom checklist identifier
+     * @returns {boolean} True if the checklist existed
+     *
+     * @example
+     * checklistManager.deleteCustomChecklist(id);
+     */
+    deleteCustomChecklist(id) {
+        const entries = this.#readCustomChecklists();
+        const remaining = entries.filter(entry => entry.id !== id);
+        if (remaining.length === entries.length) return false;
+
+        this.#writeCustomChecklists(remaining);
+        this.#stateManager.remove(`checklist-${id}`);
+        return true;
+    }
+
+    /**
+     * Generates an identifier for custom checklists and their items
+     * @param {string} prefix - Identifier prefix
+     * @returns {string} Unique identifier
+     * @private
+     */
+    #generateId(prefix) {
+        return `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
     }
 
     /**
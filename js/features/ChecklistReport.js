@@ -0,0 +1,276 @@
+/**
+ * @fileoverview Checklist run reports as Markdown, CSV and printable HTML
+ * @module features/ChecklistReport
+ * @version 1.0.0
+ * @author Jamf Assistant Team
+ * @license MIT
+ *
+ * @description
+ * Pure functions: {@link buildChecklistReport} gathers a run of a checklist
+ * and the format functions turn it into text. ChecklistManager downloads or
+ * prints the result.
+ */
+
+/**
+ * @typedef {Object} ChecklistReportItem
+ * @property {string} text - Task description
+ * @property {boolean} done - Whether the task was completed
+ * @property {string|null} completedAt - When it was completed (ISO 8601)
+ * @property {string} note - Note of the task
+ */
+
+/**
+ * @typedef {Object} ChecklistReport
+ * @property {string} title - Checklist title
+ * @property {string} runName - Run name
+ * @property {string} assignee - Person responsible
+ * @property {string|null} dueDate - Due date (YYYY-MM-DD)
+ * @property {string|null} createdAt - Run creation date (ISO 8601)
+ * @property {string|null} completedAt - Run completion date (ISO 8601)
+ * @property {string} estimatedTime - Estimated time of the checklist (free text)
+ * @property {number|null} actualMs - Time from the first to the last completed task
+ * @property {number} completed - Completed tasks
+ * @property {number} total - Tasks
+ * @property {ChecklistReportItem[]} items - Tasks in checklist order
+ * @property {string} generatedAt - When the report was generated (ISO 8601)
+ */
+
+/**
+ * Supported export formats and their files
+ * @type {Readonly<Object<string, {extension: string, mimeType: string}>>}
+ */
+export const REPORT_FORMATS = Object.freeze({
+    markdown: { extension: 'md', mimeType: 'text/markdown' },
+    csv: { extension: 'csv', mimeType: 'text/csv' },
+    html: { extension: 'html', mimeType: 'text/html' }
+});
+
+/**
+ * Gathers the data of a checklist run for a report
+ *
+ * @param {import('./ChecklistManager.js').Checklist} checklist - Checklist data
+ * @param {import('../core/StateManager.js').ChecklistRun|null} run - Run (null for a run not saved yet)
+ * @param {Date} [now=new Date()] - Generation date
+ * @returns {ChecklistReport} Report data
+ *
+ * @example
+ * const report = buildChecklistReport(checklists.newIpad, stateManager.getChecklistRun('newIpad'));
+ */
+export function buildChecklistReport(checklist, run, now = new Date()) {
+    const states = run?.items || {};
+    const items = checklist.items.map(item => ({
+        text: item.text,
+        done: states[item.id]?.done === true,
+        completedAt: states[item.id]?.done ? states[item.id].completedAt || null : null,
+        note: states[item.id]?.note || ''
+    }));
+
+    const times = items
+        .map(item => Date.parse(item.completedAt))
+        .filter(time => !Number.isNaN(time))
+        .sort((a, b) => a - b);
+
+    return {
+        title: checklist.title,
+        runName: run?.name || 'Principal',
+        assignee: run?.assignee || '',
+        dueDate: run?.dueDate || null,
+        createdAt: run?.createdAt || null,
+        completedAt: run?.completedAt || null,
+        estimatedTime: checklist.estimatedTime || '',
+        actualMs: times.length > 1 ? times[times.length - 1] - times[0] : null,
+        completed: items.filter(item => item.done).length,
+        total: items.length,
+        items,
+        generatedAt: now.toISOString()
+    };
+}
+
+/**
+ * Formats a duration for people
+ *
+ * @param {number|null} ms - Duration in milliseconds
+ * @returns {string} Duration such as "45 min", "1 h 20 min" or "2 d 3 h"
+ *
+ * @example
+ * formatDuration(80 * 60 * 1000); // '1 h 20 min'
+ */
+export function formatDuration(ms) {
+    if (ms === null || ms === undefined || Number.isNaN(ms)) return 'Sin datos';
+
+    const minutes = Math.round(ms / 60000);
+    if (minutes < 60) return `${minutes} min`;
+
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return minutes % 60 ? `${hours} h ${minutes % 60} min` : `${hours} h`;
+
+    const days = Math.floor(hours / 24);
+    return hours % 24 ? `${days} d ${hours % 24} h` : `${days} d`;
+}
+
+/**
+ * Formats a date of the report
+ * @param {string|null} value - Date (ISO 8601 or YYYY-MM-DD)
+ * @param {boolean} [withTime=true] - Whether to include the time
+ * @returns {string} Local date, or an empty string
+ * @private
+ */
+function formatDate(value, withTime = true) {
+    if (!value) return '';
+
+    const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00:00` : value);
+    const options = { day: '2-digit', month: '2-digit', year: 'numeric' };
+    return withTime
+        ? date.toLocaleString('es-ES', { ...options, hour: '2-digit', minute: '2-digit' })
+        : date.toLocaleDateString('es-ES', options);
+}
+
+/**
+ * Summary rows shared by every format
+ * @param {ChecklistReport} report - Report data
+ * @returns {Array<[string, string]>} Label and value pairs
+ * @private
+ */
+function summaryRows(report) {
+    return [
+        ['Ejecucion', report.runName],
+        ['Responsable', report.assignee || '-'],
+        ['Fecha limite', formatDate(report.dueDate, false) || '-'],
+        ['Creada', formatDate(report.createdAt) || '-'],
+        ['Completada', formatDate(report.completedAt) || 'Pendiente'],
+        ['Progreso', `${report.completed}/${report.total} tareas`],
+        ['Tiempo estimado', report.estimatedTime || '-'],
+        ['Tiempo real', formatDuration(report.actualMs)]
+    ];
+}
+
+/**
+ * Formats a report as Markdown
+ *
+ * @param {ChecklistReport} report - Report data
+ * @returns {string} Markdown document
+ *
+ * @example
+ * const markdown = toMarkdown(report);
+ */
+export function toMarkdown(report) {
+    const cell = (text) => String(text).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+
+    return [
+        `# ${report.title} - ${report.runName}`,
+        '',
+        ...summaryRows(report).map(([label, value]) => `- **${label}:** ${value}`),
+        '',
+        '| # | Tarea | Estado | Completada | Nota |',
+        '|---|-------|--------|------------|------|',
+        ...report.items.map((item, index) => `| ${[
+            index + 1,
+            cell(item.text),
+            item.done ? 'Hecha' : 'Pendiente',
+            formatDate(item.completedAt),
+            cell(item.note)
+        ].join(' | ')} |`),
+        '',
+        `_Generado el ${formatDate(report.generatedAt)}_`,
+        ''
+    ].join('\n');
+}
+
+/**
+ * Formats a report as CSV, one row per task. Uses `;` as separator,
+ * which spreadsheets in Spanish locales expect.
+ *
+ * @param {ChecklistReport} report - Report data
+ * @returns {string} CSV document
+ *
+ * @example
+ * const csv = toCsv(report);
+ */
+export function toCsv(report) {
+    const field = (value) => {
+        const text = String(value ?? '');
+        return /[";\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const row = (values) => values.map(field).join(';');
+
+    return [
+        row(['Checklist', 'Ejecucion', 'Responsable', 'Tarea', 'Estado', 'Completada', 'Nota']),
+        ...report.items.map(item => row([
+            report.title,
+            report.runName,
+            report.assignee,
+            item.text,
+            item.done ? 'Hecha' : 'Pendiente',
+            item.completedAt || '',
+            item.note
+        ]))
+    ].join('\r\n') + '\r\n';
+}
+
+/**
+ * Escapes HTML special characters
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ * @private
+ */
+function escapeHtml(text) {
+    const map = {
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#039;'
+    };
+    return String(text).replace(/[&<>"']/g, m => map[m]);
+}
+
+/**
+ * Formats a report as a standalone HTML page laid out for printing
+ *
+ * @param {ChecklistReport} report - Report data
+ * @returns {string} HTML document
+ *
+ * @example
+ * printWindow.document.write(toPrintHtml(report));
+ */
+export function toPrintHtml(report) {
+    const title = `${report.title} - ${report.runName}`;
+
+    return `<!DOCTYPE html>
+<html lang="es">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+    body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; color: #1d1d1f; margin: 32px; font-size: 12pt; }
+    h1 { font-size: 18pt; margin: 0 0 16px; }
+    dl { display: grid; grid-template-columns: max-content 1fr; gap: 4px 16px; margin: 0 0 24px; }
+    dt { font-weight: 600; }
+    dd { margin: 0; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { border: 1px solid #c7c7cc; padding: 6px 8px; text-align: left; vertical-align: top; }
+    th { background: #f2f2f7; }
+    tr { page-break-inside: avoid; }
+    .pending { color: #86868b; }
+    footer { margin-top: 24px; font-size: 9pt; color: #86868b; }
+    @media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<dl>
+${summaryRows(report).map(([label, value]) => `    <dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd>`).join('\n')}
+</dl>
+<table>
+    <thead>
+        <tr><th>#</th><th>Tarea</th><th>Estado</th><th>Completada</th><th>Nota</th></tr>
+    </thead>
+    <tbody>
+${report.items.map((item, index) => `        <tr${item.done ? '' : ' class="pending"'}><td>${index + 1}</td><td>${escapeHtml(item.text)}</td><td>${item.done ? '&#10003; Hecha' : 'Pendiente'}</td><td>${escapeHtml(formatDate(item.completedAt))}</td><td>${escapeHtml(item.note)}</td></tr>`).join('\n')}
+    </tbody>
+</table>
+<footer>Generado el ${escapeHtml(formatDate(report.generatedAt))} con Jamf Assistant</footer>
+</body>
+</html>
+`;
+}
@@ -7,17 +7,36 @@
  */
 
 import { AppEvents } from '../utils/EventBus.js';
+import { aggregateFeedback, toCsvFile, toJsonFile } from './FeedbackReport.js';
+
+/**
+ * Largest export file accepted for import (bytes)
+ * @type {number}
+ */
+const MAX_IMPORT_SIZE = 5 * 1024 * 1024;
+
+/**
+ * @typedef {Object} ImportValidationResult
+ * @property {boolean} valid - Whether the file is a usable export
+ * @property {string} [error] - Reason shown to the user if it is not
+ * @property {Object<string, *>} [data] - Exported values, by storage key
+ * @property {string} [exportDate] - When the file was exported (ISO date)
+ * @property {number} [conversationCount] - Conversations in the file
+ */
 
 /**
  * @typedef {Object} DataManagerDependencies
  * @property {import('../utils/EventBus.js').EventBus} eventBus - Event bus instance
  * @property {import('../core/ModalManager.js').ModalManager} modalManager - Modal manager
  * @property {import('../core/StateManager.js').StateManager} stateManager - State manager
+ * @property {import('../chatbot/ConversationStore.js').ConversationStore} [conversationStore] - Saved chatbot conversations (IndexedDB)
+ * @property {import('../chatbot/EmbeddingCache.js').EmbeddingCache} [embeddingCache] - Cached search vectors (IndexedDB)
+ * @property {import('../chatbot/FeedbackStore.js').FeedbackStore} [feedbackStore] - Ratings of chatbot answers (IndexedDB)
  * @property {Document} [document] - Document reference
  */
 
 /**
- * Manages RGPD data operations including view, export, and delete.
+ * Manages RGPD data operations including view, export, import, and delete.
  * Provides user-facing functionality for data rights (ARCO).
  *
  * @class DataManager
@@ -52,6 +71,27 @@ export class DataManager {
      */
     #stateManager;
 
+    /**
+     * Saved chatbot conversations, exported and deleted with the rest of the data
+     * @type {import('../chatbot/ConversationStore.js').ConversationStore|null}
+     * @private
+     */
+    #conversationStore;
+
+    /**
+     * Cached embedding vectors, deleted with the rest of the data
+     * @type {import('../chatbot/EmbeddingCache.js').EmbeddingCache|null}
+     * @private
+     */
+    #embeddingCache;
+
+    /**
+     * Ratings of chatbot answers, shown per article, exported and deleted with the rest of the data
+     * @type {import('../chatbot/FeedbackStore.js').FeedbackStore|null}
+     * @private
+     */
+    #feedbackStore;
+
     /**
      * Document reference
      * @type {Document}
@@ -59,13 +99,20 @@ export class DataManager {
      */
     #document;
 
+    /**
+     * Import waiting for confirmation in the preview modal
+     * @type {{values: Object<string, *>, skipped: string[], exportDate: string, conversationCount: number}|null}
+     * @private
+     */
+    #pendingImport = null;
+
     /**
      * Creates a new DataManager instance
      *
      * @param {DataManagerDependencies} dependencies - Injected dependencies
      * @throws {TypeError} If required dependencies are missing
      */
-    constructor({ eventBus, modalManager, stateManager, document: doc = null }) {
+    constructor({ eventBus, modalManager, stateManager, conversationStore = null, embeddingCache = null, feedbackStore = null, document: doc = null }) {
         if (!eventBus) {
             throw new TypeError('DataManager requires an EventBus instance');
         }
@@ -79,6 +126,9 @@ export class DataManager {
         this.#eventBus = eventBus;
         this.#modalManager = modalManager;
         this.#stateManager = stateManager;
+        this.#conversationStore = conversationStore;
+        this.#embeddingCache = embeddingCache;
+        this.#feedbackStore = feedbackStore;
         this.#document = doc || (typeof document !== 'undefined' ? document : null);
     }
 
@@ -109,7 +159,7 @@ export class DataManager {
             <div class="info-box">
                 <div class="info-icon"><i class="ri-database-2-line"></i></div>
                 <div class="info-content">
-                    <p><strong>${dataCount} elementos</strong> almacenados en localStorage</p>
+                    <p><strong>${dataCount} elementos</strong> almacenados en este navegador</p>
                     <p style="color: var(--text-muted); font-size: 14px; margin-top: 8px;">
                         Estos datos solo existen en este navegador y no se han enviado a ningun servidor.
                     </p>
@@ -133,47 +183,104 @@ export class DataManager {
     }
 
     /**
-     * Exports all data as a JSON file download
+     * Exports all data as a JSON file download.
+     * Saved chatbot conversations are decrypted and included under `conversations`,
+     * and the ratings of its answers under `answerFeedback`.
      *
-     * @returns {void}
+     * @returns {Promise<void>}
      * @fires DataManager#data:exported
      *
      * @example
-     * dataManager.exportData();
+     * await dataManager.exportData();
      */
-    exportData() {
+    async exportData() {
         const allData = this.#stateManager.exportAll();
+        const conversations = await this.#exportConversations();
+        const answerFeedback = await this.#readFeedback();
 
         const exportData = {
             exportDate: new Date().toISOString(),
             application: 'Jamf Assistant',
             dataCount: Object.keys(allData).length,
-            data: allData
+            data: allData,
+            conversationCount: conversations.length,
+            conversations,
+            answerFeedback
         };
 
+        const count = Object.keys(allData).length + conversations.length + answerFeedback.length;
+
         const jsonString = JSON.stringify(exportData, null, 2);
         this.#downloadJson(jsonString);
-        this.#showExportSuccessModal(Object.keys(allData).length);
+        this.#showExportSuccessModal(count);
 
         this.#eventBus.emit(AppEvents.DATA_EXPORTED, {
-            count: Object.keys(allData).length
+            count,
+            conversations: conversations.length
         });
     }
 
+    /**
+     * Reads saved chatbot conversations for the export
+     * @returns {Promise<Object[]>} Decrypted threads (empty if unavailable)
+     * @private
+     */
+    async #exportConversations() {
+        if (!this.#conversationStore) return [];
+
+        try {
+            return await this.#conversationStore.exportAll();
+        } catch (error) {
+            console.error('[DataManager] Could not export conversations:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Reads the ratings of chatbot answers
+     * @returns {Promise<import('../chatbot/FeedbackStore.js').FeedbackEntry[]>} Ratings (empty if unavailable)
+     * @private
+     */
+    async #readFeedback() {
+        if (!this.#feedbackStore) return [];
+
+        try {
+            return await this.#feedbackStore.getAll();
+        } catch (error) {
+            console.error('[DataManager] Could not read answer feedback:', error);
+            return [];
+        }
+    }
+
     /**
      * Downloads a JSON string as a file
      * @param {string} jsonString - JSON content
      * @private
      */
     #downloadJson(jsonString) {
+        this.#downloadFile({
+            filename: `mis-datos-jamf-assistant-${new Date().toISOString().split('T')[0]}.json`,
+            content: jsonString,
+            mimeType: 'application/json'
+        });
+    }
+
+    /**
+     * Downloads a file
+     * @param {{filename: string, content: string, mimeType: string}} file - File to download
+     * @private
+     */
+    #downloadFile({ filename, content, mimeType }) {
         if (!this.#document) return;
 
-        const blob = new Blob([jsonString], { type: 'application/json' });
+        // The BOM lets spreadsheets read accented text as UTF-8
+        const parts = mimeType === 'text/csv' ? ['\uFEFF', content] : [content];
+        const blob = new Blob(parts, { type: mimeType === 'text/csv' ? `${mimeType};charset=utf-8` : mimeType });
         const url = URL.createObjectURL(blob);
         const a = this.#document.createElement('a');
 
         a.href = url;
-        a.download = `mis-datos-jamf-assistant-${new Date().toISOString().split('T')[0]}.json`;
+        a.download = filename;
 
         this.#document.body.appendChild(a);
         a.click();
@@ -181,6 +288,106 @@ export class DataManager {
         URL.revokeObjectURL(url);
     }
 
+    /**
+     * Shows the ratings of the chatbot answers grouped by the documentation
+     * articles used to answer, most negative first, with JSON/CSV exports
+     *
+     * @returns {Promise<void>}
+     *
+     * @example
+     * await dataManager.showAnswerFeedback();
+     */
+    async showAnswerFeedback() {
+        const entries = await this.#readFeedback();
+        const summary = aggregateFeedback(entries);
+
+        const rows = summary.articles.map(article => `
+            <tr>
+                <td>
+                    <strong>${this.#escapeHtml(article.title)}</strong><br>
+                    <span class="feedback-doc-id">${this.#escapeHtml(article.docId)}</span>
+                    ${article.comments.length > 0 ? `<br><em>"${this.#escapeHtml(article.comments[0])}"</em>` : ''}
+                </td>
+                <td>${article.up}</td>
+                <td>${article.down}</td>
+                <td>${article.wrong}</td>
+                <td><strong>${Math.round(article.negativeRate * 100)}%</strong></td>
+                <td>${article.averageScore === null ? '-' : `${Math.round(article.averageScore * 100)}%`}</td>
+            </tr>
+        `).join('');
+
+        const html = `
+            <h2><i class="ri-feedback-line"></i> Calidad del asistente</h2>
+            <div class="info-box">
+                <div class="info-icon"><i class="ri-bar-chart-box-line"></i></div>
+                <div class="info-content">
+                    <p><strong>${summary.total} respuestas valoradas</strong>: ${summary.up} utiles, ${summary.down} no utiles y ${summary.wrong} incorrectas.</p>
+                    <p style="color: var(--text-muted); font-size: 14px; margin-top: 8px;">
+                        Cada valoracion cuenta para los articulos de la documentacion que el asistente uso al responder. Los articulos con mas valoraciones negativas aparecen primero: son los que conviene revisar.
+                    </p>
+                </div>
+            </div>
+
+            ${rows ? `
+                <div class="feedback-table-wrapper">
+                    <table class="feedback-table">
+                        <thead>
+                            <tr>
+                                <th>Articulo</th>
+                                <th title="Utiles"><i class="ri-thumb-up-line"></i></th>
+                                <th title="No utiles"><i class="ri-thumb-down-line"></i></th>
+                                <th title="Incorrectas"><i class="ri-flag-line"></i></th>
+                                <th>Negativas</th>
+                                <th>Relevancia media</th>
+                            </tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+            ` : '<p>Todavia no hay valoraciones. Usa los botones bajo las respuestas del asistente para valorarlas.</p>'}
+
+            <div style="display: flex; gap: 12px; margin-top: 20px;">
+                <button class="diagnostic-btn" id="exportFeedbackJson" ${entries.length === 0 ? 'disabled' : ''}>
+                    <i class="ri-download-2-line"></i> Exportar JSON
+                </button>
+                <button class="diagnostic-btn" id="exportFeedbackCsv" ${entries.length === 0 ? 'disabled' : ''}>
+                    <i class="ri-file-excel-2-line"></i> Exportar CSV
+                </button>
+            </div>
+        `;
+
+        this.#modalManager.show(html);
+        this.#bindFeedbackExports();
+    }
+
+    /**
+     * Downloads the ratings of the chatbot answers
+     *
+     * @param {'json'|'csv'} format - `json`: ratings per article and every rating; `csv`: ratings per article
+     * @returns {Promise<boolean>} True if the download started
+     *
+     * @example
+     * await dataManager.exportAnswerFeedback('csv');
+     */
+    async exportAnswerFeedback(format) {
+        const entries = await this.#readFeedback();
+        if (entries.length === 0 || !this.#document) return false;
+
+        this.#downloadFile(format === 'csv' ? toCsvFile(entries) : toJsonFile(entries));
+        return true;
+    }
+
+    /**
+     * Binds the export buttons of the answer ratings view
+     * @private
+     */
+    #bindFeedbackExports() {
+        if (!this.#document) return;
+
+        this.#document.getElementById('exportFeedbackJson')?.addEventListener('click', () => this.exportAnswerFeedback('json'));
+        this.#document.getElementById('exportFeedbackCsv')?.addEventListener('click', () => this.exportAnswerFeedback('csv'));
+    }
+
     /**
      * Shows export success modal
      * @param {number} count - Number of exported items
@@ -202,7 +409,315 @@ export class DataManager {
                 <div class="info-icon"><i class="ri-shield-check-line"></i></div>
                 <div class="info-content">
                     <h4>Seguridad de tus datos</h4>
-                    <p>El archivo descargado contiene todos tus datos en formato JSON legible. Guardalo en un lugar seguro si contiene informacion sensible como tu API Key.</p>
+                    <p>El archivo descargado contiene todos tus datos en formato JSON legible. Guardalo en un lugar seguro si contiene informacion sensible como tu API Key o tus conversaciones con el asistente.</p>
+                </div>
+            </div>
+        `;
+
+        this.#modalManager.show(html);
+    }
+
+    /**
+     * Checks that a file is an export of this app
+     *
+     * @param {string} text - File contents
+     * @returns {ImportValidationResult} Validation result
+     *
+     * @example
+     * const result = dataManager.validateImportFile(await file.text());
+     * if (!result.valid) console.warn(result.error);
+     */
+    validateImportFile(text) {
+        let file;
+        try {
+            file = JSON.parse(text);
+        } catch {
+            return { valid: false, error: 'El archivo no es un JSON valido.' };
+        }
+
+        if (!file || typeof file !== 'object' || file.application !== 'Jamf Assistant') {
+            return { valid: false, error: 'El archivo no es una exportacion de Jamf Assistant.' };
+        }
+
+        if (!file.data || typeof file.data !== 'object' || Array.isArray(file.data)) {
+            return { valid: false, error: 'El archivo no contiene datos para importar.' };
+        }
+
+        if (typeof file.exportDate !== 'string' || Number.isNaN(Date.parse(file.exportDate))) {
+            return { valid: false, error: 'La fecha de exportacion del archivo no es valida.' };
+        }
+
+        return {
+            valid: true,
+            data: file.data,
+            exportDate: file.exportDate,
+            conversationCount: Array.isArray(file.conversations) ? file.conversations.length : 0
+        };
+    }
+
+    /**
+     * Asks for an export file and previews its import
+     *
+     * @returns {void}
+     *
+     * @example
+     * dataManager.startImport();
+     */
+    startImport() {
+        if (!this.#document) return;
+
+        const input = this.#document.createElement('input');
+        input.type = 'file';
+        input.accept = 'application/json,.json';
+
+        input.addEventListener('change', async () => {
+            const file = input.files?.[0];
+            if (!file) return;
+
+            if (file.size > MAX_IMPORT_SIZE) {
+                this.#showImportErrorModal('El archivo es demasiado grande para ser una exportacion de Jamf Assistant.');
+                return;
+            }
+
+            await this.previewImport(await file.text());
+        });
+
+        input.click();
+    }
+
+    /**
+     * Validates an export file and shows what importing it would change
+     *
+     * @param {string} text - File contents
+     * @param {'merge'|'replace'} [mode='merge'] - Import mode shown first
+     * @returns {Promise<boolean>} True if the preview was shown
+     *
+     * @example
+     * await dataManager.previewImport(fileText);
+     */
+    async previewImport(text, mode = 'merge') {
+        this.#pendingImport = null;
+
+        const result = this.validateImportFile(text);
+        if (!result.valid) {
+            this.#showImportErrorModal(result.error);
+            return false;
+        }
+
+        let prepared;
+        try {
+            prepared = await this.#stateManager.prepareImport(result.data);
+        } catch (error) {
+            console.error('[DataManager] Could not prepare import:', error);
+            this.#showImportErrorModal('El archivo se exporto con una version mas reciente de la aplicacion. Actualiza la pagina e intentalo de nuevo.');
+            return false;
+        }
+
+        if (Object.keys(prepared.values).length === 0) {
+            this.#showImportErrorModal('El archivo no contiene preferencias ni progreso de checklists.');
+            return false;
+        }
+
+        this.#pendingImport = {
+            ...prepared,
+            exportDate: result.exportDate,
+            conversationCount: result.conversationCount
+        };
+        this.#showImportPreviewModal(mode);
+        return true;
+    }
+
+    /**
+     * Imports the previewed file
+     *
+     * @param {'merge'|'replace'} [mode='merge'] - `merge` keeps the current data, `replace` removes what the file lacks
+     * @returns {Promise<boolean>} True if the data was imported
+     * @fires DataManager#data:imported
+     *
+     * @example
+     * await dataManager.executeImport('replace');
+     */
+    async executeImport(mode = 'merge') {
+        if (!this.#pendingImport) return false;
+
+        const { values } = this.#pendingImport;
+        this.#pendingImport = null;
+
+        let summary;
+        try {
+            summary = await this.#stateManager.importAll(values, { mode });
+        } catch (error) {
+            console.error('[DataManager] Import failed:', error);
+            this.#showImportErrorModal('No se han podido guardar todos los datos importados. Comprueba el espacio disponible en el navegador.');
+            return false;
+        }
+
+        this.#showImportSuccessModal(summary);
+
+        this.#eventBus.emit(AppEvents.DATA_IMPORTED, {
+            mode,
+            added: summary.added.length,
+            changed: summary.changed.length,
+            removed: summary.removed.length
+        });
+
+        return true;
+    }
+
+    /**
+     * Shows the changes of the pending import and the mode selector
+     * @param {'merge'|'replace'} mode - Selected import mode
+     * @private
+     */
+    #showImportPreviewModal(mode) {
+        const { values, skipped, exportDate, conversationCount } = this.#pendingImport;
+        const { added, changed, unchanged, removed } = this.#stateManager.previewImport(values, { mode });
+        const exportedOn = new Date(exportDate).toLocaleString('es-ES');
+
+        const rows = [
+            ...added.map(key => this.#renderChangeRow(key, 'Nuevo', 'var(--success)')),
+            ...changed.map(key => this.#renderChangeRow(key, 'Cambia', 'var(--accent-primary)')),
+            ...removed.map(key => this.#renderChangeRow(key, 'Se elimina', 'var(--error)'))
+        ];
+
+        const html = `
+            <h2><i class="ri-upload-2-line"></i> Importar Datos</h2>
+            <div class="info-box">
+                <div class="info-icon"><i class="ri-file-list-3-line"></i></div>
+                <div class="info-content">
+                    <p>Archivo exportado el <strong>${this.#escapeHtml(exportedOn)}</strong></p>
+                    <p style="color: var(--text-muted); font-size: 14px; margin-top: 8px;">
+                        ${added.length} nuevos, ${changed.length} cambian, ${unchanged.length} sin cambios${mode === 'replace' ? `, ${removed.length} se eliminan` : ''}
+                    </p>
+                </div>
+            </div>
+
+            <div style="display: flex; flex-direction: column; gap: 8px; margin: 20px 0;">
+                <label>
+                    <input type="radio" name="importMode" value="merge" ${mode === 'merge' ? 'checked' : ''}>
+                    <strong>Combinar</strong> con los datos de este navegador
+                </label>
+                <label>
+                    <input type="radio" name="importMode" value="replace" ${mode === 'replace' ? 'checked' : ''}>
+                    <strong>Reemplazar</strong> los datos de este navegador por los del archivo
+                </label>
+            </div>
+
+            ${rows.length > 0
+                ? `<ul style="max-height: 300px; overflow-y: auto; padding-left: 0; list-style: none;">${rows.join('')}</ul>`
+                : '<p>Los datos de este navegador ya coinciden con los del archivo.</p>'}
+
+            ${skipped.length > 0 || conversationCount > 0 ? `
+                <div class="info-box" style="background: var(--accent-bg); border-left-color: var(--accent-primary);">
+                    <div class="info-icon" style="color: var(--accent-primary);"><i class="ri-information-line"></i></div>
+                    <div class="info-content">
+                        <p style="font-size: 14px;">No se importan las API Keys, los ajustes del asistente ni las conversaciones (${skipped.length + conversationCount} elementos): solo funcionan en el navegador donde se crearon.</p>
+                    </div>
+                </div>
+            ` : ''}
+
+            <div style="display: flex; gap: 12px; margin-top: 20px;">
+                <button class="diagnostic-btn" id="confirmImport" ${rows.length === 0 ? 'disabled' : ''}>
+                    <i class="ri-upload-2-line"></i> Importar
+                </button>
+                <button class="diagnostic-btn" id="cancelImport" style="background: var(--text-muted);">
+                    Cancelar
+                </button>
+            </div>
+        `;
+
+        this.#modalManager.show(html);
+        this.#bindImportControls(mode);
+    }
+
+    /**
+     * Renders one changed key of the import preview
+     * @param {string} key - Storage key
+     * @param {string} label - Kind of change
+     * @param {string} color - Badge color
+     * @returns {string} List item HTML
+     * @private
+     */
+    #renderChangeRow(key, label, color) {
+        return `
+            <li style="display: flex; justify-content: space-between; gap: 12px; padding: 8px 0; border-bottom: 1px solid var(--border-subtle);">
+                <span>${this.#escapeHtml(this.#describeKey(key))}</span>
+                <span style="color: ${color}; font-weight: 600;">${label}</span>
+            </li>
+        `;
+    }
+
+    /**
+     * Describes a storage key for the user
+     * @param {string} key - Storage key
+     * @returns {string} Description
+     * @private
+     */
+    #describeKey(key) {
+        const names = {
+            theme: 'Preferencia de tema',
+            sidebarCollapsed: 'Estado del menu lateral',
+            jamf_currentSection: 'Ultima seccion visitada',
+            jamf_customChecklists: 'Checklists personalizadas'
+        };
+
+        if (names[key]) return names[key];
+        if (key.startsWith('jamf_checklist-')) return `Progreso de la checklist "${key.slice('jamf_checklist-'.length)}"`;
+        return key;
+    }
+
+    /**
+     * Binds the import mode selector and buttons
+     * @param {'merge'|'replace'} mode - Selected import mode
+     * @private
+     */
+    #bindImportControls(mode) {
+        if (!this.#document) return;
+
+        this.#document.querySelectorAll('input[name="importMode"]').forEach(radio => {
+            radio.addEventListener('change', () => this.#showImportPreviewModal(radio.value));
+        });
+
+        this.#document.getElementById('confirmImport')?.addEventListener('click', () => this.executeImport(mode));
+
+        this.#document.getElementById('cancelImport')?.addEventListener('click', () => {
+            this.#pendingImport = null;
+            this.#modalManager.hide();
+        });
+    }
+
+    /**
+     * Shows import success modal
+     * @param {import('../core/StateManager.js').ImportSummary} summary - Imported changes
+     * @private
+     */
+    #showImportSuccessModal(summary) {
+        const html = `
+            <h2><i class="ri-upload-2-line"></i> Datos Importados</h2>
+            <div class="info-box" style="background: var(--accent-bg); border-left-color: var(--success);">
+                <div class="info-icon" style="color: var(--success);"><i class="ri-checkbox-circle-line"></i></div>
+                <div class="info-content">
+                    <h4>Importacion completada</h4>
+                    <p><strong>${summary.added.length + summary.changed.length} elementos</strong> importados${summary.removed.length > 0 ? ` y ${summary.removed.length} eliminados` : ''}.</p>
+                </div>
+            </div>
+        `;
+
+        this.#modalManager.show(html);
+    }
+
+    /**
+     * Shows why a file cannot be imported
+     * @param {string} message - Reason for the user
+     * @private
+     */
+    #showImportErrorModal(message) {
+        const html = `
+            <h2><i class="ri-error-warning-line"></i> No se puede importar</h2>
+            <div class="info-box" style="background: hsl(8, 45%, 95%); border-left-color: var(--error);">
+                <div class="info-icon" style="color: var(--error);"><i class="ri-alert-line"></i></div>
+                <div class="info-content">
+                    <p>${this.#escapeHtml(message)}</p>
                 </div>
             </div>
         `;
@@ -228,12 +743,16 @@ export class DataManager {
                 <div class="info-icon" style="color: var(--error);"><i class="ri-alert-line"></i></div>
                 <div class="info-content">
                     <h4>Esta accion no se puede deshacer</h4>
-                    <p>Se eliminaran permanentemente <strong>${dataCount} elementos</strong> de localStorage:</p>
+                    <p>Se eliminaran permanentemente <strong>${dataCount} elementos</strong> guardados en este navegador y las conversaciones guardadas:</p>
                     <ul style="margin-top: 10px;">
-                        <li>API Key de Google Gemini</li>
+                        <li>API Keys de los proveedores de IA</li>
+                        <li>Conversaciones guardadas del asistente</li>
+                        <li>Valoraciones de las respuestas del asistente</li>
+                        <li>Cache de busqueda semantica del asistente</li>
                         <li>Preferencias de tema</li>
                         <li>Estado del sidebar</li>
                         <li>Progreso de todas las checklists</li>
+                        <li>Checklists personalizadas</li>
                     </ul>
                 </div>
             </div>
@@ -272,16 +791,41 @@ export class DataManager {
     }
 
     /**
-     * Executes data deletion and shows success message
+     * Executes data deletion and shows success message.
+     * Conversations are removed first: their encryption key material lives in localStorage.
      *
-     * @returns {void}
+     * @returns {Promise<void>}
      * @fires DataManager#data:deleted
      *
      * @example
-     * dataManager.executeDelete();
+     * await dataManager.executeDelete();
      */
-    executeDelete() {
-        this.#stateManager.clearAll();
+    async executeDelete() {
+        if (this.#conversationStore) {
+            try {
+                await this.#conversationStore.clearAll();
+            } catch (error) {
+                console.error('[DataManager] Could not delete conversations:', error);
+            }
+        }
+
+        if (this.#embeddingCache) {
+            try {
+                await this.#embeddingCache.clear();
+            } catch (error) {
+                console.error('[DataManager] Could not delete embedding cache:', error);
+            }
+        }
+
+        if (this.#feedbackStore) {
+            try {
+                await this.#feedbackStore.clearAll();
+            } catch (error) {
+                console.error('[DataManager] Could not delete answer feedback:', error);
+            }
+        }
+
+        await this.#stateManager.clearAll();
         this.#showDeleteSuccessModal();
     }
 
@@ -296,7 +840,7 @@ export class DataManager {
                 <div class="info-icon" style="color: var(--success);"><i class="ri-check-line"></i></div>
                 <div class="info-content">
                     <h4>Todos tus datos han sido eliminados</h4>
-                    <p>localStorage ha sido limpiado completamente. La pagina se recargara para aplicar los cambios.</p>
+                    <p>Los datos de esta aplicacion y las conversaciones guardadas han sido eliminados. La pagina se recargara para aplicar los cambios.</p>
                 </div>
             </div>
         `;
@@ -0,0 +1,410 @@
+/**
+ * @fileoverview Declarative diagnostic flows: validation and compilation
+ * @module features/DiagnosticFlow
+ * @version 1.0.0
+ * @author Jamf Assistant Team
+ * @license MIT
+ *
+ * @description
+ * Diagnostics are written as JSON in `data/diagnostics.json`, so they can be
+ * added without touching code. Steps are named by id and options point to
+ * another step (`next`) or to a solution (`solution`):
+ *
+ * ```json
+ * {
+ *     "version": 1,
+ *     "diagnostics": {
+ *         "aula-no-funciona": {
+ *             "title": "La app Aula no funciona",
+ *             "icon": "ri-graduation-cap-line",
+ *             "keywords": ["aula no funciona", "aula no conecta"],
+ *             "docs": ["aula-problemas"],
+ *             "start": "bluetooth",
+ *             "steps": {
+ *                 "bluetooth": {
+ *                     "question": "Tienes el Bluetooth activado?",
+ *                     "options": [
+ *                         { "text": "Si", "next": "misma-red" },
+ *                         { "text": "No", "solution": "activar-bluetooth" }
+ *                     ]
+ *                 }
+ *             },
+ *             "solutions": {
+ *                 "activar-bluetooth": {
+ *                     "title": "Activar Bluetooth",
+ *                     "icon": "ri-bluetooth-connect-line",
+ *                     "content": ["<p>Abre Ajustes y activa Bluetooth.</p>"]
+ *                 }
+ *             }
+ *         }
+ *     }
+ * }
+ * ```
+ *
+ * {@link validateFlow} reports what would break the wizard (dead ends,
+ * cycles, references to missing steps or solutions) and
+ * {@link compileFlows} turns the valid flows into the objects the app uses.
+ * The optional `keywords` (phrases of the problem) and `docs` (ids of
+ * related `data/docs.json` articles) let the chatbot offer the diagnostic
+ * (see {@link module:features/DiagnosticMatcher}).
+ * `npm run validate-diagnostics` runs the validator on the data file.
+ */
+
+/**
+ * Version of the flow file format
+ * @type {number}
+ */
+export const DIAGNOSTIC_FLOW_VERSION = 1;
+
+/**
+ * @typedef {Object} DiagnosticFlowOption
+ * @property {string} text - Answer text
+ * @property {string} [next] - Id of the next step
+ * @property {string} [solution] - Key of the solution it leads to
+ */
+
+/**
+ * @typedef {Object} DiagnosticFlowStep
+ * @property {string} question - Question text
+ * @property {DiagnosticFlowOption[]} options - Possible answers
+ */
+
+/**
+ * @typedef {Object} DiagnosticFlowSolution
+ * @property {string} title - Solution title (text)
+ * @property {string} [icon] - Remix Icon class
+ * @property {string|string[]} content - Solution HTML (lines may be given as an array)
+ */
+
+/**
+ * @typedef {Object} DiagnosticFlow
+ * @property {string} title - Diagnostic title (text)
+ * @property {string} [icon] - Remix Icon class
+ * @property {string[]} [keywords] - Phrases that describe the problem (e.g. "aula no conecta")
+ * @property {string[]} [docs] - Ids of the docs.json articles about the problem
+ * @property {string} start - Id of the first step
+ * @property {Object<string, DiagnosticFlowStep>} steps - Steps by id
+ * @property {Object<string, DiagnosticFlowSolution>} solutions - Solutions by key
+ */
+
+/**
+ * @typedef {Object} DiagnosticFlowIssue
+ * @property {'error'|'warning'} severity - Errors keep the flow from loading
+ * @property {string} code - invalid-flow, missing-start, dead-end, invalid-option,
+ *     unknown-step, missing-solution, cycle, invalid-solution, unreachable-step or unused-solution
+ * @property {string} message - Explanation for the author
+ * @property {string} [diagnosticId] - Diagnostic (set by {@link validateFlows})
+ * @property {string} [stepId] - Step concerned
+ * @property {string} [solution] - Solution concerned
+ */
+
+/**
+ * Icon classes allowed in flows (Remix Icon names)
+ * @type {RegExp}
+ * @private
+ */
+const ICON_PATTERN = /^ri-[a-z0-9-]+$/;
+
+/**
+ * Checks if a value is a plain object
+ * @param {*} value - Value to check
+ * @returns {boolean} True for non-array objects
+ * @private
+ */
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Checks if an object has its own key (so "constructor" or "toString" are
+ * not taken for steps)
+ * @param {Object} object - Object to look in
+ * @param {string} key - Key to find
+ * @returns {boolean} True if the key is defined in the object
+ * @private
+ */
+function hasKey(object, key) {
+    return typeof key === 'string' && Object.prototype.hasOwnProperty.call(object, key);
+}
+
+/**
+ * Checks if a value is a non-blank string
+ * @param {*} value - Value to check
+ * @returns {boolean} True for strings with text
+ * @private
+ */
+function hasText(value) {
+    return typeof value === 'string' && value.trim() !== '';
+}
+
+/**
+ * Validates a diagnostic flow
+ *
+ * @param {DiagnosticFlow} flow - Flow to validate
+ * @returns {DiagnosticFlowIssue[]} Problems found (empty if the flow is correct)
+ *
+ * @example
+ * const errors = validateFlow(flow).filter(issue => issue.severity === 'error');
+ */
+export function validateFlow(flow) {
+    const issues = [];
+    const error = (code, message, extra = {}) => issues.push({ severity: 'error', code, message, ...extra });
+    const warning = (code, message, extra = {}) => issues.push({ severity: 'warning', code, message, ...extra });
+
+    if (!isObject(flow) || !hasText(flow.title) || !isObject(flow.steps) || !isObject(flow.solutions)) {
+        error('invalid-flow', 'El diagnostico necesita "title", "steps" y "solutions"');
+        return issues;
+    }
+    if (flow.icon !== undefined && !ICON_PATTERN.test(flow.icon)) {
+        error('invalid-flow', `El icono "${flow.icon}" no es una clase de Remix Icon (ri-...)`);
+    }
+    ['keywords', 'docs'].forEach(field => {
+        const value = flow[field];
+        if (value !== undefined && (!Array.isArray(value) || !value.every(hasText))) {
+            error('invalid-flow', `"${field}" debe ser una lista de textos`);
+        }
+    });
+
+    const steps = flow.steps;
+    const solutions = flow.solutions;
+    const usedSolutions = new Set();
+
+    if (!hasKey(steps, flow.start)) {
+        error('missing-start', `El paso inicial "${flow.start}" no existe`);
+    }
+
+    Object.entries(steps).forEach(([stepId, step]) => {
+        if (!isObject(step) || !hasText(step.question)) {
+            error('dead-end', `El paso "${stepId}" no tiene pregunta`, { stepId });
+            return;
+        }
+        if (!Array.isArray(step.options) || step.options.length === 0) {
+            error('dead-end', `El paso "${stepId}" no tiene respuestas`, { stepId });
+            return;
+        }
+
+        step.options.forEach((option, index) => {
+            const label = `La respuesta ${index + 1} del paso "${stepId}"`;
+            const hasNext = option?.next !== undefined;
+            const hasSolution = option?.solution !== undefined;
+
+            if (!hasText(option?.text)) {
+                error('invalid-option', `${label} no tiene texto`, { stepId });
+            }
+            if (!hasNext && !hasSolution) {
+                error('dead-end', `${label} no lleva a ningun paso ni solucion`, { stepId });
+            } else if (hasNext && hasSolution) {
+                error('invalid-option', `${label} tiene "next" y "solution"; debe tener solo uno`, { stepId });
+            } else if (hasNext && !hasKey(steps, option.next)) {
+                error('unknown-step', `${label} lleva al paso "${option.next}", que no existe`, { stepId });
+            } else if (hasSolution) {
+                usedSolutions.add(option.solution);
+                if (!hasKey(solutions, option.solution)) {
+                    error('missing-solution', `${label} lleva a la solucion "${option.solution}", que no existe`, {
+                        stepId,
+                        solution: option.solution
+                    });
+                }
+            }
+        });
+    });
+
+    Object.entries(solutions).forEach(([key, solution]) => {
+        if (!isObject(solution) || !hasText(solution.title)) {
+            error('invalid-solution', `La solucion "${key}" no tiene titulo`, { solution: key });
+        } else if (!(hasText(solution.content) || (Array.isArray(solution.content) && solution.content.length > 0))) {
+            error('invalid-solution', `La solucion "${key}" no tiene contenido`, { solution: key });
+        } else if (solution.icon !== undefined && !ICON_PATTERN.test(solution.icon)) {
+            error('invalid-solution', `El icono "${solution.icon}" de la solucion "${key}" no es una clase de Remix Icon`, {
+                solution: key
+            });
+        }
+        if (!usedSolutions.has(key)) {
+            warning('unused-solution', `Ninguna respuesta lleva a la solucion "${key}"`, { solution: key });
+        }
+    });
+
+    issues.push(...findCycles(steps, flow.start));
+
+    if (hasKey(steps, flow.start)) {
+        const reachable = reachableSteps(steps, flow.start);
+        Object.keys(steps)
+            .filter(stepId => !reachable.has(stepId))
+            .forEach(stepId => warning('unreachable-step', `No se puede llegar al paso "${stepId}" desde el inicio`, { stepId }));
+    }
+
+    return issues;
+}
+
+/**
+ * Ids of the steps an option leads to, skipping missing ones
+ * @param {Object<string, DiagnosticFlowStep>} steps - Steps by id
+ * @param {string} stepId - Step to follow
+ * @returns {string[]} Next step ids
+ * @private
+ */
+function nextSteps(steps, stepId) {
+    const options = Array.isArray(steps[stepId]?.options) ? steps[stepId].options : [];
+    return options
+        .map(option => option?.next)
+        .filter(next => next !== undefined && hasKey(steps, next));
+}
+
+/**
+ * Finds the answers that lead back to an earlier step, which would make the
+ * wizard loop forever
+ * @param {Object<string, DiagnosticFlowStep>} steps - Steps by id
+ * @param {string} start - First step (searched first, so the answer going back is the one reported)
+ * @returns {DiagnosticFlowIssue[]} One issue per answer closing a cycle
+ * @private
+ */
+function findCycles(steps, start) {
+    const issues = [];
+    const state = new Map(); // stepId -> 'visiting' | 'done'
+
+    const visit = (stepId) => {
+        state.set(stepId, 'visiting');
+        nextSteps(steps, stepId).forEach(next => {
+            if (state.get(next) === 'visiting') {
+                issues.push({
+                    severity: 'error',
+                    code: 'cycle',
+                    message: `El paso "${stepId}" vuelve al paso "${next}" y forma un ciclo`,
+                    stepId
+                });
+            } else if (!state.has(next)) {
+                visit(next);
+            }
+        });
+        state.set(stepId, 'done');
+    };
+
+    [start, ...Object.keys(steps)].forEach(stepId => {
+        if (hasKey(steps, stepId) && !state.has(stepId)) visit(stepId);
+    });
+
+    return issues;
+}
+
+/**
+ * Collects the steps that can be reached from a step
+ * @param {Object<string, DiagnosticFlowStep>} steps - Steps by id
+ * @param {string} start - First step
+ * @returns {Set<string>} Reachable step ids
+ * @private
+ */
+function reachableSteps(steps, start) {
+    const reached = new Set([start]);
+    const pending = [start];
+
+    while (pending.length > 0) {
+        nextSteps(steps, pending.pop()).forEach(next => {
+            if (!reached.has(next)) {
+                reached.add(next);
+                pending.push(next);
+            }
+        });
+    }
+
+    return reached;
+}
+
+/**
+ * Validates every flow of the diagnostics file
+ *
+ * @param {Object<string, DiagnosticFlow>} flows - Flows by diagnostic id
+ * @returns {DiagnosticFlowIssue[]} Problems found, with their `diagnosticId`
+ *
+ * @example
+ * const { diagnostics } = JSON.parse(await readFile('data/diagnostics.json', 'utf-8'));
+ * validateFlows(diagnostics).forEach(issue => console.log(issue.diagnosticId, issue.message));
+ */
+export function validateFlows(flows) {
+    if (!isObject(flows)) {
+        return [{ severity: 'error', code: 'invalid-flow', message: 'Falta el objeto "diagnostics"' }];
+    }
+
+    return Object.entries(flows).flatMap(([diagnosticId, flow]) => (
+        validateFlow(flow).map(issue => ({ diagnosticId, ...issue }))
+    ));
+}
+
+/**
+ * Escapes HTML special characters
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ * @private
+ */
+function escapeHtml(text) {
+    const map = {
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#039;'
+    };
+    return String(text).replace(/[&<>"']/g, m => map[m]);
+}
+
+/**
+ * Turns a valid flow into the diagnostic used by the app: steps become a
+ * list (the first step first, then in file order) that keeps the ids, and
+ * icons and solution titles become HTML (the text title is kept as `label`)
+ *
+ * @param {DiagnosticFlow} flow - Valid flow
+ * @returns {import('./DiagnosticsManager.js').Diagnostic} Diagnostic
+ *
+ * @example
+ * const diagnostic = compileFlow(flow);
+ * diagnostic.steps[0].id === flow.start; // true
+ */
+export function compileFlow(flow) {
+    const order = [flow.start, ...Object.keys(flow.steps).filter(stepId => stepId !== flow.start)];
+
+    return {
+        title: flow.title,
+        icon: `<i class="${escapeHtml(flow.icon || 'ri-bug-line')}"></i>`,
+        keywords: flow.keywords || [],
+        docs: flow.docs || [],
+        start: flow.start,
+        steps: order.map(stepId => ({
+            id: stepId,
+            question: flow.steps[stepId].question,
+            options: flow.steps[stepId].options.map(option => (
+                option.solution !== undefined
+                    ? { text: option.text, solution: option.solution }
+                    : { text: option.text, next: option.next }
+            ))
+        })),
+        solutions: Object.fromEntries(Object.entries(flow.solutions).map(([key, solution]) => [key, {
+            title: `<i class="${escapeHtml(solution.icon || 'ri-lightbulb-line')}"></i> ${escapeHtml(solution.title)}`,
+            label: solution.title,
+            content: Array.isArray(solution.content) ? solution.content.join('\n') : solution.content
+        }]))
+    };
+}
+
+/**
+ * Validates and compiles the flows of the diagnostics file. Flows with
+ * errors are left out; warnings do not stop a flow from loading.
+ *
+ * @param {Object<string, DiagnosticFlow>} flows - Flows by diagnostic id
+ * @returns {{diagnostics: Object<string, import('./DiagnosticsManager.js').Diagnostic>, issues: DiagnosticFlowIssue[]}}
+ *     Compiled diagnostics and the problems found
+ *
+ * @example
+ * const { diagnostics, issues } = compileFlows(data.diagnostics);
+ */
+export function compileFlows(flows) {
+    const issues = validateFlows(flows);
+    const broken = new Set(issues.filter(issue => issue.severity === 'error').map(issue => issue.diagnosticId));
+    const diagnostics = {};
+
+    if (isObject(flows)) {
+        Object.entries(flows).forEach(([diagnosticId, flow]) => {
+            if (!broken.has(diagnosticId)) diagnostics[diagnosticId] = compileFlow(flow);
+        });
+    }
+
+    return { diagnostics, issues };
+}
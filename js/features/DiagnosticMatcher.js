@@ -0,0 +1,97 @@
+/**
+ * @fileoverview Finds the diagnostics that fit a chatbot question
+ * @module features/DiagnosticMatcher
+ * @version 1.0.0
+ * @author Jamf Assistant Team
+ * @license MIT
+ *
+ * @description
+ * Pure functions: the chatbot asks which guided diagnostics fit the user's
+ * question and the documents it retrieved, to offer a button that starts
+ * them. A diagnostic fits when one of its `keywords` phrases is in the
+ * question, or when one of its `docs` is among the first documents
+ * retrieved (see {@link module:features/DiagnosticFlow}).
+ */
+
+import { analyze } from '../utils/TextAnalyzer.js';
+
+/**
+ * @typedef {Object} DiagnosticMatch
+ * @property {string} id - Diagnostic id
+ * @property {string} title - Diagnostic title
+ * @property {number} score - Points: 2 per keyword phrase, 3/2/1 per related document by rank
+ */
+
+/**
+ * @typedef {Object} DiagnosticMatchOptions
+ * @property {number} [limit=2] - Maximum diagnostics returned
+ * @property {number} [minScore=2] - Points needed to offer a diagnostic
+ * @property {number} [docRanks=3] - How many retrieved documents are looked at
+ */
+
+/**
+ * Points of a keyword phrase found in the question
+ * @type {number}
+ * @private
+ */
+const KEYWORD_SCORE = 2;
+
+/**
+ * Checks if two analyzed terms are the same word. The stemmer does not
+ * always cut verb forms the same way ("instal", "instalan"), so a term
+ * also matches the terms it is a prefix of.
+ * @param {string} a - Term
+ * @param {string} b - Term
+ * @returns {boolean} True if they are the same word
+ * @private
+ */
+function sameTerm(a, b) {
+    const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a];
+    return shorter === longer || (shorter.length >= 4 && longer.startsWith(shorter));
+}
+
+/**
+ * Checks if every word of a keyword phrase is in the question
+ * @param {string[]} phrase - Analyzed phrase
+ * @param {string[]} terms - Analyzed question
+ * @returns {boolean} True if the phrase is in the question
+ * @private
+ */
+function containsPhrase(phrase, terms) {
+    return phrase.length > 0 && phrase.every(word => terms.some(term => sameTerm(word, term)));
+}
+
+/**
+ * Finds the diagnostics that fit a question and its retrieved documents
+ *
+ * @param {Object<string, import('./DiagnosticsManager.js').Diagnostic>} diagnostics - Compiled diagnostics
+ * @param {Object} input - What the chatbot has
+ * @param {string} [input.query=''] - User question
+ * @param {string[]} [input.docIds=[]] - Ids of the retrieved documents, best first
+ * @param {DiagnosticMatchOptions} [options={}] - Limits
+ * @returns {DiagnosticMatch[]} Fitting diagnostics, best first
+ *
+ * @example
+ * matchDiagnostics(diagnosticsManager.getDiagnostics(), { query: 'Las apps no se instalan' });
+ * // [{ id: 'apps-not-installing', title: 'Las apps no se instalan', score: 2 }]
+ */
+export function matchDiagnostics(diagnostics, { query = '', docIds = [] } = {}, options = {}) {
+    const { limit = 2, minScore = 2, docRanks = 3 } = options;
+    const terms = analyze(query);
+    const topDocs = docIds.slice(0, docRanks);
+
+    return Object.entries(diagnostics || {})
+        .map(([id, diagnostic]) => {
+            const keywordScore = (diagnostic.keywords || [])
+                .filter(keyword => containsPhrase(analyze(keyword), terms)).length * KEYWORD_SCORE;
+
+            const docScore = topDocs.reduce((score, docId, rank) => (
+                (diagnostic.docs || []).includes(docId) ? score + docRanks - rank : score
+            ), 0);
+
+            return { id, title: diagnostic.title, score: keywordScore + docScore };
+        })
+        .filter(match => match.score >= minScore)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+}
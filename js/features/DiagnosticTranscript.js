@@ -0,0 +1,160 @@
+/**
+ * @fileoverview Diagnostic session transcripts as text, e-mail and JSON
+ * @module features/DiagnosticTranscript
+ * @version 1.0.0
+ * @author Jamf Assistant Team
+ * @license MIT
+ *
+ * @description
+ * Pure functions: DiagnosticsManager records the path of a session (the
+ * questions, the answers chosen, the solution shown and whether it helped)
+ * and these functions turn it into a summary IT can paste into a ticket,
+ * so nobody has to ask the same questions again.
+ */
+
+/**
+ * @typedef {Object} DiagnosticTranscriptStep
+ * @property {string} stepId - Step id
+ * @property {string} question - Question asked
+ * @property {string} answer - Answer chosen
+ * @property {string} answeredAt - When it was answered (ISO 8601)
+ */
+
+/**
+ * @typedef {Object} DiagnosticTranscript
+ * @property {string} diagnosticId - Diagnostic id
+ * @property {string} title - Diagnostic title
+ * @property {string} startedAt - When the session started (ISO 8601)
+ * @property {DiagnosticTranscriptStep[]} steps - Answers in order
+ * @property {{key: string, title: string, shownAt: string}|null} solution - Solution shown, if any
+ * @property {'solved'|'not-solved'|null} outcome - Whether the solution helped
+ * @property {string|null} outcomeAt - When the outcome was marked (ISO 8601)
+ */
+
+/**
+ * Labels of the outcomes
+ * @type {Readonly<Object<string, string>>}
+ */
+export const OUTCOME_LABELS = Object.freeze({
+    solved: 'Resuelto',
+    'not-solved': 'No resuelto'
+});
+
+/**
+ * Formats a date of the transcript
+ * @param {string|null} value - Date (ISO 8601)
+ * @param {boolean} [withDate=true] - Whether to include the day
+ * @returns {string} Local date and time, or an empty string
+ * @private
+ */
+function formatTime(value, withDate = true) {
+    if (!value) return '';
+
+    const date = new Date(value);
+    const time = { hour: '2-digit', minute: '2-digit' };
+    return withDate
+        ? date.toLocaleString('es-ES', { day: '2-digit', month: '2-digit', year: 'numeric', ...time })
+        : date.toLocaleTimeString('es-ES', time);
+}
+
+/**
+ * Subject line for the summary
+ *
+ * @param {DiagnosticTranscript} transcript - Session transcript
+ * @returns {string} Subject, e.g. "Diagnostico: Aula no funciona (No resuelto)"
+ *
+ * @example
+ * toSubject(transcript);
+ */
+export function toSubject(transcript) {
+    const outcome = OUTCOME_LABELS[transcript.outcome];
+    return `Diagnostico: ${transcript.title}${outcome ? ` (${outcome})` : ''}`;
+}
+
+/**
+ * Formats a transcript as plain text to copy into a ticket
+ *
+ * @param {DiagnosticTranscript} transcript - Session transcript
+ * @returns {string} Summary text
+ *
+ * @example
+ * await navigator.clipboard.writeText(toSummaryText(transcript));
+ */
+export function toSummaryText(transcript) {
+    const lines = [
+        `Diagnostico: ${transcript.title}`,
+        `Inicio: ${formatTime(transcript.startedAt)}`,
+        `Resultado: ${OUTCOME_LABELS[transcript.outcome] || 'Sin indicar'}`,
+        '',
+        'Respuestas:'
+    ];
+
+    if (transcript.steps.length === 0) {
+        lines.push('(se abrio la solucion directamente)');
+    }
+    transcript.steps.forEach((step, index) => {
+        lines.push(`${index + 1}. ${step.question} -> ${step.answer} (${formatTime(step.answeredAt, false)})`);
+    });
+
+    lines.push('');
+    lines.push(transcript.solution
+        ? `Solucion mostrada: ${transcript.solution.title} (${formatTime(transcript.solution.shownAt, false)})`
+        : 'Solucion mostrada: ninguna');
+
+    lines.push('', 'Generado con Jamf Assistant');
+    return lines.join('\n');
+}
+
+/**
+ * Suggested first question for the chatbot when a diagnostic did not
+ * solve the problem
+ *
+ * @param {DiagnosticTranscript} transcript - Session transcript
+ * @returns {string} Question for the assistant
+ *
+ * @example
+ * chatUI.setInputValue(toAssistantQuestion(transcript));
+ */
+export function toAssistantQuestion(transcript) {
+    const tried = transcript.solution ? ` y he probado "${transcript.solution.title}"` : '';
+    return `He hecho el diagnostico "${transcript.title}"${tried}, pero el problema sigue. Que mas puedo probar?`;
+}
+
+/**
+ * Builds a mailto link with the summary as a draft
+ *
+ * @param {DiagnosticTranscript} transcript - Session transcript
+ * @param {Object} [options] - Options
+ * @param {string} [options.to=''] - Recipient (e.g. the IT helpdesk)
+ * @returns {string} mailto URL
+ *
+ * @example
+ * link.href = toMailtoUrl(transcript, { to: 'soporte@colegio.es' });
+ */
+export function toMailtoUrl(transcript, { to = '' } = {}) {
+    const subject = encodeURIComponent(toSubject(transcript));
+    const body = encodeURIComponent(toSummaryText(transcript));
+    return `mailto:${encodeURIComponent(to)}?subject=${subject}&body=${body}`;
+}
+
+/**
+ * Builds the downloadable JSON of a transcript
+ *
+ * @param {DiagnosticTranscript} transcript - Session transcript
+ * @param {Date} [now=new Date()] - Export date
+ * @returns {{filename: string, content: string, mimeType: string}} File to download
+ *
+ * @example
+ * const { filename, content } = toJsonFile(transcript);
+ */
+export function toJsonFile(transcript, now = new Date()) {
+    return {
+        filename: `diagnostico-${transcript.diagnosticId}-${now.toISOString().slice(0, 10)}.json`,
+        content: JSON.stringify({
+            exportedAt: now.toISOString(),
+            app: 'Jamf Assistant',
+            ...transcript
+        }, null, 2),
+        mimeType: 'application/json'
+    };
+}
@@ -7,9 +7,12 @@
  */
 
 import { AppEvents } from '../utils/EventBus.js';
+import { DIAGNOSTIC_FLOW_VERSION, compileFlows } from './DiagnosticFlow.js';
+import { toAssistantQuestion, toJsonFile, toMailtoUrl, toSummaryText } from './DiagnosticTranscript.js';
 
 /**
  * @typedef {Object} DiagnosticStep
+ * @property {string} id - Step identifier
  * @property {string} question - Step question text
  * @property {DiagnosticOption[]} options - Available options
  */
@@ -17,21 +20,32 @@ import { AppEvents } from '../utils/EventBus.js';
 /**
  * @typedef {Object} DiagnosticOption
  * @property {string} text - Option text
- * @property {number} [next] - Next step index
+ * @property {string} [next] - Next step id
  * @property {string} [solution] - Solution key if terminal
  */
 
 /**
  * @typedef {Object} DiagnosticSolution
- * @property {string} title - Solution title
+ * @property {string} title - Solution title (HTML)
+ * @property {string} [label] - Solution title as text
  * @property {string} content - Solution HTML content
  */
 
 /**
+ * Question answered on the way to the current step
+ * @typedef {Object} DiagnosticHistoryEntry
+ * @property {string} stepId - Step id
+ * @property {string} question - Question asked
+ * @property {string} answer - Answer chosen
+ */
+
+/**
+ * Diagnostic compiled from its flow (see {@link module:features/DiagnosticFlow})
  * @typedef {Object} Diagnostic
  * @property {string} title - Diagnostic title
- * @property {string} icon - Icon HTML/class
- * @property {DiagnosticStep[]} steps - Wizard steps
+ * @property {string} icon - Icon HTML
+ * @property {string} start - Id of the first step
+ * @property {DiagnosticStep[]} steps - Wizard steps, the first step first
  * @property {Object<string, DiagnosticSolution>} solutions - Solution definitions
  */
 
@@ -39,21 +53,21 @@ import { AppEvents } from '../utils/EventBus.js';
  * @typedef {Object} DiagnosticsManagerDependencies
  * @property {import('../utils/EventBus.js').EventBus} eventBus - Event bus instance
  * @property {import('../core/ModalManager.js').ModalManager} modalManager - Modal manager
- * @property {Object<string, Diagnostic>} diagnostics - Diagnostics data
+ * @property {Object<string, import('./DiagnosticFlow.js').DiagnosticFlow>} [diagnostics] - Diagnostic flows
+ *     (or load them later with loadFlows)
+ * @property {Document} [document] - Document reference (for testing)
  */
 
 /**
  * Manages interactive diagnostic wizards for troubleshooting.
- * Handles step navigation and solution display.
+ * Loads the flows of `data/diagnostics.json` and handles step navigation
+ * and solution display.
  *
  * @class DiagnosticsManager
  * @example
- * const diagnosticsManager = new DiagnosticsManager({
- *     eventBus,
- *     modalManager,
- *     diagnostics: Diagnostics
- * });
+ * const diagnosticsManager = new DiagnosticsManager({ eventBus, modalManager });
  *
+ * await diagnosticsManager.loadFlows();
  * diagnosticsManager.init();
  * diagnosticsManager.start('aula-no-funciona');
  */
@@ -73,11 +87,11 @@ export class DiagnosticsManager {
     #modalManager;
 
     /**
-     * Diagnostics data
+     * Compiled diagnostics
      * @type {Object<string, Diagnostic>}
      * @private
      */
-    #diagnostics;
+    #diagnostics = {};
 
     /**
      * Current active diagnostic
@@ -94,11 +108,53 @@ export class DiagnosticsManager {
     #currentDiagnosticId = null;
 
     /**
-     * Current step index
-     * @type {number}
+     * Current step id
+     * @type {string|null}
+     * @private
+     */
+    #currentStepId = null;
+
+    /**
+     * Questions answered on the way to the current step, oldest first
+     * @type {DiagnosticHistoryEntry[]}
+     * @private
+     */
+    #history = [];
+
+    /**
+     * True while a solution is shown instead of a step
+     * @type {boolean}
+     * @private
+     */
+    #solutionShown = false;
+
+    /**
+     * True once the user has answered a question and no solution is shown yet
+     * @type {boolean}
+     * @private
+     */
+    #inProgress = false;
+
+    /**
+     * True while the wizard (a step or a solution) is the content of the modal
+     * @type {boolean}
      * @private
      */
-    #currentStep = 0;
+    #wizardShown = false;
+
+    /**
+     * Record of the current session
+     * @type {import('./DiagnosticTranscript.js').DiagnosticTranscript|null}
+     * @private
+     */
+    #transcript = null;
+
+    /**
+     * Document reference
+     * @type {Document|null}
+     * @private
+     */
+    #document;
 
     /**
      * Creates a new DiagnosticsManager instance
@@ -106,7 +162,7 @@ export class DiagnosticsManager {
      * @param {DiagnosticsManagerDependencies} dependencies - Injected dependencies
      * @throws {TypeError} If required dependencies are missing
      */
-    constructor({ eventBus, modalManager, diagnostics }) {
+    constructor({ eventBus, modalManager, diagnostics, document: doc = null }) {
         if (!eventBus) {
             throw new TypeError('DiagnosticsManager requires an EventBus instance');
         }
@@ -114,14 +170,67 @@ export class DiagnosticsManager {
             throw new TypeError('DiagnosticsManager requires a ModalManager instance');
         }
 
-        // Graceful degradation - work without diagnostics data
-        if (!diagnostics) {
-            console.warn('[DiagnosticsManager] diagnostics data not provided - troubleshooting disabled');
-        }
-
         this.#eventBus = eventBus;
         this.#modalManager = modalManager;
-        this.#diagnostics = diagnostics || {};
+        this.#document = doc || (typeof document !== 'undefined' ? document : null);
+        if (diagnostics) this.diagnostics = diagnostics;
+    }
+
+    /**
+     * Sets the diagnostic flows. Flows with errors are left out and every
+     * problem found is logged.
+     * @param {Object<string, import('./DiagnosticFlow.js').DiagnosticFlow>} flows - Flows by diagnostic id
+     */
+    set diagnostics(flows) {
+        const { diagnostics, issues } = compileFlows(flows || {});
+
+        issues.forEach(issue => {
+            const log = issue.severity === 'error' ? console.error : console.warn;
+            log(`[DiagnosticsManager] ${issue.diagnosticId ?? 'diagnostics'}: ${issue.message}`);
+        });
+
+        this.#diagnostics = diagnostics;
+    }
+
+    /**
+     * Loads the diagnostic flows file
+     *
+     * @param {string} [path='data/diagnostics.json'] - Flows file path
+     * @returns {Promise<number>} Number of diagnostics loaded (0 on failure)
+     *
+     * @example
+     * await diagnosticsManager.loadFlows();
+     */
+    async loadFlows(path = 'data/diagnostics.json') {
+        try {
+            const response = await fetch(path);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            const data = await response.json();
+            if (data.version !== DIAGNOSTIC_FLOW_VERSION) {
+                throw new Error(`unsupported format version ${data.version}`);
+            }
+
+            this.diagnostics = data.diagnostics;
+            return Object.keys(this.#diagnostics).length;
+        } catch (error) {
+            console.warn('[DiagnosticsManager] Could not load diagnostics.json - troubleshooting disabled:', error.message);
+            return 0;
+        }
+    }
+
+    /**
+     * Gets every loaded diagnostic
+     *
+     * @returns {Object<string, Diagnostic>} Compiled diagnostics by id
+     *
+     * @example
+     * searchEngine.diagnostics = diagnosticsManager.getDiagnostics();
+     */
+    getDiagnostics() {
+        return { ...this.#diagnostics };
     }
 
     /**
@@ -134,6 +243,7 @@ export class DiagnosticsManager {
      */
     init() {
         this.#subscribeToModalEvents();
+        this.#document?.addEventListener('keydown', (e) => this.#handleKeydown(e));
     }
 
     /**
@@ -143,11 +253,14 @@ export class DiagnosticsManager {
     #subscribeToModalEvents() {
         this.#eventBus.on('modal:wizardOptionClicked', (data) => {
             if (this.#currentDiagnostic) {
-                if (data.solution) {
-                    this.#showSolution(data.solution);
-                } else if (data.next !== null) {
-                    this.#goToStep(data.next);
-                }
+                this.#chooseOption(data);
+            }
+        });
+
+        // data.index is the breadcrumb entry to return to (null: one step)
+        this.#eventBus.on('modal:diagnosticBack', (data) => {
+            if (this.#currentDiagnostic) {
+                this.back(data?.index ?? undefined);
             }
         });
 
@@ -156,6 +269,69 @@ export class DiagnosticsManager {
                 this.#restart();
             }
         });
+
+        // Other content replaces the wizard (see #showInModal)
+        this.#eventBus.on(AppEvents.MODAL_OPENED, () => {
+            this.#wizardShown = false;
+        });
+
+        // Closing the modal abandons the flow
+        this.#eventBus.on(AppEvents.MODAL_CLOSED, () => {
+            this.#inProgress = false;
+            this.#wizardShown = false;
+        });
+    }
+
+    /**
+     * Answers the current step: records the answer and shows the next step
+     * or the solution
+     * @param {{index?: number|null, next: string|null, solution: string|null}} data - Chosen option
+     * @private
+     */
+    #chooseOption(data) {
+        if (this.#solutionShown) return;
+        if (!data.solution && (data.next === null || this.#stepIndex(data.next) === -1)) {
+            if (data.next !== null) console.warn(`[DiagnosticsManager] Invalid step: ${data.next}`);
+            return;
+        }
+
+        const answered = this.#recordAnswer(data);
+        if (answered) this.#history.push(answered);
+
+        if (data.solution) {
+            this.#showSolution(data.solution);
+        } else {
+            this.#goToStep(data.next);
+        }
+    }
+
+    /**
+     * Answers with the number keys (1 for the first option) and goes back
+     * with Backspace while the wizard is on screen
+     * @param {KeyboardEvent} e - Key event
+     * @private
+     */
+    #handleKeydown(e) {
+        if (!this.#wizardShown || !this.#currentDiagnostic || !this.#modalManager.isVisible()) return;
+        if (e.altKey || e.ctrlKey || e.metaKey) return;
+
+        const target = e.target;
+        if (target?.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target?.tagName)) return;
+
+        if (e.key === 'Backspace') {
+            if (this.back()) e.preventDefault();
+            return;
+        }
+
+        if (this.#solutionShown || !/^[1-9]$/.test(e.key)) return;
+
+        const step = this.#currentDiagnostic.steps[this.#stepIndex(this.#currentStepId)];
+        const index = Number(e.key) - 1;
+        const option = step?.options[index];
+        if (!option) return;
+
+        e.preventDefault();
+        this.#chooseOption({ index, next: option.next ?? null, solution: option.solution ?? null });
     }
 
     /**
@@ -169,7 +345,7 @@ export class DiagnosticsManager {
      * diagnosticsManager.start('aula-no-funciona');
      */
     start(diagnosticId) {
-        const diagnostic = this.#diagnostics[diagnosticId];
+        const diagnostic = this.getDiagnostic(diagnosticId);
         if (!diagnostic) {
             console.warn(`[DiagnosticsManager] Diagnostic not found: ${diagnosticId}`);
             return false;
@@ -177,7 +353,11 @@ export class DiagnosticsManager {
 
         this.#currentDiagnostic = diagnostic;
         this.#currentDiagnosticId = diagnosticId;
-        this.#currentStep = 0;
+        this.#currentStepId = diagnostic.start;
+        this.#inProgress = false;
+        this.#solutionShown = false;
+        this.#history = [];
+        this.#beginTranscript();
 
         this.#renderCurrentStep();
 
@@ -189,29 +369,187 @@ export class DiagnosticsManager {
         return true;
     }
 
+    /**
+     * Opens a diagnostic directly at one of its solutions (e.g. from search)
+     *
+     * @param {string} diagnosticId - Diagnostic identifier
+     * @param {string} solutionKey - Solution identifier
+     * @returns {boolean} True if the solution was shown
+     *
+     * @example
+     * diagnosticsManager.openSolution('aula-no-funciona', 'activar-bluetooth');
+     */
+    openSolution(diagnosticId, solutionKey) {
+        const diagnostic = this.getDiagnostic(diagnosticId);
+        if (!diagnostic?.solutions?.[solutionKey]) {
+            console.warn(`[DiagnosticsManager] Solution not found: ${diagnosticId}/${solutionKey}`);
+            return false;
+        }
+
+        // "Volver a empezar" restarts this diagnostic
+        this.#currentDiagnostic = diagnostic;
+        this.#currentDiagnosticId = diagnosticId;
+        this.#currentStepId = diagnostic.start;
+        this.#history = [];
+        this.#beginTranscript();
+
+        this.#showSolution(solutionKey);
+        return true;
+    }
+
+    /**
+     * Shows a step of the active diagnostic (e.g. when restoring a deep link).
+     * Going to a step of the history drops the answers given after it;
+     * any other step starts a new history.
+     *
+     * @param {number|string} step - Step index (0-based, as in the URL) or step id
+     * @returns {boolean} True if the step exists and was shown
+     * @fires DiagnosticsManager#diagnostic:stepChanged
+     *
+     * @example
+     * diagnosticsManager.start('aula-no-funciona');
+     * diagnosticsManager.goToStep('misma-red');
+     */
+    goToStep(step) {
+        const steps = this.#currentDiagnostic?.steps || [];
+        const target = typeof step === 'number' ? steps[step] : steps.find(candidate => candidate.id === step);
+        if (!target) {
+            console.warn(`[DiagnosticsManager] Invalid step: ${step}`);
+            return false;
+        }
+
+        const position = this.#history.findIndex(entry => entry.stepId === target.id);
+        if (position !== -1) {
+            return this.back(position);
+        }
+
+        this.#history = [];
+        this.#goToStep(target.id, 'jump');
+        return true;
+    }
+
+    /**
+     * Shows the diagnostic, step or solution of a route (deep link or
+     * back/forward). Within the active diagnostic the answers are kept:
+     * a step of the history drops only the answers given after it.
+     *
+     * @param {{id: string, step?: number, solution?: string}} route - Diagnostic route
+     * @returns {boolean} True if the route was shown
+     *
+     * @example
+     * diagnosticsManager.openRoute({ id: 'aula-no-funciona', step: 1 });
+     */
+    openRoute({ id, step, solution }) {
+        if (id !== this.#currentDiagnosticId || !this.#currentDiagnostic) {
+            if (solution) return this.openSolution(id, solution);
+            return this.start(id) && (!step || this.goToStep(step));
+        }
+
+        if (!solution) return this.goToStep(step ?? 0);
+
+        if (!this.#currentDiagnostic.solutions?.[solution]) {
+            console.warn(`[DiagnosticsManager] Solution not found: ${id}/${solution}`);
+            return false;
+        }
+
+        this.#showSolution(solution);
+        return true;
+    }
+
+    /**
+     * Goes back to a question already answered, dropping the answers given
+     * after it. From a solution, one step back is the last question.
+     *
+     * @param {number} [position] - Position in the history (0 for the first
+     *     question answered); one step back if omitted
+     * @returns {boolean} True if there was a question to go back to
+     * @fires DiagnosticsManager#diagnostic:stepChanged
+     *
+     * @example
+     * diagnosticsManager.back();  // previous question
+     * diagnosticsManager.back(0); // first question, as the breadcrumb does
+     */
+    back(position = this.#history.length - 1) {
+        if (!this.#currentDiagnostic || !Number.isInteger(position)) return false;
+        if (position < 0 || position >= this.#history.length) return false;
+
+        const dropped = this.#history.splice(position);
+        if (this.#transcript) {
+            this.#transcript.steps.splice(-dropped.length);
+            this.#transcript.solution = null;
+            this.#transcript.outcome = null;
+            this.#transcript.outcomeAt = null;
+        }
+
+        this.#goToStep(dropped[0].stepId, 'back');
+        return true;
+    }
+
+    /**
+     * Checks if there is a question to go back to
+     *
+     * @returns {boolean} True if at least one question was answered
+     *
+     * @example
+     * backButton.disabled = !diagnosticsManager.canGoBack();
+     */
+    canGoBack() {
+        return this.#currentDiagnostic !== null && this.#history.length > 0;
+    }
+
+    /**
+     * Gets the questions answered on the way to the current step, as the
+     * breadcrumb shows them
+     *
+     * @returns {DiagnosticHistoryEntry[]} Answered questions, oldest first
+     *
+     * @example
+     * diagnosticsManager.getHistory().map(entry => entry.answer); // ['Si', 'No']
+     */
+    getHistory() {
+        return this.#history.map(entry => ({ ...entry }));
+    }
+
     /**
      * Goes to a specific step
-     * @param {number} stepIndex - Target step index
+     * @param {string} stepId - Target step id
+     * @param {'forward'|'back'|'restart'|'jump'} [direction='forward'] - How the user got there
      * @private
      */
-    #goToStep(stepIndex) {
+    #goToStep(stepId, direction = 'forward') {
         if (!this.#currentDiagnostic) return;
 
-        if (stepIndex < 0 || stepIndex >= this.#currentDiagnostic.steps.length) {
-            console.warn(`[DiagnosticsManager] Invalid step index: ${stepIndex}`);
+        const stepIndex = this.#stepIndex(stepId);
+        if (stepIndex === -1) {
+            console.warn(`[DiagnosticsManager] Invalid step: ${stepId}`);
             return;
         }
 
-        this.#currentStep = stepIndex;
+        this.#currentStepId = stepId;
+        this.#solutionShown = false;
+        this.#inProgress = stepId !== this.#currentDiagnostic.start;
         this.#renderCurrentStep();
 
         this.#eventBus.emit(AppEvents.DIAGNOSTIC_STEP_CHANGED, {
             id: this.#currentDiagnosticId,
             step: stepIndex,
-            totalSteps: this.#currentDiagnostic.steps.length
+            stepId,
+            totalSteps: this.#currentDiagnostic.steps.length,
+            direction,
+            depth: this.#history.length
         });
     }
 
+    /**
+     * Finds the position of a step in the active diagnostic
+     * @param {string} stepId - Step id
+     * @returns {number} Step index, or -1 if it does not exist
+     * @private
+     */
+    #stepIndex(stepId) {
+        return this.#currentDiagnostic?.steps.findIndex(step => step.id === stepId) ?? -1;
+    }
+
     /**
      * Renders the current step in the modal
      * @private
@@ -219,10 +557,21 @@ export class DiagnosticsManager {
     #renderCurrentStep() {
         if (!this.#currentDiagnostic) return;
 
-        const step = this.#currentDiagnostic.steps[this.#currentStep];
+        const step = this.#currentDiagnostic.steps[this.#stepIndex(this.#currentStepId)];
         const html = this.#buildStepHtml(step);
 
+        this.#showInModal(html);
+    }
+
+    /**
+     * Shows wizard content in the modal
+     * @param {string} html - Step or solution HTML
+     * @private
+     */
+    #showInModal(html) {
         this.#modalManager.show(html);
+        // After show: the modal:opened it emits clears the flag for any content
+        this.#wizardShown = true;
     }
 
     /**
@@ -235,25 +584,70 @@ export class DiagnosticsManager {
         const diag = this.#currentDiagnostic;
 
         return `
-            <h2>${diag.icon} ${diag.title}</h2>
+            <h2>${diag.icon} ${this.#escapeHtml(diag.title)}</h2>
             <div class="diagnostic-wizard">
                 <div class="wizard-progress">
-                    Paso ${this.#currentStep + 1} de ${diag.steps.length}
+                    Paso ${this.#stepIndex(step.id) + 1} de ${diag.steps.length}
                 </div>
-                <h3>${step.question}</h3>
+                ${this.#buildBreadcrumbHtml()}
+                <h3>${this.#escapeHtml(step.question)}</h3>
                 <div class="wizard-options">
-                    ${step.options.map(opt => `
+                    ${step.options.map((opt, idx) => `
                         <button class="wizard-option"
-                                data-next="${opt.next !== undefined ? opt.next : ''}"
-                                data-solution="${opt.solution || ''}">
-                            ${opt.text}
+                                data-idx="${idx}"
+                                data-next="${this.#escapeHtml(opt.next ?? '')}"
+                                data-solution="${this.#escapeHtml(opt.solution ?? '')}"
+                                title="Tecla ${idx + 1}">
+                            ${this.#escapeHtml(opt.text)}
                         </button>
                     `).join('')}
                 </div>
+                ${this.#buildBackButtonHtml()}
+                <p class="wizard-shortcuts">
+                    Atajos: teclas 1-${Math.min(step.options.length, 9)} para responder${this.#history.length ? ', Retroceso para volver' : ''}
+                </p>
             </div>
         `;
     }
 
+    /**
+     * Builds the breadcrumb of the answers given so far. Each answer goes
+     * back to its question.
+     * @returns {string} Breadcrumb HTML, empty before the first answer
+     * @private
+     */
+    #buildBreadcrumbHtml() {
+        if (this.#history.length === 0) return '';
+
+        return `
+            <ol class="wizard-breadcrumb" aria-label="Respuestas dadas">
+                ${this.#history.map((entry, idx) => `
+                    <li>
+                        <button class="wizard-crumb" data-idx="${idx}" title="Volver a: ${this.#escapeHtml(entry.question)}">
+                            <span class="wizard-crumb-question">${this.#escapeHtml(entry.question)}</span>
+                            <strong>${this.#escapeHtml(entry.answer)}</strong>
+                        </button>
+                    </li>
+                `).join('')}
+            </ol>
+        `;
+    }
+
+    /**
+     * Builds the "Anterior" button, shown once a question was answered
+     * @returns {string} Button HTML, or an empty string
+     * @private
+     */
+    #buildBackButtonHtml() {
+        if (this.#history.length === 0) return '';
+
+        return `
+            <button class="diagnostic-btn wizard-back" id="backDiag">
+                <i class="ri-arrow-left-line"></i> Anterior
+            </button>
+        `;
+    }
+
     /**
      * Shows a diagnostic solution
      * @param {string} solutionKey - Solution identifier
@@ -268,8 +662,19 @@ export class DiagnosticsManager {
             return;
         }
 
-        const html = this.#buildSolutionHtml(solution);
-        this.#modalManager.show(html);
+        if (this.#transcript) {
+            this.#transcript.solution = {
+                key: solutionKey,
+                title: solution.label ?? solution.title.replace(/<[^>]*>/g, '').trim(),
+                shownAt: new Date().toISOString()
+            };
+            this.#transcript.outcome = null;
+            this.#transcript.outcomeAt = null;
+        }
+
+        this.#solutionShown = true;
+        this.#renderSolution();
+        this.#inProgress = false;
 
         this.#eventBus.emit(AppEvents.DIAGNOSTIC_COMPLETED, {
             id: this.#currentDiagnosticId,
@@ -277,6 +682,19 @@ export class DiagnosticsManager {
         });
     }
 
+    /**
+     * Shows the solution of the session with its feedback controls
+     * @private
+     */
+    #renderSolution() {
+        const key = this.#transcript?.solution?.key;
+        const solution = this.#currentDiagnostic?.solutions[key];
+        if (!solution) return;
+
+        this.#showInModal(this.#buildSolutionHtml(solution));
+        this.#bindSolutionControls();
+    }
+
     /**
      * Builds HTML for a solution display
      * @param {DiagnosticSolution} solution - Solution data
@@ -290,19 +708,276 @@ export class DiagnosticsManager {
                 <h3>${solution.title}</h3>
                 ${solution.content}
             </div>
+            ${this.#buildOutcomeHtml()}
+            ${this.#buildBackButtonHtml()}
             <button class="diagnostic-btn" id="restartDiag" style="margin-top: 20px;">
                 Volver a empezar
             </button>
         `;
     }
 
+    /**
+     * Builds the "did it help?" question or, once answered, the summary to
+     * hand over to IT
+     * @returns {string} Outcome HTML
+     * @private
+     */
+    #buildOutcomeHtml() {
+        const outcome = this.#transcript?.outcome;
+
+        if (!outcome) {
+            return `
+                <div class="diagnostic-outcome">
+                    <p>Se ha resuelto el problema?</p>
+                    <button class="diagnostic-btn" id="diagSolved">
+                        <i class="ri-thumb-up-line"></i> Si, resuelto
+                    </button>
+                    <button class="diagnostic-btn" id="diagNotSolved">
+                        <i class="ri-thumb-down-line"></i> No, sigue igual
+                    </button>
+                </div>
+            `;
+        }
+
+        return `
+            <div class="diagnostic-outcome ${outcome}">
+                <p>
+                    ${outcome === 'solved'
+                        ? '<i class="ri-checkbox-circle-line"></i> Marcado como resuelto.'
+                        : '<i class="ri-customer-service-2-line"></i> Envia este resumen a IT: incluye tus respuestas y la solucion que ya has probado.'}
+                </p>
+                <pre class="diagnostic-summary">${this.#escapeHtml(this.getSummary())}</pre>
+                <div class="diagnostic-share">
+                    <button class="diagnostic-btn" id="copyDiagSummary">
+                        <i class="ri-file-copy-line"></i> Copiar
+                    </button>
+                    <a class="diagnostic-btn" id="mailDiagSummary" href="${this.#escapeHtml(this.getMailtoUrl())}">
+                        <i class="ri-mail-send-line"></i> Correo
+                    </a>
+                    <button class="diagnostic-btn" id="downloadDiagSummary">
+                        <i class="ri-download-line"></i> JSON
+                    </button>
+                    ${outcome === 'not-solved' ? `
+                        <button class="diagnostic-btn" id="askAssistantDiag">
+                            <i class="ri-robot-line"></i> Preguntar al asistente
+                        </button>
+                    ` : ''}
+                    <span class="diagnostic-share-status" id="diagShareStatus"></span>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Binds the outcome and share buttons of the solution
+     * @private
+     */
+    #bindSolutionControls() {
+        if (!this.#document) return;
+
+        this.#document.getElementById('diagSolved')?.addEventListener('click', () => this.setOutcome(true));
+        this.#document.getElementById('diagNotSolved')?.addEventListener('click', () => this.setOutcome(false));
+
+        this.#document.getElementById('copyDiagSummary')?.addEventListener('click', async () => {
+            const copied = await this.copySummary();
+            const status = this.#document.getElementById('diagShareStatus');
+            if (status) {
+                status.textContent = copied ? 'Copiado' : 'No se pudo copiar: selecciona el texto';
+            }
+        });
+
+        this.#document.getElementById('downloadDiagSummary')?.addEventListener('click', () => {
+            this.downloadTranscript();
+        });
+
+        this.#document.getElementById('askAssistantDiag')?.addEventListener('click', () => {
+            this.askAssistant();
+        });
+    }
+
     /**
      * Restarts the current diagnostic from the beginning
      * @private
      */
     #restart() {
-        this.#currentStep = 0;
-        this.#renderCurrentStep();
+        this.#history = [];
+        this.#beginTranscript();
+        this.#goToStep(this.#currentDiagnostic.start, 'restart');
+    }
+
+    /**
+     * Starts recording a session of the current diagnostic
+     * @private
+     */
+    #beginTranscript() {
+        this.#transcript = {
+            diagnosticId: this.#currentDiagnosticId,
+            title: this.#currentDiagnostic.title,
+            startedAt: new Date().toISOString(),
+            steps: [],
+            solution: null,
+            outcome: null,
+            outcomeAt: null
+        };
+    }
+
+    /**
+     * Records the answer chosen in the current step
+     * @param {{index?: number|null, next: string|null, solution: string|null}} data - Clicked option
+     * @returns {DiagnosticHistoryEntry|null} Answer recorded, or null if the option is unknown
+     * @private
+     */
+    #recordAnswer(data) {
+        const step = this.#currentDiagnostic.steps[this.#stepIndex(this.#currentStepId)];
+        if (!step || !this.#transcript) return null;
+
+        const option = step.options[data.index] ?? step.options.find(candidate => (
+            (data.solution && candidate.solution === data.solution) || (data.next && candidate.next === data.next)
+        ));
+        if (!option) return null;
+
+        this.#transcript.steps.push({
+            stepId: step.id,
+            question: step.question,
+            answer: option.text,
+            answeredAt: new Date().toISOString()
+        });
+        return { stepId: step.id, question: step.question, answer: option.text };
+    }
+
+    /**
+     * Gets the record of the current session: the answers given, the
+     * solution shown and whether it helped
+     *
+     * @returns {import('./DiagnosticTranscript.js').DiagnosticTranscript|null} Copy of the transcript, or null
+     *
+     * @example
+     * const { steps, outcome } = diagnosticsManager.getTranscript();
+     */
+    getTranscript() {
+        return this.#transcript ? JSON.parse(JSON.stringify(this.#transcript)) : null;
+    }
+
+    /**
+     * Marks whether the solution shown solved the problem. The solution is
+     * shown again with the summary to share.
+     *
+     * @param {boolean} solved - True if the problem is solved
+     * @returns {boolean} True if a solution was shown and the outcome was recorded
+     * @fires DiagnosticsManager#diagnostic:outcome
+     *
+     * @example
+     * diagnosticsManager.setOutcome(false); // shows the summary for IT
+     */
+    setOutcome(solved) {
+        if (!this.#transcript?.solution) return false;
+
+        this.#transcript.outcome = solved ? 'solved' : 'not-solved';
+        this.#transcript.outcomeAt = new Date().toISOString();
+        this.#renderSolution();
+
+        this.#eventBus.emit(AppEvents.DIAGNOSTIC_OUTCOME, {
+            id: this.#transcript.diagnosticId,
+            solution: this.#transcript.solution.key,
+            solved
+        });
+        return true;
+    }
+
+    /**
+     * Hands the session over to the chatbot: the app closes the wizard and
+     * opens the chat with the summary as context and a suggested question
+     *
+     * @returns {boolean} True if there was a solution shown to ask about
+     * @fires DiagnosticsManager#diagnostic:assistantRequested
+     *
+     * @example
+     * diagnosticsManager.setOutcome(false);
+     * diagnosticsManager.askAssistant();
+     */
+    askAssistant() {
+        if (!this.#transcript?.solution) return false;
+
+        this.#eventBus.emit(AppEvents.DIAGNOSTIC_ASSISTANT_REQUESTED, {
+            id: this.#transcript.diagnosticId,
+            title: this.#transcript.title,
+            summary: this.getSummary(),
+            question: toAssistantQuestion(this.#transcript)
+        });
+        return true;
+    }
+
+    /**
+     * Gets the summary of the current session as text for a ticket
+     *
+     * @returns {string} Summary, or an empty string without a session
+     *
+     * @example
+     * console.log(diagnosticsManager.getSummary());
+     */
+    getSummary() {
+        return this.#transcript ? toSummaryText(this.#transcript) : '';
+    }
+
+    /**
+     * Gets a mailto link with the summary as an e-mail draft
+     *
+     * @param {string} [to=''] - Recipient
+     * @returns {string} mailto URL, or an empty string without a session
+     *
+     * @example
+     * window.location.href = diagnosticsManager.getMailtoUrl('soporte@colegio.es');
+     */
+    getMailtoUrl(to = '') {
+        return this.#transcript ? toMailtoUrl(this.#transcript, { to }) : '';
+    }
+
+    /**
+     * Copies the summary to the clipboard
+     *
+     * @returns {Promise<boolean>} True if it was copied
+     *
+     * @example
+     * if (await diagnosticsManager.copySummary()) showCopied();
+     */
+    async copySummary() {
+        const clipboard = this.#document?.defaultView?.navigator?.clipboard;
+        if (!this.#transcript || !clipboard) return false;
+
+        try {
+            await clipboard.writeText(this.getSummary());
+            return true;
+        } catch (error) {
+            console.warn('[DiagnosticsManager] Could not copy the summary:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Downloads the transcript of the current session as JSON
+     *
+     * @returns {boolean} True if the download started
+     *
+     * @example
+     * diagnosticsManager.downloadTranscript();
+     */
+    downloadTranscript() {
+        if (!this.#transcript || !this.#document) return false;
+
+        const file = toJsonFile(this.#transcript);
+        const blob = new Blob([file.content], { type: `${file.mimeType};charset=utf-8` });
+        const url = URL.createObjectURL(blob);
+        const a = this.#document.createElement('a');
+
+        a.href = url;
+        a.download = file.filename;
+
+        this.#document.body.appendChild(a);
+        a.click();
+        this.#document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+
+        return true;
     }
 
     /**
@@ -321,7 +996,8 @@ export class DiagnosticsManager {
 
         return {
             id: this.#currentDiagnosticId,
-            step: this.#currentStep,
+            step: this.#stepIndex(this.#currentStepId),
+            stepId: this.#currentStepId,
             totalSteps: this.#currentDiagnostic.steps.length,
             title: this.#currentDiagnostic.title
         };
@@ -341,6 +1017,21 @@ export class DiagnosticsManager {
         return this.#currentDiagnostic !== null;
     }
 
+    /**
+     * Checks if the user is partway through a diagnostic: past the first
+     * question, without a solution yet and with the wizard still open
+     *
+     * @returns {boolean} True if leaving now would lose the answers given
+     *
+     * @example
+     * if (diagnosticsManager.isInProgress() && !confirm('Salir del diagnostico?')) {
+     *     return false;
+     * }
+     */
+    isInProgress() {
+        return this.#inProgress;
+    }
+
     /**
      * Gets available diagnostic IDs
      *
@@ -363,6 +1054,23 @@ export class DiagnosticsManager {
      * const diag = diagnosticsManager.getDiagnostic('aula-no-funciona');
      */
     getDiagnostic(id) {
-        return this.#diagnostics[id] || null;
+        return Object.prototype.hasOwnProperty.call(this.#diagnostics, id) ? this.#diagnostics[id] : null;
+    }
+
+    /**
+     * Escapes HTML special characters
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     * @private
+     */
+    #escapeHtml(text) {
+        const map = {
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            "'": '&#039;'
+        };
+        return String(text).replace(/[&<>"']/g, m => map[m]);
     }
 }
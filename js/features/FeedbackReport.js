@@ -0,0 +1,183 @@
+/**
+ * @fileoverview Answer feedback aggregated per article, as JSON and CSV
+ * @module features/FeedbackReport
+ * @version 1.0.0
+ * @author Jamf Assistant Team
+ * @license MIT
+ *
+ * @description
+ * Pure functions: {@link aggregateFeedback} groups the ratings given to
+ * chatbot answers by the docs.json articles retrieved for them, so content
+ * editors see which articles lead to bad answers. The file functions build
+ * the downloads offered by DataManager.
+ */
+
+/**
+ * @typedef {Object} ArticleFeedback
+ * @property {string} docId - docs.json article id
+ * @property {string} title - Article title (from the latest rating)
+ * @property {number} up - Answers rated useful
+ * @property {number} down - Answers rated not useful
+ * @property {number} wrong - Answers reported as wrong
+ * @property {number} total - Rated answers that retrieved the article
+ * @property {number} negativeRate - Share of `down` and `wrong` (0-1)
+ * @property {number|null} averageScore - Mean retrieval score (0-1), null if unknown
+ * @property {string} lastRatedAt - ISO date of the latest rating
+ * @property {string[]} negativeQuestions - Questions rated down or reported, most recent first
+ * @property {string[]} comments - Comments of the reports, most recent first
+ */
+
+/**
+ * @typedef {Object} FeedbackSummary
+ * @property {number} total - Rated answers
+ * @property {number} up - Answers rated useful
+ * @property {number} down - Answers rated not useful
+ * @property {number} wrong - Answers reported as wrong
+ * @property {ArticleFeedback[]} articles - Articles, most negative ratings first
+ */
+
+/**
+ * Groups ratings by the articles retrieved for each answer. An answer counts
+ * once for every article in its context.
+ *
+ * @param {import('../chatbot/FeedbackStore.js').FeedbackEntry[]} entries - Ratings, most recent first
+ * @returns {FeedbackSummary} Totals and ratings per article
+ *
+ * @example
+ * const { articles } = aggregateFeedback(await feedbackStore.getAll());
+ * // [{ docId: 'crear-clases', down: 2, wrong: 1, negativeRate: 0.75, ... }, ...]
+ */
+export function aggregateFeedback(entries) {
+    const summary = { total: entries.length, up: 0, down: 0, wrong: 0, articles: [] };
+    const articles = new Map();
+
+    for (const entry of entries) {
+        summary[entry.rating]++;
+        const negative = entry.rating !== 'up';
+
+        for (const doc of new Map(entry.docs.map(d => [d.id, d])).values()) {
+            let article = articles.get(doc.id);
+            if (!article) {
+                article = {
+                    docId: doc.id,
+                    title: doc.title,
+                    up: 0,
+                    down: 0,
+                    wrong: 0,
+                    total: 0,
+                    negativeRate: 0,
+                    averageScore: null,
+                    lastRatedAt: entry.updatedAt,
+                    negativeQuestions: [],
+                    comments: [],
+                    scores: []
+                };
+                articles.set(doc.id, article);
+            }
+
+            article[entry.rating]++;
+            article.total++;
+            if (typeof doc.score === 'number') article.scores.push(doc.score);
+            if (negative && entry.question) article.negativeQuestions.push(entry.question);
+            if (entry.comment) article.comments.push(entry.comment);
+        }
+    }
+
+    summary.articles = [...articles.values()]
+        .map(({ scores, ...article }) => ({
+            ...article,
+            negativeRate: (article.down + article.wrong) / article.total,
+            averageScore: scores.length > 0 ? scores.reduce((sum, s) => sum + s, 0) / scores.length : null
+        }))
+        .sort((a, b) => (b.down + b.wrong) - (a.down + a.wrong)
+            || b.negativeRate - a.negativeRate
+            || b.total - a.total);
+
+    return summary;
+}
+
+/**
+ * Formats a share as a whole percentage
+ * @param {number|null} value - Share (0-1)
+ * @returns {string} Percentage ("75%"), empty if unknown
+ * @private
+ */
+function formatPercent(value) {
+    return typeof value === 'number' ? `${Math.round(value * 100)}%` : '';
+}
+
+/**
+ * Formats the ratings per article as CSV (semicolon separated, for
+ * spreadsheets with a Spanish locale)
+ *
+ * @param {FeedbackSummary} summary - Aggregated ratings
+ * @returns {string} CSV text
+ *
+ * @example
+ * const csv = toCsv(aggregateFeedback(entries));
+ */
+export function toCsv(summary) {
+    const field = (value) => {
+        const text = String(value ?? '');
+        return /[";\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const row = (values) => values.map(field).join(';');
+
+    return [
+        row(['Articulo', 'Titulo', 'Utiles', 'No utiles', 'Incorrectas', 'Total', 'Negativas', 'Relevancia media', 'Ultima valoracion', 'Preguntas con valoracion negativa', 'Comentarios']),
+        ...summary.articles.map(article => row([
+            article.docId,
+            article.title,
+            article.up,
+            article.down,
+            article.wrong,
+            article.total,
+            formatPercent(article.negativeRate),
+            formatPercent(article.averageScore),
+            article.lastRatedAt,
+            article.negativeQuestions.join(' | '),
+            article.comments.join(' | ')
+        ]))
+    ].join('\r\n') + '\r\n';
+}
+
+/**
+ * Builds the downloadable JSON: the ratings per article and every rating
+ *
+ * @param {import('../chatbot/FeedbackStore.js').FeedbackEntry[]} entries - Ratings, most recent first
+ * @param {Date} [now=new Date()] - Export date
+ * @returns {{filename: string, content: string, mimeType: string}} File to download
+ *
+ * @example
+ * const { filename, content } = toJsonFile(await feedbackStore.getAll());
+ */
+export function toJsonFile(entries, now = new Date()) {
+    return {
+        filename: `valoraciones-asistente-${now.toISOString().slice(0, 10)}.json`,
+        content: JSON.stringify({
+            exportedAt: now.toISOString(),
+            app: 'Jamf Assistant',
+            summary: aggregateFeedback(entries),
+            entries
+        }, null, 2),
+        mimeType: 'application/json'
+    };
+}
+
+/**
+ * Builds the downloadable CSV of the ratings per article
+ *
+ * @param {import('../chatbot/FeedbackStore.js').FeedbackEntry[]} entries - Ratings, most recent first
+ * @param {Date} [now=new Date()] - Export date
+ * @returns {{filename: string, content: string, mimeType: string}} File to download
+ *
+ * @example
+ * const { filename, content } = toCsvFile(await feedbackStore.getAll());
+ */
+export function toCsvFile(entries, now = new Date()) {
+    return {
+        filename: `valoraciones-asistente-${now.toISOString().slice(0, 10)}.csv`,
+        content: toCsv(aggregateFeedback(entries)),
+        mimeType: 'text/csv'
+    };
+}
@@ -6,11 +6,13 @@
  * @license MIT
  */
 
+import { AppEvents } from '../utils/EventBus.js';
+
 /**
  * @typedef {Object} GuideManagerDependencies
  * @property {import('../utils/EventBus.js').EventBus} eventBus - Event bus instance
  * @property {import('../core/ModalManager.js').ModalManager} modalManager - Modal manager
- * @property {Object} knowledgeBase - Knowledge base data
+ * @property {Object} [knowledgeBase] - Knowledge base data (can be set later)
  */
 
 /**
@@ -60,7 +62,8 @@ export class GuideManager {
         'mac-': 'macs',
         'aula-': 'aula',
         'classroom-': 'aula', // Legacy support
-        'teacher-': 'teacher'
+        'teacher-': 'teacher',
+        'ecosistema-': 'ecosistema'
     };
 
     /**
@@ -76,13 +79,23 @@ export class GuideManager {
         if (!modalManager) {
             throw new TypeError('GuideManager requires a ModalManager instance');
         }
+
+        // Graceful degradation - the container does not provide the data, app.js sets it
         if (!knowledgeBase) {
-            throw new TypeError('GuideManager requires a knowledgeBase');
+            console.warn('[GuideManager] knowledgeBase not provided - guides disabled');
         }
 
         this.#eventBus = eventBus;
         this.#modalManager = modalManager;
-        this.#knowledgeBase = knowledgeBase;
+        this.#knowledgeBase = knowledgeBase || {};
+    }
+
+    /**
+     * Sets the knowledge base
+     * @param {Object} value - Knowledge base data
+     */
+    set knowledgeBase(value) {
+        this.#knowledgeBase = value || {};
     }
 
     /**
@@ -108,7 +121,7 @@ export class GuideManager {
 
         if (guide && guide.content) {
             this.#modalManager.show(guide.content);
-            this.#eventBus.emit('guide:opened', { id: guideId, title: guide.title });
+            this.#eventBus.emit(AppEvents.GUIDE_OPENED, { id: guideId, title: guide.title });
             return true;
         }
 
@@ -116,6 +129,39 @@ export class GuideManager {
         return false;
     }
 
+    /**
+     * Opens a docs.json article (plain text) in the modal
+     *
+     * @param {Object|null} article - Article with id, title, content and officialDocUrl
+     * @returns {boolean} True if the article was opened
+     *
+     * @example
+     * guideManager.openArticle(searchEngine.getArticle('ecosistema-apple'));
+     */
+    openArticle(article) {
+        if (!article?.content) {
+            console.warn('[GuideManager] Article not found');
+            return false;
+        }
+
+        const paragraphs = article.content
+            .split(/\n\s*\n/)
+            .map(p => `<p>${this.#escapeHtml(p.trim()).replace(/\n/g, '<br>')}</p>`)
+            .join('');
+
+        const source = /^https:\/\//.test(article.officialDocUrl || '')
+            ? `<p><a href="${this.#escapeHtml(article.officialDocUrl)}" target="_blank" rel="noopener noreferrer"><i class="ri-external-link-line"></i> Documentacion oficial de Apple</a></p>`
+            : '';
+
+        this.#modalManager.show(`
+            <h2><i class="ri-book-open-line"></i> ${this.#escapeHtml(article.title)}</h2>
+            ${paragraphs}
+            ${source}
+        `);
+        this.#eventBus.emit(AppEvents.GUIDE_OPENED, { id: article.id, title: article.title, type: 'article' });
+        return true;
+    }
+
     /**
      * Finds a guide by its ID
      * @param {string} guideId - Guide identifier
@@ -141,7 +187,7 @@ export class GuideManager {
         }
 
         // Fallback: try each category
-        for (const category of ['ipads', 'macs', 'aula', 'teacher']) {
+        for (const category of ['ipads', 'macs', 'aula', 'teacher', 'ecosistema']) {
             const categoryData = this.#knowledgeBase[category];
             if (categoryData) {
                 for (const [key, guide] of Object.entries(categoryData)) {
@@ -189,7 +235,7 @@ export class GuideManager {
     /**
      * Gets all guides for a category
      *
-     * @param {string} category - Category name (ipads, macs, aula, teacher)
+     * @param {string} category - Category name (ipads, macs, aula, teacher, ecosistema)
      * @returns {Object} Guides in category
      *
      * @example
@@ -208,8 +254,25 @@ export class GuideManager {
      * const categories = guideManager.getCategories();
      */
     getCategories() {
-        return ['ipads', 'macs', 'aula', 'teacher'].filter(
+        return ['ipads', 'macs', 'aula', 'teacher', 'ecosistema'].filter(
             cat => this.#knowledgeBase[cat]
         );
     }
+
+    /**
+     * Escapes HTML special characters
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     * @private
+     */
+    #escapeHtml(text) {
+        const map = {
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            "'": '&#039;'
+        };
+        return String(text ?? '').replace(/[&<>"']/g, m => map[m]);
+    }
 }
@@ -1,5 +1,5 @@
 /**
- * @fileoverview Search engine for guides and diagnostics
+ * @fileoverview Unified search engine for every content source
  * @module features/SearchEngine
  * @version 1.0.0
  * @author Jamf Assistant Team
@@ -7,27 +7,67 @@
  */
 
 import { AppEvents } from '../utils/EventBus.js';
+import { BM25Index } from '../utils/BM25Index.js';
+import { analyze, foldDiacritics, stemSpanish } from '../utils/TextAnalyzer.js';
+
+/**
+ * @typedef {'guide'|'diagnostic'|'solution'|'checklist'|'article'} SearchResultType
+ */
 
 /**
  * @typedef {Object} SearchResult
- * @property {'guide'|'diagnostic'} type - Result type
- * @property {string} id - Unique identifier
+ * @property {SearchResultType} type - Result type
+ * @property {string} id - Unique identifier (solutions: "diagnosticId/solutionKey")
  * @property {string} icon - Icon HTML/class
  * @property {string} title - Display title
  * @property {string} category - Category label
+ * @property {number} score - Relevance relative to the best result (0-1)
+ * @property {string} snippet - Plain-text excerpt around the first match
+ * @property {string[]} matchedTerms - Analyzed terms that matched (for highlighting)
+ */
+
+/**
+ * @typedef {Object} SearchOptions
+ * @property {SearchResultType[]} [types] - Only return these types
+ * @property {number} [limit=20] - Maximum results
  */
 
 /**
  * @typedef {Object} SearchEngineDependencies
  * @property {import('../utils/EventBus.js').EventBus} eventBus - Event bus instance
- * @property {Object} knowledgeBase - Knowledge base data
- * @property {Object} diagnostics - Diagnostics data
+ * @property {Object} knowledgeBase - Knowledge base data (guides and checklists)
+ * @property {Object} diagnostics - Diagnostics data (flows and their solutions)
+ * @property {Object[]} [articles] - docs.json articles (can be loaded later with loadArticles)
  * @property {Document} [document] - Document reference
  */
 
 /**
- * Full-text search engine for guides and diagnostics.
- * Implements debounced search with result highlighting.
+ * Guide collections of the knowledge base, with the id prefix GuideManager expects
+ * @type {Array<{key: string, prefix: string, category: string}>}
+ */
+const GUIDE_SOURCES = [
+    { key: 'ipads', prefix: 'ipad', category: 'iPads' },
+    { key: 'macs', prefix: 'mac', category: 'Macs' },
+    { key: 'aula', prefix: 'aula', category: 'App Aula' },
+    { key: 'teacher', prefix: 'teacher', category: 'Jamf Teacher' },
+    { key: 'ecosistema', prefix: 'ecosistema', category: 'Ecosistema' }
+];
+
+/**
+ * Filter labels shown in the search overlay, in display order
+ * @type {Object<SearchResultType, string>}
+ */
+const TYPE_LABELS = {
+    guide: 'Guias',
+    diagnostic: 'Diagnosticos',
+    solution: 'Soluciones',
+    checklist: 'Checklists',
+    article: 'Documentacion'
+};
+
+/**
+ * Full-text search engine over guides, checklists, diagnostics and articles.
+ * Ranks results with BM25 and highlights the matches.
  *
  * @class SearchEngine
  * @example
@@ -38,7 +78,8 @@ import { AppEvents } from '../utils/EventBus.js';
  * });
  *
  * searchEngine.init();
- * const results = searchEngine.search('ipad wifi');
+ * await searchEngine.loadArticles();
+ * const results = searchEngine.search('ipad wifi', { types: ['guide', 'article'] });
  */
 export class SearchEngine {
     /**
@@ -62,6 +103,13 @@ export class SearchEngine {
      */
     #diagnostics;
 
+    /**
+     * docs.json articles
+     * @type {Object[]}
+     * @private
+     */
+    #articles;
+
     /**
      * Document reference
      * @type {Document}
@@ -69,6 +117,48 @@ export class SearchEngine {
      */
     #document;
 
+    /**
+     * Ranking index over every source
+     * @type {BM25Index}
+     * @private
+     */
+    #index = new BM25Index({ fieldWeights: { title: 3, keywords: 2, text: 1 } });
+
+    /**
+     * Indexed entries by index key ("type:id")
+     * @type {Map<string, Object>}
+     * @private
+     */
+    #entries = new Map();
+
+    /**
+     * Whether sources changed since the index was built
+     * @type {boolean}
+     * @private
+     */
+    #dirty = true;
+
+    /**
+     * Maximum results per search
+     * @type {number}
+     * @private
+     */
+    #maxResults = 20;
+
+    /**
+     * Type filter selected in the overlay ('all' or a result type)
+     * @type {string}
+     * @private
+     */
+    #activeType = 'all';
+
+    /**
+     * Results currently shown in the overlay (re-rendered when the filter changes)
+     * @type {SearchResult[]}
+     * @private
+     */
+    #lastResults = [];
+
     /**
      * Debounce timeout ID
      * @type {number|null}
@@ -117,7 +207,7 @@ export class SearchEngine {
      * @param {SearchEngineDependencies} dependencies - Injected dependencies
      * @throws {TypeError} If required dependencies are missing
      */
-    constructor({ eventBus, knowledgeBase, diagnostics, document: doc = null }) {
+    constructor({ eventBus, knowledgeBase, diagnostics, articles = [], document: doc = null }) {
         if (!eventBus) {
             throw new TypeError('SearchEngine requires an EventBus instance');
         }
@@ -133,9 +223,75 @@ export class SearchEngine {
         this.#eventBus = eventBus;
         this.#knowledgeBase = knowledgeBase || {};
         this.#diagnostics = diagnostics || {};
+        this.#articles = articles;
         this.#document = doc || (typeof document !== 'undefined' ? document : null);
     }
 
+    /**
+     * Sets the knowledge base (the index is rebuilt on the next search)
+     * @param {Object} value - Knowledge base data
+     */
+    set knowledgeBase(value) {
+        this.#knowledgeBase = value || {};
+        this.#dirty = true;
+    }
+
+    /**
+     * Sets the diagnostics data (the index is rebuilt on the next search)
+     * @param {Object} value - Diagnostics data
+     */
+    set diagnostics(value) {
+        this.#diagnostics = value || {};
+        this.#dirty = true;
+    }
+
+    /**
+     * Sets the docs.json articles (the index is rebuilt on the next search)
+     * @param {Object[]} value - Articles
+     */
+    set articles(value) {
+        this.#articles = Array.isArray(value) ? value : [];
+        this.#dirty = true;
+    }
+
+    /**
+     * Loads the docs.json articles into the index
+     *
+     * @param {string} [path='data/docs.json'] - Documentation path
+     * @returns {Promise<number>} Number of articles loaded (0 on failure)
+     *
+     * @example
+     * await searchEngine.loadArticles();
+     */
+    async loadArticles(path = 'data/docs.json') {
+        try {
+            const response = await fetch(path);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            const data = await response.json();
+            this.articles = data.articles || [];
+            return this.#articles.length;
+        } catch (error) {
+            console.warn('[SearchEngine] Could not load docs.json - article search disabled:', error.message);
+            return 0;
+        }
+    }
+
+    /**
+     * Gets a docs.json article by id
+     *
+     * @param {string} id - Article id
+     * @returns {Object|null} Article or null
+     *
+     * @example
+     * const article = searchEngine.getArticle('ecosistema-apple');
+     */
+    getArticle(id) {
+        return this.#articles.find(article => article.id === id) || null;
+    }
+
     /**
      * Initializes search bindings
      *
@@ -207,7 +363,21 @@ export class SearchEngine {
     #bindResultsClickEvent() {
         if (!this.#resultsElement) return;
 
+        // Keep focus in the input so that clicking a filter does not close the overlay
+        this.#resultsElement.addEventListener('mousedown', (e) => {
+            if (e.target.closest('[data-search-filter]')) {
+                e.preventDefault();
+            }
+        });
+
         this.#resultsElement.addEventListener('click', (e) => {
+            const filter = e.target.closest('[data-search-filter]');
+            if (filter) {
+                this.#activeType = filter.dataset.searchFilter;
+                this.#renderResults(this.#lastResults);
+                return;
+            }
+
             const item = e.target.closest('.search-result-item');
             if (!item) return;
 
@@ -222,24 +392,47 @@ export class SearchEngine {
     }
 
     /**
-     * Performs search across knowledge base and diagnostics
+     * Performs a ranked search across every content source
      *
-     * @param {string} query - Search query (lowercase)
-     * @returns {SearchResult[]} Array of matching results
+     * @param {string} query - Search query
+     * @param {SearchOptions} [options={}] - Type filter and limit
+     * @returns {SearchResult[]} Matching results, best first
      *
      * @example
      * const results = searchEngine.search('wifi');
+     * const checklists = searchEngine.search('nuevo ipad', { types: ['checklist'] });
      */
-    search(query) {
-        const results = [];
+    search(query, { types = null, limit = this.#maxResults } = {}) {
+        this.#ensureIndex();
+
+        const queryTermCount = new Set(analyze(query)).size || 1;
+        const ranked = [];
+
+        for (const match of this.#index.search(query, { prefix: true })) {
+            const entry = this.#entries.get(match.id);
+            if (types && !types.includes(entry.type)) continue;
+
+            // Share of the query found in the title: a short item named after the
+            // query beats a long guide that mentions the words many times
+            const titleHits = match.matchedTerms.filter(term => entry.titleTerms.has(term)).length;
+            const titleCoverage = Math.min(1, titleHits / queryTermCount);
+
+            ranked.push({ entry, match, score: match.normalizedScore * 0.6 + titleCoverage * 0.4 });
+        }
 
-        // Search guides
-        this.#searchInGuides(results, this.#knowledgeBase.ipads, 'ipad', 'iPads', query);
-        this.#searchInGuides(results, this.#knowledgeBase.macs, 'mac', 'Macs', query);
-        this.#searchInGuides(results, this.#knowledgeBase.aula, 'aula', 'App Aula', query);
+        ranked.sort((a, b) => b.score - a.score);
+        const best = ranked[0]?.score || 1;
 
-        // Search diagnostics
-        this.#searchInDiagnostics(results, query);
+        const results = ranked.slice(0, limit).map(({ entry, match, score }) => ({
+            type: entry.type,
+            id: entry.id,
+            icon: entry.icon,
+            title: entry.title,
+            category: entry.category,
+            score: score / best,
+            snippet: this.#buildSnippet(entry.text, match.matchedTerms),
+            matchedTerms: match.matchedTerms
+        }));
 
         this.#eventBus.emit(AppEvents.SEARCH_QUERY, { query, resultCount: results.length });
 
@@ -247,53 +440,215 @@ export class SearchEngine {
     }
 
     /**
-     * Searches within a guides category
-     * @param {SearchResult[]} results - Results array to populate
-     * @param {Object} guides - Guides object to search
-     * @param {string} prefix - ID prefix for results
-     * @param {string} category - Category label
-     * @param {string} query - Search query
+     * Rebuilds the index when a source changed
+     * @private
+     */
+    #ensureIndex() {
+        if (!this.#dirty) return;
+
+        this.#index.clear();
+        this.#entries.clear();
+
+        GUIDE_SOURCES.forEach(source => this.#indexGuides(source));
+        this.#indexChecklists();
+        this.#indexDiagnostics();
+        this.#indexArticles();
+
+        this.#dirty = false;
+    }
+
+    /**
+     * Adds an entry to the index
+     * @param {Object} entry - Entry with type, id, icon, title, category, keywords and text
+     * @private
+     */
+    #addEntry(entry) {
+        const key = `${entry.type}:${entry.id}`;
+        this.#entries.set(key, { ...entry, titleTerms: new Set(analyze(this.#toPlainText(entry.title))) });
+        this.#index.add(key, { title: entry.title, keywords: entry.keywords, text: entry.text });
+    }
+
+    /**
+     * Indexes a guides collection
+     * @param {{key: string, prefix: string, category: string}} source - Collection
      * @private
      */
-    #searchInGuides(results, guides, prefix, category, query) {
+    #indexGuides({ key, prefix, category }) {
+        const guides = this.#knowledgeBase[key];
         if (!guides) return;
 
-        Object.entries(guides).forEach(([key, guide]) => {
-            const titleMatch = guide.title?.toLowerCase().includes(query);
-            const contentMatch = guide.content?.toLowerCase().includes(query);
-
-            if (titleMatch || contentMatch) {
-                results.push({
-                    type: 'guide',
-                    id: `${prefix}-${key}`,
-                    icon: guide.icon || '<i class="ri-file-text-line"></i>',
-                    title: guide.title,
-                    category
-                });
-            }
+        Object.entries(guides).forEach(([guideKey, guide]) => {
+            this.#addEntry({
+                type: 'guide',
+                id: `${prefix}-${guideKey}`,
+                icon: guide.icon || '<i class="ri-file-text-line"></i>',
+                title: guide.title,
+                category,
+                keywords: guide.tag,
+                text: this.#toPlainText(guide.content)
+            });
         });
     }
 
     /**
-     * Searches within diagnostics
-     * @param {SearchResult[]} results - Results array to populate
-     * @param {string} query - Search query
+     * Indexes checklists and their items
+     * @private
+     */
+    #indexChecklists() {
+        const checklists = this.#knowledgeBase.checklists;
+        if (!checklists) return;
+
+        Object.entries(checklists).forEach(([id, checklist]) => {
+            this.#addEntry({
+                type: 'checklist',
+                id,
+                icon: checklist.icon || '<i class="ri-checkbox-line"></i>',
+                title: checklist.title,
+                category: 'Checklists',
+                keywords: checklist.category,
+                text: (checklist.items || []).map(item => item.text).join('. ')
+            });
+        });
+    }
+
+    /**
+     * Indexes diagnostic flows (questions and answers) and each of their solutions
      * @private
      */
-    #searchInDiagnostics(results, query) {
-        Object.entries(this.#diagnostics).forEach(([key, diag]) => {
-            if (diag.title?.toLowerCase().includes(query)) {
-                results.push({
-                    type: 'diagnostic',
-                    id: key,
-                    icon: diag.icon || '<i class="ri-bug-line"></i>',
-                    title: diag.title,
-                    category: 'Troubleshooting'
+    #indexDiagnostics() {
+        Object.entries(this.#diagnostics).forEach(([id, diag]) => {
+            const flowTitle = this.#toPlainText(diag.title);
+
+            this.#addEntry({
+                type: 'diagnostic',
+                id,
+                icon: diag.icon || '<i class="ri-bug-line"></i>',
+                title: diag.title,
+                category: 'Troubleshooting',
+                text: (diag.steps || [])
+                    .map(step => [step.question, ...(step.options || []).map(o => o.text)].join(' '))
+                    .join('. ')
+            });
+
+            Object.entries(diag.solutions || {}).forEach(([solutionKey, solution]) => {
+                this.#addEntry({
+                    type: 'solution',
+                    id: `${id}/${solutionKey}`,
+                    icon: solution.title?.match(/<i [^>]*><\/i>/)?.[0] || '<i class="ri-lightbulb-line"></i>',
+                    title: this.#toPlainText(solution.title),
+                    category: flowTitle,
+                    text: this.#toPlainText(solution.content)
                 });
-            }
+            });
+        });
+    }
+
+    /**
+     * Indexes docs.json articles
+     * @private
+     */
+    #indexArticles() {
+        this.#articles.forEach(article => {
+            if (!article?.id) return;
+
+            this.#addEntry({
+                type: 'article',
+                id: article.id,
+                icon: '<i class="ri-book-open-line"></i>',
+                title: article.title,
+                category: 'Documentacion',
+                keywords: [article.category, ...(article.keywords || [])],
+                text: article.content
+            });
         });
     }
 
+    /**
+     * Converts guide HTML to plain text for indexing and snippets
+     * @param {string} html - HTML content
+     * @returns {string} Plain text
+     * @private
+     */
+    #toPlainText(html) {
+        const entities = { '&nbsp;': ' ', '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#039;': "'" };
+
+        return String(html || '')
+            .replace(/<[^>]*>/g, ' ')
+            .replace(/&(nbsp|amp|lt|gt|quot|#039);/g, m => entities[m])
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Finds the words of a text whose analyzed form is one of the matched terms
+     * @param {string} text - Original text
+     * @param {string[]} terms - Matched analyzed terms
+     * @returns {Array<{start: number, end: number}>} Match ranges
+     * @private
+     */
+    #findMatches(text, terms) {
+        const wanted = new Set(terms);
+        const ranges = [];
+
+        for (const match of String(text || '').matchAll(/[\p{L}\p{N}]+/gu)) {
+            if (wanted.has(stemSpanish(foldDiacritics(match[0])))) {
+                ranges.push({ start: match.index, end: match.index + match[0].length });
+            }
+        }
+
+        return ranges;
+    }
+
+    /**
+     * Cuts an excerpt of the text around its first match
+     * @param {string} text - Plain text
+     * @param {string[]} terms - Matched analyzed terms
+     * @param {number} [length=160] - Approximate excerpt length
+     * @returns {string} Excerpt (with "..." where text was cut)
+     * @private
+     */
+    #buildSnippet(text, terms, length = 160) {
+        if (!text) return '';
+
+        const [first] = this.#findMatches(text, terms);
+        let start = first ? Math.max(0, first.start - 40) : 0;
+        let end = Math.min(text.length, start + length);
+
+        // Do not cut words in half
+        if (start > 0) {
+            const space = text.indexOf(' ', start);
+            start = space !== -1 && space < (first?.start ?? end) ? space + 1 : start;
+        }
+        if (end < text.length) {
+            const space = text.lastIndexOf(' ', end);
+            end = space > start ? space : end;
+        }
+
+        const excerpt = text.slice(start, end).replace(/\s+/g, ' ').trim();
+        return `${start > 0 ? '...' : ''}${excerpt}${end < text.length ? '...' : ''}`;
+    }
+
+    /**
+     * Escapes text and wraps matched words in <mark>
+     * @param {string} text - Plain text
+     * @param {string[]} terms - Matched analyzed terms
+     * @returns {string} Safe HTML
+     * @private
+     */
+    #highlight(text, terms) {
+        const value = String(text ?? '');
+        let html = '';
+        let position = 0;
+
+        for (const { start, end } of this.#findMatches(value, terms)) {
+            html += this.#escapeHtml(value.slice(position, start));
+            html += `<mark>${this.#escapeHtml(value.slice(start, end))}</mark>`;
+            position = end;
+        }
+
+        return html + this.#escapeHtml(value.slice(position));
+    }
+
     /**
      * Displays search results in the overlay
      * @param {SearchResult[]} results - Search results
@@ -303,6 +658,8 @@ export class SearchEngine {
     #displayResults(results, query) {
         if (!this.#resultsElement) return;
 
+        this.#lastResults = results;
+
         if (results.length === 0) {
             this.#displayNoResults(query);
         } else {
@@ -329,32 +686,73 @@ export class SearchEngine {
     }
 
     /**
-     * Renders search results HTML
+     * Renders the type filters and the results of the active type
      * @param {SearchResult[]} results - Search results
      * @private
      */
     #renderResults(results) {
         if (!this.#resultsElement) return;
 
-        const html = results.map(r => {
+        const counts = {};
+        results.forEach(r => { counts[r.type] = (counts[r.type] || 0) + 1; });
+
+        if (this.#activeType !== 'all' && !counts[this.#activeType]) {
+            this.#activeType = 'all';
+        }
+
+        const visible = this.#activeType === 'all'
+            ? results
+            : results.filter(r => r.type === this.#activeType);
+
+        const html = visible.map(r => {
             const safeType = this.#escapeHtml(r.type);
             const safeId = this.#escapeHtml(r.id);
             const safeIcon = this.#sanitizeIcon(r.icon);
-            const safeTitle = this.#escapeHtml(r.title);
+            const terms = r.matchedTerms || [];
+            const title = this.#highlight(this.#toPlainText(r.title), terms);
             const safeCategory = this.#escapeHtml(r.category);
+            const snippet = r.snippet
+                ? `<p class="search-result-snippet">${this.#highlight(r.snippet, terms)}</p>`
+                : '';
 
             return `
                 <div class="search-result-item" data-type="${safeType}" data-id="${safeId}">
                     <span class="search-result-icon">${safeIcon}</span>
                     <div class="search-result-content">
-                        <h4>${safeTitle}</h4>
+                        <h4>${title}</h4>
                         <p>${safeCategory}</p>
+                        ${snippet}
                     </div>
                 </div>
             `;
         }).join('');
 
-        this.#resultsElement.innerHTML = html;
+        this.#resultsElement.innerHTML = this.#renderFilters(results.length, counts) + html;
+    }
+
+    /**
+     * Renders the type filter buttons (only types present in the results)
+     * @param {number} total - Total results
+     * @param {Object<string, number>} counts - Results per type
+     * @returns {string} Filters HTML
+     * @private
+     */
+    #renderFilters(total, counts) {
+        const button = (type, label, count) => {
+            const active = this.#activeType === type;
+            return `<button type="button" class="search-filter${active ? ' active' : ''}" data-search-filter="${type}" aria-pressed="${active}">${label} <span>${count}</span></button>`;
+        };
+
+        const buttons = Object.entries(TYPE_LABELS)
+            .filter(([type]) => counts[type])
+            .map(([type, label]) => button(type, label, counts[type]));
+
+        return `
+            <div class="search-filters" role="toolbar" aria-label="Filtrar resultados">
+                ${button('all', 'Todo', total)}
+                ${buttons.join('')}
+            </div>
+        `;
     }
 
     /**
@@ -8,7 +8,7 @@
  * @description
  * This is the SINGLE entry point for the application. It:
  * 1. Creates the IoC container with all services configured
- * 2. Registers external global dependencies (KnowledgeBase, Diagnostics)
+ * 2. Registers external dependencies (KnowledgeBase global, diagnostic flows)
  * 3. Initializes the JamfAssistant application
  * 4. Sets up the chatbot
  *
@@ -129,6 +129,10 @@ async function initializeApplication() {
             rateLimitWindow: 60000
         });
 
+        // Persisted state lives in IndexedDB: load it (and migrate the old
+        // localStorage keys) before any manager reads it
+        await container.resolve('stateManager').ready();
+
         // ====================================================================
         // 2. Register external global dependencies
         // These are loaded via script tags before main.js
@@ -167,9 +171,10 @@ async function initializeApplication() {
             console.warn('[Main] KnowledgeBase not found - some features may not work');
         }
 
-        // Diagnostics - Global object from diagnostics.js
-        if (typeof Diagnostics !== 'undefined') {
-            container.registerInstance('diagnostics', Diagnostics);
+        // Diagnostics - declarative flows from data/diagnostics.json
+        const diagnosticsManager = container.resolve('diagnosticsManager');
+        if (await diagnosticsManager.loadFlows() > 0) {
+            container.registerInstance('diagnostics', diagnosticsManager.getDiagnostics());
         } else {
             console.warn('[Main] Diagnostics not found - troubleshooting may not work');
         }
@@ -183,8 +188,10 @@ async function initializeApplication() {
 
         sectionRegistry.setDefaultDependencies({
             eventBus,
+            stateManager: container.resolve('stateManager'),
             knowledgeBase: container.tryResolve('knowledgeBase'),
-            diagnostics: container.tryResolve('diagnostics')
+            diagnostics: container.tryResolve('diagnostics'),
+            checklistManager: container.resolve('checklistManager')
         });
 
         // ====================================================================
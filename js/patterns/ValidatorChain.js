@@ -676,14 +676,42 @@ export function createGeminiValidator() {
 }
 
 /**
- * Creates a validator chain for OpenAI API keys
+ * Whether a base URL points to an OpenAI-compatible gateway instead of OpenAI
+ * @param {string} [baseUrl] - API root
+ * @returns {boolean} True for any host other than api.openai.com
+ * @private
+ */
+function isCompatibleGateway(baseUrl) {
+    try {
+        return new URL(baseUrl).hostname !== 'api.openai.com';
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Creates a validator chain for OpenAI API keys. Keys for OpenAI itself start
+ * with `sk-`; compatible gateways issue their own token formats, so for a
+ * custom base URL only empty keys and whitespace are rejected.
  *
+ * @param {Object} [options] - Endpoint the key is for
+ * @param {string} [options.baseUrl] - API root (OpenAI when empty)
  * @returns {ApiKeyValidatorChain} Configured validator chain
  *
  * @example
  * const openAIValidator = createOpenAIValidator();
+ * createOpenAIValidator({ baseUrl: 'https://ia.distrito.edu/v1' }).validate('gw_123'); // { valid: true }
  */
-export function createOpenAIValidator() {
+export function createOpenAIValidator({ baseUrl } = {}) {
+    if (isCompatibleGateway(baseUrl)) {
+        return new ApiKeyValidatorChain('OpenAICompatibleKey')
+            .addValidator(new NotEmptyValidator('La API Key no puede estar vacia'))
+            .addValidator(new RegexValidator(
+                /^[\x21-\x7E]+$/,
+                'La key contiene espacios o caracteres no permitidos'
+            ));
+    }
+
     return new ApiKeyValidatorChain('OpenAIAPIKey')
         .addValidator(new NotEmptyValidator('API Key cannot be empty'))
         .addValidator(new PrefixValidator('sk-'));
@@ -702,3 +730,22 @@ export function createAnthropicValidator() {
         .addValidator(new NotEmptyValidator('API Key cannot be empty'))
         .addValidator(new PrefixValidator('sk-ant-'));
 }
+
+/**
+ * Creates a validator chain for self-hosted endpoints, where the key is optional.
+ * An empty key is accepted; a provided key must not contain whitespace or
+ * control characters (it is sent as a Bearer token).
+ *
+ * @returns {ApiKeyValidatorChain} Configured validator chain
+ *
+ * @example
+ * const localValidator = createLocalEndpointValidator();
+ * localValidator.validate(''); // { valid: true }
+ */
+export function createLocalEndpointValidator() {
+    return new ApiKeyValidatorChain('LocalEndpointKey')
+        .addValidator(new RegexValidator(
+            /^[\x21-\x7E]*$/,
+            'La key contiene espacios o caracteres no permitidos'
+        ));
+}
@@ -58,7 +58,8 @@ export {
     // Factory functions for common configurations
     createGeminiValidator,
     createOpenAIValidator,
-    createAnthropicValidator
+    createAnthropicValidator,
+    createLocalEndpointValidator
 } from './ValidatorChain.js';
 
 // ============================================================================
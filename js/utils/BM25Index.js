@@ -0,0 +1,253 @@
+/**
+ * @fileoverview BM25 Index - Inverted index with BM25 keyword ranking
+ * @module utils/BM25Index
+ * @version 1.0.0
+ * @license MIT
+ *
+ * @description
+ * In-memory inverted index scored with Okapi BM25. Documents are made of
+ * named fields with weights (e.g. title counts more than body text): the
+ * weighted term frequencies and lengths are summed before scoring (a
+ * simplified BM25F). Text goes through the Spanish {@link analyze} pipeline,
+ * so accents, plurals and stopwords do not affect matching.
+ *
+ * Usage:
+ *   import { BM25Index } from './utils/BM25Index.js';
+ *   const index = new BM25Index({ fieldWeights: { title: 3, text: 1 } });
+ *   index.add('doc-1', { title: 'Inscripción de iPads', text: '...' });
+ *   index.search('inscripcion ipad'); // [{ id: 'doc-1', score: 2.1, normalizedScore: 1 }]
+ */
+
+import { analyze } from './TextAnalyzer.js';
+
+/**
+ * @typedef {Object} BM25Options
+ * @property {number} [k1=1.2] - Term frequency saturation
+ * @property {number} [b=0.75] - Length normalization (0 = none, 1 = full)
+ * @property {Object<string, number>} [fieldWeights={}] - Weight per field (default 1)
+ * @property {function(string): string[]} [analyzer] - Text to terms (defaults to Spanish analysis)
+ */
+
+/**
+ * @typedef {Object} BM25Result
+ * @property {string} id - Document id
+ * @property {number} score - BM25 score
+ * @property {number} normalizedScore - Score relative to the best result (0-1)
+ * @property {string[]} matchedTerms - Query terms found in the document
+ */
+
+/**
+ * @class BM25Index
+ * @description Inverted index with BM25 ranking and weighted fields
+ *
+ * @example
+ * const index = new BM25Index({ fieldWeights: { title: 3, keywords: 2, text: 1 } });
+ * chunks.forEach(c => index.add(c.id, { title: c.title, text: c.text }));
+ * const results = index.search('problemas bluetooth', { limit: 5 });
+ */
+export class BM25Index {
+    /** @private @type {number} */
+    #k1;
+
+    /** @private @type {number} */
+    #b;
+
+    /** @private @type {Object<string, number>} */
+    #fieldWeights;
+
+    /** @private @type {function(string): string[]} */
+    #analyzer;
+
+    /** @private @type {Map<string, Map<string, number>>} term -> (doc id -> weighted frequency) */
+    #postings = new Map();
+
+    /** @private @type {Map<string, number>} doc id -> weighted length */
+    #lengths = new Map();
+
+    /** @private @type {number} */
+    #totalLength = 0;
+
+    /**
+     * Creates a new BM25Index instance
+     *
+     * @param {BM25Options} [options={}] - Scoring configuration
+     */
+    constructor({ k1 = 1.2, b = 0.75, fieldWeights = {}, analyzer = analyze } = {}) {
+        this.#k1 = k1;
+        this.#b = b;
+        this.#fieldWeights = fieldWeights;
+        this.#analyzer = analyzer;
+    }
+
+    /**
+     * Number of indexed documents
+     * @type {number}
+     * @readonly
+     */
+    get size() {
+        return this.#lengths.size;
+    }
+
+    /**
+     * Number of distinct terms
+     * @type {number}
+     * @readonly
+     */
+    get termCount() {
+        return this.#postings.size;
+    }
+
+    /**
+     * Adds (or replaces) a document
+     *
+     * @param {string} id - Document id
+     * @param {Object<string, string|string[]>} fields - Field texts (arrays are joined)
+     * @returns {void}
+     *
+     * @example
+     * index.add('aula#2', { title: 'App Aula', keywords: ['aula', 'bluetooth'], text: '...' });
+     */
+    add(id, fields) {
+        if (this.#lengths.has(id)) {
+            this.remove(id);
+        }
+
+        const frequencies = new Map();
+        let length = 0;
+
+        for (const [field, value] of Object.entries(fields)) {
+            if (value == null) continue;
+
+            const weight = this.#fieldWeights[field] ?? 1;
+            const text = Array.isArray(value) ? value.join(' ') : String(value);
+
+            for (const term of this.#analyzer(text)) {
+                frequencies.set(term, (frequencies.get(term) || 0) + weight);
+                length += weight;
+            }
+        }
+
+        for (const [term, frequency] of frequencies) {
+            if (!this.#postings.has(term)) {
+                this.#postings.set(term, new Map());
+            }
+            this.#postings.get(term).set(id, frequency);
+        }
+
+        this.#lengths.set(id, length);
+        this.#totalLength += length;
+    }
+
+    /**
+     * Removes a document
+     *
+     * @param {string} id - Document id
+     * @returns {boolean} True if the document was indexed
+     */
+    remove(id) {
+        if (!this.#lengths.has(id)) return false;
+
+        for (const [term, docs] of this.#postings) {
+            if (docs.delete(id) && docs.size === 0) {
+                this.#postings.delete(term);
+            }
+        }
+
+        this.#totalLength -= this.#lengths.get(id);
+        this.#lengths.delete(id);
+        return true;
+    }
+
+    /**
+     * Removes every document
+     * @returns {void}
+     */
+    clear() {
+        this.#postings.clear();
+        this.#lengths.clear();
+        this.#totalLength = 0;
+    }
+
+    /**
+     * Scores documents against a query
+     *
+     * With `prefix`, the last query term also matches every indexed term that
+     * starts with it (search-as-you-type: "config" finds "configuracion").
+     * A document scores the best of those expansions, not their sum.
+     *
+     * @param {string} query - Free-text query
+     * @param {Object} [options={}] - Search options
+     * @param {number} [options.limit=Infinity] - Maximum results
+     * @param {boolean} [options.prefix=false] - Expand the last term as a prefix
+     * @returns {BM25Result[]} Matching documents, best first
+     *
+     * @example
+     * const [best] = index.search('inscripcion de ipads');
+     * index.search('config', { prefix: true });
+     */
+    search(query, { limit = Infinity, prefix = false } = {}) {
+        const terms = [...new Set(this.#analyzer(query))];
+        if (terms.length === 0 || this.size === 0) return [];
+
+        const averageLength = this.#totalLength / this.size || 1;
+        const scores = new Map();
+
+        terms.forEach((term, position) => {
+            const isPrefix = prefix && position === terms.length - 1;
+            const best = new Map();
+
+            for (const candidate of isPrefix ? this.#expand(term) : [term]) {
+                const docs = this.#postings.get(candidate);
+                if (!docs) continue;
+
+                // BM25 idf, always positive
+                const idf = Math.log(1 + (this.size - docs.size + 0.5) / (docs.size + 0.5));
+
+                for (const [id, frequency] of docs) {
+                    const lengthRatio = this.#lengths.get(id) / averageLength;
+                    const tf = (frequency * (this.#k1 + 1)) /
+                        (frequency + this.#k1 * (1 - this.#b + this.#b * lengthRatio));
+                    const score = idf * tf;
+
+                    const current = best.get(id);
+                    if (!current) {
+                        best.set(id, { score, terms: [candidate] });
+                    } else {
+                        current.score = Math.max(current.score, score);
+                        current.terms.push(candidate);
+                    }
+                }
+            }
+
+            for (const [id, match] of best) {
+                const entry = scores.get(id) || { id, score: 0, matchedTerms: [] };
+                entry.score += match.score;
+                entry.matchedTerms.push(...match.terms);
+                scores.set(id, entry);
+            }
+        });
+
+        const results = [...scores.values()].sort((a, b) => b.score - a.score);
+        const best = results[0]?.score || 1;
+
+        return results
+            .slice(0, limit)
+            .map(result => ({ ...result, normalizedScore: result.score / best }));
+    }
+
+    /**
+     * Indexed terms starting with a prefix (the term itself included)
+     * @param {string} prefix - Analyzed term
+     * @returns {string[]} Matching terms
+     * @private
+     */
+    #expand(prefix) {
+        const terms = [];
+        for (const term of this.#postings.keys()) {
+            if (term.startsWith(prefix)) terms.push(term);
+        }
+        return terms;
+    }
+}
+
+export default BM25Index;
@@ -0,0 +1,166 @@
+/**
+ * @fileoverview Connect Policy - Which origins the page's CSP lets it fetch
+ * @module utils/ConnectPolicy
+ * @version 1.0.0
+ * @license MIT
+ *
+ * @description
+ * Reads the `connect-src` directive of the Content-Security-Policy meta tag
+ * in index.html, and detects mixed content (`http://` from an `https://`
+ * page). ApiKeyManager uses it to explain a blocked LLM endpoint instead of
+ * reporting a generic network error, and
+ * `scripts/allow-llm-origins.js` uses it to add a district gateway or an
+ * on-prem server to the policy before publishing.
+ *
+ * Usage:
+ *   import { isConnectAllowed } from './utils/ConnectPolicy.js';
+ *   if (!isConnectAllowed('https://ia.distrito.edu/v1')) { ... }
+ */
+
+/**
+ * Finds a directive of a policy
+ * @param {string} policy - Policy text
+ * @param {string} name - Directive name
+ * @returns {string[]|null} Sources of the directive, null if absent
+ * @private
+ */
+function findDirective(policy, name) {
+    for (const directive of policy.split(';')) {
+        const [directiveName, ...sources] = directive.trim().split(/\s+/);
+        if (directiveName?.toLowerCase() === name) return sources;
+    }
+    return null;
+}
+
+/**
+ * Gets the sources the policy allows to connect to (`connect-src`, or
+ * `default-src` when it is missing)
+ *
+ * @param {string} policy - Content-Security-Policy text
+ * @returns {string[]|null} Sources, or null if the policy does not restrict connections
+ *
+ * @example
+ * getConnectSources("default-src 'self'; connect-src 'self' https://api.openai.com");
+ * // ["'self'", 'https://api.openai.com']
+ */
+export function getConnectSources(policy) {
+    return findDirective(policy, 'connect-src') ?? findDirective(policy, 'default-src');
+}
+
+/**
+ * Whether a URL matches a source expression
+ * @param {URL} url - Requested URL
+ * @param {string} source - Source expression
+ * @param {URL|null} page - Page URL ('self' and scheme-less sources)
+ * @returns {boolean} True if the source allows the URL
+ * @private
+ */
+function matchesSource(url, source, page) {
+    const expression = source.toLowerCase();
+
+    if (expression === "'self'") return page !== null && url.origin === page.origin;
+    if (expression === '*') return /^(https?|wss?):$/.test(url.protocol);
+    if (/^[a-z][a-z0-9+.-]*:$/.test(expression)) {
+        return url.protocol === expression || (expression === 'http:' && url.protocol === 'https:');
+    }
+
+    const match = /^(?:([a-z][a-z0-9+.-]*):\/\/)?(\*\.)?([^:/]+)(?::(\d+|\*))?(\/.*)?$/.exec(expression);
+    if (!match) return false;
+
+    const [, scheme, wildcard, host, port, path] = match;
+    const protocol = scheme ? `${scheme}:` : (page?.protocol ?? 'https:');
+    if (url.protocol !== protocol && !(protocol === 'http:' && url.protocol === 'https:')) return false;
+
+    const hostname = url.hostname.toLowerCase();
+    if (wildcard ? !hostname.endsWith(`.${host}`) : hostname !== host) return false;
+
+    if (port !== '*' && url.port !== (port ?? '')) return false;
+
+    return !path || (path.endsWith('/') ? url.pathname.startsWith(path) : url.pathname === path);
+}
+
+/**
+ * Whether the page's Content-Security-Policy allows fetching a URL
+ *
+ * @param {string} url - URL to fetch
+ * @param {Document} [doc=document] - Page whose CSP meta tag applies
+ * @returns {boolean} True if allowed, or if there is no policy to check (or the URL is invalid)
+ *
+ * @example
+ * isConnectAllowed('http://localhost:11434/v1'); // true with the shipped index.html
+ * isConnectAllowed('https://ia.distrito.edu/v1'); // false until the origin is added
+ */
+export function isConnectAllowed(url, doc = typeof document !== 'undefined' ? document : null) {
+    const policy = doc?.querySelector('meta[http-equiv="Content-Security-Policy"]')?.getAttribute('content');
+    const sources = policy ? getConnectSources(policy) : null;
+    if (!sources) return true;
+
+    let target;
+    try {
+        target = new URL(url);
+    } catch {
+        return true;
+    }
+
+    let page = null;
+    try {
+        page = new URL(doc.location?.href);
+    } catch {
+        // Pages without a URL only match explicit sources
+    }
+
+    return sources.some(source => matchesSource(target, source, page));
+}
+
+/**
+ * Whether the browser blocks a URL as mixed content: an `http://` request
+ * from an `https://` page to a host other than the computer itself
+ *
+ * @param {string} url - URL to fetch
+ * @param {Document} [doc=document] - Page making the request
+ * @returns {boolean} True if the request would be blocked
+ *
+ * @example
+ * isMixedContent('http://ia.colegio.local:11434/v1'); // true on GitHub Pages
+ * isMixedContent('http://localhost:11434/v1'); // false
+ */
+export function isMixedContent(url, doc = typeof document !== 'undefined' ? document : null) {
+    try {
+        const target = new URL(url);
+        const page = new URL(doc?.location?.href);
+        const loopback = ['localhost', '127.0.0.1', '[::1]'].includes(target.hostname)
+            || target.hostname.endsWith('.localhost');
+
+        return page.protocol === 'https:' && target.protocol === 'http:' && !loopback;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Adds origins to the `connect-src` directive of a policy, leaving the rest
+ * of the text unchanged. Origins already listed are skipped.
+ *
+ * @param {string} policy - Content-Security-Policy text
+ * @param {string[]} origins - Origins to allow (e.g. 'https://ia.distrito.edu')
+ * @returns {string} Updated policy
+ * @throws {Error} If the policy has no connect-src directive
+ *
+ * @example
+ * addConnectOrigins("connect-src 'self';", ['https://ia.distrito.edu']);
+ * // "connect-src 'self' https://ia.distrito.edu;"
+ */
+export function addConnectOrigins(policy, origins) {
+    const match = /(connect-src)([^;]*)/i.exec(policy);
+    if (!match) {
+        throw new Error('The policy has no connect-src directive');
+    }
+
+    const sources = match[2].trim().split(/\s+/).filter(Boolean);
+    const missing = [...new Set(origins)].filter(origin => !sources.includes(origin));
+    if (missing.length === 0) return policy;
+
+    const directive = `${match[1]} ${[...sources, ...missing].join(' ')}`;
+    const trailing = /\s*$/.exec(match[2])[0];
+    return policy.slice(0, match.index) + directive + trailing + policy.slice(match.index + match[0].length);
+}
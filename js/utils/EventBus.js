@@ -250,6 +250,7 @@ export const AppEvents = {
     // Navigation events
     NAVIGATION_CHANGED: 'navigation:changed',
     NAVIGATION_BEFORE_CHANGE: 'navigation:beforeChange',
+    ROUTE_CHANGED: 'navigation:routeChanged',
 
     // Theme events
     THEME_CHANGED: 'theme:changed',
@@ -264,10 +265,15 @@ export const AppEvents = {
     SEARCH_RESULTS: 'search:results',
     SEARCH_CLEARED: 'search:cleared',
 
+    // Guide events
+    GUIDE_OPENED: 'guide:opened',
+
     // Diagnostic events
     DIAGNOSTIC_STARTED: 'diagnostic:started',
     DIAGNOSTIC_STEP_CHANGED: 'diagnostic:stepChanged',
     DIAGNOSTIC_COMPLETED: 'diagnostic:completed',
+    DIAGNOSTIC_OUTCOME: 'diagnostic:outcome',
+    DIAGNOSTIC_ASSISTANT_REQUESTED: 'diagnostic:assistantRequested',
 
     // Checklist events
     CHECKLIST_OPENED: 'checklist:opened',
@@ -276,7 +282,9 @@ export const AppEvents = {
 
     // Data events
     DATA_EXPORTED: 'data:exported',
+    DATA_IMPORTED: 'data:imported',
     DATA_DELETED: 'data:deleted',
+    STORAGE_QUOTA_EXCEEDED: 'storage:quotaExceeded',
 
     // Application lifecycle
     APP_READY: 'app:ready',
@@ -0,0 +1,293 @@
+/**
+ * @fileoverview IndexedDB Store - Promise-based key/value object store
+ * @module utils/IndexedDBStore
+ * @version 1.0.0
+ * @license MIT
+ *
+ * @description
+ * Thin promise wrapper around a single IndexedDB object store, used by the
+ * modules that need more room than localStorage offers (chat threads...).
+ * Each store lives in its own database so it can be versioned and deleted
+ * independently.
+ *
+ * When IndexedDB is unavailable (private browsing in some browsers, tests),
+ * {@link createKeyValueStore} falls back to a {@link MemoryStore} with the
+ * same interface: data then lasts only for the current page load.
+ *
+ * Usage:
+ *   import { createKeyValueStore } from './utils/IndexedDBStore.js';
+ *   const store = createKeyValueStore({ dbName: 'jamf-assistant-chat', storeName: 'threads' });
+ *   await store.put({ id: 't1', payload: '...' });
+ *   const record = await store.get('t1');
+ */
+
+/**
+ * @typedef {Object} KeyValueStore
+ * @property {function(string): Promise<Object|undefined>} get - Reads a record by key
+ * @property {function(): Promise<Object[]>} getAll - Reads every record
+ * @property {function(Object): Promise<void>} put - Inserts or replaces a record
+ * @property {function(string): Promise<void>} delete - Removes a record
+ * @property {function(): Promise<void>} clear - Removes every record
+ * @property {boolean} isPersistent - Whether data survives a page reload
+ */
+
+/**
+ * @typedef {Object} IndexedDBStoreOptions
+ * @property {string} dbName - Database name
+ * @property {string} storeName - Object store name
+ * @property {string} [keyPath='id'] - Record property used as key
+ * @property {number} [version=1] - Database schema version
+ * @property {IDBFactory} [indexedDB] - IndexedDB implementation (defaults to the global one)
+ */
+
+/**
+ * @class IndexedDBStore
+ * @description Single object store in its own IndexedDB database
+ *
+ * @example
+ * const store = new IndexedDBStore({ dbName: 'jamf-assistant-chat', storeName: 'threads' });
+ * await store.put({ id: 'abc', payload: 'cifrado' });
+ * const all = await store.getAll();
+ */
+export class IndexedDBStore {
+    /** @private @type {string} */
+    #dbName;
+
+    /** @private @type {string} */
+    #storeName;
+
+    /** @private @type {string} */
+    #keyPath;
+
+    /** @private @type {number} */
+    #version;
+
+    /** @private @type {IDBFactory} */
+    #factory;
+
+    /** @private @type {Promise<IDBDatabase>|null} */
+    #dbPromise = null;
+
+    /**
+     * Creates a new IndexedDBStore instance (the database opens lazily)
+     *
+     * @param {IndexedDBStoreOptions} options - Store configuration
+     * @throws {TypeError} If dbName/storeName are missing or IndexedDB is unavailable
+     */
+    constructor({ dbName, storeName, keyPath = 'id', version = 1, indexedDB: factory } = {}) {
+        if (!dbName || !storeName) {
+            throw new TypeError('IndexedDBStore requires dbName and storeName');
+        }
+
+        this.#factory = factory || (typeof indexedDB !== 'undefined' ? indexedDB : null);
+        if (!this.#factory) {
+            throw new TypeError('IndexedDB is not available in this environment');
+        }
+
+        this.#dbName = dbName;
+        this.#storeName = storeName;
+        this.#keyPath = keyPath;
+        this.#version = version;
+    }
+
+    /**
+     * Records are kept across page loads
+     * @type {boolean}
+     * @readonly
+     */
+    get isPersistent() {
+        return true;
+    }
+
+    /**
+     * Reads a record by key
+     *
+     * @param {string} key - Record key
+     * @returns {Promise<Object|undefined>} Record, or undefined if missing
+     */
+    async get(key) {
+        return this.#request('readonly', store => store.get(key));
+    }
+
+    /**
+     * Reads every record in the store
+     *
+     * @returns {Promise<Object[]>} All records
+     */
+    async getAll() {
+        return this.#request('readonly', store => store.getAll());
+    }
+
+    /**
+     * Inserts or replaces a record
+     *
+     * @param {Object} record - Record containing the key property
+     * @returns {Promise<void>}
+     */
+    async put(record) {
+        await this.#request('readwrite', store => store.put(record));
+    }
+
+    /**
+     * Removes a record
+     *
+     * @param {string} key - Record key
+     * @returns {Promise<void>}
+     */
+    async delete(key) {
+        await this.#request('readwrite', store => store.delete(key));
+    }
+
+    /**
+     * Removes every record in the store
+     *
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        await this.#request('readwrite', store => store.clear());
+    }
+
+    /**
+     * Opens (and creates or upgrades) the database once
+     * @private
+     * @returns {Promise<IDBDatabase>}
+     */
+    #open() {
+        if (!this.#dbPromise) {
+            this.#dbPromise = new Promise((resolve, reject) => {
+                const request = this.#factory.open(this.#dbName, this.#version);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(this.#storeName)) {
+                        db.createObjectStore(this.#storeName, { keyPath: this.#keyPath });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => reject(new Error(`IndexedDB "${this.#dbName}" is blocked by another tab`));
+            }).catch(error => {
+                // Allow a later call to retry
+                this.#dbPromise = null;
+                throw error;
+            });
+        }
+        return this.#dbPromise;
+    }
+
+    /**
+     * Runs a single request in its own transaction
+     * @private
+     * @param {IDBTransactionMode} mode - Transaction mode
+     * @param {function(IDBObjectStore): IDBRequest} operation - Request to run
+     * @returns {Promise<*>} Request result, once the transaction completes
+     */
+    async #request(mode, operation) {
+        const db = await this.#open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.#storeName, mode);
+            const request = operation(transaction.objectStore(this.#storeName));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error || request.error);
+            transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+        });
+    }
+}
+
+/**
+ * @class MemoryStore
+ * @description In-memory implementation of the {@link KeyValueStore} interface
+ *
+ * @example
+ * const store = new MemoryStore();
+ * await store.put({ id: 'abc', value: 1 });
+ */
+export class MemoryStore {
+    /** @private @type {Map<string, Object>} */
+    #records = new Map();
+
+    /** @private @type {string} */
+    #keyPath;
+
+    /**
+     * Creates a new MemoryStore instance
+     *
+     * @param {Object} [options={}] - Store configuration
+     * @param {string} [options.keyPath='id'] - Record property used as key
+     */
+    constructor({ keyPath = 'id' } = {}) {
+        this.#keyPath = keyPath;
+    }
+
+    /**
+     * Records are lost when the page reloads
+     * @type {boolean}
+     * @readonly
+     */
+    get isPersistent() {
+        return false;
+    }
+
+    /**
+     * @param {string} key - Record key
+     * @returns {Promise<Object|undefined>} Copy of the record
+     */
+    async get(key) {
+        const record = this.#records.get(key);
+        return record ? { ...record } : undefined;
+    }
+
+    /**
+     * @returns {Promise<Object[]>} Copies of all records
+     */
+    async getAll() {
+        return [...this.#records.values()].map(record => ({ ...record }));
+    }
+
+    /**
+     * @param {Object} record - Record containing the key property
+     * @returns {Promise<void>}
+     */
+    async put(record) {
+        this.#records.set(record[this.#keyPath], { ...record });
+    }
+
+    /**
+     * @param {string} key - Record key
+     * @returns {Promise<void>}
+     */
+    async delete(key) {
+        this.#records.delete(key);
+    }
+
+    /**
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        this.#records.clear();
+    }
+}
+
+/**
+ * Creates an IndexedDB-backed store, or an in-memory one when IndexedDB is unavailable
+ *
+ * @param {IndexedDBStoreOptions} options - Store configuration
+ * @returns {KeyValueStore} Store instance
+ *
+ * @example
+ * const store = createKeyValueStore({ dbName: 'jamf-assistant-chat', storeName: 'threads' });
+ * if (!store.isPersistent) console.warn('Las conversaciones no se guardaran');
+ */
+export function createKeyValueStore(options) {
+    const hasIndexedDB = options.indexedDB || typeof indexedDB !== 'undefined';
+    if (hasIndexedDB) {
+        return new IndexedDBStore(options);
+    }
+
+    console.warn(`[IndexedDBStore] IndexedDB not available, "${options.dbName}" kept in memory only`);
+    return new MemoryStore({ keyPath: options.keyPath });
+}
+
+export default IndexedDBStore;
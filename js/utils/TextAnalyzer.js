@@ -0,0 +1,115 @@
+/**
+ * @fileoverview Text Analyzer - Spanish tokenization for keyword search
+ * @module utils/TextAnalyzer
+ * @version 1.0.0
+ * @license MIT
+ *
+ * @description
+ * Turns text into index terms so that spelling variants users actually type
+ * match the documentation:
+ * - Diacritic folding: "inscripción" -> "inscripcion"
+ * - Lowercasing and splitting on anything that is not a letter or digit
+ * - Spanish stopword removal ("de", "la", "para"...)
+ * - Light stemming of plurals and gender: "iPads" -> "ipad", "alumnas" -> "alumn"
+ *
+ * The stemmer is deliberately light (no derivational suffixes), so
+ * unrelated words are rarely merged.
+ *
+ * Usage:
+ *   import { analyze } from './utils/TextAnalyzer.js';
+ *   analyze('¿Cómo inscribo los iPads?'); // ['inscrib', 'ipad']
+ */
+
+/**
+ * Spanish stopwords (already folded: no diacritics)
+ * @type {ReadonlySet<string>}
+ */
+export const SPANISH_STOPWORDS = new Set([
+    'a', 'al', 'algo', 'algun', 'alguna', 'algunas', 'alguno', 'algunos', 'ante', 'antes', 'aqui',
+    'asi', 'aun', 'bajo', 'bien', 'cada', 'casi', 'como', 'con', 'contra', 'cual', 'cuales',
+    'cuando', 'de', 'del', 'desde', 'donde', 'durante', 'e', 'el', 'ella', 'ellas', 'ello', 'ellos',
+    'en', 'entre', 'era', 'es', 'esa', 'esas', 'ese', 'eso', 'esos', 'esta', 'estan', 'estar',
+    'estas', 'este', 'esto', 'estos', 'estoy', 'fue', 'ha', 'hace', 'hay', 'la', 'las', 'le', 'les',
+    'lo', 'los', 'mas', 'me', 'mi', 'mis', 'mismo', 'muy', 'nada', 'ni', 'no', 'nos', 'o', 'otra',
+    'otras', 'otro', 'otros', 'para', 'pero', 'poco', 'por', 'porque', 'pueden', 'puedo', 'que',
+    'quien', 'se', 'sea', 'segun', 'ser', 'si', 'sin', 'sobre', 'solo', 'son', 'su', 'sus',
+    'tambien', 'te', 'tengo', 'ti', 'tiene', 'tienen', 'todo', 'todos', 'tu', 'tus', 'u', 'un',
+    'una', 'unas', 'uno', 'unos', 'y', 'ya', 'yo'
+]);
+
+/**
+ * Removes diacritics and lowercases text ("Inscripción" -> "inscripcion").
+ * "ñ" is kept: it changes the meaning of Spanish words ("año"/"ano").
+ *
+ * @param {string} text - Text to fold
+ * @returns {string} Folded text
+ *
+ * @example
+ * foldDiacritics('Configuración del iPad'); // 'configuracion del ipad'
+ */
+export function foldDiacritics(text) {
+    return String(text || '')
+        .toLowerCase()
+        .replace(/ñ/g, '\u0000')
+        .normalize('NFD')
+        .replace(/\p{M}/gu, '')
+        .replace(/\u0000/g, 'ñ');
+}
+
+/**
+ * Light Spanish stemmer: removes plural and gender endings only
+ *
+ * @param {string} word - Folded, lowercase word
+ * @returns {string} Stem
+ *
+ * @example
+ * stemSpanish('inscripciones'); // 'inscripcion'
+ * stemSpanish('ipads');         // 'ipad'
+ * stemSpanish('profesores');    // 'profesor'
+ */
+export function stemSpanish(word) {
+    if (word.length <= 3 || /\d/.test(word)) return word;
+
+    let stem = word;
+
+    // Plurals
+    if (stem.endsWith('iones')) {
+        stem = stem.slice(0, -2);          // inscripciones -> inscripcion
+    } else if (stem.endsWith('ces') && stem.length > 4) {
+        stem = `${stem.slice(0, -3)}z`;    // luces -> luz
+    } else if (stem.endsWith('s') && !stem.endsWith('ss')) {
+        stem = stem.slice(0, -1);          // ipads -> ipad, clases -> clase
+    }
+
+    // Gender / final vowel: alumno, alumna, alumne -> alumn
+    if (stem.length > 4 && /[aeo]$/.test(stem)) {
+        stem = stem.slice(0, -1);
+    }
+
+    return stem;
+}
+
+/**
+ * Splits folded text into words (letters and digits)
+ *
+ * @param {string} text - Text to split
+ * @returns {string[]} Folded words, stopwords included
+ */
+export function tokenize(text) {
+    return foldDiacritics(text).match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * Full analysis pipeline: fold, tokenize, drop stopwords, stem
+ *
+ * @param {string} text - Text to analyze
+ * @returns {string[]} Index terms, in text order (duplicates kept)
+ *
+ * @example
+ * analyze('Problemas con la inscripción de iPads'); // ['problem', 'inscripcion', 'ipad']
+ */
+export function analyze(text) {
+    return tokenize(text)
+        .filter(word => !SPANISH_STOPWORDS.has(word))
+        .map(stemSpanish);
+}
@@ -14,14 +14,18 @@ import { BaseView } from './BaseView.js';
 import { sectionRegistry } from '../patterns/SectionRegistry.js';
 
 /**
- * Renders the checklists section with categorized checklist cards.
+ * Renders the checklists section with categorized checklist cards (built-in
+ * and custom ones, with the actions of the checklist editor) and the
+ * history of checklist runs (one per device, classroom...).
  *
  * @class ChecklistsView
  * @extends BaseView
  * @example
  * const checklistsView = new ChecklistsView({
  *     eventBus,
- *     knowledgeBase
+ *     knowledgeBase,
+ *     stateManager,
+ *     checklistManager
  * });
  * const html = checklistsView.render();
  */
@@ -40,6 +44,35 @@ export class ChecklistsView extends BaseView {
         'General': 'ri-checkbox-circle-line'
     };
 
+    /**
+     * State manager with the saved checklist runs
+     * @type {import('../core/StateManager.js').StateManager|null}
+     * @private
+     */
+    #stateManager;
+
+    /**
+     * Checklist manager with the custom checklists
+     * @type {import('../features/ChecklistManager.js').ChecklistManager|null}
+     * @private
+     */
+    #checklistManager;
+
+    /**
+     * Creates a new ChecklistsView instance
+     *
+     * @param {Object} dependencies - Injected dependencies
+     * @param {import('../utils/EventBus.js').EventBus} dependencies.eventBus - Event bus
+     * @param {Object} [dependencies.knowledgeBase] - Knowledge base data
+     * @param {import('../core/StateManager.js').StateManager} [dependencies.stateManager] - Saved runs (no progress or history without it)
+     * @param {import('../features/ChecklistManager.js').ChecklistManager} [dependencies.checklistManager] - Custom checklists (none without it)
+     */
+    constructor({ eventBus, knowledgeBase, stateManager = null, checklistManager = null }) {
+        super({ eventBus, knowledgeBase });
+        this.#stateManager = stateManager;
+        this.#checklistManager = checklistManager;
+    }
+
     /**
      * Renders the checklists view
      *
@@ -47,7 +80,10 @@ export class ChecklistsView extends BaseView {
      * @override
      */
     render() {
-        const checklists = this.knowledgeBase?.checklists || {};
+        const checklists = {
+            ...(this.knowledgeBase?.checklists || {}),
+            ...(this.#checklistManager?.getCustomChecklists() || {})
+        };
         const grouped = this.#groupByCategory(checklists);
 
         return this.wrapSection(`
@@ -56,7 +92,15 @@ export class ChecklistsView extends BaseView {
                 'Listas de verificacion para procesos comunes'
             )}
             ${this.#renderProgressInfoBox()}
+            ${this.#checklistManager ? `
+                <div class="checklist-toolbar">
+                    <button class="diagnostic-btn" data-checklist-action="create">
+                        <i class="ri-add-line"></i> Nueva checklist
+                    </button>
+                </div>
+            ` : ''}
             ${this.#renderCategories(grouped)}
+            ${this.#renderRunHistory(checklists)}
         `);
     }
 
@@ -89,7 +133,8 @@ export class ChecklistsView extends BaseView {
         return this.renderInfoBox({
             icon: 'ri-checkbox-circle-line',
             title: 'Progreso guardado localmente',
-            content: '<p>Tu progreso en cada checklist se guarda en tu navegador. Puedes cerrar y volver cuando quieras.</p>'
+            content: '<p>Tu progreso en cada checklist se guarda en tu navegador. Puedes cerrar y volver cuando quieras.</p>' +
+                '<p>Usa "Nueva ejecucion" para repetir una checklist por dispositivo o aula, con su responsable, fecha limite y notas.</p>'
         });
     }
 
@@ -103,7 +148,7 @@ export class ChecklistsView extends BaseView {
         return Object.entries(grouped).map(([category, items]) => {
             const icon = this.#getCategoryIcon(category);
             return `
-                ${this.renderContentTitle(icon, category)}
+                ${this.renderContentTitle(icon, this.escapeHtml(category))}
                 <div class="checklist-cards">
                     ${items.map(cl => this.#renderChecklistCard(cl)).join('')}
                 </div>
@@ -129,29 +174,169 @@ export class ChecklistsView extends BaseView {
      */
     #renderChecklistCard(checklist) {
         const itemCount = checklist.items?.length || 0;
+        const runs = this.#stateManager?.getChecklistRuns(checklist.key) || [];
+        const activeRun = this.#stateManager?.getChecklistRun(checklist.key) || null;
+        const completed = this.#countCompleted(checklist, activeRun);
+        const percentage = itemCount > 0 ? Math.round((completed / itemCount) * 100) : 0;
 
         return `
-            <div class="checklist-card" data-checklist="${checklist.key}">
+            <div class="checklist-card" data-checklist="${this.escapeHtml(checklist.key)}">
                 <div class="checklist-header">
                     <span class="checklist-icon">${checklist.icon || ''}</span>
                     <div class="checklist-badges">
-                        <span class="category-badge">${checklist.category || 'General'}</span>
+                        <span class="category-badge">${this.escapeHtml(checklist.category || 'General')}</span>
+                        ${checklist.custom ? '<span class="category-badge custom-badge">Personalizada</span>' : ''}
                         ${checklist.estimatedTime ?
-                            `<span class="time-badge"><i class="ri-time-line"></i> ${checklist.estimatedTime}</span>`
+                            `<span class="time-badge"><i class="ri-time-line"></i> ${this.escapeHtml(checklist.estimatedTime)}</span>`
                             : ''}
                     </div>
                 </div>
-                <h3>${checklist.title || ''}</h3>
-                <p class="checklist-count">${itemCount} tareas a completar</p>
+                <h3>${this.escapeHtml(checklist.title || '')}</h3>
+                <p class="checklist-count">
+                    ${itemCount} tareas a completar
+                    ${runs.length > 1 ? `(${runs.length} ejecuciones)` : ''}
+                </p>
                 <div class="checklist-progress">
                     <div class="progress-bar">
-                        <div class="progress-fill" style="width: 0%"></div>
+                        <div class="progress-fill" style="width: ${percentage}%"></div>
                     </div>
-                    <span class="progress-text">0/${itemCount}</span>
+                    <span class="progress-text">
+                        ${completed}/${itemCount}
+                        ${activeRun && runs.length > 1 ? `- ${this.escapeHtml(activeRun.name)}` : ''}
+                    </span>
+                </div>
+                ${this.#renderCardActions(checklist)}
+            </div>
+        `;
+    }
+
+    /**
+     * Renders the editor actions of a card: custom checklists can be
+     * edited, moved and deleted; any checklist can be duplicated
+     * @param {Object} checklist - Checklist data with key
+     * @returns {string} Actions HTML
+     * @private
+     */
+    #renderCardActions(checklist) {
+        if (!this.#checklistManager) return '';
+
+        const action = (name, icon, title) => `
+            <button class="checklist-card-action" data-checklist-action="${name}" data-checklist-id="${this.escapeHtml(checklist.key)}" title="${title}">
+                <i class="${icon}"></i>
+            </button>
+        `;
+
+        return `
+            <div class="checklist-card-actions">
+                ${checklist.custom ? action('edit', 'ri-edit-line', 'Editar') : ''}
+                ${action('duplicate', 'ri-file-copy-line', 'Duplicar como checklist personalizada')}
+                ${checklist.custom ? `
+                    ${action('move-up', 'ri-arrow-up-line', 'Mover antes')}
+                    ${action('move-down', 'ri-arrow-down-line', 'Mover despues')}
+                    ${action('delete', 'ri-delete-bin-line', 'Eliminar')}
+                ` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Counts the current items of a checklist completed in a run
+     * @param {Object} checklist - Checklist data
+     * @param {Object|null} run - Checklist run
+     * @returns {number} Completed items
+     * @private
+     */
+    #countCompleted(checklist, run) {
+        return (checklist.items || []).filter(item => run?.items[item.id]?.done).length;
+    }
+
+    /**
+     * Renders every saved run, newest first
+     * @param {Object} checklists - Checklists data
+     * @returns {string} Run history HTML (empty without runs)
+     * @private
+     */
+    #renderRunHistory(checklists) {
+        if (!this.#stateManager) return '';
+
+        const rows = Object.entries(checklists).flatMap(([key, checklist]) => (
+            this.#stateManager.getChecklistRuns(key).map(run => ({ key, checklist, run }))
+        ));
+        if (rows.length === 0) return '';
+
+        // Migrated runs have no creation date and go last
+        rows.sort((a, b) => (b.run.createdAt || '').localeCompare(a.run.createdAt || ''));
+
+        return `
+            ${this.renderContentTitle('ri-history-line', 'Historial de ejecuciones')}
+            <div class="checklist-history">
+                ${rows.map(row => this.#renderRunRow(row)).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Renders one run of the history
+     * @param {Object} row - History row
+     * @param {string} row.key - Checklist identifier
+     * @param {Object} row.checklist - Checklist data
+     * @param {Object} row.run - Checklist run
+     * @returns {string} Run row HTML
+     * @private
+     */
+    #renderRunRow({ key, checklist, run }) {
+        const total = checklist.items?.length || 0;
+        const completed = this.#countCompleted(checklist, run);
+        const overdue = !run.completedAt && run.dueDate && run.dueDate < this.#today();
+
+        let status = '<span class="run-status">En curso</span>';
+        if (run.completedAt) {
+            status = `<span class="run-status done">Completada ${this.#formatDate(run.completedAt)}</span>`;
+        } else if (overdue) {
+            status = '<span class="run-status overdue">Vencida</span>';
+        }
+
+        const details = [
+            run.assignee ? `<span><i class="ri-user-line"></i> ${this.escapeHtml(run.assignee)}</span>` : '',
+            run.dueDate ? `<span><i class="ri-calendar-line"></i> ${this.#formatDate(`${run.dueDate}T00:00:00`)}</span>` : '',
+            run.createdAt ? `<span><i class="ri-time-line"></i> Creada ${this.#formatDate(run.createdAt)}</span>` : ''
+        ].join('');
+
+        return `
+            <div class="checklist-run-row" data-checklist="${this.escapeHtml(key)}" data-checklist-run="${this.escapeHtml(run.id)}">
+                <span class="checklist-icon">${checklist.icon || ''}</span>
+                <div class="run-info">
+                    <h4>${this.escapeHtml(run.name)} <small>${this.escapeHtml(checklist.title || '')}</small></h4>
+                    <div class="checklist-meta">${details}</div>
+                </div>
+                <div class="run-summary">
+                    ${status}
+                    <span class="progress-text">${completed}/${total}</span>
                 </div>
             </div>
         `;
     }
+
+    /**
+     * Gets today's local date as YYYY-MM-DD (the format of due dates)
+     * @returns {string} Today's date
+     * @private
+     */
+    #today() {
+        const now = new Date();
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+    }
+
+    /**
+     * Formats a date for the history
+     * @param {string} value - Date (ISO 8601)
+     * @returns {string} Short date
+     * @private
+     */
+    #formatDate(value) {
+        return new Date(value).toLocaleDateString('es-ES', { day: '2-digit', month: '2-digit', year: 'numeric' });
+    }
 }
 
 // ============================================================================
@@ -15,7 +15,7 @@ import { sectionRegistry } from '../patterns/SectionRegistry.js';
 
 /**
  * Renders the RGPD data management section (Mis Datos) allowing users
- * to view, export, and delete their personal data.
+ * to view, export, import, and delete their personal data.
  *
  * @class MisDatosView
  * @extends BaseView
@@ -51,7 +51,7 @@ export class MisDatosView extends BaseView {
         return this.renderInfoBox({
             icon: 'ri-shield-user-line',
             title: 'Tus datos estan seguros',
-            content: '<p>Toda tu informacion se almacena unicamente en este navegador (localStorage). No se envia a ningun servidor externo.</p>'
+            content: '<p>Toda tu informacion se almacena unicamente en este navegador (localStorage e IndexedDB). No se envia a ningun servidor externo.</p>'
         });
     }
 
@@ -66,8 +66,10 @@ export class MisDatosView extends BaseView {
             <div class="action-cards">
                 ${this.#renderActionCard('viewDataCard', 'ri-eye-line', 'Ver mis datos', 'Visualiza todos los datos almacenados en formato JSON')}
                 ${this.#renderActionCard('exportDataCard', 'ri-download-2-line', 'Exportar mis datos', 'Descarga todos tus datos en formato JSON')}
+                ${this.#renderActionCard('importDataCard', 'ri-upload-2-line', 'Importar mis datos', 'Recupera tus preferencias y checklists desde un archivo exportado')}
                 ${this.#renderActionCard('deleteDataCard', 'ri-delete-bin-line', 'Eliminar todos mis datos', 'Borra permanentemente todos los datos almacenados', 'color: var(--error);')}
                 ${this.#renderActionCard('configApiCard', 'ri-settings-3-line', 'Configurar API Key', 'Acceso rapido a la configuracion del chatbot')}
+                ${this.#renderActionCard('answerFeedbackCard', 'ri-feedback-line', 'Calidad del asistente', 'Valoraciones de las respuestas por articulo de la documentacion, exportables en JSON y CSV')}
             </div>
         `;
     }
@@ -111,6 +113,7 @@ export class MisDatosView extends BaseView {
                         <li><strong>Tema:</strong> Preferencia de modo claro/oscuro</li>
                         <li><strong>Sidebar:</strong> Estado del menu lateral (expandido/colapsado)</li>
                         <li><strong>Progreso de Checklists:</strong> Tareas completadas en cada lista</li>
+                        <li><strong>Valoraciones del asistente:</strong> Respuestas valoradas, con la pregunta y los articulos consultados (cifradas)</li>
                     </ul>
                     <p style="margin-top: 10px; color: var(--text-muted); font-size: 14px;">
                         <i class="ri-lock-line"></i> Todos estos datos permanecen en tu dispositivo y nunca se comparten.
@@ -0,0 +1,83 @@
+/**
+ * JAMF ASSISTANT - Allow LLM Origins Script
+ *
+ * Anade al connect-src de la Content-Security-Policy de index.html los
+ * origenes de una pasarela compatible con OpenAI o de un servidor de IA
+ * propio. Sin ellos el navegador bloquea la conexion aunque la URL del
+ * endpoint sea correcta.
+ *
+ * Uso:
+ *   npm run allow-llm-origins -- https://ia.distrito.edu https://ia.colegio.local
+ *   LLM_CONNECT_ORIGINS="https://ia.distrito.edu" npm run allow-llm-origins -- --file _deploy/index.html
+ *
+ * El flujo de despliegue lo ejecuta con la variable LLM_CONNECT_ORIGINS del
+ * repositorio. Solo se aceptan origenes https (o http en localhost): desde
+ * una web https el navegador bloquea cualquier otro http.
+ */
+
+import { readFile, writeFile } from 'fs/promises';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { addConnectOrigins } from '../js/utils/ConnectPolicy.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const INDEX_PATH = join(__dirname, '..', 'index.html');
+const CSP_META = /(<meta http-equiv="Content-Security-Policy" content=")([^"]*)(")/;
+
+/**
+ * Reduce una URL a su origen y comprueba que el navegador puede usarla
+ * @param {string} value - URL u origen
+ * @returns {string} Origen
+ */
+function toOrigin(value) {
+    const url = new URL(value);
+    const loopback = ['localhost', '127.0.0.1', '[::1]'].includes(url.hostname);
+
+    if (url.protocol !== 'https:' && !(url.protocol === 'http:' && loopback)) {
+        throw new Error(`${value}: usa https (el navegador bloquea http salvo en localhost)`);
+    }
+    return url.origin;
+}
+
+async function main() {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            file: { type: 'string', default: INDEX_PATH }
+        }
+    });
+
+    const requested = [
+        ...positionals,
+        ...(process.env.LLM_CONNECT_ORIGINS || '').split(/[\s,]+/)
+    ].filter(Boolean);
+
+    if (requested.length === 0) {
+        console.log('ℹ️  Ningun origen que anadir');
+        return;
+    }
+
+    const origins = requested.map(toOrigin);
+    const html = await readFile(values.file, 'utf-8');
+    const match = CSP_META.exec(html);
+    if (!match) {
+        throw new Error(`${values.file} no tiene la meta Content-Security-Policy`);
+    }
+
+    const policy = addConnectOrigins(match[2], origins);
+    if (policy === match[2]) {
+        console.log('✅ Los origenes ya estaban permitidos');
+        return;
+    }
+
+    await writeFile(values.file, html.replace(CSP_META, `$1${policy}$3`));
+    console.log(`✅ connect-src permite ahora: ${origins.join(' ')}`);
+}
+
+main().catch(error => {
+    console.error('❌ Error al actualizar la CSP:', error.message);
+    process.exit(1);
+});
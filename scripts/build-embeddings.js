@@ -0,0 +1,131 @@
+/**
+ * JAMF ASSISTANT - Embedding Index Build Script
+ *
+ * Genera data/embeddings.json con los embeddings de cada fragmento (chunk)
+ * de los articulos de data/docs.json, para que el navegador no tenga que
+ * calcularlos al cargar.
+ *
+ * Solo se recalculan los fragmentos nuevos o cuyo contenido ha cambiado
+ * (hash distinto); los fragmentos eliminados se quitan del indice.
+ *
+ * Uso:
+ *   npm install --no-save @xenova/transformers@2.17.2
+ *   npm run build-embeddings
+ */
+
+import { readFile, writeFile } from 'fs/promises';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { chunkDocument } from '../js/chatbot/DocumentChunker.js';
+import {
+    createSearchableText,
+    hashChunk,
+    normalizeEmbeddingText,
+    parseEmbeddingIndex,
+    serializeEmbeddingIndex
+} from '../js/chatbot/EmbeddingIndex.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DOCS_PATH = join(__dirname, '..', 'data', 'docs.json');
+const INDEX_PATH = join(__dirname, '..', 'data', 'embeddings.json');
+
+// Must match EmbeddingService (js/chatbot/EmbeddingService.js)
+const MODEL_ID = 'Xenova/all-MiniLM-L6-v2';
+const DIMENSION = 384;
+
+/**
+ * Reads the current index, or an empty one if missing/outdated
+ */
+async function loadExistingIndex() {
+    try {
+        const data = JSON.parse(await readFile(INDEX_PATH, 'utf-8'));
+        return parseEmbeddingIndex(data, { model: MODEL_ID, dimension: DIMENSION });
+    } catch {
+        return new Map();
+    }
+}
+
+/**
+ * Loads the feature-extraction pipeline (same model and options as the browser)
+ */
+async function loadEmbedder() {
+    let transformers;
+    try {
+        transformers = await import('@xenova/transformers');
+    } catch {
+        console.error('❌ @xenova/transformers no esta instalado.');
+        console.error('   Instalalo sin modificar package.json:');
+        console.error('   npm install --no-save @xenova/transformers@2.17.2');
+        process.exit(1);
+    }
+
+    console.log(`📦 Cargando modelo ${MODEL_ID}...`);
+    const extractor = await transformers.pipeline('feature-extraction', MODEL_ID, { quantized: true });
+
+    return async (text) => {
+        const output = await extractor(normalizeEmbeddingText(text), { pooling: 'mean', normalize: true });
+        return new Float32Array(output.data);
+    };
+}
+
+async function main() {
+    console.log('🧮 Construyendo indice de embeddings...');
+
+    const docs = JSON.parse(await readFile(DOCS_PATH, 'utf-8'));
+    const existing = await loadExistingIndex();
+
+    // Same chunking as RAGEngine (default options)
+    const chunks = docs.articles.flatMap(doc => chunkDocument(doc));
+    const chunkIds = new Set(chunks.map(chunk => chunk.id));
+
+    const entries = new Map();
+    const pending = [];
+
+    for (const chunk of chunks) {
+        const hash = hashChunk(chunk);
+        const cached = existing.get(chunk.id);
+
+        if (cached && cached.hash === hash) {
+            entries.set(chunk.id, cached);
+        } else {
+            pending.push({ chunk, hash });
+        }
+    }
+
+    const removed = [...existing.keys()].filter(id => !chunkIds.has(id));
+
+    if (pending.length === 0 && removed.length === 0 && existing.size > 0) {
+        console.log(`✅ Indice al dia (${entries.size} fragmentos), nada que recalcular.`);
+        return;
+    }
+
+    if (pending.length > 0) {
+        const embed = await loadEmbedder();
+
+        for (const [i, { chunk, hash }] of pending.entries()) {
+            console.log(`   [${i + 1}/${pending.length}] ${chunk.id}`);
+            entries.set(chunk.id, { hash, embedding: await embed(createSearchableText(chunk)) });
+        }
+    }
+
+    // Keep docs.json order so diffs stay small
+    const ordered = new Map(chunks.map(chunk => [chunk.id, entries.get(chunk.id)]));
+
+    const index = serializeEmbeddingIndex(ordered, {
+        model: MODEL_ID,
+        dimension: DIMENSION,
+        docsVersion: docs.version
+    });
+
+    await writeFile(INDEX_PATH, JSON.stringify(index, null, 2) + '\n', 'utf-8');
+
+    console.log(`✅ ${INDEX_PATH} actualizado:`);
+    console.log(`   ${entries.size - pending.length} reutilizados, ${pending.length} recalculados, ${removed.length} eliminados`);
+}
+
+main().catch(error => {
+    console.error('❌ Error construyendo embeddings:', error.message);
+    process.exit(1);
+});
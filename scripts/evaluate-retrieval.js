@@ -0,0 +1,139 @@
+/**
+ * JAMF ASSISTANT - Retrieval Evaluation Script
+ *
+ * Mide la calidad de la busqueda del chatbot (RAGEngine) con las preguntas de
+ * data/retrieval-golden.json: recall@k, MRR y nDCG@k en modo keyword (BM25),
+ * semantico e hibrido.
+ *
+ * Por defecto usa un embedding determinista sin red (el mismo que los tests),
+ * para comparar cambios de chunking, pesos o umbrales entre commits. Con
+ * --model usa el modelo real (necesita @xenova/transformers).
+ *
+ * Uso:
+ *   npm run evaluate-retrieval
+ *   npm run evaluate-retrieval -- --k 3 --min-score 0.2 --keyword-weight 0.4
+ *   npm run evaluate-retrieval -- --verbose      (preguntas falladas)
+ *   npm run evaluate-retrieval -- --json > informe.json
+ *   npm install --no-save @xenova/transformers@2.17.2 && npm run evaluate-retrieval -- --model
+ */
+
+import { readFile } from 'fs/promises';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { RAGEngine } from '../js/chatbot/RAGEngine.js';
+import { normalizeEmbeddingText } from '../js/chatbot/EmbeddingIndex.js';
+import {
+    createHashEmbeddingService,
+    evaluateRetrieval,
+    formatReport
+} from '../js/chatbot/RetrievalEvaluation.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DOCS_PATH = join(__dirname, '..', 'data', 'docs.json');
+const GOLDEN_PATH = join(__dirname, '..', 'data', 'retrieval-golden.json');
+
+// Must match EmbeddingService (js/chatbot/EmbeddingService.js)
+const MODEL_ID = 'Xenova/all-MiniLM-L6-v2';
+const DIMENSION = 384;
+
+/**
+ * Embedding service backed by the real model (same options as the browser)
+ */
+async function loadModelEmbeddingService() {
+    let transformers;
+    try {
+        transformers = await import('@xenova/transformers');
+    } catch {
+        console.error('❌ @xenova/transformers no esta instalado.');
+        console.error('   Instalalo sin modificar package.json:');
+        console.error('   npm install --no-save @xenova/transformers@2.17.2');
+        process.exit(1);
+    }
+
+    console.error(`📦 Cargando modelo ${MODEL_ID}...`);
+    const extractor = await transformers.pipeline('feature-extraction', MODEL_ID, { quantized: true });
+
+    return {
+        modelId: MODEL_ID,
+        dimension: DIMENSION,
+        isReady: true,
+        initialize: async () => true,
+        embed: async (text) => {
+            const output = await extractor(normalizeEmbeddingText(text), { pooling: 'mean', normalize: true });
+            return new Float32Array(output.data);
+        },
+        cosineSimilarity: (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0),
+        getStats: () => ({ modelId: MODEL_ID })
+    };
+}
+
+async function main() {
+    const { values } = parseArgs({
+        options: {
+            k: { type: 'string', default: '5' },
+            'min-score': { type: 'string' },
+            'keyword-weight': { type: 'string' },
+            'min-keyword-score': { type: 'string' },
+            model: { type: 'boolean', default: false },
+            verbose: { type: 'boolean', default: false },
+            json: { type: 'boolean', default: false }
+        }
+    });
+
+    const k = Number(values.k);
+    const hybrid = {};
+    if (values['keyword-weight'] !== undefined) hybrid.keywordWeight = Number(values['keyword-weight']);
+    if (values['min-keyword-score'] !== undefined) hybrid.minKeywordScore = Number(values['min-keyword-score']);
+
+    const searchOptions = {};
+    if (values['min-score'] !== undefined) searchOptions.minScore = Number(values['min-score']);
+
+    const docs = JSON.parse(await readFile(DOCS_PATH, 'utf-8'));
+    const golden = JSON.parse(await readFile(GOLDEN_PATH, 'utf-8'));
+
+    const embeddingService = values.model
+        ? await loadModelEmbeddingService()
+        : createHashEmbeddingService();
+
+    const rag = new RAGEngine(null, { embeddingIndexPath: null, embeddingService, hybrid });
+    rag.setDocuments(docs.articles);
+
+    // RAGEngine logs its indexing progress; keep stdout for the report
+    const log = console.log;
+    console.log = () => {};
+    await rag.indexDocuments();
+    const report = await evaluateRetrieval(rag, golden.questions, { k, searchOptions });
+    console.log = log;
+
+    if (values.json) {
+        console.log(JSON.stringify(report, null, 2));
+        return;
+    }
+
+    console.log(`📊 Evaluacion de recuperacion (${report.questionCount} preguntas, ${rag.chunkCount} fragmentos, embedding: ${embeddingService.modelId})\n`);
+    console.log(formatReport(report));
+
+    if (values.verbose) {
+        const questions = new Map(golden.questions.map(q => [q.id, q]));
+
+        for (const [mode, result] of Object.entries(report.modes)) {
+            const misses = result.questions.filter(q => q.recall < 1);
+            if (misses.length === 0) continue;
+
+            console.log(`\n❌ ${mode}: ${misses.length} preguntas sin todos los articulos en el top ${k}`);
+            for (const miss of misses) {
+                const { question, relevant } = questions.get(miss.id);
+                console.log(`   ${miss.id} "${question}"`);
+                console.log(`      esperado: ${relevant.join(', ')} | obtenido: ${miss.ranked.join(', ') || '(nada)'}`);
+            }
+        }
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Error en la evaluacion:', error.message);
+    process.exit(1);
+});
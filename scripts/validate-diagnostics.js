@@ -0,0 +1,61 @@
+/**
+ * JAMF ASSISTANT - Diagnostics Validation Script
+ *
+ * Comprueba los diagnosticos guiados de data/diagnostics.json antes de
+ * publicarlos: pasos sin salida, ciclos, respuestas que llevan a pasos o
+ * soluciones que no existen (errores) y pasos inalcanzables o soluciones sin
+ * usar (avisos). Los diagnosticos con errores no se cargan en la aplicacion.
+ *
+ * Uso:
+ *   npm run validate-diagnostics
+ *   npm run validate-diagnostics -- --file otra-ruta.json
+ *
+ * Sale con codigo 1 si hay errores.
+ */
+
+import { readFile } from 'fs/promises';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { DIAGNOSTIC_FLOW_VERSION, validateFlows } from '../js/features/DiagnosticFlow.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DIAGNOSTICS_PATH = join(__dirname, '..', 'data', 'diagnostics.json');
+
+async function main() {
+    const { values } = parseArgs({
+        options: {
+            file: { type: 'string', default: DIAGNOSTICS_PATH }
+        }
+    });
+
+    const data = JSON.parse(await readFile(values.file, 'utf-8'));
+
+    if (data.version !== DIAGNOSTIC_FLOW_VERSION) {
+        console.error(`❌ Version de formato ${data.version} no soportada (se esperaba ${DIAGNOSTIC_FLOW_VERSION})`);
+        process.exit(1);
+    }
+
+    const issues = validateFlows(data.diagnostics);
+    const errors = issues.filter(issue => issue.severity === 'error');
+    const count = Object.keys(data.diagnostics || {}).length;
+
+    for (const issue of issues) {
+        const mark = issue.severity === 'error' ? '❌' : '⚠️ ';
+        console.log(`${mark} ${issue.diagnosticId ?? 'diagnostics'}: ${issue.message}`);
+    }
+
+    if (errors.length > 0) {
+        console.log(`\n❌ ${errors.length} errores en ${count} diagnosticos`);
+        process.exit(1);
+    }
+
+    console.log(`✅ ${count} diagnosticos correctos${issues.length ? ` (${issues.length} avisos)` : ''}`);
+}
+
+main().catch(error => {
+    console.error('❌ Error al validar los diagnosticos:', error.message);
+    process.exit(1);
+});
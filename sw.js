@@ -8,7 +8,7 @@
  * - Offline fallback page
  */
 
-const CACHE_VERSION = 'v1.5.0';
+const CACHE_VERSION = 'v1.26.1';
 const CACHE_NAME = `jamf-edu-${CACHE_VERSION}`;
 
 // Assets to cache on install
@@ -16,6 +16,7 @@ const STATIC_ASSETS = [
     './',
     './index.html',
     './manifest.json',
+    './data/diagnostics.json',
 
     // CSS
     './css/styles.css',
@@ -30,13 +31,14 @@ const STATIC_ASSETS = [
     './js/splash.js',
     './js/consent.js',
     './js/knowledge-base.js',
-    './js/diagnostics.js',
     './js/chatbot.js',
 
     // Core modules
     './js/core/bootstrap.js',
     './js/core/Container.js',
     './js/core/StateManager.js',
+    './js/core/StateStorage.js',
+    './js/core/StateMigrations.js',
     './js/core/ThemeManager.js',
     './js/core/NavigationManager.js',
     './js/core/SidebarManager.js',
@@ -57,10 +59,24 @@ const STATIC_ASSETS = [
     // Features
     './js/features/SearchEngine.js',
     './js/features/DiagnosticsManager.js',
+    './js/features/DiagnosticFlow.js',
+    './js/features/DiagnosticTranscript.js',
+    './js/features/DiagnosticMatcher.js',
     './js/features/ChecklistManager.js',
+    './js/features/ChecklistReport.js',
+    './js/features/ChecklistEditor.js',
     './js/features/DataManager.js',
+    './js/features/FeedbackReport.js',
     './js/features/GuideManager.js',
 
+    // Utils
+    './js/utils/EventBus.js',
+    './js/utils/Logger.js',
+    './js/utils/IndexedDBStore.js',
+    './js/utils/ConnectPolicy.js',
+    './js/utils/TextAnalyzer.js',
+    './js/utils/BM25Index.js',
+
     // UI
     './js/ui/ToastManager.js',
     './js/ui/OnboardingTour.js',
@@ -72,11 +88,22 @@ const STATIC_ASSETS = [
     './js/chatbot/index.js',
     './js/chatbot/ChatbotCore.js',
     './js/chatbot/ChatUI.js',
+    './js/chatbot/MarkdownRenderer.js',
+    './js/chatbot/BaseLLMClient.js',
     './js/chatbot/GeminiClient.js',
+    './js/chatbot/OpenAIClient.js',
+    './js/chatbot/AnthropicClient.js',
+    './js/chatbot/LocalLLMClient.js',
+    './js/chatbot/LLMProviders.js',
     './js/chatbot/RAGEngine.js',
+    './js/chatbot/DocumentChunker.js',
+    './js/chatbot/EmbeddingIndex.js',
+    './js/chatbot/EmbeddingCache.js',
     './js/chatbot/RateLimiter.js',
     './js/chatbot/EncryptionService.js',
     './js/chatbot/ApiKeyManager.js',
+    './js/chatbot/ConversationStore.js',
+    './js/chatbot/FeedbackStore.js',
     './js/chatbot/EventBus.js',
 
     // Patterns